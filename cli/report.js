@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+// --- Command-Line Report ---
+// Builds the attendance report without the browser: reads ZKTeco exports (workbooks, CSV or attlog punch
+// logs), runs them through the same engine as the app and writes the summary and daily details as a
+// workbook, CSV files or a JSON document. Meant to run unattended, so every outcome is reported through
+// the exit code and a machine-readable diagnostics file.
+//
+//   node cli/report.js [options] <file or directory>...
+//
+//   -o, --out <path>          report file, .xlsx, .csv or .json (default attendance-report.xlsx)
+//   -f, --format <format>     xlsx, csv or json when the extension doesn't say
+//   -r, --rules <file>        attendance rule set (JSON, as saved by the app or a JSON export's "rules")
+//   -m, --mapping <file>      column mapping profiles (JSON list of { name, signature or headers, colMap })
+//   -s, --settings <file>     { schedule, holidays, leaves, leaveTypes, directory, dateOrder, mergeStrategy }
+//                             (a JSON export of the app works too)
+//       --date-order <order>  auto, DMY, MDY or YMD (overrides the settings file)
+//       --merge <strategy>    prefer-complete, keep-first, keep-last or keep-all
+//       --lang <language>     en or ar: sheet names and column headers of the report (default en)
+//   -d, --diagnostics <path>  diagnostics report (default <out>.diagnostics.json, "-" for stdout)
+//   -h, --help
+//
+// Directories are read one level deep for .xlsx, .xls, .csv, .dat and .txt files. A CSV report is written
+// as <out> (summary) with <out>-details.csv and <out>-rules.csv next to it.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import * as XLSX from 'xlsx';
+import { bufferSources, runSources, sourceLabel } from '../src/engine/sources.js';
+import { buildReport, DEFAULT_REPORT_SETTINGS } from '../src/engine/report.js';
+import { normalizeRuleSet, ruleSetLabel, ruleSheetRows } from '../src/engine/rules.js';
+import { headerSignature, normalizeHeader } from '../src/engine/columnMapping.js';
+import { summarySheetRows, detailSheetRows, sheetName, toCsv, buildJsonExport } from '../src/engine/exports.js';
+import { DATE_ORDERS, DEFAULT_DATE_ORDER } from '../src/engine/parsers.js';
+import { MERGE_STRATEGIES } from '../src/engine/merge.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../src/i18n/index.js';
+
+const EXIT_CODES = {
+  OK: 0,
+  INVALID_INPUT: 1,
+  NO_RECORDS: 2,
+  PARTIAL: 3
+};
+
+const DIAGNOSTICS_VERSION = 1;
+const INPUT_PATTERN = /\.(xlsx|xls|csv|dat|txt)$/i;
+const FORMATS = ['xlsx', 'csv', 'json'];
+const DEFAULT_OUT = 'attendance-report.xlsx';
+
+const USAGE = `Usage: node cli/report.js [options] <file or directory>...
+
+  -o, --out <path>          report file, .xlsx, .csv or .json (default ${DEFAULT_OUT})
+  -f, --format <format>     ${FORMATS.join(', ')} when the extension doesn't say
+  -r, --rules <file>        attendance rule set (JSON)
+  -m, --mapping <file>      column mapping profiles (JSON)
+  -s, --settings <file>     schedule, holidays, leaves, leave types, directory, date order, merge strategy (JSON)
+      --date-order <order>  ${DATE_ORDERS.join(', ')}
+      --merge <strategy>    ${Object.values(MERGE_STRATEGIES).join(', ')}
+      --lang <language>     ${Object.keys(LANGUAGES).join(', ')}: report headers and sheet names (default ${DEFAULT_LANGUAGE})
+  -d, --diagnostics <path>  diagnostics report (default <out>.diagnostics.json, "-" for stdout)
+  -h, --help
+
+Exit codes: 0 report written, 1 bad arguments or unreadable config, 2 no usable records,
+3 report written but some sources failed.`;
+
+const OPTIONS = {
+  out: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  rules: { type: 'string', short: 'r' },
+  mapping: { type: 'string', short: 'm' },
+  settings: { type: 'string', short: 's' },
+  'date-order': { type: 'string' },
+  merge: { type: 'string' },
+  lang: { type: 'string' },
+  diagnostics: { type: 'string', short: 'd' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Thrown for anything the caller has to fix (arguments, paths, config files); ends the run with exit code 1
+const inputError = (code, message) => Object.assign(new Error(message), { code });
+
+// --- Inputs ---
+
+const readJsonFile = (file, what) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw inputError('INVALID_CONFIG', `Could not read ${what} file ${file}: ${err.message}`);
+  }
+};
+
+// Input paths with directories expanded to the report files they contain
+const listInputFiles = (paths) => paths.flatMap(input => {
+  if (!fs.existsSync(input)) throw inputError('INPUT_NOT_FOUND', `No such file or directory: ${input}`);
+  if (!fs.statSync(input).isDirectory()) return [input];
+  return fs.readdirSync(input)
+    .filter(name => INPUT_PATTERN.test(name))
+    .sort()
+    .map(name => path.join(input, name))
+    .filter(file => fs.statSync(file).isFile());
+});
+
+// A rule set file is either the rule set itself or a JSON export carrying one under "rules"
+const loadRulesFile = (file) => {
+  const json = readJsonFile(file, 'rules');
+  const ruleSet = json.rules && json.rules.base ? json.rules : json;
+  if (!ruleSet || typeof ruleSet !== 'object' || !ruleSet.base) {
+    throw inputError('INVALID_CONFIG', `${file} has no rule set (expected { base, overrides }).`);
+  }
+  return normalizeRuleSet(ruleSet);
+};
+
+// Profiles saved by the app carry a header signature and column indexes. Hand-written ones may list the
+// header row instead, and name columns by their header.
+const normalizeProfile = (profile, index, file) => {
+  if (!profile || typeof profile !== 'object' || !profile.colMap) {
+    throw inputError('INVALID_CONFIG', `Mapping ${index + 1} in ${file} has no colMap.`);
+  }
+  const headers = Array.isArray(profile.headers) ? profile.headers.map(h => String(h).trim()) : null;
+  const signature = profile.signature || (headers && headerSignature(headers));
+  if (!signature) {
+    throw inputError('INVALID_CONFIG', `Mapping ${index + 1} in ${file} needs a signature or its header row.`);
+  }
+  const columnIndex = (value) => {
+    if (typeof value === 'number') return value;
+    const found = headers ? headers.findIndex(h => normalizeHeader(h) === normalizeHeader(value)) : -1;
+    if (found === -1) throw inputError('INVALID_CONFIG', `Mapping ${index + 1} in ${file}: no column '${value}' in its headers.`);
+    return found;
+  };
+  return {
+    name: profile.name || path.basename(file),
+    signature,
+    colMap: Object.fromEntries(Object.entries(profile.colMap).map(([field, value]) => [field, columnIndex(value)]))
+  };
+};
+
+const loadMappingFile = (file) => {
+  const json = readJsonFile(file, 'mapping');
+  const profiles = Array.isArray(json) ? json : Array.isArray(json.profiles) ? json.profiles : [json];
+  return profiles.map((profile, i) => normalizeProfile(profile, i, file));
+};
+
+// Settings file: a plain settings object or a JSON export of the app (its "settings" and "rules")
+const loadSettingsFile = (file) => {
+  const json = readJsonFile(file, 'settings');
+  const settings = json.settings && typeof json.settings === 'object' ? json.settings : json;
+  return {
+    ...settings,
+    ...(json.rules && json.rules.base ? { ruleSet: normalizeRuleSet(json.rules) } : {})
+  };
+};
+
+const pick = (value, allowed, option) => {
+  if (value === undefined || allowed.includes(value)) return value;
+  throw inputError('INVALID_ARGUMENT', `--${option} must be one of ${allowed.join(', ')} (got '${value}').`);
+};
+
+const outputFormat = (out, format) => {
+  if (format) return pick(format, FORMATS, 'format');
+  const ext = path.extname(out).slice(1).toLowerCase();
+  if (FORMATS.includes(ext)) return ext;
+  throw inputError('INVALID_ARGUMENT', `Cannot tell the report format from '${out}'; use --format.`);
+};
+
+// --- Output ---
+
+const stripExt = (file) => file.slice(0, file.length - path.extname(file).length);
+
+// Same sheets and CSV files as the app's export dialog; returns the paths written
+const writeReport = (summary, { out, format, ruleSet, settings, inputs, lang }) => {
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+
+  if (format === 'json') {
+    const doc = buildJsonExport(summary, {
+      source: inputs.map(file => path.basename(file)).join(', '),
+      scope: 'all',
+      settings: { ...settings, hoursPerDay: ruleSet.base.dayLengthHours },
+      rules: { label: ruleSetLabel(ruleSet, lang), ...ruleSet }
+    });
+    fs.writeFileSync(out, JSON.stringify(doc, null, 2));
+    return [out];
+  }
+
+  const hoursPerDay = ruleSet.base.dayLengthHours;
+  const summaryRows = summarySheetRows(summary, { hoursPerDay, leaveTypes: settings.leaveTypes, lang });
+  const detailRows = detailSheetRows(summary, { shifts: settings.schedule.shifts, lang });
+  const ruleRows = ruleSheetRows(ruleSet, { lang });
+
+  if (format === 'csv') {
+    // UTF-8 BOM so Excel opens Arabic names correctly
+    const files = [[out, summaryRows], [`${stripExt(out)}-details.csv`, detailRows], [`${stripExt(out)}-rules.csv`, ruleRows]];
+    files.forEach(([file, rows]) => fs.writeFileSync(file, '\ufeff' + toCsv(rows)));
+    return files.map(([file]) => file);
+  }
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summaryRows), sheetName(lang, 'summary'));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(detailRows), sheetName(lang, 'details'));
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(ruleRows), sheetName(lang, 'rules'));
+  fs.writeFileSync(out, XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }));
+  return [out];
+};
+
+// --- Run ---
+
+const sourceEntry = (source, result) => ({
+  file: source.fileName,
+  sheet: source.sheetName,
+  kind: source.kind,
+  status: !result ? 'skipped' : result.diagnostics.errors.length > 0 ? 'failed' : 'ok',
+  ...(result ? { diagnostics: result.diagnostics, records: result.records.length } : {})
+});
+
+// Read the inputs, build the report and write it. Returns the diagnostics report; never throws.
+const runReport = (args) => {
+  const diagnostics = {
+    version: DIAGNOSTICS_VERSION,
+    generatedAt: new Date().toISOString(),
+    status: 'failed',
+    exitCode: EXIT_CODES.INVALID_INPUT,
+    inputs: [],
+    rules: null,
+    output: null,
+    sources: [],
+    merge: null,
+    unknownEmployees: [],
+    employees: 0,
+    records: 0,
+    errors: []
+  };
+  const fail = (exitCode, error) => {
+    diagnostics.errors.push(error);
+    return { ...diagnostics, exitCode };
+  };
+
+  try {
+    if (args.positionals.length === 0) throw inputError('INVALID_ARGUMENT', 'No input files given.');
+    const { values } = args;
+    const out = values.out || DEFAULT_OUT;
+    const format = outputFormat(out, values.format);
+    const lang = pick(values.lang, Object.keys(LANGUAGES), 'lang') || DEFAULT_LANGUAGE;
+
+    const fileSettings = values.settings ? loadSettingsFile(values.settings) : {};
+    const ruleSet = values.rules ? loadRulesFile(values.rules) : fileSettings.ruleSet || DEFAULT_REPORT_SETTINGS.ruleSet;
+    const settings = {
+      ...DEFAULT_REPORT_SETTINGS,
+      ...fileSettings,
+      ruleSet,
+      dateOrder: pick(values['date-order'], DATE_ORDERS, 'date-order') || fileSettings.dateOrder || DEFAULT_DATE_ORDER,
+      mergeStrategy: pick(values.merge, Object.values(MERGE_STRATEGIES), 'merge') || fileSettings.mergeStrategy || MERGE_STRATEGIES.PREFER_COMPLETE
+    };
+    const profiles = values.mapping ? loadMappingFile(values.mapping) : [];
+    diagnostics.rules = ruleSetLabel(ruleSet);
+
+    const inputs = listInputFiles(args.positionals);
+    diagnostics.inputs = inputs;
+    if (inputs.length === 0) throw inputError('NO_INPUT_FILES', `No .xlsx, .xls, .csv, .dat or .txt files in ${args.positionals.join(', ')}.`);
+
+    // A file the spreadsheet library can't open fails on its own; the others still run
+    const sources = inputs.flatMap(file => {
+      try {
+        const buffer = fs.readFileSync(file);
+        return bufferSources(XLSX, buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength), path.basename(file));
+      } catch (err) {
+        diagnostics.sources.push({ file: path.basename(file), sheet: null, kind: null, status: 'failed', diagnostics: null, records: 0 });
+        diagnostics.errors.push({ code: 'UNREADABLE_FILE', message: `Could not read ${file}: ${err.message}`, file: path.basename(file) });
+        return [];
+      }
+    });
+
+    const { results, merged, unknownEmployees } = runSources(sources, {
+      profiles,
+      dateOrder: settings.dateOrder,
+      mergeStrategy: settings.mergeStrategy,
+      directory: Array.isArray(settings.directory) ? settings.directory : []
+    });
+    sources.forEach(source => {
+      const result = results.find(r => r.source.id === source.id);
+      diagnostics.sources.push(sourceEntry(source, result));
+      (result?.diagnostics.errors || []).forEach(error => {
+        diagnostics.errors.push({ ...error, file: source.fileName, sheet: source.sheetName, source: sourceLabel(source) });
+      });
+    });
+    diagnostics.merge = { records: merged.records.length, duplicates: merged.duplicates, conflicts: merged.conflicts.length };
+    diagnostics.unknownEmployees = unknownEmployees;
+
+    if (merged.records.length === 0) {
+      return fail(EXIT_CODES.NO_RECORDS, { code: 'NO_RECORDS', message: 'No attendance records could be read from the inputs.' });
+    }
+
+    const summary = buildReport(merged.records, settings);
+    const { schedule, holidays, leaves, leaveTypes, dateOrder, mergeStrategy } = settings;
+    const files = writeReport(summary, { out, format, ruleSet, settings: { schedule, holidays, leaves, leaveTypes, dateOrder, mergeStrategy }, inputs, lang });
+
+    const failed = diagnostics.errors.length > 0;
+    return {
+      ...diagnostics,
+      status: failed ? 'partial' : 'ok',
+      exitCode: failed ? EXIT_CODES.PARTIAL : EXIT_CODES.OK,
+      output: { format, files },
+      employees: summary.length,
+      records: summary.reduce((sum, emp) => sum + emp.records.length, 0)
+    };
+  } catch (err) {
+    return fail(EXIT_CODES.INVALID_INPUT, { code: err.code || 'UNEXPECTED_ERROR', message: err.message });
+  }
+};
+
+const main = () => {
+  let args;
+  try {
+    args = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT_CODES.INVALID_INPUT;
+  }
+  if (args.values.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  const report = runReport(args);
+  const diagnosticsPath = args.values.diagnostics || `${stripExt(args.values.out || DEFAULT_OUT)}.diagnostics.json`;
+  const json = JSON.stringify(report, null, 2);
+  if (diagnosticsPath === '-') {
+    console.log(json);
+  } else {
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(diagnosticsPath)), { recursive: true });
+      fs.writeFileSync(diagnosticsPath, json);
+    } catch (err) {
+      console.error(`Could not write diagnostics to ${diagnosticsPath}: ${err.message}`);
+    }
+  }
+
+  report.errors.forEach(error => console.error(`${error.source || error.file || 'error'}: ${error.message}`));
+  if (report.output) {
+    console.error(`Wrote ${report.output.files.join(', ')} (${report.employees} employees, ${report.records} days, rules ${report.rules})`);
+  }
+  return report.exitCode;
+};
+
+process.exitCode = main();
@@ -12,238 +12,649 @@ import {
   ChevronRight,
   ChevronUp,
   ArrowUpDown,
-  Filter
+  Columns,
+  CalendarDays,
+  AlertTriangle,
+  Layers,
+  FilePlus,
+  History,
+  Fingerprint,
+  Save,
+  GitCompare,
+  Wallet,
+  SlidersHorizontal,
+  CheckCircle2,
+  XCircle,
+  Palmtree,
+  Contact,
+  UserX,
+  Languages
 } from 'lucide-react';
+import { DEFAULT_SCHEDULE } from './engine/shifts';
+import { getDateRange } from './engine/calendar';
+import { periodKey, findApproval, createApproval, buildAuditLog, correctionKey, APPROVAL_STATUS } from './engine/corrections';
+import { resolveRules, describePriority, ruleSetLabel, ruleSheetRows, normalizeRuleSet } from './engine/rules';
+import { MERGE_STRATEGIES } from './engine/merge';
+import { sourceLabel, deviceSources } from './engine/sources';
+import { readSheetRows, downloadFile } from './utils/files';
+import { startParseJob, createKeptWorker, runSourcesMessage, reportMessage, readFileBuffers } from './utils/parseJobs';
+import { printTimesheets } from './utils/timesheet';
+import { loadProfiles, saveProfile, deleteProfile } from './storage/mappingProfiles';
+import { loadSchedule, saveSchedule } from './storage/schedules';
+import { loadHolidays, saveHolidays } from './storage/holidays';
+import { loadLeaves, saveLeaves, loadLeaveTypes, saveLeaveTypes } from './storage/leaves';
+import { loadDirectory, saveDirectory } from './storage/directory';
+import { loadPreference, savePreference } from './storage/preferences';
+import { loadSavedViews, saveView, deleteView } from './storage/savedViews';
+import { isFirebaseConfigured } from './storage/firebase';
+import { isSyncConfigured } from './storage/deviceSync';
+import { buildPeriod, savePeriod, loadPeriodRecords } from './storage/periods';
+import { loadCorrections, appendCorrections, loadApprovals, appendApproval } from './storage/corrections';
+import { loadRuleSet, saveRuleSet, loadRuleSetHistory } from './storage/rules';
+import { loadPayRules, savePayRules, loadPayrollTemplates, savePayrollTemplate, deletePayrollTemplate } from './storage/payroll';
+import { buildPayrollLines, payrollSheetRows } from './engine/payroll';
+import { summarySheetRows, detailSheetRows, auditSheetRows, usedLeaveTypes, toCsv, buildJsonExport, sheetName, EXPORT_SCOPES } from './engine/exports';
+import { zipSync, strToU8 } from 'fflate';
+import * as XLSX from 'xlsx';
+import { DATE_ORDERS, DEFAULT_DATE_ORDER } from './engine/parsers';
+import { formatMinutes } from './utils/format';
+import { sortRows, nextSortConfig } from './utils/sort';
+import { viewToQuery, viewFromQuery, filterSummary, deptOf, DEFAULT_FILTERS } from './utils/viewState';
+import ColumnMappingDialog from './components/ColumnMappingDialog';
+import ShiftSettingsDialog from './components/ShiftSettingsDialog';
+import HolidayCalendarDialog from './components/HolidayCalendarDialog';
+import IssuesPanel from './components/IssuesPanel';
+import SourcesDialog from './components/SourcesDialog';
+import ImportDialog from './components/ImportDialog';
+import SortHeader from './components/SortHeader';
+import HistoryDialog from './components/HistoryDialog';
+import ComparePanel from './components/ComparePanel';
+import DashboardPanel from './components/DashboardPanel';
+import PayrollDialog from './components/PayrollDialog';
+import ExportDialog from './components/ExportDialog';
+import CorrectionDialog from './components/CorrectionDialog';
+import DailyBreakdown from './components/DailyBreakdown';
+import EmployeeProfile from './components/EmployeeProfile';
+import useVirtualRows from './hooks/useVirtualRows';
+import useI18n from './hooks/useI18n';
+import { LANGUAGES, translateMessage } from './i18n';
+import LeaveDialog from './components/LeaveDialog';
+import DirectoryDialog from './components/DirectoryDialog';
+import DevicesDialog from './components/DevicesDialog';
+import RulesDialog from './components/RulesDialog';
+import ReportFilters from './components/ReportFilters';
 
-// --- Helper Functions ---
-
-// Parse "HH:MM" string to decimal hours (e.g., "08:30" -> 8.5)
-const parseTimeStringToDecimal = (timeStr) => {
-  if (!timeStr || typeof timeStr !== 'string' || !timeStr.includes(':')) return 0;
-  const [hours, minutes] = timeStr.split(':').map(Number);
-  if (isNaN(hours) || isNaN(minutes)) return 0;
-  return hours + (minutes / 60);
-};
-
-// Safe number parsing
-const safeFloat = (val) => {
-  const parsed = parseFloat(val);
-  return isNaN(parsed) ? 0 : parsed;
-};
-
-// Check if a value is "empty" according to business rules
-const isNotEmpty = (val) => {
-  if (val === null || val === undefined) return false;
-  if (typeof val === 'string' && val.trim() === '') return false;
-  return true;
-};
+// Summary table rows: one per employee plus a details row under each expanded employee
+const DETAIL_KEY = ':detail';
+const estimateSummaryRow = (key) => (key.endsWith(DETAIL_KEY) ? 560 : 53);
+
+const EMPTY_REPORT = { inputs: null, summary: [], anomalies: [] };
 
 export default function App() {
+  const { lang, t, formatNumber, setLanguage } = useI18n();
   const [data, setData] = useState([]);
-  const [summary, setSummary] = useState([]);
   const [fileName, setFileName] = useState(null);
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [expandedRows, setExpandedRows] = useState(new Set());
-  const [showOnlyIssues, setShowOnlyIssues] = useState(false);
-  const [isLibLoaded, setIsLibLoaded] = useState(false);
+  // Parse job running in the worker ({ cancel }) and its latest progress ({ phase, done, total })
+  const [parseJob, setParseJob] = useState(null);
+  const [progress, setProgress] = useState(null);
+  // Kept workers: one holds the source rows between runs, the other the records between report updates
+  const [sourceWorker] = useState(createKeptWorker);
+  const [reportWorker] = useState(createKeptWorker);
+  // Summary and issues from the report worker, with the inputs they were built from
+  const [report, setReport] = useState(EMPTY_REPORT);
+  // View state (filters, sort, expanded employees, tab) starts from the URL and is written back to it
+  const [initialView] = useState(() => viewFromQuery(window.location.search));
+  const [filters, setFilters] = useState(initialView.filters);
+  const [expandedRows, setExpandedRows] = useState(() => new Set(initialView.expanded));
+  const [activeTab, setActiveTab] = useState(initialView.tab);
+  const [profileEmpId, setProfileEmpId] = useState(initialView.employee);
+  const [savedViews, setSavedViews] = useState(() => loadSavedViews());
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [view, setView] = useState('report');
+  const [focusedRecordId, setFocusedRecordId] = useState(null);
+  const [scrollTarget, setScrollTarget] = useState(null);
+
+  // Sources: one per loaded file sheet (or text punch log). Raw rows are kept so sheets can be
+  // re-mapped or toggled without re-uploading.
+  const [sources, setSources] = useState([]);
+  const [diagnostics, setDiagnostics] = useState(null);
+  const [mergeResult, setMergeResult] = useState(null);
+  const [mergeStrategy, setMergeStrategy] = useState(() => loadPreference('mergeStrategy', MERGE_STRATEGIES.PREFER_COMPLETE));
+  const [showSources, setShowSources] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [mappingDialog, setMappingDialog] = useState(null);
+
+  // Import preview: newly read files are parsed and reviewed before they replace the dataset
+  // ({ sources, newSourceIds, parsed })
+  const [pendingImport, setPendingImport] = useState(null);
+
+  // Date order used to read ambiguous dates such as 01/02/2025
+  const [dateOrder, setDateOrder] = useState(() => loadPreference('dateOrder', DEFAULT_DATE_ORDER));
+
+  // Shift schedule: applied on top of parsed records, so edits recompute without re-parsing
+  const [savedSchedule, setSchedule] = useState(() => loadSchedule());
+  const [showShiftSettings, setShowShiftSettings] = useState(false);
+
+  // Holiday calendar used to tell holidays apart from absences
+  const [savedHolidays, setHolidays] = useState(() => loadHolidays());
+  const [showHolidays, setShowHolidays] = useState(false);
+
+  // Leave entries per employee and the configurable leave types (paid or unpaid)
+  const [savedLeaves, setLeaves] = useState(() => loadLeaves());
+  const [savedLeaveTypes, setLeaveTypes] = useState(() => loadLeaveTypes());
+  const [showLeave, setShowLeave] = useState(false);
+
+  // Employee directory: canonical names, departments, employment dates and alias IDs
+  const [directory, setDirectory] = useState(() => loadDirectory());
+  const [showDirectory, setShowDirectory] = useState(false);
+
+  // Attendance rules (presence, hour sources, day thresholds) and the versions they replaced.
+  // While the rules dialog is open its draft is applied to the report.
+  const [savedRuleSet, setRuleSet] = useState(() => loadRuleSet());
+  const [ruleHistory, setRuleHistory] = useState(() => loadRuleSetHistory());
+  const [ruleDraft, setRuleDraft] = useState(null);
+
+  // Pay rules (overtime, rounding, rates) and payroll column templates
+  const [savedPayRules, setPayRules] = useState(() => loadPayRules());
+  const [payrollTemplates, setPayrollTemplates] = useState(() => loadPayrollTemplates());
+  const [showPayroll, setShowPayroll] = useState(false);
+
+  // A reopened period brings the settings it was saved with. They apply while its data is shown and never
+  // replace the stored settings; saving a setting drops the period's copy of it so the edit takes effect.
+  const [periodSettings, setPeriodSettings] = useState(null);
+  const { schedule, holidays, leaves, leaveTypes, ruleSet, payRules } = useMemo(() => ({
+    schedule: periodSettings?.schedule ? { ...DEFAULT_SCHEDULE, ...periodSettings.schedule } : savedSchedule,
+    holidays: periodSettings?.holidays || savedHolidays,
+    leaves: periodSettings?.leaves || savedLeaves,
+    leaveTypes: periodSettings?.leaveTypes || savedLeaveTypes,
+    ruleSet: periodSettings?.ruleSet ? normalizeRuleSet(periodSettings.ruleSet) : savedRuleSet,
+    payRules: periodSettings?.payRules ? { ...savedPayRules, ...periodSettings.payRules } : savedPayRules
+  }), [periodSettings, savedSchedule, savedHolidays, savedLeaves, savedLeaveTypes, savedRuleSet, savedPayRules]);
+  const activeRuleSet = ruleDraft || ruleSet;
+  const keepStoredSettings = (...keys) => setPeriodSettings(current => (
+    current && { ...current, ...Object.fromEntries(keys.map(key => [key, undefined])) }
+  ));
+
+  // Report export: remembers whether the last export covered the filtered view or the full dataset
+  const [showExport, setShowExport] = useState(false);
+  const [exportScope, setExportScope] = useState(() => loadPreference('exportScope', EXPORT_SCOPES.VIEW));
+  
+  // Manual corrections (append-only log) and supervisor approvals per employee per period
+  const [corrections, setCorrections] = useState(() => loadCorrections());
+  const [approvals, setApprovals] = useState(() => loadApprovals());
+  const [userName, setUserName] = useState(() => loadPreference('userName', ''));
+  const [correctionDialog, setCorrectionDialog] = useState(null);
+  
+  // Report history: the saved period currently shown (null once the data changes)
+  const [currentPeriod, setCurrentPeriod] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showDevices, setShowDevices] = useState(false);
+  const [savingPeriod, setSavingPeriod] = useState(false);
   
   // Sorting state: default sort by empId ascending
-  const [sortConfig, setSortConfig] = useState({ key: 'empId', direction: 'asc' });
+  const [sortConfig, setSortConfig] = useState(initialView.sortConfig);
 
-  // --- Load XLSX Library Dynamically ---
-  useEffect(() => {
-    const script = document.createElement('script');
-    script.src = "https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js";
-    script.async = true;
-    script.onload = () => setIsLibLoaded(true);
-    script.onerror = () => setError("Failed to load Excel processing library. Please refresh.");
-    document.body.appendChild(script);
-
-    return () => {
-      document.body.removeChild(script);
+  // --- Core Processing Logic ---
+
+  // Run a job in a parse worker; start(options) starts it. A newer job cancels the running one; resolves null when cancelled.
+  const runParseJob = async (start) => {
+    if (parseJob) parseJob.cancel();
+    const job = start({ onProgress: setProgress });
+    setParseJob(job);
+    setProgress(null);
+    try {
+      return await job.promise;
+    } finally {
+      setParseJob(current => (current === job ? null : current));
+    }
+  };
+
+  // Run the engines over every included source and merge the results (in the worker).
+  // Resolves null when the run was cancelled.
+  const parseSources = async (list, options = {}) => {
+    const settings = { profiles, dateOrder, mergeStrategy, directory, ...options };
+    const job = await runParseJob(options => sourceWorker.start(runSourcesMessage(list, settings), options));
+    if (!job) return null;
+    return {
+      ...job,
+      results: job.results.map(r => ({ source: list.find(src => src.id === r.sourceId), diagnostics: r.diagnostics }))
     };
-  }, []);
+  };
 
-  // --- Core Processing Logic ---
+  // Show a parse of the sources as the dataset.
+  // Opens the mapping dialog for the first time card sheet whose headers cannot be resolved.
+  const showParsed = ({ results, merged, unknownEmployees }) => {
+    const multiple = results.length > 1;
+    const prefix = (src) => (multiple ? `${sourceLabel(src)}: ` : '');
+    const ok = results.filter(r => r.diagnostics.errors.length === 0);
+    const failed = results.filter(r => r.diagnostics.errors.length > 0);
 
-  const handleFileUpload = (e) => {
-    if (!window.XLSX) {
-      setError("Excel library not loaded yet. Please wait a moment.");
+    // The prefix is kept apart from the message, which is translated by code when shown
+    const withPrefix = (r, items) => items.map(item => ({ ...item, sourceId: r.source.id, prefix: prefix(r.source) }));
+    setDiagnostics({
+      sources: Object.fromEntries(results.map(r => [r.source.id, r.diagnostics])),
+      errors: results.flatMap(r => withPrefix(r, r.diagnostics.errors)),
+      warnings: results.flatMap(r => withPrefix(r, r.diagnostics.warnings)),
+      dateOrder: ok[0]?.diagnostics.dateOrder || null,
+      unknownEmployees
+    });
+    setMergeResult(merged);
+    setData(merged.records);
+    setCurrentPeriod(null);
+    setPeriodSettings(null);
+
+    if (failed.length > 0) {
+      const first = failed[0];
+      setError(prefix(first.source) + translateMessage(lang, 'diagnostics', first.diagnostics.errors[0]));
+      if (first.source.kind === 'timecard') {
+        setMappingDialog({ sourceId: first.source.id, headerRowIndex: first.diagnostics.headerRowIndex, colMap: first.diagnostics.colMap });
+      }
+    } else {
+      setError(null);
+    }
+  };
+
+  // Parse and show the sources. Returns false when the run was cancelled; the previous results stay on screen.
+  const processSources = async (list, options = {}) => {
+    let parsed;
+    try {
+      parsed = await parseSources(list, options);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || t('app.errors.parseFailed'));
+      return true;
+    }
+    if (!parsed) return false;
+    showParsed(parsed);
+    return true;
+  };
+
+  const updateSources = async (next, options) => {
+    const done = await processSources(next, options);
+    if (done) setSources(next);
+    return done;
+  };
+
+  // pending: map a sheet of the import under review instead of the loaded dataset
+  const openMappingFor = (sourceId, { pending = false } = {}) => {
+    const diag = pending
+      ? pendingImport.parsed.results.find(r => r.source.id === sourceId)?.diagnostics
+      : diagnostics?.sources[sourceId];
+    const src = (pending ? pendingImport.sources : sources).find(s => s.id === sourceId);
+    setMappingDialog({
+      sourceId,
+      pending,
+      headerRowIndex: src?.mapping?.headerRowIndex ?? diag?.headerRowIndex ?? -1,
+      colMap: src?.mapping?.colMap ?? diag?.colMap
+    });
+  };
+
+  const handleApplyMapping = (mapping, profile) => {
+    const nextProfiles = profile ? saveProfile(profile) : profiles;
+    if (profile) {
+      setProfiles(nextProfiles);
+    }
+    const { sourceId, pending } = mappingDialog;
+    setMappingDialog(null);
+    if (pending) {
+      setPendingMapping(sourceId, mapping, { profiles: nextProfiles });
       return;
     }
+    updateSources(sources.map(src => (src.id === sourceId ? { ...src, mapping } : src)), { profiles: nextProfiles });
+  };
+
+  const handleDateOrderChange = (order) => {
+    setDateOrder(savePreference('dateOrder', order));
+    if (sources.length > 0) {
+      processSources(sources, { dateOrder: order });
+    }
+  };
+
+  const handleMergeStrategyChange = (strategy) => {
+    setMergeStrategy(savePreference('mergeStrategy', strategy));
+    processSources(sources, { mergeStrategy: strategy });
+  };
+
+  const toggleSource = (sourceId) => {
+    updateSources(sources.map(src => (src.id === sourceId ? { ...src, include: !src.include } : src)));
+  };
+
+  const removeSource = (sourceId) => {
+    const next = sources.filter(src => src.id !== sourceId);
+    updateSources(next);
+    if (next.length === 0) {
+      setShowSources(false);
+      setFileName(null);
+    }
+  };
+
+  // --- Import Preview ---
+
+  // Re-parse the import under review after a sheet is toggled or re-mapped
+  const updatePendingImport = async (next, options) => {
+    try {
+      const parsed = await parseSources(next, options);
+      if (parsed) setPendingImport(current => current && { ...current, sources: next, parsed });
+    } catch (err) {
+      console.error(err);
+      setError(err.message || t('app.errors.parseFailed'));
+    }
+  };
+
+  const togglePendingSource = (sourceId) => {
+    updatePendingImport(pendingImport.sources.map(src => (src.id === sourceId ? { ...src, include: !src.include } : src)));
+  };
 
-    const file = e.target.files[0];
-    if (!file) return;
+  const setPendingMapping = (sourceId, mapping, options) => {
+    updatePendingImport(pendingImport.sources.map(src => (src.id === sourceId ? { ...src, mapping } : src)), options);
+  };
+
+  // The reviewed parse becomes the dataset; nothing is re-read
+  const confirmImport = () => {
+    const { sources: next, parsed } = pendingImport;
+    setPendingImport(null);
+    setSources(next);
+    showParsed(parsed);
+    const fileNames = [...new Set(next.map(src => src.fileName))];
+    setFileName(fileNames.length === 1 ? fileNames[0] : t('app.fileCount', { count: fileNames.length }));
+  };
+
+  const handleDeleteProfile = (id) => {
+    setProfiles(deleteProfile(id));
+  };
+
+  const handleSaveSchedule = (nextSchedule) => {
+    setSchedule(saveSchedule(nextSchedule));
+    keepStoredSettings('schedule');
+    setShowShiftSettings(false);
+  };
 
+  const handleSaveHolidays = (nextHolidays) => {
+    setHolidays(saveHolidays(nextHolidays));
+    keepStoredSettings('holidays');
+    setShowHolidays(false);
+  };
+
+  // Records are resolved while sources are processed, so a directory change re-runs them
+  const handleSaveDirectory = (nextDirectory) => {
+    setDirectory(saveDirectory(nextDirectory));
+    setShowDirectory(false);
+    if (sources.length > 0) processSources(sources, { directory: nextDirectory });
+  };
+
+  const readDirectoryFile = (file) => readSheetRows(XLSX, file);
+
+  const handleSaveLeave = (nextLeaves, nextLeaveTypes) => {
+    setLeaves(saveLeaves(nextLeaves));
+    setLeaveTypes(saveLeaveTypes(nextLeaveTypes));
+    keepStoredSettings('leaves', 'leaveTypes');
+    setShowLeave(false);
+  };
+
+  const handleSaveRules = (draft) => {
+    setRuleSet(saveRuleSet(draft, { user: userName }));
+    keepStoredSettings('ruleSet');
+    setRuleHistory(loadRuleSetHistory());
+    setRuleDraft(null);
+  };
+
+  const handleSavePayRules = (nextRules) => {
+    setPayRules(savePayRules(nextRules));
+    keepStoredSettings('payRules');
+    setShowPayroll(false);
+  };
+
+  const handleSavePayrollTemplate = (template) => {
+    setPayrollTemplates(savePayrollTemplate(template));
+  };
+
+  const handleDeletePayrollTemplate = (id) => {
+    setPayrollTemplates(deletePayrollTemplate(id));
+  };
+
+  // --- Derived Results ---
+
+  // Parsed rows -> attendance rules -> full calendar (missing days, weekends, holidays, leave) -> manual corrections
+  // -> shift metrics -> summary and issues, in the report worker (see analyzeReport). The last report stays on
+  // screen while a newer one is built; a change while one is building cancels it.
+  const reportInputs = useMemo(
+    () => ({ records: data, settings: { ruleSet: activeRuleSet, holidays, leaves, leaveTypes, schedule, corrections } }),
+    [data, activeRuleSet, holidays, leaves, leaveTypes, schedule, corrections]
+  );
+  useEffect(() => {
+    if (reportInputs.records.length === 0) return undefined;
+    const job = reportWorker.start(reportMessage(reportInputs.records, reportInputs.settings));
+    job.promise
+      .then(result => { if (result) setReport({ inputs: reportInputs, ...result }); })
+      .catch(err => {
+        console.error(err);
+        setError(err.message);
+      });
+    return job.cancel;
+  }, [reportInputs, reportWorker]);
+  const { summary, anomalies } = data.length > 0 ? report : EMPTY_REPORT;
+  const reportUpdating = data.length > 0 && report.inputs !== reportInputs;
+  const hoursPerDay = activeRuleSet.base.dayLengthHours;
+  const anomaliesByEmployee = useMemo(() => {
+    const map = {};
+    anomalies.forEach(a => {
+      if (!map[a.empId]) map[a.empId] = { count: 0, recordIds: new Set() };
+      map[a.empId].count += 1;
+      if (a.recordId) map[a.empId].recordIds.add(a.recordId);
+    });
+    return map;
+  }, [anomalies]);
+  const parseWarnings = useMemo(() => (diagnostics ? diagnostics.warnings.filter(w => w.code === 'UNPARSEABLE_VALUE' || w.code === 'UNPARSEABLE_PUNCH') : []), [diagnostics]);
+  const unrecognizedColumns = useMemo(() => {
+    if (!diagnostics) return [];
+    const fields = diagnostics.warnings
+      .filter(w => w.code === 'OPTIONAL_COLUMN_MISSING' && diagnostics.sources[w.sourceId]?.mappingSource === 'auto')
+      .map(w => w.field);
+    return [...new Set(fields)];
+  }, [diagnostics]);
+  const includedSources = sources.filter(src => src.include);
+  const failedTimecardSource = sources.find(src => src.include && src.kind === 'timecard' && diagnostics?.sources[src.id]?.errors.length > 0);
+  const departments = useMemo(() => [...new Set(summary.map(emp => emp.dept))].sort(), [summary]);
+  const sites = useMemo(() => [...new Set(data.map(rec => rec.sourceFile).filter(Boolean))].sort(), [data]);
+  const summaryLeaveTypes = useMemo(() => usedLeaveTypes(summary, leaveTypes), [summary, leaveTypes]);
+  const reportPeriod = useMemo(() => periodKey(getDateRange(data)), [data]);
+  const auditLog = useMemo(() => buildAuditLog(corrections, approvals), [corrections, approvals]);
+
+  // --- Corrections & Approvals ---
+
+  const openCorrection = (rec) => {
+    setCorrectionDialog(rec);
+  };
+
+  const handleSaveCorrections = (entries, user) => {
+    setCorrections(appendCorrections(entries));
+    setUserName(savePreference('userName', user));
+    setCorrectionDialog(null);
+  };
+
+  const correctionHistory = (rec) => corrections.filter(
+    entry => correctionKey(entry.empId, entry.isoDate) === correctionKey(rec.empId, rec.isoDate)
+  );
+
+  const decideApproval = (empId, status) => {
+    const user = userName || window.prompt(t('app.prompts.userName'), '')?.trim();
+    if (!user) return;
+    const note = status === APPROVAL_STATUS.REJECTED ? (window.prompt(t('app.prompts.rejectReason'), '') || '') : '';
+    setApprovals(appendApproval(createApproval({ empId, period: reportPeriod, status, user, note })));
+    if (user !== userName) setUserName(savePreference('userName', user));
+  };
+
+  // --- Report History ---
+
+  // The summary is saved as shown, so saving waits until the report worker has caught up with the settings
+  const handleSavePeriod = async () => {
+    if (reportUpdating) return;
+    setSavingPeriod(true);
+    try {
+      const period = buildPeriod({
+        fileNames: [...new Set(sources.map(src => src.fileName))],
+        records: data,
+        summary,
+        settings: { schedule, holidays, leaves, leaveTypes, dateOrder, mergeStrategy, payRules, ruleSet }
+      });
+      const id = await savePeriod(period, data);
+      setCurrentPeriod({ ...period, id });
+    } catch (err) {
+      console.error(err);
+      setError(t('app.errors.savePeriod', { message: err.message }));
+    }
+    setSavingPeriod(false);
+  };
+
+  // Reopen a saved period. Its shift schedule, holidays, leave and rules apply while it is shown (see
+  // periodSettings), so the figures match what was saved without overwriting the stored settings.
+  const handleOpenPeriod = async (period) => {
+    setShowHistory(false);
+    setView('report');
     setLoading(true);
-    setFileName(file.name);
+    try {
+      const records = await loadPeriodRecords(period.id);
+      setSources([]);
+      setDiagnostics(null);
+      setMergeResult(null);
+      setData(records);
+      setFileName(period.name);
+      setPeriodSettings(period.settings || null);
+      setExpandedRows(new Set());
+      setCurrentPeriod(period);
+      setError(null);
+    } catch (err) {
+      console.error(err);
+      setError(t('app.errors.openPeriod', { message: err.message }));
+    }
+    setLoading(false);
+  };
+
+  const handlePeriodDeleted = (periodId) => {
+    if (currentPeriod?.id === periodId) setCurrentPeriod(null);
+  };
+
+  // --- Period Comparison ---
+
+  // Parse and summarize files for one side of a comparison without touching the loaded dataset.
+  // Same pipeline as the main view, using the current shifts and holidays.
+  const loadComparisonFiles = async (files) => {
+    const buffers = await readFileBuffers(files);
+    const { results, merged, summary: comparisonSummary } = await startParseJob(
+      {
+        type: 'analyze',
+        files: buffers,
+        settings: { profiles, dateOrder, mergeStrategy, directory },
+        reportSettings: { ruleSet, schedule, holidays, leaves, leaveTypes }
+      },
+      { transfer: buffers.map(file => file.buffer) }
+    ).promise;
+    const failed = results.find(r => r.diagnostics.errors.length > 0);
+    if (merged.records.length === 0) {
+      throw new Error(failed ? translateMessage(lang, 'diagnostics', failed.diagnostics.errors[0]) : t('app.errors.noRecords'));
+    }
+    return { label: files.length === 1 ? files[0].name : t('app.fileCount', { count: files.length }), summary: comparisonSummary };
+  };
+
+  const exportComparison = (comparison, rows, labels) => {
+    const h = (key) => t(`compare.columns.${key}`);
+    const inPeriods = { both: h('both'), 'only-base': h('onlyA'), 'only-target': h('onlyB') };
+    const toSheetRow = (row) => ({
+      [h('employeeId')]: row.empId,
+      [h('name')]: row.name,
+      [h('department')]: row.dept,
+      [h('inPeriods')]: inPeriods[row.status],
+      [h('daysPresentA')]: row.daysPresentBase,
+      [h('daysPresentB')]: row.daysPresentTarget,
+      [h('daysPresentChange')]: row.daysPresentDelta,
+      [h('totalHoursA')]: row.totalActualHoursBase.toFixed(2),
+      [h('totalHoursB')]: row.totalActualHoursTarget.toFixed(2),
+      [h('totalHoursChange')]: row.totalActualHoursDelta.toFixed(2),
+      [h('totalHoursChangePct')]: row.hoursChangePct ?? '',
+      [h('equivalentDaysA')]: row.equivalentDaysBase.toFixed(2),
+      [h('equivalentDaysB')]: row.equivalentDaysTarget.toFixed(2),
+      [h('equivalentDaysChange')]: row.equivalentDaysDelta.toFixed(2),
+      [h('biggestSwing')]: row.isSwing ? t('common.yes') : ''
+    });
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows.map(toSheetRow)), sheetName(lang, 'comparison'));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet([...comparison.onlyInBase, ...comparison.onlyInTarget].map(toSheetRow)), sheetName(lang, 'onePeriodOnly'));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet([
+      { [h('period')]: 'A', [h('source')]: labels.base },
+      { [h('period')]: 'B', [h('source')]: labels.target }
+    ]), sheetName(lang, 'periods'));
+    XLSX.writeFile(wb, `Attendance_Comparison.xlsx`);
+  };
+
+  // Read every selected file (workbooks contribute one source per sheet) and open the import preview.
+  // The dataset is only replaced once the import is confirmed.
+  const loadFiles = async (fileList, { append = false } = {}) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
     setError(null);
-    setData([]);
-    setSummary([]);
-
-    const reader = new FileReader();
-    reader.onload = (evt) => {
-      try {
-        const bstr = evt.target.result;
-        const workbook = window.XLSX.read(bstr, { type: 'binary' });
-        const wsName = workbook.SheetNames[0];
-        const ws = workbook.Sheets[wsName];
-        
-        // Convert to array of arrays to find header manually
-        const rawData = window.XLSX.utils.sheet_to_json(ws, { header: 1, defval: '' });
+    setView('report');
 
-        // 1. Auto-detect header row
-        let headerRowIndex = -1;
-        let headers = [];
-        
-        for (let i = 0; i < Math.min(rawData.length, 20); i++) {
-          const row = rawData[i].map(cell => String(cell).trim());
-          if (row.includes('Employee ID') && row.includes('Date')) {
-            headerRowIndex = i;
-            headers = row;
-            break;
-          }
-        }
-
-        if (headerRowIndex === -1) {
-          throw new Error("Could not find a valid header row containing 'Employee ID' and 'Date'. Please check the file format.");
-        }
-
-        // 2. Map Column Indices
-        const colMap = {
-          empId: headers.indexOf('Employee ID'),
-          name: headers.indexOf('First Name'),
-          dept: headers.indexOf('Department'),
-          date: headers.indexOf('Date'),
-          clockIn: headers.indexOf('Clock In'),
-          clockOut: headers.indexOf('Clock Out'),
-          totalHours: headers.indexOf('Total Hours'),
-          workedHours: headers.indexOf('Worked Hours'),
-          regularH: headers.indexOf('Regular(H)'),
-        };
-
-        // Validate essential columns
-        const missingCols = Object.entries(colMap)
-          .filter(([key, idx]) => idx === -1 && ['empId', 'date'].includes(key)) // Only strictly fail on ID/Date
-          .map(([key]) => key);
-
-        if (missingCols.length > 0) {
-          throw new Error(`Critical columns missing: ${missingCols.join(', ')}`);
-        }
-
-        // 3. Process Rows
-        const processedData = [];
-        const employeeMap = {};
-
-        // Start reading from the row after the header
-        for (let i = headerRowIndex + 1; i < rawData.length; i++) {
-          const row = rawData[i];
-          if (!row || row.length === 0) continue;
-
-          // Extract values
-          const empId = row[colMap.empId];
-          const dateStr = row[colMap.date];
-
-          // Skip empty rows (sometimes footer junk)
-          if (!empId && !dateStr) continue;
-
-          const rawRegularH = colMap.regularH !== -1 ? row[colMap.regularH] : null;
-          const rawWorkedH = colMap.workedHours !== -1 ? row[colMap.workedHours] : null;
-          const rawTotalH = colMap.totalHours !== -1 ? row[colMap.totalHours] : null;
-          
-          const clockIn = colMap.clockIn !== -1 ? row[colMap.clockIn] : '';
-          const clockOut = colMap.clockOut !== -1 ? row[colMap.clockOut] : '';
-          const name = colMap.name !== -1 ? row[colMap.name] : 'Unknown';
-          const dept = colMap.dept !== -1 ? row[colMap.dept] : 'Unknown';
-
-          // --- LOGIC RULES ---
-          
-          // 1. Presence Rule:
-          // Present if Regular(H) exists and > 0 OR Worked Hours is not empty
-          const regularHVal = safeFloat(rawRegularH);
-          const hasRegularH = regularHVal > 0;
-          const hasWorkedH = isNotEmpty(rawWorkedH);
-          
-          const isPresent = hasRegularH || hasWorkedH;
-
-          // 2. Actual Hours Priority:
-          // Use Regular(H) first; if missing parse Worked Hours; if missing parse Total Hours.
-          let actualHours = 0;
-          let source = 'None';
-
-          if (hasRegularH) {
-            actualHours = regularHVal;
-            source = 'Regular(H)';
-          } else if (hasWorkedH) {
-            actualHours = parseTimeStringToDecimal(rawWorkedH);
-            source = 'Worked Hours';
-          } else if (isNotEmpty(rawTotalH)) {
-            actualHours = parseTimeStringToDecimal(rawTotalH);
-            source = 'Total Hours';
-          }
-
-          // Build Record
-          const record = {
-            id: `${empId}-${dateStr}`, // Unique key
-            empId,
-            name,
-            dept,
-            date: dateStr,
-            clockIn,
-            clockOut,
-            rawRegularH,
-            rawWorkedH,
-            rawTotalH,
-            actualHours,
-            isPresent,
-            source
-          };
-
-          processedData.push(record);
-
-          // Aggregate for Summary
-          if (!employeeMap[empId]) {
-            employeeMap[empId] = {
-              empId,
-              name,
-              dept,
-              daysPresent: 0,
-              totalActualHours: 0,
-              records: []
-            };
-          }
-
-          employeeMap[empId].records.push(record);
-          if (isPresent) {
-            employeeMap[empId].daysPresent += 1;
-            employeeMap[empId].totalActualHours += actualHours;
-          }
-        }
-
-        // Finalize Summary
-        const summaryList = Object.values(employeeMap).map(emp => ({
-          ...emp,
-          equivalentDays: emp.totalActualHours / 8
-        }));
-
-        setData(processedData);
-        setSummary(summaryList);
-        setLoading(false);
-
-      } catch (err) {
-        console.error(err);
-        setError(err.message || "Failed to parse file.");
-        setLoading(false);
-      }
-    };
-    reader.readAsBinaryString(file);
+    try {
+      const buffers = await readFileBuffers(files);
+      const transfer = buffers.map(file => file.buffer);
+      const job = await runParseJob(options => startParseJob({ type: 'read', files: buffers }, { ...options, transfer }));
+      if (!job) return;
+      const loaded = job.sources;
+
+      const next = append ? [...sources, ...loaded] : loaded;
+      const parsed = await parseSources(next);
+      if (!parsed) return;
+      setPendingImport({ sources: next, newSourceIds: loaded.map(src => src.id), parsed });
+    } catch (err) {
+      console.error(err);
+      setError(err.message || t('app.errors.parseFailed'));
+    }
+  };
+
+  // Punches pulled by the sync service replace any earlier device sources; uploaded files stay
+  const loadDeviceLogs = async (payload) => {
+    setShowDevices(false);
+    setError(null);
+    setView('report');
+    try {
+      const next = [...sources.filter(src => !src.deviceId), ...deviceSources(payload)];
+      if (!(await updateSources(next))) return;
+      const fileNames = [...new Set(next.map(src => src.fileName))];
+      setFileName(fileNames.length === 1 ? fileNames[0] : t('app.fileCount', { count: fileNames.length }));
+    } catch (err) {
+      console.error(err);
+      setError(err.message || t('app.errors.devicePunches'));
+    }
+  };
+
+  const handleFileUpload = (e) => {
+    loadFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  const handleAddFiles = (e) => {
+    loadFiles(e.target.files, { append: true });
+    e.target.value = '';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    loadFiles(e.dataTransfer.files, { append: sources.length > 0 });
   };
 
   // --- UI Helpers ---
 
-  const toggleRow = (empId) => {
+  const isBusy = loading || parseJob !== null;
+
+  // Expanded employees are kept as string IDs so they round-trip through the URL
+  const toggleRow = (id) => {
+    const empId = String(id);
     const newSet = new Set(expandedRows);
     if (newSet.has(empId)) {
       newSet.delete(empId);
@@ -254,130 +665,252 @@ export default function App() {
   };
 
   const handleSort = (key) => {
-    let direction = 'asc';
-    if (sortConfig.key === key && sortConfig.direction === 'asc') {
-      direction = 'desc';
+    setSortConfig(nextSortConfig(sortConfig, key));
+  };
+
+  const filteredSummary = useMemo(() => sortRows(
+    filterSummary(summary, filters, emp => Boolean(anomaliesByEmployee[emp.empId])),
+    sortConfig
+  ), [summary, filters, anomaliesByEmployee, sortConfig]);
+
+  const filterDepartments = useMemo(() => [...new Set(summary.map(deptOf))].sort(), [summary]);
+
+  // Jump from an issue to the employee's daily breakdown
+  const openAnomaly = (anomaly) => {
+    setActiveTab('summary');
+    setFilters(DEFAULT_FILTERS);
+    setExpandedRows(new Set([...expandedRows, String(anomaly.empId)]));
+    setFocusedRecordId(anomaly.recordId || null);
+    setScrollTarget(String(anomaly.empId));
+  };
+
+  // Dashboard drill-down: a department filters the summary table, an employee opens their breakdown
+  const selectDepartment = (dept) => {
+    setFilters({ ...filters, depts: dept ? [dept] : [] });
+    setActiveTab('summary');
+  };
+
+  const openEmployee = (empId) => {
+    setActiveTab('summary');
+    setFilters({ ...DEFAULT_FILTERS, depts: filters.depts });
+    setExpandedRows(new Set([...expandedRows, String(empId)]));
+    setFocusedRecordId(null);
+  };
+
+  // --- Shareable View State ---
+
+  const viewQuery = viewToQuery({ filters, sortConfig, expanded: [...expandedRows], tab: activeTab, employee: profileEmpId });
+  // Saved views leave out expanded rows and the open profile; a copied link keeps the profile
+  const savedViewQuery = viewToQuery({ filters, sortConfig, expanded: [], tab: activeTab });
+  const shareQuery = viewToQuery({ filters, sortConfig, expanded: [], tab: activeTab, employee: profileEmpId });
+
+  // Filters, sort and tab changes add a history entry; typing a search or expanding rows only replaces it
+  useEffect(() => {
+    if (viewQuery === window.location.search) return;
+    const current = viewFromQuery(window.location.search);
+    const minorChange = viewToQuery({
+      ...current,
+      filters: { ...current.filters, search: filters.search },
+      expanded: [...expandedRows]
+    }) === viewQuery;
+    const url = `${window.location.pathname}${viewQuery}${window.location.hash}`;
+    if (minorChange) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [viewQuery, filters.search, expandedRows]);
+
+  // Back / forward restore the view from the URL
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = viewFromQuery(window.location.search);
+      setFilters(next.filters);
+      setSortConfig(next.sortConfig);
+      setExpandedRows(new Set(next.expanded));
+      setActiveTab(next.tab);
+      setProfileEmpId(next.employee);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const applySavedView = (savedView) => {
+    const next = viewFromQuery(savedView.query);
+    setFilters(next.filters);
+    setSortConfig(next.sortConfig);
+    setActiveTab(next.tab);
+  };
+
+  const handleSaveView = () => {
+    const name = window.prompt(t('app.prompts.viewName'), filters.depts.length === 1 ? filters.depts[0] : '');
+    if (!name || !name.trim()) return;
+    setSavedViews(saveView({ name: name.trim(), query: savedViewQuery }));
+  };
+
+  const handleDeleteView = (id) => {
+    setSavedViews(deleteView(id));
+  };
+
+  const copyViewLink = async () => {
+    const url = `${window.location.origin}${window.location.pathname}${shareQuery}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error(err);
+      window.prompt(t('app.prompts.copyLink'), url);
     }
-    setSortConfig({ key, direction });
-  };
-
-  const filteredSummary = useMemo(() => {
-    // 1. Filter
-    let result = summary.filter(emp => {
-      const search = searchTerm.toLowerCase();
-      return (
-        String(emp.empId).toLowerCase().includes(search) ||
-        String(emp.name).toLowerCase().includes(search) ||
-        String(emp.dept).toLowerCase().includes(search)
-      );
+  };
+
+  // Only the summary rows near the viewport are rendered
+  const summaryRowKeys = useMemo(() => filteredSummary.flatMap(emp => (
+    expandedRows.has(String(emp.empId)) ? [String(emp.empId), `${emp.empId}${DETAIL_KEY}`] : [String(emp.empId)]
+  )), [filteredSummary, expandedRows]);
+  const summaryByKey = useMemo(() => new Map(filteredSummary.map(emp => [String(emp.empId), emp])), [filteredSummary]);
+  const {
+    containerRef: summaryBodyRef,
+    first: firstSummaryRow,
+    last: lastSummaryRow,
+    paddingTop: summaryPaddingTop,
+    paddingBottom: summaryPaddingBottom,
+    measureRef: measureSummaryRow,
+    scrollToIndex: scrollToSummaryRow
+  } = useVirtualRows({ keys: summaryRowKeys, estimateSize: estimateSummaryRow });
+
+  // Scroll to the breakdown of the employee jumped to; the breakdown then scrolls to the focused day
+  useEffect(() => {
+    if (activeTab !== 'summary' || scrollTarget === null) return undefined;
+    const index = summaryRowKeys.indexOf(`${scrollTarget}${DETAIL_KEY}`);
+    if (index === -1) return undefined;
+    scrollToSummaryRow(index);
+    const frame = requestAnimationFrame(() => setScrollTarget(null));
+    return () => cancelAnimationFrame(frame);
+  }, [activeTab, scrollTarget, summaryRowKeys, scrollToSummaryRow]);
+
+  // --- Employee Profile ---
+
+  const profileEmployee = profileEmpId === null ? null : summary.find(emp => String(emp.empId) === profileEmpId) || null;
+
+  const openProfile = (empId) => {
+    setProfileEmpId(String(empId));
+    window.scrollTo({ top: 0 });
+  };
+
+  // Printable timesheets with each employee's corrections and their approval for the current period
+  const printEmployeeTimesheets = (employees) => {
+    const ids = new Set(employees.map(emp => String(emp.empId)));
+    printTimesheets(employees, {
+      title: fileName ? t('timesheet.titleWithFile', { file: fileName }) : t('timesheet.title'),
+      hoursPerDay,
+      rulesLabel: ruleSetLabel(ruleSet, lang),
+      lang,
+      auditLog: auditLog.filter(entry => ids.has(entry.empId)),
+      approvals: Object.fromEntries(employees.map(emp => [String(emp.empId), findApproval(approvals, emp.empId, reportPeriod)]))
     });
+  };
 
-    if (showOnlyIssues) {
-      result = result.filter(emp => emp.daysPresent > 0 && emp.totalActualHours === 0);
+  const printProfileTimesheet = () => {
+    try {
+      printEmployeeTimesheets([profileEmployee]);
+    } catch (err) {
+      setError(err.message);
     }
+  };
 
-    // 2. Sort
-    if (sortConfig.key) {
-      result.sort((a, b) => {
-        const valA = a[sortConfig.key];
-        const valB = b[sortConfig.key];
-        
-        // Handle numeric sorting for pure numbers
-        if (typeof valA === 'number' && typeof valB === 'number') {
-          return sortConfig.direction === 'asc' ? valA - valB : valB - valA;
-        }
-        
-        // Handle numeric-like strings (IDs) and standard strings
-        // "numeric: true" option makes "2" come before "10"
-        const strA = String(valA).toLowerCase();
-        const strB = String(valB).toLowerCase();
-
-        return sortConfig.direction === 'asc' 
-          ? strA.localeCompare(strB, undefined, { numeric: true }) 
-          : strB.localeCompare(strA, undefined, { numeric: true });
-      });
+  const exportData = (format, scope) => {
+    const employees = scope === EXPORT_SCOPES.ALL ? sortRows([...summary], sortConfig) : filteredSummary;
+    if (employees.length === 0) return;
+    setExportScope(savePreference('exportScope', scope));
+
+    const exportedIds = new Set(employees.map(emp => String(emp.empId)));
+    const employeeAudit = auditLog.filter(entry => exportedIds.has(entry.empId));
+    const baseName = `Attendance_Analysis${scope === EXPORT_SCOPES.ALL ? '' : '_View'}`;
+
+    if (format === 'pdf') {
+      printEmployeeTimesheets(employees);
+      setShowExport(false);
+      return;
     }
 
-    return result;
-  }, [summary, searchTerm, showOnlyIssues, sortConfig]);
-
-  const SortHeader = ({ label, sortKey, align = 'left' }) => {
-    const isActive = sortConfig.key === sortKey;
-    return (
-      <th 
-        className={`px-6 py-3 cursor-pointer select-none hover:bg-slate-100 transition-colors ${align === 'right' ? 'text-right' : 'text-left'}`}
-        onClick={() => handleSort(sortKey)}
-      >
-        <div className={`flex items-center gap-1 ${align === 'right' ? 'justify-end' : 'justify-start'}`}>
-          {label}
-          <div className="text-slate-400">
-            {isActive ? (
-              sortConfig.direction === 'asc' ? <ChevronUp className="w-4 h-4 text-blue-600" /> : <ChevronDown className="w-4 h-4 text-blue-600" />
-            ) : (
-              <ArrowUpDown className="w-3 h-3 opacity-0 group-hover:opacity-50" />
-            )}
-          </div>
-        </div>
-      </th>
-    );
-  };
-
-  const exportData = (format) => {
-    if (summary.length === 0 || !window.XLSX) return;
-
-    // 1. Create Summary Sheet
-    // Note: We export the *filtered/sorted* summary view so what you see is what you get
-    const summarySheetData = filteredSummary.map(emp => ({
-      'Employee ID': emp.empId,
-      'Name': emp.name,
-      'Department': emp.dept,
-      'Days Present': emp.daysPresent,
-      'Total Actual Hours': emp.totalActualHours.toFixed(2),
-      'Equivalent Days (8h)': emp.equivalentDays.toFixed(2)
-    }));
-
-    // 2. Create Details Sheet
-    // Flatten records for filtered employees only? Or all? Usually export implies "all relevant data".
-    // Let's stick to exporting ALL data for safety, or filtered data if desired. 
-    // Standard practice is usually full dump unless explicit "Export Current View".
-    // Let's export filtered view to be consistent with UI sorting.
-    let detailsSheetData = [];
-    filteredSummary.forEach(emp => {
-      emp.records.forEach(rec => {
-        detailsSheetData.push({
-          'Employee ID': rec.empId,
-          'Name': rec.name,
-          'Date': rec.date,
-          'Clock In': rec.clockIn,
-          'Clock Out': rec.clockOut,
-          'Regular(H) Raw': rec.rawRegularH,
-          'Worked Hours Raw': rec.rawWorkedH,
-          'Total Hours Raw': rec.rawTotalH,
-          'Calculated Actual Hours': rec.actualHours.toFixed(2),
-          'Calculation Source': rec.source,
-          'Status': rec.isPresent ? 'Present' : 'Absent'
-        });
+    if (format === 'json') {
+      const doc = buildJsonExport(employees, {
+        source: fileName,
+        scope,
+        settings: { schedule, holidays, leaves, leaveTypes, dateOrder, mergeStrategy, hoursPerDay },
+        rules: { label: ruleSetLabel(ruleSet), ...ruleSet }
+      }, employeeAudit);
+      downloadFile(JSON.stringify(doc, null, 2), `${baseName}.json`, 'application/json');
+      setShowExport(false);
+      return;
+    }
+
+    const summaryRows = summarySheetRows(employees, { hoursPerDay, leaveTypes, lang });
+    const detailRows = detailSheetRows(employees, { shifts: schedule.shifts, lang });
+    const auditRows = auditSheetRows(employeeAudit, { lang });
+    const ruleRows = ruleSheetRows(ruleSet, { lang });
+
+    if (format === 'csv') {
+      // UTF-8 BOM so Excel opens Arabic names correctly
+      const archive = zipSync({
+        'summary.csv': strToU8('\ufeff' + toCsv(summaryRows)),
+        'details.csv': strToU8('\ufeff' + toCsv(detailRows)),
+        ...(auditRows.length > 0 ? { 'audit.csv': strToU8('\ufeff' + toCsv(auditRows)) } : {}),
+        'rules.csv': strToU8('\ufeff' + toCsv(ruleRows))
       });
-    });
+      downloadFile(new Blob([archive], { type: 'application/zip' }), `${baseName}.zip`);
+      setShowExport(false);
+      return;
+    }
 
-    const wb = window.XLSX.utils.book_new();
-    
-    const wsSummary = window.XLSX.utils.json_to_sheet(summarySheetData);
-    window.XLSX.utils.book_append_sheet(wb, wsSummary, "Attendance Summary");
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summaryRows), sheetName(lang, 'summary'));
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(detailRows), sheetName(lang, 'details'));
+    if (auditRows.length > 0) {
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(auditRows), sheetName(lang, 'audit'));
+    }
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(ruleRows), sheetName(lang, 'rules'));
+    XLSX.writeFile(wb, `${baseName}.xlsx`);
+    setShowExport(false);
+  };
 
-    const wsDetails = window.XLSX.utils.json_to_sheet(detailsSheetData);
-    window.XLSX.utils.book_append_sheet(wb, wsDetails, "Daily Details");
+  // One payroll line per employee (whole dataset) laid out by the chosen column template
+  const exportPayroll = (format, rules, template) => {
+    if (summary.length === 0) return;
+    const rows = payrollSheetRows(buildPayrollLines(summary, rules), template, { lang });
 
-    const ext = format === 'csv' ? 'csv' : 'xlsx';
     if (format === 'csv') {
-         window.XLSX.writeFile(wb, `Attendance_Analysis.${ext}`);
-    } else {
-         window.XLSX.writeFile(wb, `Attendance_Analysis.xlsx`);
+      downloadFile('\ufeff' + toCsv(rows), 'Payroll.csv', 'text/csv;charset=utf-8');
+      return;
     }
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), sheetName(lang, 'payroll'));
+
+    // Record the rules used so the workbook can be checked later
+    const payRule = (key, value) => ({ [t('exports.columns.rule')]: t(`payroll.rules.${key}`), [t('exports.columns.value')]: value });
+    const rulesSheet = XLSX.utils.json_to_sheet([
+      payRule('attendanceRules', ruleSetLabel(ruleSet, lang)),
+      payRule('rounding', rules.rounding.minutes
+        ? t('payroll.rules.roundingValue', { mode: t(`payroll.rounding.${rules.rounding.mode}`), minutes: rules.rounding.minutes })
+        : t('rules.none')),
+      payRule('otWeekday', rules.overtime.weekday),
+      payRule('otWeekend', rules.overtime.weekend),
+      payRule('otHoliday', rules.overtime.holiday),
+      payRule('template', template.name)
+    ]);
+    XLSX.utils.book_append_sheet(wb, rulesSheet, sheetName(lang, 'payRules'));
+    XLSX.writeFile(wb, `Payroll.xlsx`);
   };
 
   return (
-    <div className="min-h-screen bg-slate-50 text-slate-900 font-sans">
+    <div 
+      className={`min-h-screen bg-slate-50 text-slate-900 font-sans ${isDragging ? 'ring-4 ring-inset ring-blue-400' : ''}`}
+      onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+      onDragLeave={(e) => { if (e.currentTarget === e.target) setIsDragging(false); }}
+      onDrop={handleDrop}
+    >
       {/* Header */}
       <header className="bg-blue-600 text-white shadow-lg">
         <div className="max-w-7xl mx-auto px-4 py-6">
@@ -387,22 +920,59 @@ export default function App() {
                 <FileSpreadsheet className="w-8 h-8 text-white" />
               </div>
               <div>
-                <h1 className="text-2xl font-bold">ZKTeco Attendance Analyzer</h1>
-                <p className="text-blue-100 text-sm">Compatible with iFace 990 Total Time Card Exports</p>
+                <h1 className="text-2xl font-bold">{t('app.title')}</h1>
+                <p className="text-blue-100 text-sm">{t('app.subtitle')}</p>
               </div>
             </div>
             
             {/* File Upload Area */}
-            <div className="flex-shrink-0">
-               <label className={`flex items-center gap-2 cursor-pointer bg-white text-blue-600 hover:bg-blue-50 px-4 py-2 rounded-lg font-medium transition-colors shadow-sm ${!isLibLoaded ? 'opacity-50 cursor-not-allowed' : ''}`}>
+            <div className="flex-shrink-0 flex items-center gap-2">
+               <label title={t('common.language')} className="flex items-center gap-2 bg-blue-500 hover:bg-blue-400 text-white px-3 py-2 rounded-lg font-medium transition-colors">
+                  <Languages className="w-4 h-4" />
+                  <select
+                    value={lang}
+                    onChange={(e) => setLanguage(e.target.value)}
+                    className="bg-transparent outline-none cursor-pointer"
+                  >
+                    {Object.entries(LANGUAGES).map(([code, language]) => (
+                      <option key={code} value={code} className="text-slate-900">{language.label}</option>
+                    ))}
+                  </select>
+               </label>
+               <button
+                  onClick={() => setView(view === 'compare' ? 'report' : 'compare')}
+                  className={`flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-colors ${view === 'compare' ? 'bg-white text-blue-600' : 'bg-blue-500 hover:bg-blue-400 text-white'}`}
+               >
+                  <GitCompare className="w-4 h-4" />
+                  {t('app.actions.compare')}
+               </button>
+               {isFirebaseConfigured && (
+                 <button
+                    onClick={() => setShowHistory(true)}
+                    className="flex items-center gap-2 bg-blue-500 hover:bg-blue-400 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+                 >
+                    <History className="w-4 h-4" />
+                    {t('app.actions.history')}
+                 </button>
+               )}
+               {isSyncConfigured && (
+                 <button
+                    onClick={() => setShowDevices(true)}
+                    className="flex items-center gap-2 bg-blue-500 hover:bg-blue-400 text-white px-4 py-2 rounded-lg font-medium transition-colors"
+                 >
+                    <Fingerprint className="w-4 h-4" />
+                    {t('app.actions.devices')}
+                 </button>
+               )}
+               <label className="flex items-center gap-2 cursor-pointer bg-white text-blue-600 hover:bg-blue-50 px-4 py-2 rounded-lg font-medium transition-colors shadow-sm">
                   <Upload className="w-4 h-4" />
-                  <span>{fileName ? 'Change File' : 'Import Export File'}</span>
+                  <span>{fileName ? t('app.actions.changeFiles') : t('app.actions.importFiles')}</span>
                   <input 
                     type="file" 
-                    accept=".xlsx,.xls,.csv" 
+                    accept=".xlsx,.xls,.csv,.dat,.txt" 
+                    multiple
                     className="hidden" 
                     onChange={handleFileUpload}
-                    disabled={!isLibLoaded}
                   />
                </label>
             </div>
@@ -416,70 +986,262 @@ export default function App() {
         {error && (
           <div className="mb-6 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center gap-3">
             <AlertCircle className="w-5 h-5 flex-shrink-0" />
-            <p>{error}</p>
+            <p className="flex-1">{error}</p>
+            {failedTimecardSource && !mappingDialog && (
+              <button
+                onClick={() => openMappingFor(failedTimecardSource.id)}
+                className="flex items-center gap-2 bg-white border border-red-200 hover:bg-red-100 px-3 py-1.5 rounded-lg text-sm font-medium"
+              >
+                <Columns className="w-4 h-4" />
+                {t('app.actions.mapColumns')}
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Unreadable Values */}
+        {view === 'report' && data.length > 0 && !isBusy && parseWarnings.length > 0 && (
+          <details className="mb-6 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg">
+            <summary className="flex items-center gap-3 cursor-pointer text-sm">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              {t('app.warnings.unreadable', { count: parseWarnings.length })}
+            </summary>
+            <ul className="mt-3 ms-8 text-xs space-y-1 max-h-48 overflow-y-auto font-mono">
+              {parseWarnings.slice(0, 200).map((w, idx) => <li key={idx}>{w.prefix}{translateMessage(lang, 'diagnostics', w)}</li>)}
+              {parseWarnings.length > 200 && <li>{t('app.warnings.more', { count: parseWarnings.length - 200 })}</li>}
+            </ul>
+          </details>
+        )}
+
+        {/* Partial Column Detection */}
+        {view === 'report' && data.length > 0 && !isBusy && directory.length > 0 && diagnostics?.unknownEmployees?.length > 0 && (
+          <div className="mb-6 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg flex items-center gap-3">
+            <UserX className="w-5 h-5 flex-shrink-0" />
+            <p className="flex-1 text-sm">
+              {t('app.warnings.unknownEmployees', {
+                count: diagnostics.unknownEmployees.length,
+                ids: diagnostics.unknownEmployees.slice(0, 10).map(emp => String(emp.empId))
+              })}{diagnostics.unknownEmployees.length > 10 ? '…' : ''}
+            </p>
+            <button onClick={() => setShowDirectory(true)} className="text-sm font-medium text-amber-900 hover:underline">
+              {t('app.actions.review')}
+            </button>
           </div>
         )}
 
-        {/* Loading Lib State */}
-        {!isLibLoaded && !error && (
-          <div className="mb-6 bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded-lg flex items-center gap-3">
-             <div className="animate-spin w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full"></div>
-             <p>Initializing Excel processing engine...</p>
+        {view === 'report' && data.length > 0 && !isBusy && unrecognizedColumns.length > 0 && (
+          <div className="mb-6 bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg flex items-center gap-3">
+            <AlertCircle className="w-5 h-5 flex-shrink-0" />
+            <p className="flex-1 text-sm">
+              {t('app.warnings.unrecognizedColumns', { columns: unrecognizedColumns.map(field => t(`columns.${field}`)) })}
+            </p>
           </div>
         )}
 
         {/* Empty State */}
-        {!data.length && !loading && !error && isLibLoaded && (
+        {view === 'report' && !data.length && !isBusy && !error && (
           <div className="text-center py-20 bg-white rounded-xl shadow-sm border border-slate-200">
              <div className="w-16 h-16 bg-blue-50 text-blue-500 rounded-full flex items-center justify-center mx-auto mb-4">
                <Upload className="w-8 h-8" />
              </div>
-             <h2 className="text-xl font-semibold text-slate-800">No Data Loaded</h2>
+             <h2 className="text-xl font-semibold text-slate-800">{t('app.empty.title')}</h2>
              <p className="text-slate-500 mt-2 max-w-md mx-auto">
-               Upload a ZKTeco "Total Time Card" export file (XLSX or CSV) to begin analysis. 
-               The app automatically detects headers and ignores title rows.
+               {t('app.empty.body')}
              </p>
           </div>
         )}
 
         {/* Loading State */}
-        {loading && (
+        {isBusy && (
            <div className="text-center py-20">
              <div className="animate-spin w-8 h-8 border-4 border-blue-600 border-t-transparent rounded-full mx-auto mb-4"></div>
-             <p className="text-slate-600">Processing attendance records...</p>
+             <p className="text-slate-600">{t('app.loading.processing')}</p>
+             {progress?.total > 0 && (
+               <div className="max-w-sm mx-auto mt-4">
+                 <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
+                   <div className="h-full bg-blue-600 transition-all" style={{ width: `${Math.round((progress.done / progress.total) * 100)}%` }}></div>
+                 </div>
+                 <p className="text-xs text-slate-500 mt-2">
+                   {progress.phase === 'reading'
+                     ? t('app.loading.readingFile', { current: progress.done + 1, total: progress.total })
+                     : t('app.loading.rows', { done: progress.done, total: progress.total })}
+                 </p>
+               </div>
+             )}
+             {parseJob && (
+               <button onClick={() => parseJob.cancel()} className="mt-4 px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+                 {t('common.cancel')}
+               </button>
+             )}
            </div>
         )}
 
+        {/* Period Comparison */}
+        {view === 'compare' && !isBusy && (
+          <ComparePanel
+            currentDataset={data.length > 0 ? { label: fileName || t('compare.current'), summary } : null}
+            historyEnabled={isFirebaseConfigured}
+            onLoadFiles={loadComparisonFiles}
+            onExport={exportComparison}
+          />
+        )}
+
         {/* Dashboard */}
-        {data.length > 0 && !loading && (
+        {/* Employee Profile */}
+        {view === 'report' && profileEmployee && !isBusy && (
+          <EmployeeProfile
+            emp={profileEmployee}
+            anomalies={anomalies.filter(a => String(a.empId) === profileEmpId)}
+            hoursPerDay={profileEmployee.dayLengthHours}
+            approval={findApproval(approvals, profileEmployee.empId, reportPeriod)}
+            showApproval={Boolean(reportPeriod)}
+            onDecideApproval={(status) => decideApproval(profileEmployee.empId, status)}
+            onBack={() => setProfileEmpId(null)}
+            onPrint={printProfileTimesheet}
+            onCorrect={openCorrection}
+          />
+        )}
+
+        {view === 'report' && data.length > 0 && !isBusy && !profileEmployee && (
           <div className="space-y-6">
             
             {/* Controls Bar */}
             <div className="flex flex-col md:flex-row gap-4 justify-between items-end md:items-center bg-white p-4 rounded-lg shadow-sm border border-slate-200">
                <div className="w-full md:w-auto flex flex-col sm:flex-row gap-4">
                  <div className="relative">
-                   <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                   <Search className="absolute start-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
                    <input 
                       type="text" 
-                      placeholder="Search employee..." 
-                      className="pl-9 pr-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none w-full sm:w-64"
-                      value={searchTerm}
-                      onChange={(e) => setSearchTerm(e.target.value)}
+                      placeholder={t('app.searchPlaceholder')}
+                      className="ps-9 pe-4 py-2 border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none w-full sm:w-64"
+                      value={filters.search}
+                      onChange={(e) => setFilters({ ...filters, search: e.target.value })}
                    />
                  </div>
+                 <select
+                    title={t('app.dateOrder.title')}
+                    className="px-3 py-2 border border-slate-300 rounded-lg text-sm text-slate-700 focus:ring-2 focus:ring-blue-500 outline-none"
+                    value={dateOrder}
+                    onChange={(e) => handleDateOrderChange(e.target.value)}
+                 >
+                    {DATE_ORDERS.map(order => (
+                      <option key={order} value={order}>
+                        {order === 'auto'
+                          ? t('app.dateOrder.auto', { order: diagnostics?.dateOrder || 'DMY' })
+                          : t('app.dateOrder.fixed', { order: order.split('').join('/') })}
+                      </option>
+                    ))}
+                 </select>
                </div>
 
                <div className="flex items-center gap-2">
                  <button 
-                    onClick={() => exportData('xlsx')}
+                    onClick={() => setShowHolidays(true)}
+                    className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                 >
+                    <CalendarDays className="w-4 h-4" />
+                    {t('app.actions.holidays')}
+                 </button>
+                 <button 
+                    onClick={() => setShowLeave(true)}
+                    className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                 >
+                    <Palmtree className="w-4 h-4" />
+                    {t('app.actions.leave')}
+                 </button>
+                 <button 
+                    onClick={() => setShowDirectory(true)}
+                    className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                 >
+                    <Contact className="w-4 h-4" />
+                    {t('app.actions.directory')}
+                 </button>
+                 <button 
+                    onClick={() => setShowShiftSettings(true)}
+                    className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                 >
+                    <Clock className="w-4 h-4" />
+                    {t('app.actions.shifts')}
+                 </button>
+                 {includedSources.length === 1 && includedSources[0].kind === 'timecard' && (
+                   <button 
+                      onClick={() => openMappingFor(includedSources[0].id)}
+                      className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                   >
+                      <Columns className="w-4 h-4" />
+                      {diagnostics?.sources[includedSources[0].id]?.profileName
+                        ? t('app.actions.mappingProfile', { name: diagnostics.sources[includedSources[0].id].profileName })
+                        : t('app.actions.mapColumns')}
+                   </button>
+                 )}
+                 <button 
+                    onClick={() => setShowSources(true)}
+                    className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                 >
+                    <Layers className="w-4 h-4" />
+                    {t('app.actions.sources', { count: includedSources.length })}
+                 </button>
+                 <label className="flex items-center gap-2 cursor-pointer bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors">
+                    <FilePlus className="w-4 h-4" />
+                    {t('app.actions.addFiles')}
+                    <input 
+                      type="file" 
+                      accept=".xlsx,.xls,.csv,.dat,.txt" 
+                      multiple
+                      className="hidden" 
+                      onChange={handleAddFiles}
+                    />
+                 </label>
+                 {isFirebaseConfigured && (
+                   <button 
+                      onClick={handleSavePeriod}
+                      disabled={savingPeriod || reportUpdating || !!currentPeriod}
+                      title={currentPeriod ? t('app.period.savedAs', { name: currentPeriod.name }) : reportUpdating ? t('app.updating') : t('app.period.saveTitle')}
+                      className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+                   >
+                      <Save className="w-4 h-4" />
+                      {currentPeriod ? t('app.period.saved') : savingPeriod ? t('app.period.saving') : t('app.period.save')}
+                   </button>
+                 )}
+                 <button 
+                    onClick={() => setRuleDraft(ruleSet)}
+                    title={t('app.rulesTitle', { label: ruleSetLabel(ruleSet, lang) })}
+                    className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                 >
+                    <SlidersHorizontal className="w-4 h-4" />
+                    {t('app.actions.rules')}
+                 </button>
+                 <button 
+                    onClick={() => setShowPayroll(true)}
+                    className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+                 >
+                    <Wallet className="w-4 h-4" />
+                    {t('app.actions.payroll')}
+                 </button>
+                 <button 
+                    onClick={() => setShowExport(true)}
                     className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
                  >
                     <Download className="w-4 h-4" />
-                    Export XLSX
+                    {t('app.actions.export')}
                  </button>
                </div>
             </div>
 
+            {/* Filters and Saved Views */}
+            <ReportFilters
+              filters={filters}
+              departments={filterDepartments}
+              onChange={setFilters}
+              savedViews={savedViews}
+              currentQuery={savedViewQuery}
+              onApplyView={applySavedView}
+              onSaveView={handleSaveView}
+              onDeleteView={handleDeleteView}
+              onCopyLink={copyViewLink}
+              linkCopied={linkCopied}
+            />
+
             {/* Summary Stats Cards */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div className="bg-white p-4 rounded-lg shadow-sm border border-slate-200 flex items-center gap-4">
@@ -487,8 +1249,8 @@ export default function App() {
                    <Users className="w-6 h-6" />
                  </div>
                  <div>
-                   <p className="text-sm text-slate-500 font-medium">Total Employees</p>
-                   <p className="text-2xl font-bold text-slate-800">{summary.length}</p>
+                   <p className="text-sm text-slate-500 font-medium">{t('app.stats.employees')}</p>
+                   <p className="text-2xl font-bold text-slate-800">{formatNumber(summary.length)}</p>
                  </div>
               </div>
               <div className="bg-white p-4 rounded-lg shadow-sm border border-slate-200 flex items-center gap-4">
@@ -496,8 +1258,8 @@ export default function App() {
                    <Calendar className="w-6 h-6" />
                  </div>
                  <div>
-                   <p className="text-sm text-slate-500 font-medium">Total Days Processed</p>
-                   <p className="text-2xl font-bold text-slate-800">{data.length}</p>
+                   <p className="text-sm text-slate-500 font-medium">{t('app.stats.days')}</p>
+                   <p className="text-2xl font-bold text-slate-800">{formatNumber(data.length)}</p>
                  </div>
               </div>
               <div className="bg-white p-4 rounded-lg shadow-sm border border-slate-200 flex items-center gap-4">
@@ -505,107 +1267,155 @@ export default function App() {
                    <Clock className="w-6 h-6" />
                  </div>
                  <div>
-                   <p className="text-sm text-slate-500 font-medium">Total Hours Logged</p>
+                   <p className="text-sm text-slate-500 font-medium">{t('app.stats.hours')}</p>
                    <p className="text-2xl font-bold text-slate-800">
-                     {summary.reduce((acc, curr) => acc + curr.totalActualHours, 0).toFixed(0)}
+                     {formatNumber(summary.reduce((acc, curr) => acc + curr.totalActualHours, 0), 0)}
                    </p>
                  </div>
               </div>
             </div>
 
+            {/* Tabs */}
+            <div className="flex gap-1 border-b border-slate-200">
+              {[
+                { key: 'summary', label: t('app.tabs.summary') },
+                { key: 'dashboard', label: t('app.tabs.dashboard') },
+                { key: 'issues', label: t('app.tabs.issues', { count: anomalies.length }) }
+              ].map(tab => (
+                <button
+                  key={tab.key}
+                  onClick={() => setActiveTab(tab.key)}
+                  className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${activeTab === tab.key ? 'border-blue-600 text-blue-600' : 'border-transparent text-slate-500 hover:text-slate-700'}`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+              {reportUpdating && (
+                <span className="ms-auto self-center flex items-center gap-2 text-xs text-slate-500">
+                  <span className="w-3 h-3 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></span>
+                  {t('app.updating')}
+                </span>
+              )}
+            </div>
+
+            {activeTab === 'dashboard' && (
+              <DashboardPanel
+                summary={summary}
+                selectedDept={filters.depts.length === 1 ? filters.depts[0] : null}
+                onSelectDept={selectDepartment}
+                onSelectEmployee={openEmployee}
+              />
+            )}
+
+            {activeTab === 'issues' && (
+              <IssuesPanel anomalies={anomalies} onOpen={openAnomaly} />
+            )}
+
             {/* Main Table */}
+            {activeTab === 'summary' && (
             <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
                <div className="overflow-x-auto">
-                 <table className="w-full text-left border-collapse">
+                 <table className="w-full text-start border-collapse">
                     <thead>
                        <tr className="bg-slate-50 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider group">
                           <th className="px-6 py-3 w-10"></th>
-                          <SortHeader label="ID" sortKey="empId" />
-                          <SortHeader label="Employee Name" sortKey="name" />
-                          <SortHeader label="Department" sortKey="dept" />
-                          <SortHeader label="Days Present" sortKey="daysPresent" align="right" />
-                          <SortHeader label="Total Hours" sortKey="totalActualHours" align="right" />
-                          <SortHeader label="Eqv. Days (8h)" sortKey="equivalentDays" align="right" />
+                          <SortHeader label={t('summary.id')} sortKey="empId" sortConfig={sortConfig} onSort={handleSort} />
+                          <SortHeader label={t('summary.name')} sortKey="name" sortConfig={sortConfig} onSort={handleSort} />
+                          <SortHeader label={t('summary.department')} sortKey="dept" sortConfig={sortConfig} onSort={handleSort} />
+                          <SortHeader label={t('summary.daysPresent')} sortKey="daysPresent" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                          <SortHeader label={t('summary.daysAbsent')} sortKey="daysAbsent" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                          {summaryLeaveTypes.map(type => (
+                            <SortHeader key={type.id} label={type.name} sortKey={`leaveDays.${type.id}`} align="end" sortConfig={sortConfig} onSort={handleSort} />
+                          ))}
+                          <SortHeader label={t('summary.totalHours')} sortKey="totalActualHours" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                          <SortHeader label={t('summary.equivalentDays', { hours: hoursPerDay })} sortKey="equivalentDays" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                          <SortHeader label={t('summary.late')} sortKey="totalLateMinutes" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                          <SortHeader label={t('summary.earlyLeave')} sortKey="totalEarlyLeaveMinutes" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                          <SortHeader label={t('summary.overtime')} sortKey="totalOvertimeMinutes" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                          <SortHeader label={t('summary.undertime')} sortKey="totalUndertimeMinutes" align="end" sortConfig={sortConfig} onSort={handleSort} />
                        </tr>
                     </thead>
-                    <tbody className="divide-y divide-slate-200">
-                       {filteredSummary.map((emp) => {
-                         const isExpanded = expandedRows.has(emp.empId);
-                         return (
-                           <React.Fragment key={emp.empId}>
-                             <tr className={`hover:bg-slate-50 transition-colors ${isExpanded ? 'bg-blue-50/30' : ''}`}>
-                                <td className="px-6 py-4 cursor-pointer" onClick={() => toggleRow(emp.empId)}>
-                                  {isExpanded ? <ChevronDown className="w-4 h-4 text-blue-500" /> : <ChevronRight className="w-4 h-4 text-slate-400" />}
-                                </td>
-                                <td className="px-6 py-4 text-sm font-medium text-slate-900">{emp.empId}</td>
-                                <td className="px-6 py-4 text-sm text-slate-700 font-medium">{emp.name}</td>
-                                <td className="px-6 py-4 text-sm text-slate-500">{emp.dept}</td>
-                                <td className="px-6 py-4 text-sm text-slate-700 text-right">{emp.daysPresent}</td>
-                                <td className="px-6 py-4 text-sm text-slate-700 text-right font-mono">{emp.totalActualHours.toFixed(2)}</td>
-                                <td className="px-6 py-4 text-sm text-slate-700 text-right font-mono bg-slate-50">{emp.equivalentDays.toFixed(2)}</td>
+                    <tbody ref={summaryBodyRef} className="divide-y divide-slate-200">
+                       {summaryPaddingTop > 0 && <tr aria-hidden="true" style={{ height: summaryPaddingTop }}><td colSpan={12 + summaryLeaveTypes.length}></td></tr>}
+                       {summaryRowKeys.slice(firstSummaryRow, lastSummaryRow + 1).map((key) => {
+                         const isDetail = key.endsWith(DETAIL_KEY);
+                         const emp = summaryByKey.get(isDetail ? key.slice(0, -DETAIL_KEY.length) : key);
+                         const isExpanded = expandedRows.has(String(emp.empId));
+                         const approval = findApproval(approvals, emp.empId, reportPeriod);
+
+                         // Expanded details row
+                         if (isDetail) {
+                           return (
+                             <tr key={key} data-vkey={key} ref={measureSummaryRow}>
+                               <td colSpan={12 + summaryLeaveTypes.length} className="px-0 py-0 bg-slate-50 border-b border-slate-200">
+                                 <div className="p-4 sm:p-8">
+                                   <DailyBreakdown
+                                     emp={emp}
+                                     hourPriority={describePriority(resolveRules(activeRuleSet, emp.records.find(rec => rec.ruleScope) || emp).rules, lang)}
+                                     approval={approval}
+                                     showApproval={Boolean(reportPeriod)}
+                                     onDecideApproval={(status) => decideApproval(emp.empId, status)}
+                                     issueRecordIds={anomaliesByEmployee[emp.empId]?.recordIds}
+                                     focusedRecordId={focusedRecordId}
+                                     onCorrect={openCorrection}
+                                   />
+                                 </div>
+                               </td>
                              </tr>
-                             
-                             {/* Expanded Details Row */}
-                             {isExpanded && (
-                               <tr>
-                                 <td colSpan="7" className="px-0 py-0 bg-slate-50 border-b border-slate-200">
-                                   <div className="p-4 sm:p-8">
-                                     <div className="bg-white rounded border border-slate-200 overflow-hidden">
-                                       <div className="px-4 py-3 border-b border-slate-100 bg-slate-50/50 flex justify-between items-center">
-                                          <h4 className="text-xs font-bold uppercase text-slate-500">Daily Breakdown: {emp.name}</h4>
-                                          <span className="text-xs text-slate-400">Values derived from Regular(H) &gt; Worked Hours &gt; Total Hours</span>
-                                       </div>
-                                       <div className="overflow-x-auto">
-                                        <table className="w-full text-sm">
-                                          <thead>
-                                            <tr className="text-xs text-slate-400 border-b border-slate-100">
-                                              <th className="px-4 py-2 text-left font-medium">Date</th>
-                                              <th className="px-4 py-2 text-left font-medium">Clock In</th>
-                                              <th className="px-4 py-2 text-left font-medium">Clock Out</th>
-                                              <th className="px-4 py-2 text-left font-medium">Regular(H)</th>
-                                              <th className="px-4 py-2 text-left font-medium">Worked Hrs</th>
-                                              <th className="px-4 py-2 text-right font-medium">Calc. Hours</th>
-                                              <th className="px-4 py-2 text-center font-medium">Status</th>
-                                            </tr>
-                                          </thead>
-                                          <tbody className="divide-y divide-slate-50">
-                                            {emp.records.map((rec) => (
-                                              <tr key={rec.id} className={!rec.isPresent ? 'opacity-50 bg-slate-50' : ''}>
-                                                <td className="px-4 py-2 font-mono text-slate-600">{rec.date}</td>
-                                                <td className="px-4 py-2 text-slate-500">{rec.clockIn}</td>
-                                                <td className="px-4 py-2 text-slate-500">{rec.clockOut}</td>
-                                                <td className="px-4 py-2 text-slate-500">{rec.rawRegularH || '-'}</td>
-                                                <td className="px-4 py-2 text-slate-500">{rec.rawWorkedH || '-'}</td>
-                                                <td className="px-4 py-2 text-right font-bold text-slate-700 bg-blue-50/20">{rec.actualHours > 0 ? rec.actualHours.toFixed(2) : '-'}</td>
-                                                <td className="px-4 py-2 text-center">
-                                                  {rec.isPresent ? (
-                                                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">
-                                                      Present
-                                                    </span>
-                                                  ) : (
-                                                    <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800">
-                                                      Absent
-                                                    </span>
-                                                  )}
-                                                </td>
-                                              </tr>
-                                            ))}
-                                          </tbody>
-                                        </table>
-                                       </div>
-                                     </div>
-                                   </div>
-                                 </td>
-                               </tr>
-                             )}
-                           </React.Fragment>
+                           );
+                         }
+
+                         return (
+                           <tr key={key} data-vkey={key} ref={measureSummaryRow} className={`hover:bg-slate-50 transition-colors ${isExpanded ? 'bg-blue-50/30' : ''}`}>
+                              <td className="px-6 py-4 cursor-pointer" onClick={() => toggleRow(emp.empId)}>
+                                {isExpanded ? <ChevronDown className="w-4 h-4 text-blue-500" /> : <ChevronRight className="w-4 h-4 text-slate-400 rtl:rotate-180" />}
+                              </td>
+                              <td className="px-6 py-4 text-sm font-medium text-slate-900">
+                                <div className="flex items-center gap-2">
+                                  {emp.empId}
+                                  {anomaliesByEmployee[emp.empId] && (
+                                    <span title={t('summary.issueCount', { count: anomaliesByEmployee[emp.empId].count })}>
+                                      <AlertTriangle className="w-4 h-4 text-amber-500" />
+                                    </span>
+                                  )}
+                                  {approval?.status === APPROVAL_STATUS.APPROVED && (
+                                    <span title={t('approval.approvedBy', { user: approval.user })}>
+                                      <CheckCircle2 className="w-4 h-4 text-green-600" />
+                                    </span>
+                                  )}
+                                  {approval?.status === APPROVAL_STATUS.REJECTED && (
+                                    <span title={t('approval.rejectedBy', { user: approval.user })}>
+                                      <XCircle className="w-4 h-4 text-red-600" />
+                                    </span>
+                                  )}
+                                </div>
+                              </td>
+                              <td className="px-6 py-4 text-sm text-slate-700 font-medium">
+                                <button onClick={() => openProfile(emp.empId)} title={t('summary.openProfile')} className="text-start hover:text-blue-600 hover:underline">
+                                  {emp.name}
+                                </button>
+                              </td>
+                              <td className="px-6 py-4 text-sm text-slate-500">{emp.dept}</td>
+                              <td className="px-6 py-4 text-sm text-slate-700 text-end">{formatNumber(emp.daysPresent)}</td>
+                              <td className={`px-6 py-4 text-sm text-end ${emp.daysAbsent > 0 ? 'text-red-600 font-medium' : 'text-slate-700'}`}>{formatNumber(emp.daysAbsent)}</td>
+                              {summaryLeaveTypes.map(type => (
+                                <td key={type.id} className={`px-6 py-4 text-sm text-end ${type.paid ? 'text-slate-700' : 'text-amber-700'}`}>{formatNumber(emp.leaveDays[type.id] || 0)}</td>
+                              ))}
+                              <td className="px-6 py-4 text-sm text-slate-700 text-end font-mono">{formatNumber(emp.totalActualHours, 2)}</td>
+                              <td className="px-6 py-4 text-sm text-slate-700 text-end font-mono bg-slate-50">{formatNumber(emp.equivalentDays, 2)}</td>
+                              <td className="px-6 py-4 text-sm text-amber-700 text-end font-mono">{formatMinutes(emp.totalLateMinutes, lang)}</td>
+                              <td className="px-6 py-4 text-sm text-amber-700 text-end font-mono">{formatMinutes(emp.totalEarlyLeaveMinutes, lang)}</td>
+                              <td className="px-6 py-4 text-sm text-green-700 text-end font-mono">{formatMinutes(emp.totalOvertimeMinutes, lang)}</td>
+                              <td className="px-6 py-4 text-sm text-red-700 text-end font-mono">{formatMinutes(emp.totalUndertimeMinutes, lang)}</td>
+                           </tr>
                          );
                        })}
+                       {summaryPaddingBottom > 0 && <tr aria-hidden="true" style={{ height: summaryPaddingBottom }}><td colSpan={12 + summaryLeaveTypes.length}></td></tr>}
                        
                        {filteredSummary.length === 0 && (
                          <tr>
-                           <td colSpan="7" className="px-6 py-10 text-center text-slate-500">
-                             No employees found matching your search.
+                           <td colSpan={12 + summaryLeaveTypes.length} className="px-6 py-10 text-center text-slate-500">
+                             {t('summary.noMatches')}
                            </td>
                          </tr>
                        )}
@@ -613,9 +1423,155 @@ export default function App() {
                  </table>
                </div>
             </div>
+            )}
           </div>
         )}
       </main>
+
+      {showHolidays && (
+        <HolidayCalendarDialog
+          holidays={holidays}
+          onSave={handleSaveHolidays}
+          onCancel={() => setShowHolidays(false)}
+        />
+      )}
+
+      {showShiftSettings && (
+        <ShiftSettingsDialog
+          schedule={schedule}
+          departments={departments}
+          employees={summary}
+          onSave={handleSaveSchedule}
+          onCancel={() => setShowShiftSettings(false)}
+        />
+      )}
+
+      {showSources && (
+        <SourcesDialog
+          sources={sources}
+          sourceDiagnostics={diagnostics?.sources || {}}
+          mergeStrategy={mergeStrategy}
+          mergeResult={mergeResult}
+          onToggle={toggleSource}
+          onRemove={removeSource}
+          onMapColumns={(sourceId) => { setShowSources(false); openMappingFor(sourceId); }}
+          onStrategyChange={handleMergeStrategyChange}
+          onClose={() => setShowSources(false)}
+        />
+      )}
+
+      {showExport && (
+        <ExportDialog
+          viewCount={filteredSummary.length}
+          totalCount={summary.length}
+          initialScope={exportScope}
+          onExport={exportData}
+          onCancel={() => setShowExport(false)}
+        />
+      )}
+
+      {correctionDialog && (
+        <CorrectionDialog
+          record={correctionDialog}
+          history={correctionHistory(correctionDialog)}
+          userName={userName}
+          onSave={handleSaveCorrections}
+          onCancel={() => setCorrectionDialog(null)}
+        />
+      )}
+
+      {showDirectory && (
+        <DirectoryDialog
+          directory={directory}
+          records={data}
+          unknownEmployees={diagnostics?.unknownEmployees || []}
+          onReadFile={readDirectoryFile}
+          onSave={handleSaveDirectory}
+          onCancel={() => setShowDirectory(false)}
+        />
+      )}
+
+      {showLeave && (
+        <LeaveDialog
+          leaves={leaves}
+          leaveTypes={leaveTypes}
+          employees={summary.map(emp => ({ empId: emp.empId, name: emp.name }))}
+          onSave={handleSaveLeave}
+          onCancel={() => setShowLeave(false)}
+        />
+      )}
+
+      {ruleDraft && (
+        <RulesDialog
+          ruleSet={ruleSet}
+          draft={ruleDraft}
+          history={ruleHistory}
+          records={data}
+          departments={departments}
+          sites={sites}
+          onChange={setRuleDraft}
+          onSave={handleSaveRules}
+          onCancel={() => setRuleDraft(null)}
+        />
+      )}
+
+      {showPayroll && (
+        <PayrollDialog
+          rules={payRules}
+          templates={payrollTemplates}
+          summary={summary}
+          departments={departments}
+          onSaveRules={handleSavePayRules}
+          onSaveTemplate={handleSavePayrollTemplate}
+          onDeleteTemplate={handleDeletePayrollTemplate}
+          onExport={exportPayroll}
+          onCancel={() => setShowPayroll(false)}
+        />
+      )}
+
+      {showDevices && (
+        <DevicesDialog
+          onLoad={loadDeviceLogs}
+          onClose={() => setShowDevices(false)}
+        />
+      )}
+
+      {showHistory && (
+        <HistoryDialog
+          currentPeriodId={currentPeriod?.id}
+          onOpen={handleOpenPeriod}
+          onDeleted={handlePeriodDeleted}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {pendingImport && (
+        <ImportDialog
+          sources={pendingImport.sources}
+          newSourceIds={pendingImport.newSourceIds}
+          sourceDiagnostics={Object.fromEntries(pendingImport.parsed.results.map(r => [r.source.id, r.diagnostics]))}
+          mergeResult={pendingImport.parsed.merged}
+          ruleSet={activeRuleSet}
+          dateOrder={dateOrder}
+          busy={isBusy}
+          onToggle={togglePendingSource}
+          onMappingChange={setPendingMapping}
+          onMapColumns={(sourceId) => openMappingFor(sourceId, { pending: true })}
+          onConfirm={confirmImport}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {mappingDialog && (
+        <ColumnMappingDialog
+          rows={(mappingDialog.pending ? pendingImport.sources : sources).find(src => src.id === mappingDialog.sourceId)?.rows || []}
+          initialMapping={mappingDialog}
+          profiles={profiles}
+          onApply={handleApplyMapping}
+          onDeleteProfile={handleDeleteProfile}
+          onCancel={() => setMappingDialog(null)}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
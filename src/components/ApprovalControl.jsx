@@ -0,0 +1,40 @@
+import React from 'react';
+import { CheckCircle2, XCircle, RotateCcw } from 'lucide-react';
+import { APPROVAL_STATUS } from '../engine/corrections';
+import useI18n from '../hooks/useI18n';
+
+const STATUS_STYLES = {
+  [APPROVAL_STATUS.PENDING]: 'bg-slate-100 text-slate-600',
+  [APPROVAL_STATUS.APPROVED]: 'bg-green-100 text-green-800',
+  [APPROVAL_STATUS.REJECTED]: 'bg-red-100 text-red-800'
+};
+
+// Supervisor decision for one employee in the current period
+export default function ApprovalControl({ approval, onDecide }) {
+  const { t, formatDateTime } = useI18n();
+  const status = approval?.status || APPROVAL_STATUS.PENDING;
+  const title = approval ? `${approval.user} · ${formatDateTime(approval.at)}${approval.note ? ` · ${approval.note}` : ''}` : undefined;
+
+  return (
+    <div className="flex items-center gap-2">
+      <span title={title} className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status]}`}>
+        {t(`approval.badge.${status}`)}
+      </span>
+      {status !== APPROVAL_STATUS.APPROVED && (
+        <button onClick={() => onDecide(APPROVAL_STATUS.APPROVED)} className="flex items-center gap-1 text-xs text-green-700 hover:text-green-800">
+          <CheckCircle2 className="w-3 h-3" /> {t('approval.approve')}
+        </button>
+      )}
+      {status !== APPROVAL_STATUS.REJECTED && (
+        <button onClick={() => onDecide(APPROVAL_STATUS.REJECTED)} className="flex items-center gap-1 text-xs text-red-700 hover:text-red-800">
+          <XCircle className="w-3 h-3" /> {t('approval.reject')}
+        </button>
+      )}
+      {status !== APPROVAL_STATUS.PENDING && (
+        <button onClick={() => onDecide(APPROVAL_STATUS.PENDING)} className="flex items-center gap-1 text-xs text-slate-500 hover:text-slate-700">
+          <RotateCcw className="w-3 h-3" /> {t('approval.reset')}
+        </button>
+      )}
+    </div>
+  );
+}
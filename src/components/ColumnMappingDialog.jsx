@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { Columns, Save, Trash2, X } from 'lucide-react';
+import { FIELDS, HEADER_SCAN_LIMIT, buildColumnMap, headerSignature } from '../engine/columnMapping';
+import useI18n from '../hooks/useI18n';
+
+// Manual column mapping for exports whose headers could not be (fully) auto-detected
+export default function ColumnMappingDialog({ rows, initialMapping, profiles, onApply, onDeleteProfile, onCancel }) {
+  const { t } = useI18n();
+  const firstHeaderGuess = initialMapping && initialMapping.headerRowIndex >= 0 ? initialMapping.headerRowIndex : 0;
+  const [headerRowIndex, setHeaderRowIndex] = useState(firstHeaderGuess);
+  const [colMap, setColMap] = useState(() => ({
+    ...buildColumnMap(rows[firstHeaderGuess] || []),
+    ...(initialMapping?.colMap || {})
+  }));
+  const [profileName, setProfileName] = useState('');
+
+  const headers = (rows[headerRowIndex] || []).map(cell => String(cell).trim());
+  const previewRows = rows.slice(headerRowIndex + 1, headerRowIndex + 4);
+  const missingRequired = FIELDS.filter(f => f.required && (colMap[f.key] === undefined || colMap[f.key] === -1));
+
+  const changeHeaderRow = (idx) => {
+    setHeaderRowIndex(idx);
+    // Re-guess from the new header row so aliases still help
+    setColMap(buildColumnMap(rows[idx] || []));
+  };
+
+  const handleApply = () => {
+    onApply(
+      { headerRowIndex, colMap, name: profileName.trim() || null },
+      profileName.trim() ? { name: profileName.trim(), signature: headerSignature(headers), colMap } : null
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Columns className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('mapping.title')}</h2>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Header row selection */}
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('importPreview.headerRow')}</label>
+            <select
+              className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+              value={headerRowIndex}
+              onChange={(e) => changeHeaderRow(Number(e.target.value))}
+            >
+              {rows.slice(0, HEADER_SCAN_LIMIT).map((row, idx) => (
+                <option key={idx} value={idx}>
+                  {t('importPreview.rowOption', {
+                    row: idx + 1,
+                    preview: (row || []).filter(cell => String(cell).trim() !== '').slice(0, 6).join(' | ') || t('importPreview.emptyRow')
+                  })}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Field mapping */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {FIELDS.map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-slate-700 mb-1">
+                  {t(`columns.${field.key}`)} {field.required && <span className="text-red-500">*</span>}
+                </label>
+                <select
+                  className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+                  value={colMap[field.key] ?? -1}
+                  onChange={(e) => setColMap({ ...colMap, [field.key]: Number(e.target.value) })}
+                >
+                  <option value={-1}>{t('mapping.notInFile')}</option>
+                  {headers.map((header, idx) => (
+                    <option key={idx} value={idx}>
+                      {idx + 1}: {header || t('mapping.blank')}
+                    </option>
+                  ))}
+                </select>
+                {colMap[field.key] >= 0 && previewRows.length > 0 && (
+                  <p className="text-xs text-slate-400 mt-1 truncate">
+                    {t('mapping.example', { values: previewRows.map(row => String(row[colMap[field.key]] ?? '')).filter(Boolean).join(', ') || t('importPreview.emptyRow') })}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {/* Profile save */}
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('mapping.saveProfile')}</label>
+            <input
+              type="text"
+              placeholder={t('mapping.profilePlaceholder')}
+              className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+            />
+            <p className="text-xs text-slate-400 mt-1">{t('mapping.profileHint')}</p>
+          </div>
+
+          {profiles.length > 0 && (
+            <div>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('mapping.savedProfiles')}</h3>
+              <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                {profiles.map(profile => (
+                  <li key={profile.id} className="flex items-center justify-between px-3 py-2 text-sm">
+                    <span className="text-slate-700">{profile.name}</span>
+                    <button onClick={() => onDeleteProfile(profile.id)} className="text-slate-400 hover:text-red-600">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex items-center justify-between gap-4">
+          <p className="text-sm text-red-600">
+            {missingRequired.length > 0 && t('mapping.required', { fields: missingRequired.map(f => t(`columns.${f.key}`)) })}
+          </p>
+          <div className="flex gap-2">
+            <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+              {t('common.cancel')}
+            </button>
+            <button
+              onClick={handleApply}
+              disabled={missingRequired.length > 0}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              <Save className="w-4 h-4" />
+              {t('mapping.apply')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
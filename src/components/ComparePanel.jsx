@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ArrowLeftRight, Download, TrendingDown, TrendingUp, Upload, UserMinus, UserPlus } from 'lucide-react';
+import { comparePeriods, COMPARE_STATUS } from '../engine/compare';
+import { listPeriods } from '../storage/periods';
+import { sortRows, nextSortConfig } from '../utils/sort';
+import SortHeader from './SortHeader';
+import useI18n from '../hooks/useI18n';
+
+const CURRENT = 'current';
+
+// format: useI18n's formatNumber, so deltas use the interface language's digits
+const formatDelta = (value, decimals, format) => {
+  if (!value) return '-';
+  return `${value > 0 ? '+' : ''}${format(value, decimals)}`;
+};
+
+const deltaClass = (value) => (value > 0 ? 'text-green-700' : value < 0 ? 'text-red-700' : 'text-slate-400');
+
+// One side of the comparison: the current analysis, a saved period or freshly uploaded files
+const DatasetPicker = ({ title, dataset, currentDataset, periods, onChange, onLoadFiles }) => {
+  const { t } = useI18n();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSelect = (value) => {
+    setError(null);
+    if (value === CURRENT) {
+      onChange({ key: CURRENT, ...currentDataset });
+    } else {
+      const period = periods.find(p => p.id === value);
+      if (period) onChange({ key: period.id, label: period.name, summary: period.summary || [] });
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const loaded = await onLoadFiles(files);
+      onChange({ key: `upload-${Date.now()}`, ...loaded });
+    } catch (err) {
+      console.error(err);
+      setError(err.message || t('app.errors.parseFailed'));
+    }
+    setLoading(false);
+  };
+
+  const isUpload = dataset && dataset.key.startsWith('upload-');
+
+  return (
+    <div className="flex-1 bg-white p-4 rounded-lg shadow-sm border border-slate-200 space-y-3">
+      <h3 className="text-xs font-bold uppercase text-slate-500">{title}</h3>
+      <div className="flex gap-2">
+        <select
+          className="flex-1 min-w-0 border border-slate-300 rounded-lg px-3 py-2 text-sm"
+          value={dataset && !isUpload ? dataset.key : ''}
+          onChange={(e) => handleSelect(e.target.value)}
+        >
+          <option value="" disabled>{isUpload ? dataset.label : t('compare.choosePeriod')}</option>
+          {currentDataset && <option value={CURRENT}>{t('compare.currentAnalysis', { label: currentDataset.label })}</option>}
+          {periods.map(period => <option key={period.id} value={period.id}>{period.name}</option>)}
+        </select>
+        <label className="flex items-center gap-2 cursor-pointer bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-2 rounded-lg text-sm font-medium whitespace-nowrap">
+          <Upload className="w-4 h-4" />
+          {t('compare.upload')}
+          <input type="file" accept=".xlsx,.xls,.csv,.dat,.txt" multiple className="hidden" onChange={handleUpload} />
+        </label>
+      </div>
+      {loading && <p className="text-xs text-slate-500">{t('compare.processing')}</p>}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {dataset && !loading && <p className="text-xs text-slate-400">{t('compare.employeeCount', { count: dataset.summary.length })}</p>}
+    </div>
+  );
+};
+
+// Period-over-period comparison of two datasets, with per-employee deltas and the biggest swings
+export default function ComparePanel({ currentDataset, historyEnabled, onLoadFiles, onExport }) {
+  const { t, formatNumber } = useI18n();
+  const [periods, setPeriods] = useState([]);
+  // { key, params }, translated when shown
+  const [historyError, setHistoryError] = useState(null);
+  const [base, setBase] = useState(null);
+  const [target, setTarget] = useState(() => (currentDataset ? { key: CURRENT, ...currentDataset } : null));
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [sortConfig, setSortConfig] = useState({ key: 'totalActualHoursDelta', direction: 'asc' });
+
+  useEffect(() => {
+    if (!historyEnabled) return undefined;
+    let cancelled = false;
+    listPeriods()
+      .then(list => { if (!cancelled) setPeriods(list); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) setHistoryError({ key: 'compare.historyUnavailable', params: { message: err.message } });
+      });
+    return () => { cancelled = true; };
+  }, [historyEnabled]);
+
+  const comparison = useMemo(() => (base && target ? comparePeriods(base.summary, target.summary) : null), [base, target]);
+
+  const visibleRows = useMemo(() => {
+    if (!comparison) return [];
+    const rows = comparison.rows.filter(row => {
+      if (statusFilter === 'swings') return row.isSwing;
+      if (statusFilter === 'changed') return row.status !== COMPARE_STATUS.BOTH;
+      return true;
+    });
+    return sortRows(rows, sortConfig);
+  }, [comparison, statusFilter, sortConfig]);
+
+  const handleSort = (key) => setSortConfig(nextSortConfig(sortConfig, key));
+
+  const swap = () => {
+    setBase(target);
+    setTarget(base);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row gap-4 items-stretch md:items-center">
+        <DatasetPicker title={t('compare.periodA')} dataset={base} currentDataset={currentDataset} periods={periods} onChange={setBase} onLoadFiles={onLoadFiles} />
+        <button onClick={swap} disabled={!base && !target} title={t('compare.swap')} className="self-center p-2 rounded-full bg-slate-100 hover:bg-slate-200 text-slate-600 disabled:opacity-50">
+          <ArrowLeftRight className="w-4 h-4" />
+        </button>
+        <DatasetPicker title={t('compare.periodB')} dataset={target} currentDataset={currentDataset} periods={periods} onChange={setTarget} onLoadFiles={onLoadFiles} />
+      </div>
+
+      {historyError && <p className="text-sm text-amber-700">{t(historyError.key, historyError.params)}</p>}
+
+      {!comparison && (
+        <div className="text-center py-16 bg-white rounded-xl shadow-sm border border-slate-200 text-slate-500">
+          {t('compare.empty')}
+        </div>
+      )}
+
+      {comparison && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-white p-4 rounded-lg shadow-sm border border-slate-200">
+              <p className="text-sm text-slate-500 font-medium mb-2">{t('compare.biggestSwings')}</p>
+              {comparison.swings.length === 0 ? (
+                <p className="text-sm text-slate-400">{t('compare.noSwings')}</p>
+              ) : (
+                <ul className="text-sm space-y-1">
+                  {comparison.swings.map(row => (
+                    <li key={row.empId} className="flex items-center justify-between gap-2">
+                      <span className="truncate text-slate-700">{row.name}</span>
+                      <span className={`flex items-center gap-1 font-mono ${deltaClass(row.totalActualHoursDelta)}`}>
+                        {row.totalActualHoursDelta > 0 ? <TrendingUp className="w-3 h-3" /> : <TrendingDown className="w-3 h-3" />}
+                        {formatDelta(row.totalActualHoursDelta, 2, formatNumber)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow-sm border border-slate-200 flex items-center gap-4">
+              <div className="p-3 bg-red-100 text-red-600 rounded-full">
+                <UserMinus className="w-6 h-6" />
+              </div>
+              <div>
+                <p className="text-sm text-slate-500 font-medium">{t('compare.onlyInA')}</p>
+                <p className="text-2xl font-bold text-slate-800">{formatNumber(comparison.onlyInBase.length)}</p>
+              </div>
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow-sm border border-slate-200 flex items-center gap-4">
+              <div className="p-3 bg-green-100 text-green-600 rounded-full">
+                <UserPlus className="w-6 h-6" />
+              </div>
+              <div>
+                <p className="text-sm text-slate-500 font-medium">{t('compare.onlyInB')}</p>
+                <p className="text-2xl font-bold text-slate-800">{formatNumber(comparison.onlyInTarget.length)}</p>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-4 justify-between items-end sm:items-center bg-white p-4 rounded-lg shadow-sm border border-slate-200">
+            <select className="px-3 py-2 border border-slate-300 rounded-lg text-sm text-slate-700" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="all">{t('compare.filter.all', { count: comparison.rows.length })}</option>
+              <option value="swings">{t('compare.filter.swings', { count: comparison.swings.length })}</option>
+              <option value="changed">{t('compare.filter.changed', { count: comparison.onlyInBase.length + comparison.onlyInTarget.length })}</option>
+            </select>
+            <button
+              onClick={() => onExport(comparison, visibleRows, { base: base.label, target: target.label })}
+              className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              <Download className="w-4 h-4" />
+              {t('compare.export')}
+            </button>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+            <div className="overflow-x-auto">
+              <table className="w-full text-start border-collapse">
+                <thead>
+                  <tr className="bg-slate-50 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider group">
+                    <SortHeader label={t('summary.id')} sortKey="empId" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('summary.name')} sortKey="name" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('summary.department')} sortKey="dept" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('compare.table.daysA')} sortKey="daysPresentBase" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('compare.table.daysB')} sortKey="daysPresentTarget" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('compare.table.daysDelta')} sortKey="daysPresentDelta" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('compare.table.hoursA')} sortKey="totalActualHoursBase" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('compare.table.hoursB')} sortKey="totalActualHoursTarget" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('compare.table.hoursDelta')} sortKey="totalActualHoursDelta" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('compare.table.pctDelta')} sortKey="hoursChangePct" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                    <SortHeader label={t('compare.table.eqvDaysDelta')} sortKey="equivalentDaysDelta" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-200">
+                  {visibleRows.map(row => (
+                    <tr key={row.empId} className={row.isSwing ? 'bg-amber-50' : 'hover:bg-slate-50'}>
+                      <td className="px-6 py-3 text-sm font-medium text-slate-900">{row.empId}</td>
+                      <td className="px-6 py-3 text-sm text-slate-700">
+                        <div className="flex items-center gap-2">
+                          {row.name}
+                          {row.status === COMPARE_STATUS.ONLY_BASE && <span className="px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800">{t('compare.onlyA')}</span>}
+                          {row.status === COMPARE_STATUS.ONLY_TARGET && <span className="px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">{t('compare.onlyB')}</span>}
+                        </div>
+                      </td>
+                      <td className="px-6 py-3 text-sm text-slate-500">{row.dept}</td>
+                      <td className="px-6 py-3 text-sm text-slate-700 text-end">{formatNumber(row.daysPresentBase)}</td>
+                      <td className="px-6 py-3 text-sm text-slate-700 text-end">{formatNumber(row.daysPresentTarget)}</td>
+                      <td className={`px-6 py-3 text-sm text-end font-mono ${deltaClass(row.daysPresentDelta)}`}>{formatDelta(row.daysPresentDelta, 0, formatNumber)}</td>
+                      <td className="px-6 py-3 text-sm text-slate-700 text-end font-mono">{formatNumber(row.totalActualHoursBase, 2)}</td>
+                      <td className="px-6 py-3 text-sm text-slate-700 text-end font-mono">{formatNumber(row.totalActualHoursTarget, 2)}</td>
+                      <td className={`px-6 py-3 text-sm text-end font-mono font-bold ${deltaClass(row.totalActualHoursDelta)}`}>{formatDelta(row.totalActualHoursDelta, 2, formatNumber)}</td>
+                      <td className={`px-6 py-3 text-sm text-end font-mono ${deltaClass(row.hoursChangePct)}`}>{row.hoursChangePct === null ? '-' : `${formatDelta(row.hoursChangePct, 1, formatNumber)}%`}</td>
+                      <td className={`px-6 py-3 text-sm text-end font-mono ${deltaClass(row.equivalentDaysDelta)}`}>{formatDelta(row.equivalentDaysDelta, 2, formatNumber)}</td>
+                    </tr>
+                  ))}
+                  {visibleRows.length === 0 && (
+                    <tr>
+                      <td colSpan="11" className="px-6 py-10 text-center text-slate-500">{t('compare.noMatches')}</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { PencilLine, RotateCcw, Save, X } from 'lucide-react';
+import { createCorrection, CORRECTION_FIELDS } from '../engine/corrections';
+import { DAY_STATUS } from '../engine/calendar';
+import { formatClock } from '../utils/format';
+import useI18n from '../hooks/useI18n';
+
+// Current (possibly corrected) value of each editable field, as shown in the form
+const fieldValues = (record) => ({
+  clockIn: formatClock(record.clockInMinutes) || record.clockIn || '',
+  clockOut: formatClock(record.clockOutMinutes) || record.clockOut || '',
+  status: record.dayStatus || (record.isPresent ? DAY_STATUS.PRESENT : DAY_STATUS.ABSENT),
+  hours: record.actualHours ? String(Number(record.actualHours.toFixed(2))) : '0'
+});
+
+// Edit one daily record. Every change is logged with a required reason; the parsed values are kept.
+export default function CorrectionDialog({ record, history, userName, onSave, onCancel }) {
+  const { t, formatDate, formatDateTime } = useI18n();
+  const current = fieldValues(record);
+  const [draft, setDraft] = useState(current);
+  const [reason, setReason] = useState('');
+  const [user, setUser] = useState(userName);
+
+  const changedFields = Object.keys(CORRECTION_FIELDS).filter(field => draft[field] !== current[field]);
+  const canSave = reason.trim() && user.trim() && changedFields.length > 0;
+
+  const entry = (field, newValue) => createCorrection({
+    empId: record.empId,
+    isoDate: record.isoDate,
+    field,
+    oldValue: field === 'hours' ? Number(current.hours) : current[field],
+    newValue,
+    reason: reason.trim(),
+    user: user.trim()
+  });
+
+  const handleSave = () => {
+    if (!canSave) return;
+    onSave(changedFields.map(field => entry(field, field === 'hours' ? Number(draft.hours) : draft[field])), user.trim());
+  };
+
+  const handleRevert = (field) => {
+    if (!reason.trim() || !user.trim()) return;
+    onSave([entry(field, null)], user.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <PencilLine className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('corrections.title', { name: record.name, date: formatDate(record.isoDate) })}</h2>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <label>
+              <span className="block text-xs text-slate-500 mb-1">{t('corrections.fields.clockIn')}</span>
+              <input type="time" className="w-full border border-slate-300 rounded px-2 py-1" value={draft.clockIn} onChange={(e) => setDraft({ ...draft, clockIn: e.target.value })} />
+            </label>
+            <label>
+              <span className="block text-xs text-slate-500 mb-1">{t('corrections.fields.clockOut')}</span>
+              <input type="time" className="w-full border border-slate-300 rounded px-2 py-1" value={draft.clockOut} onChange={(e) => setDraft({ ...draft, clockOut: e.target.value })} />
+            </label>
+            <label>
+              <span className="block text-xs text-slate-500 mb-1">{t('corrections.fields.status')}</span>
+              <select className="w-full border border-slate-300 rounded px-2 py-1" value={draft.status} onChange={(e) => setDraft({ ...draft, status: e.target.value })}>
+                {Object.values(DAY_STATUS).map(status => <option key={status} value={status}>{t(`status.${status}`)}</option>)}
+              </select>
+            </label>
+            <label>
+              <span className="block text-xs text-slate-500 mb-1">{t('corrections.fields.hours')}</span>
+              <input type="number" min="0" max="24" step="0.25" className="w-full border border-slate-300 rounded px-2 py-1" value={draft.hours} onChange={(e) => setDraft({ ...draft, hours: e.target.value })} />
+            </label>
+          </div>
+          <p className="text-xs text-slate-400">
+            {t('corrections.recomputeHint')}
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+            <label className="md:col-span-2">
+              <span className="block text-xs text-slate-500 mb-1">{t('corrections.reason')}</span>
+              <input type="text" placeholder={t('corrections.reasonPlaceholder')} className="w-full border border-slate-300 rounded px-2 py-1" value={reason} onChange={(e) => setReason(e.target.value)} />
+            </label>
+            <label>
+              <span className="block text-xs text-slate-500 mb-1">{t('corrections.yourName')}</span>
+              <input type="text" className="w-full border border-slate-300 rounded px-2 py-1" value={user} onChange={(e) => setUser(e.target.value)} />
+            </label>
+          </div>
+
+          {record.correctedFields?.length > 0 && (
+            <section>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('corrections.active')}</h3>
+              <ul className="text-sm space-y-1">
+                {record.correctedFields.map(field => (
+                  <li key={field} className="flex items-center justify-between gap-2">
+                    <span className="text-slate-600">{t(`corrections.fields.${field}`)}</span>
+                    <button
+                      onClick={() => handleRevert(field)}
+                      disabled={!reason.trim() || !user.trim()}
+                      title={t('corrections.revertTitle')}
+                      className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                    >
+                      <RotateCcw className="w-3 h-3" /> {t('corrections.revert')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {history.length > 0 && (
+            <section>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('corrections.history')}</h3>
+              <ul className="text-xs text-slate-600 space-y-1 max-h-40 overflow-y-auto font-mono border border-slate-200 rounded-lg p-3">
+                {history.map(item => (
+                  <li key={item.id}>
+                    {formatDateTime(item.at)} · {item.user} · {t(`corrections.fields.${item.field}`)}: {item.oldValue ?? '-'} → {item.newValue ?? t('timesheet.fileValue')} · {item.reason}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!canSave}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            {t('corrections.save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
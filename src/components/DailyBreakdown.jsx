@@ -0,0 +1,115 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { AlertTriangle, Pencil } from 'lucide-react';
+import { PUNCH_SOURCE } from '../engine/punchLog';
+import { formatMinutes, formatClock } from '../utils/format';
+import useVirtualRows from '../hooks/useVirtualRows';
+import useI18n from '../hooks/useI18n';
+import StatusBadge from './StatusBadge';
+import ApprovalControl from './ApprovalControl';
+
+const ROW_HEIGHT = 37;
+const estimateRow = () => ROW_HEIGHT;
+
+// Corrected cells are highlighted; the tooltip shows the value parsed from the file
+const ORIGINAL_FIELDS = { clockIn: 'clockIn', clockOut: 'clockOut', hours: 'actualHours', status: 'dayStatus' };
+
+const isCorrected = (rec, field) => Boolean(rec.correctedFields?.includes(field));
+
+const correctedTitle = ({ t, formatNumber }, rec, field) => {
+  if (!isCorrected(rec, field)) return undefined;
+  const original = rec.original[ORIGINAL_FIELDS[field]];
+  const shown = field === 'hours' ? formatNumber(original || 0, 2) : original;
+  return t('breakdown.correctedTitle', { field: t(`corrections.fields.${field}`), value: shown || '-' });
+};
+
+// Day-by-day records of one employee. The table scrolls on its own and only renders the visible days,
+// so employees with years of records expand instantly.
+export default function DailyBreakdown({ emp, hourPriority, approval, showApproval, onDecideApproval, issueRecordIds, focusedRecordId, onCorrect }) {
+  const i18n = useI18n();
+  const { lang, t, formatNumber, formatDate } = i18n;
+  const [scrollElement, setScrollElement] = useState(null);
+  const [scrolledTo, setScrolledTo] = useState(null);
+  const keys = useMemo(() => emp.records.map(rec => rec.id), [emp.records]);
+  const { containerRef, first, last, paddingTop, paddingBottom, measureRef, scrollToIndex } = useVirtualRows({ keys, estimateSize: estimateRow, scrollElement });
+
+  // Bring the focused day into view once (later re-measurements must not pull the table back)
+  useEffect(() => {
+    if (!scrollElement || !focusedRecordId || scrolledTo === focusedRecordId) return undefined;
+    const index = keys.indexOf(focusedRecordId);
+    if (index === -1) return undefined;
+    scrollToIndex(index);
+    const frame = requestAnimationFrame(() => setScrolledTo(focusedRecordId));
+    return () => cancelAnimationFrame(frame);
+  }, [scrollElement, focusedRecordId, scrolledTo, keys, scrollToIndex]);
+
+  return (
+    <div className="bg-white rounded border border-slate-200 overflow-hidden">
+      <div className="px-4 py-3 border-b border-slate-100 bg-slate-50/50 flex justify-between items-center">
+        <div className="flex items-center gap-4">
+          <h4 className="text-xs font-bold uppercase text-slate-500">{t('breakdown.title', { name: emp.name })}</h4>
+          {showApproval && <ApprovalControl approval={approval} onDecide={onDecideApproval} />}
+        </div>
+        <span className="text-xs text-slate-400">
+          {emp.records.some(r => r.source === PUNCH_SOURCE) ? t('breakdown.fromPunches') : t('breakdown.derivedFrom', { sources: hourPriority })}
+        </span>
+      </div>
+      <div ref={setScrollElement} className="overflow-auto max-h-[28rem]">
+        <table className="w-full text-sm">
+          <thead className="sticky top-0 bg-white z-10">
+            <tr className="text-xs text-slate-400 border-b border-slate-100">
+              <th className="px-4 py-2 text-start font-medium">{t('breakdown.date')}</th>
+              <th className="px-4 py-2 text-start font-medium">{t('breakdown.clockIn')}</th>
+              <th className="px-4 py-2 text-start font-medium">{t('breakdown.clockOut')}</th>
+              <th className="px-4 py-2 text-start font-medium">{t('breakdown.regularH')}</th>
+              <th className="px-4 py-2 text-start font-medium">{t('breakdown.workedHours')}</th>
+              <th className="px-4 py-2 text-end font-medium">{t('breakdown.calcHours')}</th>
+              <th className="px-4 py-2 text-end font-medium">{t('breakdown.late')}</th>
+              <th className="px-4 py-2 text-end font-medium">{t('breakdown.early')}</th>
+              <th className="px-4 py-2 text-end font-medium">{t('breakdown.overtime')}</th>
+              <th className="px-4 py-2 text-end font-medium">{t('breakdown.under')}</th>
+              <th className="px-4 py-2 text-center font-medium">{t('breakdown.status')}</th>
+              <th className="px-4 py-2 text-start font-medium">{t('breakdown.source')}</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody ref={containerRef} className="divide-y divide-slate-50">
+            {paddingTop > 0 && <tr aria-hidden="true" style={{ height: paddingTop }}><td colSpan={13}></td></tr>}
+            {emp.records.slice(first, last + 1).map((rec) => (
+              <tr key={rec.id} data-vkey={rec.id} ref={measureRef} className={`${!rec.isPresent ? 'opacity-50 bg-slate-50' : ''} ${rec.id === focusedRecordId ? 'ring-2 ring-inset ring-amber-400' : ''}`}>
+                <td className="px-4 py-2 font-mono text-slate-600">
+                  <div className="flex items-center gap-1">
+                    {rec.isoDate ? formatDate(rec.isoDate) : rec.date}
+                    {issueRecordIds?.has(rec.id) && <AlertTriangle className="w-3 h-3 text-amber-500" />}
+                  </div>
+                </td>
+                <td className={`px-4 py-2 ${isCorrected(rec, 'clockIn') ? 'text-blue-700 font-medium' : 'text-slate-500'}`} title={correctedTitle(i18n, rec, 'clockIn')}>{rec.clockInMinutes != null ? formatClock(rec.clockInMinutes, lang) : rec.clockIn}</td>
+                <td className={`px-4 py-2 ${isCorrected(rec, 'clockOut') ? 'text-blue-700 font-medium' : 'text-slate-500'}`} title={correctedTitle(i18n, rec, 'clockOut')}>{rec.clockOutMinutes != null ? formatClock(rec.clockOutMinutes, lang) : rec.clockOut}</td>
+                <td className="px-4 py-2 text-slate-500">{rec.rawRegularH || '-'}</td>
+                <td className="px-4 py-2 text-slate-500">{rec.rawWorkedH || '-'}</td>
+                <td className={`px-4 py-2 text-end font-bold bg-blue-50/20 ${isCorrected(rec, 'hours') ? 'text-blue-700' : 'text-slate-700'}`} title={correctedTitle(i18n, rec, 'hours')}>{rec.actualHours > 0 ? formatNumber(rec.actualHours, 2) : '-'}</td>
+                <td className="px-4 py-2 text-end font-mono text-amber-700">{formatMinutes(rec.lateMinutes, lang)}</td>
+                <td className="px-4 py-2 text-end font-mono text-amber-700">{formatMinutes(rec.earlyLeaveMinutes, lang)}</td>
+                <td className="px-4 py-2 text-end font-mono text-green-700">{formatMinutes(rec.overtimeMinutes, lang)}</td>
+                <td className="px-4 py-2 text-end font-mono text-red-700">{formatMinutes(rec.undertimeMinutes, lang)}</td>
+                <td className="px-4 py-2 text-center" title={correctedTitle(i18n, rec, 'status')}>
+                  <StatusBadge record={rec} />
+                </td>
+                <td className="px-4 py-2 text-xs text-slate-400 whitespace-nowrap">
+                  {rec.correctedFields?.length ? t('breakdown.manualCorrection') : rec.isFilled ? '-' : [rec.sourceFile, rec.sourceSheet].filter(Boolean).join(' / ')}
+                </td>
+                <td className="px-4 py-2 text-end">
+                  {rec.isoDate && (
+                    <button onClick={() => onCorrect(rec)} title={t('breakdown.correctDay')} className="text-slate-400 hover:text-blue-600">
+                      <Pencil className="w-3.5 h-3.5" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {paddingBottom > 0 && <tr aria-hidden="true" style={{ height: paddingBottom }}><td colSpan={13}></td></tr>}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
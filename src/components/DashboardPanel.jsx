@@ -0,0 +1,109 @@
+import React, { useState, useMemo } from 'react';
+import { Building2, Filter } from 'lucide-react';
+import { departmentStats, organizationStats, dailyTrend, presenceMatrix } from '../engine/analytics';
+import { sortRows, nextSortConfig } from '../utils/sort';
+import SortHeader from './SortHeader';
+import TrendChart from './TrendChart';
+import PresenceHeatmap from './PresenceHeatmap';
+import useI18n from '../hooks/useI18n';
+
+const rateClass = (rate) => {
+  if (rate === null) return 'text-slate-400';
+  if (rate >= 0.95) return 'text-green-700';
+  if (rate >= 0.85) return 'text-amber-700';
+  return 'text-red-700';
+};
+
+// Department and organization analytics; clicking a department filters the summary table
+export default function DashboardPanel({ summary, selectedDept, onSelectDept, onSelectEmployee }) {
+  const { t, formatNumber, formatPercent } = useI18n();
+  const formatRate = (rate) => (rate === null ? '-' : formatPercent(rate));
+  const [sortConfig, setSortConfig] = useState({ key: 'dept', direction: 'asc' });
+
+  const stats = useMemo(() => departmentStats(summary), [summary]);
+  const organization = useMemo(() => organizationStats(summary), [summary]);
+  const sortedStats = useMemo(() => sortRows([...stats], sortConfig), [stats, sortConfig]);
+
+  // Trend and heatmap follow the selected department
+  const scoped = useMemo(() => (selectedDept ? summary.filter(emp => (emp.dept || 'Unassigned') === selectedDept) : summary), [summary, selectedDept]);
+  const trend = useMemo(() => dailyTrend(scoped.flatMap(emp => emp.records)), [scoped]);
+  const matrix = useMemo(() => presenceMatrix(scoped), [scoped]);
+
+  const handleSort = (key) => setSortConfig(nextSortConfig(sortConfig, key));
+
+  return (
+    <div className="space-y-6">
+      {organization && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[
+            { label: t('dashboard.attendanceRate'), value: formatRate(organization.attendanceRate), className: rateClass(organization.attendanceRate) },
+            { label: t('dashboard.avgHours'), value: formatNumber(organization.avgHoursPerPresentDay, 2), className: 'text-slate-800' },
+            { label: t('dashboard.totalEquivalentDays'), value: formatNumber(organization.equivalentDays, 1), className: 'text-slate-800' },
+            { label: t('dashboard.departments'), value: formatNumber(stats.length), className: 'text-slate-800' }
+          ].map(card => (
+            <div key={card.label} className="bg-white p-4 rounded-lg shadow-sm border border-slate-200">
+              <p className="text-sm text-slate-500 font-medium">{card.label}</p>
+              <p className={`text-2xl font-bold ${card.className}`}>{card.value}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+        <div className="px-4 py-3 border-b border-slate-100 bg-slate-50/50 flex items-center gap-2">
+          <Building2 className="w-4 h-4 text-slate-400" />
+          <h4 className="text-xs font-bold uppercase text-slate-500">{t('dashboard.departments')}</h4>
+          <span className="text-xs text-slate-400 ms-auto">{t('dashboard.departmentsHint')}</span>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-start border-collapse">
+            <thead>
+              <tr className="bg-slate-50 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider group">
+                <SortHeader label={t('dashboard.department')} sortKey="dept" sortConfig={sortConfig} onSort={handleSort} />
+                <SortHeader label={t('dashboard.headcount')} sortKey="headcount" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                <SortHeader label={t('dashboard.attendanceRate')} sortKey="attendanceRate" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                <SortHeader label={t('dashboard.avgHours')} sortKey="avgHoursPerPresentDay" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                <SortHeader label={t('dashboard.totalHours')} sortKey="totalActualHours" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                <SortHeader label={t('dashboard.equivalentDays')} sortKey="equivalentDays" align="end" sortConfig={sortConfig} onSort={handleSort} />
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200">
+              {sortedStats.map(dept => (
+                <tr
+                  key={dept.dept}
+                  onClick={() => onSelectDept(dept.dept)}
+                  className={`cursor-pointer transition-colors ${dept.dept === selectedDept ? 'bg-blue-50' : 'hover:bg-slate-50'}`}
+                >
+                  <td className="px-6 py-3 text-sm font-medium text-slate-800">{dept.dept}</td>
+                  <td className="px-6 py-3 text-sm text-slate-700 text-end">{formatNumber(dept.headcount)}</td>
+                  <td className={`px-6 py-3 text-sm text-end font-mono ${rateClass(dept.attendanceRate)}`}>{formatRate(dept.attendanceRate)}</td>
+                  <td className="px-6 py-3 text-sm text-slate-700 text-end font-mono">{formatNumber(dept.avgHoursPerPresentDay, 2)}</td>
+                  <td className="px-6 py-3 text-sm text-slate-700 text-end font-mono">{formatNumber(dept.totalActualHours, 2)}</td>
+                  <td className="px-6 py-3 text-sm text-slate-700 text-end font-mono bg-slate-50">{formatNumber(dept.equivalentDays, 2)}</td>
+                  <td className="px-6 py-3 text-end">
+                    <Filter className={`w-4 h-4 inline ${dept.dept === selectedDept ? 'text-blue-600' : 'text-slate-300'}`} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4">
+        <h4 className="text-xs font-bold uppercase text-slate-500 mb-3">
+          {t('dashboard.trend')}{selectedDept ? ` · ${selectedDept}` : ''}
+        </h4>
+        <TrendChart days={trend} />
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4">
+        <h4 className="text-xs font-bold uppercase text-slate-500 mb-3">
+          {t('dashboard.presence')}{selectedDept ? ` · ${selectedDept}` : ''}
+        </h4>
+        <PresenceHeatmap matrix={matrix} onSelectEmployee={onSelectEmployee} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { Fingerprint, Plus, RefreshCw, Trash2, Download, X } from 'lucide-react';
+import { listDevices, registerDevice, removeDevice, syncDevice, syncAllDevices, fetchDeviceLogs } from '../storage/deviceSync';
+import useI18n from '../hooks/useI18n';
+
+const EMPTY_FORM = { name: '', host: '', port: '4370', commKey: '', transport: 'tcp' };
+
+// Terminals registered with the sync service: add or remove them, pull new punches and load the stored
+// punches into the report. onLoad receives { devices, logs } from the service.
+export default function DevicesDialog({ onLoad, onClose }) {
+  const { t, formatDate, formatDateTime } = useI18n();
+  const [devices, setDevices] = useState(null);
+  // { key, params }, translated when shown
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busyId, setBusyId] = useState(null);
+  const [from, setFrom] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    listDevices()
+      .then(list => { if (!cancelled) setDevices(list); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) setError({ key: 'devices.errors.load', params: { message: err.message } });
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  const replaceDevice = (device) => setDevices(list => list.map(d => (d.id === device.id ? device : d)));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setBusyId('new');
+    try {
+      const device = await registerDevice(form);
+      setDevices([...(devices || []), device]);
+      setForm(EMPTY_FORM);
+      setError(null);
+    } catch (err) {
+      setError({ key: 'devices.errors.register', params: { message: err.message } });
+    }
+    setBusyId(null);
+  };
+
+  const handleRemove = async (device) => {
+    if (!window.confirm(t('devices.confirmRemove', { name: device.name }))) return;
+    setBusyId(device.id);
+    try {
+      await removeDevice(device.id);
+      setDevices(devices.filter(d => d.id !== device.id));
+    } catch (err) {
+      setError({ key: 'devices.errors.remove', params: { message: err.message } });
+    }
+    setBusyId(null);
+  };
+
+  const describe = ({ device, newLogs, error: syncError }) => (
+    syncError ? `${device.name}: ${syncError}` : `${device.name}: ${t('devices.newPunches', { count: newLogs })}`
+  );
+
+  const handleSync = async (device) => {
+    setBusyId(device.id);
+    try {
+      const result = await syncDevice(device.id);
+      replaceDevice(result.device);
+      setNotice(describe(result));
+      setError(null);
+    } catch (err) {
+      setError({ key: 'devices.errors.sync', params: { message: err.message } });
+    }
+    setBusyId(null);
+  };
+
+  const handleSyncAll = async () => {
+    setBusyId('all');
+    try {
+      const results = await syncAllDevices();
+      setDevices(results.map(r => r.device));
+      setNotice(results.map(describe).join(' · '));
+      setError(null);
+    } catch (err) {
+      setError({ key: 'devices.errors.sync', params: { message: err.message } });
+    }
+    setBusyId(null);
+  };
+
+  const handleLoad = async () => {
+    setBusyId('load');
+    try {
+      const payload = await fetchDeviceLogs({ since: from ? `${from} 00:00:00` : null });
+      if (payload.logs.length === 0) {
+        setError(from ? { key: 'devices.noPunchesSince', params: { date: formatDate(from) } } : { key: 'devices.noPunches' });
+        setBusyId(null);
+        return;
+      }
+      onLoad(payload);
+    } catch (err) {
+      setError({ key: 'devices.errors.punches', params: { message: err.message } });
+      setBusyId(null);
+    }
+  };
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Fingerprint className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('devices.title')}</h2>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {error && <p className="text-sm text-red-600">{t(error.key, error.params)}</p>}
+          {notice && <p className="text-sm text-slate-600 bg-slate-50 border border-slate-200 rounded-lg px-3 py-2">{notice}</p>}
+
+          {!devices && !error && (
+            <div className="flex items-center justify-center gap-3 py-6 text-sm text-slate-500">
+              <div className="animate-spin w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full"></div>
+              {t('devices.loading')}
+            </div>
+          )}
+
+          {devices && devices.length === 0 && (
+            <p className="text-sm text-slate-500 text-center py-6">{t('devices.empty')}</p>
+          )}
+
+          {devices && devices.length > 0 && (
+            <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+              {devices.map(device => (
+                <li key={device.id} className="px-4 py-3 flex items-center gap-3 text-sm">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-slate-700 truncate">{device.name}</p>
+                    <p className="text-xs text-slate-400 truncate">
+                      <span dir="ltr">{device.host}:{device.port}</span> · {device.transport.toUpperCase()}{device.hasCommKey ? ` · ${t('devices.commKeySet')}` : ''}
+                      {' · '}{t('devices.counts', { users: device.userCount, punches: device.logCount })}
+                    </p>
+                    <p className="text-xs text-slate-400">
+                      {t('devices.lastSync', { when: device.lastSyncAt ? formatDateTime(device.lastSyncAt) : t('devices.never') })}
+                      {device.lastLogTime ? ` · ${t('devices.latestPunch', { when: formatDateTime(device.lastLogTime.replace(' ', 'T')) })}` : ''}
+                    </p>
+                    {device.lastError && <p className="text-xs text-red-600">{device.lastError}</p>}
+                  </div>
+                  <button
+                    onClick={() => handleSync(device)}
+                    disabled={busyId !== null}
+                    className="flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                  >
+                    <RefreshCw className={`w-4 h-4 ${busyId === device.id ? 'animate-spin' : ''}`} /> {t('devices.sync')}
+                  </button>
+                  <button onClick={() => handleRemove(device)} disabled={busyId !== null} className="text-slate-400 hover:text-red-600 disabled:opacity-50">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleAdd} className="border border-slate-200 rounded-lg p-4 space-y-3">
+            <h4 className="text-xs font-bold uppercase text-slate-500">{t('devices.register')}</h4>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+              <input type="text" placeholder={t('devices.form.name')} className="border border-slate-300 rounded px-2 py-1 text-sm" value={form.name} onChange={setField('name')} />
+              <input type="text" placeholder={t('devices.form.host')} required className="border border-slate-300 rounded px-2 py-1 text-sm" value={form.host} onChange={setField('host')} />
+              <input type="number" placeholder={t('devices.form.port')} min="1" max="65535" className="border border-slate-300 rounded px-2 py-1 text-sm" value={form.port} onChange={setField('port')} />
+              <input type="number" placeholder={t('devices.form.commKey')} min="0" className="border border-slate-300 rounded px-2 py-1 text-sm" value={form.commKey} onChange={setField('commKey')} />
+              <select className="border border-slate-300 rounded px-2 py-1 text-sm" value={form.transport} onChange={setField('transport')}>
+                <option value="tcp">TCP</option>
+                <option value="udp">UDP</option>
+              </select>
+            </div>
+            <button
+              type="submit"
+              disabled={busyId !== null}
+              className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+              {t('devices.add')}
+            </button>
+          </form>
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <button
+            onClick={handleSyncAll}
+            disabled={busyId !== null || !devices || devices.length === 0}
+            className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${busyId === 'all' ? 'animate-spin' : ''}`} />
+            {t('devices.syncAll')}
+          </button>
+          <div className="flex items-center gap-2">
+            <label className="text-sm text-slate-500">{t('devices.from')}</label>
+            <input type="date" className="border border-slate-300 rounded px-2 py-1 text-sm" value={from} onChange={(e) => setFrom(e.target.value)} />
+            <button
+              onClick={handleLoad}
+              disabled={busyId !== null || !devices || devices.length === 0}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              {t('devices.load')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
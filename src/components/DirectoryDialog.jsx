@@ -0,0 +1,235 @@
+import React, { useState, useMemo } from 'react';
+import { Contact, Plus, Save, Trash2, Upload, UserPlus, X } from 'lucide-react';
+import {
+  createEmployee,
+  buildDirectoryIndex,
+  parseDirectoryRows,
+  directoryFromRecords,
+  mergeDirectory,
+  addAlias
+} from '../engine/directory';
+import useI18n from '../hooks/useI18n';
+import { translateMessage } from '../i18n';
+
+const MAX_IMPORT_ERRORS = 5;
+
+// Employee master list: canonical names, departments, employment dates and alias IDs.
+// Unknown IDs from the loaded files can be added as new employees or mapped as aliases.
+export default function DirectoryDialog({ directory, records, unknownEmployees, onReadFile, onSave, onCancel }) {
+  const { lang, t } = useI18n();
+  const [draft, setDraft] = useState(directory);
+  const [search, setSearch] = useState('');
+  const [newId, setNewId] = useState('');
+  const [aliasTargets, setAliasTargets] = useState({});
+  const [importResult, setImportResult] = useState(null);
+
+  const index = useMemo(() => buildDirectoryIndex(draft), [draft]);
+  const fromUploads = useMemo(() => directoryFromRecords(records), [records]);
+  const newFromUploads = fromUploads.employees.filter(emp => !index.has(emp.empId));
+  const pendingUnknown = unknownEmployees.filter(emp => !index.has(emp.empId));
+
+  const update = (empId, changes) => setDraft(draft.map(emp => (emp.empId === empId ? { ...emp, ...changes } : emp)));
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const result = parseDirectoryRows(await onReadFile(file));
+      setImportResult({ fileName: file.name, ...result });
+      if (result.employees.length > 0) setDraft(mergeDirectory(draft, result.employees));
+    } catch (err) {
+      setImportResult({ fileName: file.name, employees: [], errors: [{ line: 0, message: err.message }] });
+    }
+  };
+
+  const addEmployee = () => {
+    const empId = newId.trim();
+    if (!empId || index.has(empId)) return;
+    setDraft(mergeDirectory(draft, [createEmployee({ empId })]));
+    setNewId('');
+  };
+
+  const addUnknown = (emp) => {
+    const placeholder = (value) => (value && value !== 'Unknown' ? value : '');
+    setDraft(mergeDirectory(draft, [createEmployee({ empId: emp.empId, name: placeholder(emp.name), dept: placeholder(emp.dept) })]));
+  };
+
+  const mapAlias = (alias) => {
+    const target = aliasTargets[alias];
+    if (!target) return;
+    setDraft(addAlias(draft, target, alias));
+  };
+
+  const visible = draft.filter(emp => {
+    const term = search.trim().toLowerCase();
+    return !term || [emp.empId, emp.name, emp.dept, emp.costCenter, ...emp.aliases].some(v => String(v).toLowerCase().includes(term));
+  });
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-6xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Contact className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('directory.title')}</h2>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+            <label className="flex items-center justify-center gap-2 cursor-pointer bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium">
+              <Upload className="w-4 h-4" />
+              {t('directory.import')}
+              <input type="file" accept=".csv,.xlsx,.xls" className="hidden" onChange={handleImport} />
+            </label>
+            <button
+              onClick={() => setDraft(mergeDirectory(draft, newFromUploads))}
+              disabled={newFromUploads.length === 0}
+              className="flex items-center justify-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              <UserPlus className="w-4 h-4" />
+              {t('directory.addFromFiles', { count: newFromUploads.length })}
+            </button>
+            <span className="text-xs text-slate-400">{t('directory.columnsHint')}</span>
+          </div>
+
+          {importResult && (
+            <div className="text-sm">
+              <p className="text-slate-600">{t('directory.importResult', { file: importResult.fileName, imported: importResult.employees.length, skipped: importResult.errors.length })}</p>
+              {importResult.errors.length > 0 && (
+                <ul className="text-xs text-red-600 mt-1 space-y-0.5">
+                  {importResult.errors.slice(0, MAX_IMPORT_ERRORS).map(err => {
+                    const message = translateMessage(lang, 'importErrors', err);
+                    return <li key={err.line}>{err.line > 0 ? t('importErrors.line', { line: err.line, message }) : message}</li>;
+                  })}
+                  {importResult.errors.length > MAX_IMPORT_ERRORS && <li>{t('app.warnings.more', { count: importResult.errors.length - MAX_IMPORT_ERRORS })}</li>}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {pendingUnknown.length > 0 && (
+            <section>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('directory.unknownIds', { count: pendingUnknown.length })}</h3>
+              <ul className="divide-y divide-slate-100 border border-amber-200 bg-amber-50/40 rounded-lg max-h-56 overflow-y-auto">
+                {pendingUnknown.map(emp => (
+                  <li key={emp.empId} className="flex flex-wrap items-center gap-3 px-3 py-2 text-sm">
+                    <span className="font-mono text-slate-700 w-20">{emp.empId}</span>
+                    <span className="flex-1 min-w-0 truncate text-slate-600">{emp.name} · {emp.dept} · {t('sources.rows', { count: emp.rows })}</span>
+                    <button onClick={() => addUnknown(emp)} className="text-xs text-blue-600 hover:text-blue-700">{t('directory.addAsEmployee')}</button>
+                    <span className="text-xs text-slate-400">{t('directory.orAliasOf')}</span>
+                    <select
+                      className="border border-slate-300 rounded px-2 py-1 text-xs"
+                      value={aliasTargets[emp.empId] || ''}
+                      onChange={(e) => setAliasTargets({ ...aliasTargets, [emp.empId]: e.target.value })}
+                    >
+                      <option value="">{t('directory.selectEmployee')}</option>
+                      {draft.map(target => <option key={target.empId} value={target.empId}>{target.empId} · {target.name}</option>)}
+                    </select>
+                    <button onClick={() => mapAlias(emp.empId)} disabled={!aliasTargets[emp.empId]} className="text-xs text-blue-600 hover:text-blue-700 disabled:opacity-50">{t('sources.map')}</button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {fromUploads.changes.length > 0 && (
+            <section>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('directory.changes')}</h3>
+              <ul className="text-xs text-slate-600 space-y-1 max-h-32 overflow-y-auto">
+                {fromUploads.changes.map(change => (
+                  <li key={change.empId}>
+                    <span className="font-mono">{change.empId}</span>
+                    {change.names.length > 1 && <> · {t('directory.nameChange', { values: change.names.join(' → ') })}</>}
+                    {change.depts.length > 1 && <> · {t('directory.deptChange', { values: change.depts.join(' → ') })}</>}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <section>
+            <div className="flex items-center justify-between gap-3 mb-2">
+              <h3 className="text-xs font-bold uppercase text-slate-500">{t('directory.employees', { count: draft.length })}</h3>
+              <div className="flex gap-2">
+                <input type="text" placeholder={t('directory.search')} className="border border-slate-300 rounded px-2 py-1 text-sm" value={search} onChange={(e) => setSearch(e.target.value)} />
+                <input type="text" placeholder={t('directory.newId')} className="border border-slate-300 rounded px-2 py-1 text-sm w-36" value={newId} onChange={(e) => setNewId(e.target.value)} />
+                <button onClick={addEmployee} disabled={!newId.trim() || index.has(newId.trim())} className="px-3 py-1 rounded-lg bg-blue-600 text-white disabled:opacity-50">
+                  <Plus className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+            <p className="text-xs text-slate-400 mb-2">{t('directory.inactiveHint')}</p>
+            {draft.length === 0 ? (
+              <p className="text-sm text-slate-500 text-center py-6">{t('directory.empty')}</p>
+            ) : (
+              <div className="border border-slate-200 rounded-lg max-h-96 overflow-auto">
+                <table className="w-full text-sm">
+                  <thead className="sticky top-0 bg-slate-50">
+                    <tr className="text-xs text-slate-500 border-b border-slate-200">
+                      <th className="px-2 py-2 text-start font-medium">{t('directory.columns.id')}</th>
+                      <th className="px-2 py-2 text-start font-medium">{t('directory.columns.name')}</th>
+                      <th className="px-2 py-2 text-start font-medium">{t('directory.columns.dept')}</th>
+                      <th className="px-2 py-2 text-start font-medium">{t('directory.columns.costCenter')}</th>
+                      <th className="px-2 py-2 text-start font-medium">{t('directory.columns.hired')}</th>
+                      <th className="px-2 py-2 text-start font-medium">{t('directory.columns.terminated')}</th>
+                      <th className="px-2 py-2 text-center font-medium">{t('directory.columns.active')}</th>
+                      <th className="px-2 py-2 text-start font-medium">{t('directory.columns.aliases')}</th>
+                      <th className="px-2 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {visible.map(emp => (
+                      <tr key={emp.empId} className={emp.active ? '' : 'bg-slate-50 text-slate-400'}>
+                        <td className="px-2 py-1 font-mono">{emp.empId}</td>
+                        <td className="px-2 py-1"><input type="text" className="w-full border border-slate-200 rounded px-1 py-0.5" value={emp.name} onChange={(e) => update(emp.empId, { name: e.target.value })} /></td>
+                        <td className="px-2 py-1"><input type="text" className="w-full border border-slate-200 rounded px-1 py-0.5" value={emp.dept} onChange={(e) => update(emp.empId, { dept: e.target.value })} /></td>
+                        <td className="px-2 py-1"><input type="text" className="w-24 border border-slate-200 rounded px-1 py-0.5" value={emp.costCenter} onChange={(e) => update(emp.empId, { costCenter: e.target.value })} /></td>
+                        <td className="px-2 py-1"><input type="date" className="border border-slate-200 rounded px-1 py-0.5" value={emp.hireDate || ''} onChange={(e) => update(emp.empId, { hireDate: e.target.value || null })} /></td>
+                        <td className="px-2 py-1"><input type="date" className="border border-slate-200 rounded px-1 py-0.5" value={emp.terminationDate || ''} onChange={(e) => update(emp.empId, { terminationDate: e.target.value || null })} /></td>
+                        <td className="px-2 py-1 text-center"><input type="checkbox" checked={emp.active} onChange={(e) => update(emp.empId, { active: e.target.checked })} /></td>
+                        <td className="px-2 py-1">
+                          {/* Committed on blur so separators can be typed */}
+                          <input
+                            key={emp.aliases.join(',')}
+                            type="text"
+                            placeholder="e.g. 5101, 9101"
+                            className="w-32 border border-slate-200 rounded px-1 py-0.5 font-mono"
+                            defaultValue={emp.aliases.join(', ')}
+                            onBlur={(e) => update(emp.empId, { aliases: createEmployee({ empId: emp.empId, aliases: e.target.value }).aliases })}
+                          />
+                        </td>
+                        <td className="px-2 py-1 text-end">
+                          <button onClick={() => setDraft(draft.filter(d => d.empId !== emp.empId))} className="text-slate-400 hover:text-red-600">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            <Save className="w-4 h-4" />
+            {t('directory.save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
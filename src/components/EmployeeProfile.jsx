@@ -0,0 +1,208 @@
+import React, { useMemo } from 'react';
+import { ArrowLeft, Printer, AlertTriangle, CalendarDays, Clock, BarChart3 } from 'lucide-react';
+import { employeeProfile } from '../engine/employeeProfile';
+import { formatClock, formatMinutes } from '../utils/format';
+import { dayColor, DAY_COLOR_LEGEND } from '../utils/statusColors';
+import { SeverityBadge } from './IssuesPanel';
+import ApprovalControl from './ApprovalControl';
+import useI18n from '../hooks/useI18n';
+import { translateOr } from '../i18n';
+
+// Calendar columns run Sunday to Saturday
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const HISTOGRAM_HEIGHT = 96;
+
+// Punch counts per half hour as vertical bars
+const TimeHistogram = ({ buckets, color }) => {
+  const { lang, t } = useI18n();
+  if (buckets.length === 0) {
+    return <p className="text-sm text-slate-400 text-center py-8">{t('profile.noPunches')}</p>;
+  }
+  const max = Math.max(...buckets.map(b => b.count));
+  const labelEvery = Math.ceil(buckets.length / 8);
+  return (
+    <div className="flex items-end gap-1 overflow-x-auto" dir="ltr" style={{ height: HISTOGRAM_HEIGHT + 20 }}>
+      {buckets.map((bucket, idx) => (
+        <div key={bucket.start} className="flex flex-col items-center justify-end min-w-[20px] flex-1" title={`${formatClock(bucket.start, lang)}: ${t('profile.dayCount', { count: bucket.count })}`}>
+          <div className="w-full rounded-t" style={{ height: Math.max(bucket.count > 0 ? 2 : 0, (bucket.count / max) * HISTOGRAM_HEIGHT), backgroundColor: color }}></div>
+          <span className="text-[10px] text-slate-400 h-4 mt-1">{idx % labelEvery === 0 ? formatClock(bucket.start, lang) : ''}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// One employee on a page of their own: month calendars coloured by day status, arrival and departure
+// patterns, weekly hours and the issues found in their records. The timesheet prints from here.
+export default function EmployeeProfile({ emp, anomalies, hoursPerDay, approval, showApproval, onDecideApproval, onBack, onPrint, onCorrect }) {
+  const { lang, t, formatNumber, formatDate, formatWeekday } = useI18n();
+  const profile = useMemo(() => employeeProfile(emp), [emp]);
+  const issues = useMemo(() => [...anomalies].sort((a, b) => String(a.date || '').localeCompare(String(b.date || ''))), [anomalies]);
+  const maxWeekHours = Math.max(hoursPerDay * 5, ...profile.weeks.map(w => w.hours));
+
+  const cards = [
+    { label: 'daysPresent', value: formatNumber(emp.daysPresent), className: 'text-slate-800' },
+    { label: 'daysAbsent', value: formatNumber(emp.daysAbsent), className: emp.daysAbsent > 0 ? 'text-red-600' : 'text-slate-800' },
+    { label: 'leaveDays', value: formatNumber(emp.daysLeave), className: 'text-slate-800' },
+    { label: 'totalHours', value: formatNumber(emp.totalActualHours, 2), className: 'text-slate-800' },
+    { label: 'averageStart', value: profile.averageStart === null ? '-' : formatClock(profile.averageStart, lang), className: 'text-slate-800' },
+    { label: 'averageEnd', value: profile.averageEnd === null ? '-' : formatClock(profile.averageEnd, lang), className: 'text-slate-800' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 bg-white p-4 rounded-lg shadow-sm border border-slate-200">
+        <div className="flex items-center gap-4">
+          <button onClick={onBack} title={t('profile.back')} className="p-2 rounded-lg text-slate-500 hover:bg-slate-100">
+            <ArrowLeft className="w-5 h-5 rtl:rotate-180" />
+          </button>
+          <div>
+            <h2 className="text-lg font-semibold text-slate-800">{emp.name}</h2>
+            <p className="text-sm text-slate-500">{t('profile.id', { id: String(emp.empId) })} · {emp.dept}{emp.costCenter ? ` · ${emp.costCenter}` : ''}</p>
+          </div>
+          {showApproval && <ApprovalControl approval={approval} onDecide={onDecideApproval} />}
+        </div>
+        <button
+          onClick={onPrint}
+          className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+        >
+          <Printer className="w-4 h-4" />
+          {t('profile.print')}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+        {cards.map(card => (
+          <div key={card.label} className="bg-white p-4 rounded-lg shadow-sm border border-slate-200">
+            <p className="text-sm text-slate-500 font-medium">{t(`profile.cards.${card.label}`)}</p>
+            <p className={`text-2xl font-bold ${card.className}`}>{card.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4">
+        <h4 className="flex items-center gap-2 text-xs font-bold uppercase text-slate-500 mb-3">
+          <CalendarDays className="w-4 h-4 text-slate-400" />
+          {t('profile.calendar')}
+        </h4>
+        {profile.calendar.length === 0 ? (
+          <p className="text-sm text-slate-400 text-center py-10">{t('profile.noDatedRecords')}</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+            {profile.calendar.map(month => (
+              <div key={month.month}>
+                <p className="text-sm font-medium text-slate-700 mb-2">{formatDate(`${month.month}-01`, { month: 'long', year: 'numeric' })}</p>
+                <table className="w-full border-separate" style={{ borderSpacing: 2 }}>
+                  <thead>
+                    <tr>{WEEKDAYS.map(day => <th key={day} className="text-[10px] font-normal text-slate-400">{formatWeekday(day)}</th>)}</tr>
+                  </thead>
+                  <tbody>
+                    {month.weeks.map((week, idx) => (
+                      <tr key={idx}>
+                        {week.map((cell, day) => (cell ? (
+                          <td
+                            key={cell.isoDate}
+                            title={`${formatDate(cell.isoDate)}: ${cell.record?.leaveName || cell.record?.holidayName || (cell.status ? t(`status.${cell.status}`) : t('charts.noRecord'))}${cell.hours ? ` (${t('charts.hours', { hours: formatNumber(cell.hours, 2) })})` : ''}`}
+                            onClick={() => cell.record && onCorrect(cell.record)}
+                            className={`h-8 rounded text-center text-xs text-slate-700 ${cell.record ? 'cursor-pointer hover:ring-2 hover:ring-blue-400' : ''} ${cell.record?.correctedFields?.length ? 'ring-1 ring-blue-500' : ''}`}
+                            style={{ backgroundColor: dayColor(cell) }}
+                          >
+                            {formatNumber(cell.day)}
+                          </td>
+                        ) : <td key={`empty-${day}`}></td>))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="flex flex-wrap gap-4 mt-3 text-xs text-slate-500">
+          {DAY_COLOR_LEGEND.map(item => (
+            <span key={item.status} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: item.color }}></span>
+              {t(`legend.${item.status}`)}
+            </span>
+          ))}
+          <span className="text-slate-400">{t('profile.clickToCorrect')}</span>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4">
+          <h4 className="flex items-center gap-2 text-xs font-bold uppercase text-slate-500 mb-3">
+            <Clock className="w-4 h-4 text-slate-400" />
+            {t('profile.arrivals')}
+          </h4>
+          <TimeHistogram buckets={profile.arrivals} color="#3b82f6" />
+        </div>
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4">
+          <h4 className="flex items-center gap-2 text-xs font-bold uppercase text-slate-500 mb-3">
+            <Clock className="w-4 h-4 text-slate-400" />
+            {t('profile.departures')}
+          </h4>
+          <TimeHistogram buckets={profile.departures} color="#6366f1" />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+          <div className="px-4 py-3 border-b border-slate-100 bg-slate-50/50 flex items-center gap-2">
+            <BarChart3 className="w-4 h-4 text-slate-400" />
+            <h4 className="text-xs font-bold uppercase text-slate-500">{t('profile.weeklyHours')}</h4>
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-slate-400 border-b border-slate-100">
+                <th className="px-4 py-2 text-start font-medium">{t('profile.week')}</th>
+                <th className="px-4 py-2 text-end font-medium">{t('profile.days')}</th>
+                <th className="px-4 py-2 text-end font-medium">{t('profile.hours')}</th>
+                <th className="px-4 py-2 text-end font-medium">{t('profile.scheduled')}</th>
+                <th className="px-4 py-2 w-1/3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-50">
+              {profile.weeks.map(week => (
+                <tr key={week.weekStart}>
+                  <td className="px-4 py-2 font-mono text-slate-600">{formatDate(week.weekStart)} – {formatDate(week.weekEnd, { day: '2-digit', month: 'short' })}</td>
+                  <td className="px-4 py-2 text-end text-slate-700">{formatNumber(week.daysPresent)}</td>
+                  <td className="px-4 py-2 text-end font-mono text-slate-700">{formatNumber(week.hours, 2)}</td>
+                  <td className="px-4 py-2 text-end font-mono text-slate-500">{formatMinutes(week.scheduledMinutes, lang)}</td>
+                  <td className="px-4 py-2">
+                    <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                      <div className="h-full bg-blue-500" style={{ width: `${(week.hours / maxWeekHours) * 100}%` }}></div>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+          <div className="px-4 py-3 border-b border-slate-100 bg-slate-50/50 flex items-center gap-2">
+            <AlertTriangle className="w-4 h-4 text-slate-400" />
+            <h4 className="text-xs font-bold uppercase text-slate-500">{t('app.tabs.issues', { count: issues.length })}</h4>
+          </div>
+          {issues.length === 0 ? (
+            <p className="text-sm text-slate-400 text-center py-10">{t('profile.noIssues')}</p>
+          ) : (
+            <ul className="divide-y divide-slate-100 max-h-96 overflow-y-auto">
+              {issues.map(issue => (
+                <li key={issue.id} className="flex items-start gap-3 px-4 py-2 text-sm">
+                  <SeverityBadge severity={issue.severity} />
+                  <span className="font-mono text-slate-500 whitespace-nowrap">{issue.date ? formatDate(issue.date) : '-'}</span>
+                  <span className="flex-1 min-w-0">
+                    <span className="font-medium text-slate-700">{translateOr(lang, `anomalies.labels.${issue.ruleId}`, issue.label)}</span>
+                    <span className="text-slate-500"> · {translateOr(lang, `anomalies.messages.${issue.ruleId}`, issue.message, issue.params)}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Download, FileJson, FileSpreadsheet, FileText, Printer, X } from 'lucide-react';
+import { EXPORT_SCOPES } from '../engine/exports';
+import useI18n from '../hooks/useI18n';
+
+// Labels and hints are the i18n keys exportDialog.formats.<key>.label / .hint
+const FORMATS = [
+  { key: 'xlsx', icon: FileSpreadsheet },
+  { key: 'csv', icon: FileText },
+  { key: 'json', icon: FileJson },
+  { key: 'pdf', icon: Printer }
+];
+
+// Choose an export format and whether it covers the current view or the full dataset
+export default function ExportDialog({ viewCount, totalCount, initialScope, onExport, onCancel }) {
+  const { t } = useI18n();
+  const [format, setFormat] = useState('xlsx');
+  const [scope, setScope] = useState(initialScope);
+  const [error, setError] = useState(null);
+
+  const handleExport = () => {
+    try {
+      onExport(format, scope);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Download className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('exportDialog.title')}</h2>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <section>
+            <h3 className="text-xs font-bold uppercase text-slate-500 mb-3">{t('exportDialog.format')}</h3>
+            <div className="space-y-2">
+              {FORMATS.map(({ key, icon }) => {
+                const Icon = icon;
+                return (
+                  <label key={key} className={`flex items-center gap-3 border rounded-lg px-3 py-2 cursor-pointer text-sm ${format === key ? 'border-blue-500 bg-blue-50/50' : 'border-slate-200 hover:bg-slate-50'}`}>
+                    <input type="radio" name="exportFormat" checked={format === key} onChange={() => setFormat(key)} />
+                    <Icon className="w-4 h-4 text-slate-400" />
+                    <span className="flex-1">
+                      <span className="block font-medium text-slate-700">{t(`exportDialog.formats.${key}.label`)}</span>
+                      <span className="block text-xs text-slate-400">{t(`exportDialog.formats.${key}.hint`)}</span>
+                    </span>
+                  </label>
+                );
+              })}
+            </div>
+          </section>
+
+          <section>
+            <h3 className="text-xs font-bold uppercase text-slate-500 mb-3">{t('exportDialog.employees')}</h3>
+            <div className="space-y-2 text-sm">
+              <label className="flex items-center gap-2">
+                <input type="radio" name="exportScope" checked={scope === EXPORT_SCOPES.VIEW} onChange={() => setScope(EXPORT_SCOPES.VIEW)} />
+                {t('exportDialog.view', { count: viewCount })}
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="radio" name="exportScope" checked={scope === EXPORT_SCOPES.ALL} onChange={() => setScope(EXPORT_SCOPES.ALL)} />
+                {t('exportDialog.all', { count: totalCount })}
+              </label>
+            </div>
+          </section>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={(scope === EXPORT_SCOPES.VIEW ? viewCount : totalCount) === 0}
+            className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            {t('exportDialog.export')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
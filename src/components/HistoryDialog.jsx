@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { Check, FolderOpen, History, Pencil, Trash2, X } from 'lucide-react';
+import { listPeriods, renamePeriod, deletePeriod } from '../storage/periods';
+import useI18n from '../hooks/useI18n';
+
+// Saved report periods: reopen, rename or delete
+export default function HistoryDialog({ currentPeriodId, onOpen, onDeleted, onClose }) {
+  const { t, formatDate, formatDateTime } = useI18n();
+  const [periods, setPeriods] = useState(null);
+  // { key, params }, translated when shown
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listPeriods()
+      .then(list => { if (!cancelled) setPeriods(list); })
+      .catch(err => {
+        console.error(err);
+        if (!cancelled) setError({ key: 'history.errors.load', params: { message: err.message } });
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  const commitRename = async () => {
+    const name = editing.name.trim();
+    if (!name) return;
+    try {
+      await renamePeriod(editing.id, name);
+      setPeriods(periods.map(p => (p.id === editing.id ? { ...p, name } : p)));
+      setEditing(null);
+    } catch (err) {
+      console.error(err);
+      setError({ key: 'history.errors.rename', params: { message: err.message } });
+    }
+  };
+
+  const handleDelete = async (period) => {
+    if (!window.confirm(t('history.confirmDelete', { name: period.name }))) return;
+    setBusyId(period.id);
+    try {
+      await deletePeriod(period.id);
+      setPeriods(periods.filter(p => p.id !== period.id));
+      onDeleted(period.id);
+    } catch (err) {
+      console.error(err);
+      setError({ key: 'history.errors.delete', params: { message: err.message } });
+    }
+    setBusyId(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <History className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('history.title')}</h2>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {error && <p className="text-sm text-red-600">{t(error.key, error.params)}</p>}
+
+          {!periods && !error && (
+            <div className="flex items-center justify-center gap-3 py-6 text-sm text-slate-500">
+              <div className="animate-spin w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full"></div>
+              {t('history.loading')}
+            </div>
+          )}
+
+          {periods && periods.length === 0 && (
+            <p className="text-sm text-slate-500 text-center py-6">{t('history.empty')}</p>
+          )}
+
+          {periods && periods.length > 0 && (
+            <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+              {periods.map(period => (
+                <li key={period.id} className={`px-4 py-3 flex items-center gap-3 text-sm ${period.id === currentPeriodId ? 'bg-blue-50/50' : ''}`}>
+                  <div className="flex-1 min-w-0">
+                    {editing?.id === period.id ? (
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          autoFocus
+                          className="flex-1 border border-slate-300 rounded-lg px-2 py-1 text-sm"
+                          value={editing.name}
+                          onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') commitRename();
+                            if (e.key === 'Escape') setEditing(null);
+                          }}
+                        />
+                        <button onClick={commitRename} className="text-blue-600 hover:text-blue-700">
+                          <Check className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <p className="font-medium text-slate-700 truncate">{period.name}</p>
+                    )}
+                    <p className="text-xs text-slate-400 truncate">
+                      {period.from && period.to ? `${formatDate(period.from)} – ${formatDate(period.to)}` : t('history.noDates')}
+                      {' · '}{t('history.counts', { employees: period.employeeCount, records: period.recordCount })}
+                      {' · '}{(period.fileNames || []).join(', ')}
+                    </p>
+                    <p className="text-xs text-slate-400">{period.createdAt ? t('history.savedAt', { when: formatDateTime(period.createdAt) }) : t('app.period.saving')}</p>
+                  </div>
+                  <button
+                    onClick={() => onOpen(period)}
+                    className="flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700"
+                  >
+                    <FolderOpen className="w-4 h-4" /> {t('history.open')}
+                  </button>
+                  <button onClick={() => setEditing({ id: period.id, name: period.name })} className="text-slate-400 hover:text-slate-600">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDelete(period)} disabled={busyId === period.id} className="text-slate-400 hover:text-red-600 disabled:opacity-50">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { CalendarDays, Plus, Save, Trash2, Upload, X } from 'lucide-react';
+import { parseHolidayFile, mergeHolidays } from '../engine/holidays';
+import useI18n from '../hooks/useI18n';
+
+// Manage public holidays: import an ICS/CSV calendar or add dates by hand
+export default function HolidayCalendarDialog({ holidays, onSave, onCancel }) {
+  const { t, formatDate } = useI18n();
+  const [draft, setDraft] = useState(holidays);
+  const [newDate, setNewDate] = useState('');
+  const [newName, setNewName] = useState('');
+  const [importError, setImportError] = useState(null);
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      const imported = parseHolidayFile(file.name, String(evt.target.result));
+      if (imported.length === 0) {
+        setImportError(t('holidays.noneFound', { file: file.name }));
+        return;
+      }
+      setImportError(null);
+      setDraft(mergeHolidays(draft, imported));
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const addHoliday = () => {
+    if (!newDate) return;
+    setDraft(mergeHolidays(draft, [{ date: newDate, name: newName.trim() || t('status.holiday') }]));
+    setNewDate('');
+    setNewName('');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <CalendarDays className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('holidays.title')}</h2>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <label className="flex items-center justify-center gap-2 cursor-pointer bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium">
+              <Upload className="w-4 h-4" />
+              {t('holidays.import')}
+              <input type="file" accept=".ics,.csv,.txt" className="hidden" onChange={handleImport} />
+            </label>
+            <div className="flex flex-1 gap-2">
+              <input type="date" className="border border-slate-300 rounded-lg px-3 py-2 text-sm" value={newDate} onChange={(e) => setNewDate(e.target.value)} />
+              <input type="text" placeholder={t('holidays.namePlaceholder')} className="flex-1 border border-slate-300 rounded-lg px-3 py-2 text-sm" value={newName} onChange={(e) => setNewName(e.target.value)} />
+              <button onClick={addHoliday} disabled={!newDate} className="px-3 py-2 rounded-lg bg-blue-600 text-white disabled:opacity-50">
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
+          {importError && <p className="text-sm text-red-600">{importError}</p>}
+
+          {draft.length === 0 ? (
+            <p className="text-sm text-slate-500 text-center py-6">{t('holidays.empty')}</p>
+          ) : (
+            <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg max-h-80 overflow-y-auto">
+              {draft.map(holiday => (
+                <li key={holiday.date} className="flex items-center justify-between px-3 py-2 text-sm">
+                  <span>
+                    <span className="font-mono text-slate-600 me-3">{formatDate(holiday.date)}</span>
+                    <span className="text-slate-700">{holiday.name}</span>
+                  </span>
+                  <button onClick={() => setDraft(draft.filter(h => h.date !== holiday.date))} className="text-slate-400 hover:text-red-600">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            <Save className="w-4 h-4" />
+            {t('holidays.save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
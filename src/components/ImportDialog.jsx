@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Columns, FileSearch, Upload, X } from 'lucide-react';
+import { HEADER_SCAN_LIMIT, buildColumnMap } from '../engine/columnMapping';
+import { previewSource, sourceLabel } from '../engine/sources';
+import { formatClock } from '../utils/format';
+import useI18n from '../hooks/useI18n';
+import { translateMessage } from '../i18n';
+
+// Where the column mapping came from: i18n keys importPreview.mappingSources.<source>
+const MAPPING_SOURCES = ['auto', 'profile', 'manual'];
+
+const rowPreview = (row, empty) => (row || []).filter(cell => String(cell).trim() !== '').slice(0, 6).join(' | ') || empty;
+
+// Review newly loaded files before they replace the dataset: detected header row (with an override),
+// the first rows as they will be read, skipped and suspicious rows and missing optional columns
+export default function ImportDialog({ sources, newSourceIds, sourceDiagnostics, mergeResult, ruleSet, dateOrder, busy, onToggle, onMappingChange, onMapColumns, onConfirm, onCancel }) {
+  const { lang, t, formatNumber, formatDate } = useI18n();
+  const pending = sources.filter(src => newSourceIds.includes(src.id));
+  const [selectedId, setSelectedId] = useState(pending[0]?.id);
+  const source = pending.find(src => src.id === selectedId) || pending[0];
+  const diag = source && source.include ? sourceDiagnostics[source.id] : null;
+
+  if (!source) return null;
+
+  // Only the first rows are read again, so this stays cheap on every render
+  const preview = diag ? previewSource(source, diag, { ruleSet, dateOrder }) : [];
+
+  const failed = diag && diag.errors.length > 0;
+  const issues = Object.values(diag?.rowIssues || {});
+  const missingColumns = (diag?.warnings || []).filter(w => w.code === 'OPTIONAL_COLUMN_MISSING');
+  const records = mergeResult ? mergeResult.records.length : 0;
+
+  const changeHeaderRow = (value) => {
+    const idx = Number(value);
+    onMappingChange(source.id, idx === -1 ? null : { headerRowIndex: idx, colMap: buildColumnMap(source.rows[idx] || []) });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <FileSearch className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('importPreview.title')}</h2>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {pending.length > 1 && (
+            <div className="flex flex-wrap gap-1 border-b border-slate-200">
+              {pending.map(src => {
+                const srcDiag = sourceDiagnostics[src.id];
+                const srcFailed = src.include && srcDiag && srcDiag.errors.length > 0;
+                return (
+                  <button
+                    key={src.id}
+                    onClick={() => setSelectedId(src.id)}
+                    className={`px-3 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${src.id === source.id ? 'border-blue-600 text-blue-600' : 'border-transparent text-slate-500 hover:text-slate-700'} ${src.include ? '' : 'line-through opacity-60'}`}
+                  >
+                    {sourceLabel(src)}
+                    {srcFailed && <AlertTriangle className="inline w-3 h-3 ms-1 text-red-500" />}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Source and header row */}
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="flex items-center gap-2 text-sm text-slate-700">
+              <input type="checkbox" className="rounded border-slate-300" checked={source.include} onChange={() => onToggle(source.id)} />
+              {t('importPreview.include', { source: sourceLabel(source), kind: t(source.kind === 'punchlog' ? 'sources.punchLog' : 'sources.timeCard') })}
+            </label>
+            {source.kind === 'timecard' && source.include && (
+              <div className="flex items-end gap-2 flex-1 min-w-[16rem]">
+                <label className="flex-1 text-sm">
+                  <span className="block text-xs text-slate-500 mb-1">{t('importPreview.headerRow')}</span>
+                  <select
+                    className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm"
+                    value={source.mapping ? source.mapping.headerRowIndex : -1}
+                    onChange={(e) => changeHeaderRow(e.target.value)}
+                    disabled={busy}
+                  >
+                    <option value={-1}>{t('importPreview.detect')}</option>
+                    {source.rows.slice(0, HEADER_SCAN_LIMIT).map((row, idx) => (
+                      <option key={idx} value={idx}>{t('importPreview.rowOption', { row: idx + 1, preview: rowPreview(row, t('importPreview.emptyRow')) })}</option>
+                    ))}
+                  </select>
+                </label>
+                <button onClick={() => onMapColumns(source.id)} disabled={busy} className="flex items-center gap-1 px-3 py-2 rounded-lg text-sm text-blue-600 hover:bg-blue-50 disabled:opacity-50">
+                  <Columns className="w-4 h-4" /> {t('importPreview.mapColumns')}
+                </button>
+              </div>
+            )}
+          </div>
+
+          {source.include && !diag && (
+            <p className="text-sm text-slate-500">{busy ? t('importPreview.reading') : t('importPreview.notRead')}</p>
+          )}
+
+          {diag && (
+            <>
+              <p className="text-sm text-slate-600">
+                {diag.headerRowIndex >= 0
+                  ? <>
+                      {t('importPreview.headerOn')} <strong>{t('importPreview.row', { row: diag.headerRowIndex + 1 })}</strong>
+                      {source.kind === 'timecard' && `, ${t(`importPreview.mappingSources.${MAPPING_SOURCES.includes(diag.mappingSource) ? diag.mappingSource : 'auto'}`, { limit: HEADER_SCAN_LIMIT })}`}
+                      {diag.profileName && ` (${diag.profileName})`}.
+                    </>
+                  : source.kind === 'punchlog' && !failed
+                    ? t('importPreview.attlogLayout')
+                    : t('importPreview.noHeader', { limit: HEADER_SCAN_LIMIT })}
+                {diag.dateOrder && ` ${t('importPreview.datesReadAs', { order: diag.dateOrder })}`}
+              </p>
+
+              {failed && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                  {diag.errors.map(err => <p key={err.code}>{translateMessage(lang, 'diagnostics', err)}</p>)}
+                  {source.kind === 'timecard' && <p className="text-xs mt-1">{t('importPreview.fixHint')}</p>}
+                </div>
+              )}
+
+              {!failed && (
+                <div className="grid grid-cols-3 gap-3">
+                  <div className="p-3 bg-slate-50 rounded-lg">
+                    <p className="text-xs text-slate-500">{t('importPreview.parsedRows')}</p>
+                    <p className="text-xl font-bold text-slate-800">{formatNumber(diag.parsedRows)}</p>
+                  </div>
+                  <div className="p-3 bg-slate-50 rounded-lg">
+                    <p className="text-xs text-slate-500">{t('importPreview.skippedRows')}</p>
+                    <p className="text-xl font-bold text-slate-800">{formatNumber(diag.skippedRows)}</p>
+                  </div>
+                  <div className={`p-3 rounded-lg ${diag.suspiciousRows > 0 ? 'bg-amber-50' : 'bg-slate-50'}`}>
+                    <p className="text-xs text-slate-500">{t('importPreview.suspiciousRows')}</p>
+                    <p className={`text-xl font-bold ${diag.suspiciousRows > 0 ? 'text-amber-700' : 'text-slate-800'}`}>{formatNumber(diag.suspiciousRows)}</p>
+                  </div>
+                </div>
+              )}
+
+              {issues.length > 0 && (
+                <div>
+                  <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('importPreview.rowIssues')}</h3>
+                  <ul className="text-sm divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                    {issues.map(issue => (
+                      <li key={issue.code} className="px-3 py-2 flex items-center gap-3">
+                        <span className={`text-xs px-2 py-0.5 rounded-full ${issue.kind === 'skipped' ? 'bg-slate-100 text-slate-600' : 'bg-amber-100 text-amber-700'}`}>
+                          {issue.kind === 'skipped' ? t('importPreview.skipped') : t('importPreview.suspicious')}
+                        </span>
+                        <span className="flex-1 text-slate-700">{translateMessage(lang, 'rowIssues', issue)}</span>
+                        <span className="text-xs text-slate-400">
+                          {t('importPreview.issueRows', { count: issue.count, rows: issue.rows.map(row => formatNumber(row)) })}{issue.count > issue.rows.length && ', …'}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {missingColumns.length > 0 && (
+                <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+                  {missingColumns.map(w => <p key={w.field}>{translateMessage(lang, 'diagnostics', w)}</p>)}
+                  {missingColumns.some(w => w.field === 'dept') && <p className="text-xs mt-1">{t('importPreview.unknownDept')}</p>}
+                  {missingColumns.some(w => ['regularH', 'workedHours', 'totalHours'].includes(w.field)) && (
+                    <p className="text-xs mt-1">{t('importPreview.nextHourSource')}</p>
+                  )}
+                </div>
+              )}
+
+              {preview.length > 0 && (
+                <div>
+                  <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('importPreview.firstRows')}</h3>
+                  <div className="overflow-x-auto border border-slate-200 rounded-lg">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-xs text-slate-400 border-b border-slate-100">
+                          <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.row')}</th>
+                          <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.empId')}</th>
+                          <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.name')}</th>
+                          <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.dept')}</th>
+                          <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.date')}</th>
+                          {source.kind === 'punchlog' ? (
+                            <>
+                              <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.time')}</th>
+                              <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.state')}</th>
+                            </>
+                          ) : (
+                            <>
+                              <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.clockIn')}</th>
+                              <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.clockOut')}</th>
+                              <th className="px-3 py-2 text-end font-medium">{t('importPreview.columns.hours')}</th>
+                              <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.from')}</th>
+                              <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.present')}</th>
+                            </>
+                          )}
+                          <th className="px-3 py-2 text-start font-medium">{t('importPreview.columns.note')}</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-50">
+                        {preview.map(({ rowNumber, record, punch, issues: rowIssues }) => {
+                          const item = record || punch;
+                          const note = rowIssues.map(code => t(`rowIssues.${code}`)).join('; ');
+                          return (
+                            <tr key={rowNumber} className={!item ? 'text-slate-400 bg-slate-50' : rowIssues.length > 0 ? 'bg-amber-50/50' : ''}>
+                              <td className="px-3 py-2 font-mono text-slate-400">{formatNumber(rowNumber)}</td>
+                              {!item && <td colSpan={source.kind === 'punchlog' ? 6 : 9} className="px-3 py-2 italic">{t('importPreview.skippedNote', { note })}</td>}
+                              {item && (
+                                <>
+                                  <td className="px-3 py-2 text-slate-700">{item.empId}</td>
+                                  <td className="px-3 py-2 text-slate-700">{item.name}</td>
+                                  <td className="px-3 py-2 text-slate-500">{item.dept}</td>
+                                  <td className="px-3 py-2 font-mono text-slate-600">{item.isoDate ? formatDate(item.isoDate) : item.date || '-'}</td>
+                                  {punch ? (
+                                    <>
+                                      <td className="px-3 py-2 font-mono text-slate-600">{punch.clock}</td>
+                                      <td className="px-3 py-2 text-slate-500">{punch.state || '-'}</td>
+                                    </>
+                                  ) : (
+                                    <>
+                                      <td className="px-3 py-2 font-mono text-slate-500">{record.clockInMinutes != null ? formatClock(record.clockInMinutes, lang) : record.clockIn || '-'}</td>
+                                      <td className="px-3 py-2 font-mono text-slate-500">{record.clockOutMinutes != null ? formatClock(record.clockOutMinutes, lang) : record.clockOut || '-'}</td>
+                                      <td className="px-3 py-2 text-end font-bold text-slate-700">{record.actualHours > 0 ? formatNumber(record.actualHours, 2) : '-'}</td>
+                                      <td className="px-3 py-2 text-xs text-slate-500">{record.source}</td>
+                                      <td className="px-3 py-2 text-slate-500">{record.isPresent ? t('common.yes') : t('common.no')}</td>
+                                    </>
+                                  )}
+                                  <td className="px-3 py-2 text-xs text-amber-700">{note}</td>
+                                </>
+                              )}
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex items-center justify-between gap-4">
+          <p className="text-sm text-slate-500">
+            {busy ? t('importPreview.updating') : t('importPreview.willReplace', { count: records })}
+          </p>
+          <div className="flex gap-2">
+            <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+              {t('common.cancel')}
+            </button>
+            <button
+              onClick={onConfirm}
+              disabled={busy || records === 0}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              <Upload className="w-4 h-4" />
+              {t('importPreview.import')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
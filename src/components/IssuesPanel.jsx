@@ -0,0 +1,97 @@
+import React, { useState, useMemo } from 'react';
+import { AlertTriangle, ChevronRight } from 'lucide-react';
+import { SEVERITY, ANOMALY_RULES } from '../engine/anomalies';
+import { translateOr } from '../i18n';
+import useI18n from '../hooks/useI18n';
+
+const SEVERITY_STYLES = {
+  [SEVERITY.HIGH]: 'bg-red-100 text-red-800',
+  [SEVERITY.MEDIUM]: 'bg-amber-100 text-amber-800',
+  [SEVERITY.LOW]: 'bg-slate-100 text-slate-600'
+};
+
+export const SeverityBadge = ({ severity }) => {
+  const { t } = useI18n();
+  return (
+    <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium uppercase ${SEVERITY_STYLES[severity]}`}>
+      {t(`anomalies.severity.${severity}`)}
+    </span>
+  );
+};
+
+// List of data-quality flags with filters and links into the employee's daily breakdown
+export default function IssuesPanel({ anomalies, onOpen }) {
+  const { lang, t, formatDate } = useI18n();
+  const [severityFilter, setSeverityFilter] = useState('all');
+  const [ruleFilter, setRuleFilter] = useState('all');
+
+  const counts = useMemo(() => {
+    const bySeverity = { [SEVERITY.HIGH]: 0, [SEVERITY.MEDIUM]: 0, [SEVERITY.LOW]: 0 };
+    anomalies.forEach(a => { bySeverity[a.severity] += 1; });
+    return bySeverity;
+  }, [anomalies]);
+
+  const visible = anomalies.filter(a => (
+    (severityFilter === 'all' || a.severity === severityFilter)
+    && (ruleFilter === 'all' || a.ruleId === ruleFilter)
+  ));
+
+  if (anomalies.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 px-6 py-10 text-center text-slate-500">
+        {t('issues.none')}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+      <div className="px-4 py-3 border-b border-slate-200 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div className="flex items-center gap-2 text-sm text-slate-600">
+          <AlertTriangle className="w-4 h-4 text-amber-500" />
+          <span>{t('issues.counts', { high: counts.high, medium: counts.medium, low: counts.low })}</span>
+        </div>
+        <div className="flex gap-2">
+          <select className="border border-slate-300 rounded-lg px-2 py-1 text-sm" value={severityFilter} onChange={(e) => setSeverityFilter(e.target.value)}>
+            <option value="all">{t('issues.allSeverities')}</option>
+            {Object.values(SEVERITY).map(sev => <option key={sev} value={sev}>{t(`anomalies.severity.${sev}`)}</option>)}
+          </select>
+          <select className="border border-slate-300 rounded-lg px-2 py-1 text-sm" value={ruleFilter} onChange={(e) => setRuleFilter(e.target.value)}>
+            <option value="all">{t('issues.allChecks')}</option>
+            {Object.keys(ANOMALY_RULES).map(ruleId => <option key={ruleId} value={ruleId}>{t(`anomalies.labels.${ruleId}`)}</option>)}
+          </select>
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="bg-slate-50 border-b border-slate-200 text-xs font-semibold text-slate-500 uppercase tracking-wider">
+              <th className="px-4 py-3 text-start">{t('issues.severity')}</th>
+              <th className="px-4 py-3 text-start">{t('issues.check')}</th>
+              <th className="px-4 py-3 text-start">{t('issues.employee')}</th>
+              <th className="px-4 py-3 text-start">{t('issues.date')}</th>
+              <th className="px-4 py-3 text-start">{t('issues.details')}</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {visible.map(anomaly => (
+              <tr key={anomaly.id} className="hover:bg-slate-50">
+                <td className="px-4 py-2"><SeverityBadge severity={anomaly.severity} /></td>
+                <td className="px-4 py-2 text-slate-700">{t(`anomalies.labels.${anomaly.ruleId}`)}</td>
+                <td className="px-4 py-2 text-slate-700">{anomaly.empId} · {anomaly.name}</td>
+                <td className="px-4 py-2 font-mono text-slate-600">{anomaly.date ? formatDate(anomaly.date) : '-'}</td>
+                <td className="px-4 py-2 text-slate-500">{translateOr(lang, `anomalies.messages.${anomaly.ruleId}`, anomaly.message, anomaly.params)}</td>
+                <td className="px-4 py-2 text-end">
+                  <button onClick={() => onOpen(anomaly)} className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-700 text-xs font-medium">
+                    {t('issues.view')} <ChevronRight className="w-3 h-3 rtl:rotate-180" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { Palmtree, Plus, Save, Trash2, Upload, X } from 'lucide-react';
+import { createLeave, parseLeaveCsv, mergeLeaves, findLeaveType, leaveTypeId, leaveLength } from '../engine/leaves';
+import useI18n from '../hooks/useI18n';
+import { translateMessage } from '../i18n';
+
+const MAX_IMPORT_ERRORS = 5;
+
+// Manage leave types and per-employee leave entries: add date ranges by hand or import a leave CSV
+export default function LeaveDialog({ leaves, leaveTypes, employees, onSave, onCancel }) {
+  const { lang, t, formatNumber, formatDate } = useI18n();
+  const [draftLeaves, setDraftLeaves] = useState(leaves);
+  const [draftTypes, setDraftTypes] = useState(leaveTypes);
+  const [entry, setEntry] = useState({ empId: '', start: '', end: '', type: leaveTypes[0]?.id || '', note: '' });
+  const [newTypeName, setNewTypeName] = useState('');
+  const [importResult, setImportResult] = useState(null);
+  const [empFilter, setEmpFilter] = useState('');
+
+  const employeeName = (empId) => employees.find(emp => String(emp.empId) === String(empId))?.name || '';
+  const typeInUse = (typeId) => draftLeaves.some(l => l.type === typeId);
+  const canAdd = entry.empId.trim() && entry.start && entry.type;
+
+  const updateType = (id, changes) => setDraftTypes(draftTypes.map(type => (type.id === id ? { ...type, ...changes } : type)));
+
+  const addType = () => {
+    const name = newTypeName.trim();
+    if (!name) return;
+    setDraftTypes([...draftTypes, { id: leaveTypeId(name, draftTypes), name, paid: true }]);
+    setNewTypeName('');
+  };
+
+  const addLeave = () => {
+    if (!canAdd) return;
+    setDraftLeaves(mergeLeaves(draftLeaves, [createLeave(entry)]));
+    setEntry({ ...entry, start: '', end: '', note: '' });
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (evt) => {
+      const result = parseLeaveCsv(String(evt.target.result), draftTypes);
+      setImportResult({ fileName: file.name, ...result });
+      if (result.leaves.length > 0) setDraftLeaves(mergeLeaves(draftLeaves, result.leaves));
+    };
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const visibleLeaves = draftLeaves.filter(l => {
+    const search = empFilter.trim().toLowerCase();
+    return !search || String(l.empId).toLowerCase().includes(search) || employeeName(l.empId).toLowerCase().includes(search);
+  });
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Palmtree className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('leave.title')}</h2>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <section>
+            <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('leave.types')}</h3>
+            <p className="text-xs text-slate-400 mb-2">{t('leave.paidHint')}</p>
+            <ul className="space-y-2">
+              {draftTypes.map(type => (
+                <li key={type.id} className="flex items-center gap-3 text-sm">
+                  <input type="text" className="flex-1 border border-slate-300 rounded px-2 py-1" value={type.name} onChange={(e) => updateType(type.id, { name: e.target.value })} />
+                  <label className="flex items-center gap-1 text-slate-600">
+                    <input type="checkbox" checked={Boolean(type.paid)} onChange={(e) => updateType(type.id, { paid: e.target.checked })} />
+                    {t('leave.paid')}
+                  </label>
+                  <button
+                    onClick={() => setDraftTypes(draftTypes.filter(other => other.id !== type.id))}
+                    disabled={typeInUse(type.id)}
+                    title={typeInUse(type.id) ? t('leave.typeInUse') : t('leave.removeType')}
+                    className="text-slate-400 hover:text-red-600 disabled:opacity-30 disabled:hover:text-slate-400"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="flex gap-2 mt-2">
+              <input type="text" placeholder={t('leave.newTypePlaceholder')} className="flex-1 border border-slate-300 rounded-lg px-3 py-2 text-sm" value={newTypeName} onChange={(e) => setNewTypeName(e.target.value)} />
+              <button onClick={addType} disabled={!newTypeName.trim()} className="px-3 py-2 rounded-lg bg-blue-600 text-white disabled:opacity-50">
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+          </section>
+
+          <section>
+            <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('leave.add')}</h3>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-sm">
+              <input type="text" list="leave-employees" placeholder={t('leave.employeeId')} className="border border-slate-300 rounded px-2 py-1" value={entry.empId} onChange={(e) => setEntry({ ...entry, empId: e.target.value })} />
+              <datalist id="leave-employees">
+                {employees.map(emp => <option key={emp.empId} value={emp.empId}>{emp.name}</option>)}
+              </datalist>
+              <input type="date" title={t('leave.firstDay')} className="border border-slate-300 rounded px-2 py-1" value={entry.start} onChange={(e) => setEntry({ ...entry, start: e.target.value })} />
+              <input type="date" title={t('leave.lastDay')} className="border border-slate-300 rounded px-2 py-1" value={entry.end} min={entry.start || undefined} onChange={(e) => setEntry({ ...entry, end: e.target.value })} />
+              <select className="border border-slate-300 rounded px-2 py-1" value={entry.type} onChange={(e) => setEntry({ ...entry, type: e.target.value })}>
+                {draftTypes.map(type => <option key={type.id} value={type.id}>{type.name}</option>)}
+              </select>
+              <div className="flex gap-2">
+                <input type="text" placeholder={t('leave.note')} className="flex-1 min-w-0 border border-slate-300 rounded px-2 py-1" value={entry.note} onChange={(e) => setEntry({ ...entry, note: e.target.value })} />
+                <button onClick={addLeave} disabled={!canAdd} className="px-3 py-1 rounded-lg bg-blue-600 text-white disabled:opacity-50">
+                  <Plus className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          </section>
+
+          <section>
+            <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('leave.import')}</h3>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+              <label className="flex items-center justify-center gap-2 cursor-pointer bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium">
+                <Upload className="w-4 h-4" />
+                {t('leave.importCsv')}
+                <input type="file" accept=".csv,.txt" className="hidden" onChange={handleImport} />
+              </label>
+              <span className="text-xs text-slate-400 font-mono" dir="ltr">employee id, start, end, type, note</span>
+            </div>
+            {importResult && (
+              <div className="mt-2 text-sm">
+                <p className="text-slate-600">{t('leave.importResult', { file: importResult.fileName, imported: importResult.leaves.length, skipped: importResult.errors.length })}</p>
+                {importResult.errors.length > 0 && (
+                  <ul className="text-xs text-red-600 mt-1 space-y-0.5">
+                    {importResult.errors.slice(0, MAX_IMPORT_ERRORS).map(err => (
+                      <li key={err.line}>{t('importErrors.line', { line: err.line, message: translateMessage(lang, 'importErrors', err) })}</li>
+                    ))}
+                    {importResult.errors.length > MAX_IMPORT_ERRORS && <li>{t('app.warnings.more', { count: importResult.errors.length - MAX_IMPORT_ERRORS })}</li>}
+                  </ul>
+                )}
+              </div>
+            )}
+          </section>
+
+          <section>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-xs font-bold uppercase text-slate-500">{t('leave.entries', { count: draftLeaves.length })}</h3>
+              <input type="text" placeholder={t('leave.filter')} className="border border-slate-300 rounded px-2 py-1 text-sm" value={empFilter} onChange={(e) => setEmpFilter(e.target.value)} />
+            </div>
+            {visibleLeaves.length === 0 ? (
+              <p className="text-sm text-slate-500 text-center py-6">{t('leave.empty')}</p>
+            ) : (
+              <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg max-h-72 overflow-y-auto">
+                {visibleLeaves.map(leave => {
+                  const type = findLeaveType(draftTypes, leave.type);
+                  return (
+                    <li key={leave.id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                      <span className="flex-1 min-w-0 truncate">
+                        <span className="font-mono text-slate-600 me-3">{leave.empId}</span>
+                        <span className="text-slate-700 me-3">{employeeName(leave.empId)}</span>
+                        <span className="font-mono text-slate-500 me-3">
+                          {formatDate(leave.start)}{leave.end !== leave.start ? ` – ${formatDate(leave.end)}` : ''} ({t('leave.length', { days: formatNumber(leaveLength(leave)) })})
+                        </span>
+                        <span className={type.paid ? 'text-green-700' : 'text-amber-700'}>{type.name}</span>
+                        {leave.note && <span className="text-slate-400 ms-2">· {leave.note}</span>}
+                      </span>
+                      <button onClick={() => setDraftLeaves(draftLeaves.filter(l => l.id !== leave.id))} className="text-slate-400 hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={() => onSave(draftLeaves, draftTypes)}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            <Save className="w-4 h-4" />
+            {t('leave.save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,258 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowDown, ArrowUp, Download, Save, Trash2, Wallet, X } from 'lucide-react';
+import {
+  buildPayrollLines,
+  payrollSheetRows,
+  payrollColumnLabel,
+  PAYROLL_COLUMNS,
+  DEFAULT_PAYROLL_TEMPLATE,
+  ROUNDING_MODES
+} from '../engine/payroll';
+import useI18n from '../hooks/useI18n';
+
+const ROUNDING_STEPS = [0, 5, 10, 15, 30, 60];
+const PREVIEW_LINES = 5;
+
+const toNumber = (value) => (value === '' ? 0 : Number(value));
+
+const NumberField = ({ label, value, onChange, step = 'any' }) => (
+  <label className="text-sm">
+    <span className="block text-xs text-slate-500 mb-1">{label}</span>
+    <input type="number" min="0" step={step} className="w-full border border-slate-300 rounded px-2 py-1" value={value} onChange={(e) => onChange(toNumber(e.target.value))} />
+  </label>
+);
+
+// Hourly / daily rate inputs for one department or employee; empty inputs remove the override
+const RateRow = ({ label, rate, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex items-center justify-between gap-3 text-sm border border-slate-100 rounded px-3 py-2">
+      <span className="text-slate-700 truncate flex-1">{label}</span>
+      <input type="number" min="0" step="any" placeholder={t('payroll.dialog.hourly')} className="w-24 border border-slate-300 rounded px-2 py-1" value={rate?.hourly ?? ''} onChange={(e) => onChange({ ...rate, hourly: e.target.value === '' ? undefined : Number(e.target.value) })} />
+      <input type="number" min="0" step="any" placeholder={t('payroll.dialog.daily')} className="w-24 border border-slate-300 rounded px-2 py-1" value={rate?.daily ?? ''} onChange={(e) => onChange({ ...rate, daily: e.target.value === '' ? undefined : Number(e.target.value) })} />
+    </div>
+  );
+};
+
+// Pay rules, rate tables and column templates for the payroll export
+export default function PayrollDialog({ rules, templates, summary, departments, onSaveRules, onSaveTemplate, onDeleteTemplate, onExport, onCancel }) {
+  const { lang, t, formatNumber } = useI18n();
+  const [draft, setDraft] = useState(rules);
+  const [templateId, setTemplateId] = useState(DEFAULT_PAYROLL_TEMPLATE.id);
+  const [columns, setColumns] = useState(DEFAULT_PAYROLL_TEMPLATE.columns);
+  const [templateName, setTemplateName] = useState('');
+
+  const allTemplates = [DEFAULT_PAYROLL_TEMPLATE, ...templates];
+  const template = { name: templateName || t('payroll.dialog.custom'), columns };
+  const lines = useMemo(() => buildPayrollLines(summary, draft), [summary, draft]);
+  const preview = payrollSheetRows(lines.slice(0, PREVIEW_LINES), template, { lang });
+
+  const update = (section, changes) => setDraft({ ...draft, [section]: { ...draft[section], ...changes } });
+
+  const setRate = (kind, key, rate) => {
+    const next = { ...draft.rates[kind] };
+    if (rate && (rate.hourly !== undefined || rate.daily !== undefined)) {
+      next[key] = rate;
+    } else {
+      delete next[key];
+    }
+    setDraft({ ...draft, rates: { ...draft.rates, [kind]: next } });
+  };
+
+  const selectTemplate = (id) => {
+    const selected = allTemplates.find(item => item.id === id);
+    if (!selected) return;
+    setTemplateId(id);
+    setColumns(selected.columns);
+    setTemplateName(id === DEFAULT_PAYROLL_TEMPLATE.id ? '' : selected.name);
+  };
+
+  const toggleColumn = (key) => {
+    setColumns(columns.some(c => c.key === key) ? columns.filter(c => c.key !== key) : [...columns, { key }]);
+  };
+
+  const moveColumn = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= columns.length) return;
+    const next = [...columns];
+    [next[index], next[target]] = [next[target], next[index]];
+    setColumns(next);
+  };
+
+  const renameColumn = (key, label) => {
+    setColumns(columns.map(c => (c.key === key ? { ...c, label: label || undefined } : c)));
+  };
+
+  const unusedColumns = PAYROLL_COLUMNS.filter(col => !columns.some(c => c.key === col.key));
+  const defaultLabel = (key) => payrollColumnLabel(key, lang) || key;
+  const templateLabel = (item) => (item.id === DEFAULT_PAYROLL_TEMPLATE.id ? t('payroll.dialog.standardTemplate') : item.name);
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Wallet className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('payroll.dialog.title')}</h2>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-8">
+          {/* Pay Rules */}
+          <section>
+            <h3 className="text-xs font-bold uppercase text-slate-500 mb-3">{t('payroll.dialog.payRules')}</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <label className="text-sm">
+                <span className="block text-xs text-slate-500 mb-1">{t('payroll.dialog.roundTo')}</span>
+                <select className="w-full border border-slate-300 rounded px-2 py-1" value={draft.rounding.minutes} onChange={(e) => update('rounding', { minutes: Number(e.target.value) })}>
+                  {ROUNDING_STEPS.map(step => <option key={step} value={step}>{step ? t('payroll.dialog.minutes', { minutes: step }) : t('payroll.dialog.noRounding')}</option>)}
+                </select>
+              </label>
+              <label className="text-sm">
+                <span className="block text-xs text-slate-500 mb-1">{t('payroll.rules.rounding')}</span>
+                <select className="w-full border border-slate-300 rounded px-2 py-1" value={draft.rounding.mode} onChange={(e) => update('rounding', { mode: e.target.value })}>
+                  {ROUNDING_MODES.map(mode => <option key={mode} value={mode}>{t(`payroll.rounding.${mode}`)}</option>)}
+                </select>
+              </label>
+              <div></div>
+              <div></div>
+              <NumberField label={t('payroll.rules.otWeekday')} value={draft.overtime.weekday} onChange={(v) => update('overtime', { weekday: v })} />
+              <NumberField label={t('payroll.rules.otWeekend')} value={draft.overtime.weekend} onChange={(v) => update('overtime', { weekend: v })} />
+              <NumberField label={t('payroll.rules.otHoliday')} value={draft.overtime.holiday} onChange={(v) => update('overtime', { holiday: v })} />
+              <div></div>
+              <NumberField label={t('payroll.dialog.defaultHourly')} value={draft.rates.default.hourly} onChange={(v) => setDraft({ ...draft, rates: { ...draft.rates, default: { ...draft.rates.default, hourly: v } } })} />
+              <NumberField label={t('payroll.dialog.defaultDaily')} value={draft.rates.default.daily} onChange={(v) => setDraft({ ...draft, rates: { ...draft.rates, default: { ...draft.rates.default, daily: v } } })} />
+            </div>
+            <p className="text-xs text-slate-400 mt-2">
+              {t('payroll.dialog.rulesHint')}
+            </p>
+          </section>
+
+          {/* Rate Tables */}
+          {departments.length > 0 && (
+            <section>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-3">{t('payroll.dialog.departmentRates')}</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {departments.map(dept => (
+                  <RateRow key={dept} label={dept} rate={draft.rates.departments[dept]} onChange={(rate) => setRate('departments', dept, rate)} />
+                ))}
+              </div>
+            </section>
+          )}
+
+          {summary.length > 0 && (
+            <section>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-3">{t('payroll.dialog.employeeRates')}</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-64 overflow-y-auto">
+                {summary.map(emp => (
+                  <RateRow key={emp.empId} label={`${emp.empId} · ${emp.name}`} rate={draft.rates.employees[String(emp.empId)]} onChange={(rate) => setRate('employees', String(emp.empId), rate)} />
+                ))}
+              </div>
+            </section>
+          )}
+
+          {/* Column Template */}
+          <section>
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-3">
+              <h3 className="text-xs font-bold uppercase text-slate-500">{t('payroll.dialog.columns')}</h3>
+              <div className="flex gap-2">
+                <select className="border border-slate-300 rounded px-2 py-1 text-sm" value={templateId} onChange={(e) => selectTemplate(e.target.value)}>
+                  {allTemplates.map(item => <option key={item.id} value={item.id}>{templateLabel(item)}</option>)}
+                </select>
+                {templateId !== DEFAULT_PAYROLL_TEMPLATE.id && (
+                  <button onClick={() => { onDeleteTemplate(templateId); selectTemplate(DEFAULT_PAYROLL_TEMPLATE.id); }} className="text-slate-400 hover:text-red-600">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+            <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+              {columns.map((col, index) => (
+                <li key={col.key} className="flex items-center gap-2 px-3 py-1.5 text-sm">
+                  <input type="checkbox" className="rounded border-slate-300" checked onChange={() => toggleColumn(col.key)} />
+                  <input
+                    className="flex-1 border border-transparent hover:border-slate-300 rounded px-2 py-0.5"
+                    value={col.label ?? ''}
+                    placeholder={defaultLabel(col.key)}
+                    onChange={(e) => renameColumn(col.key, e.target.value)}
+                  />
+                  <button onClick={() => moveColumn(index, -1)} className="text-slate-400 hover:text-slate-600"><ArrowUp className="w-4 h-4" /></button>
+                  <button onClick={() => moveColumn(index, 1)} className="text-slate-400 hover:text-slate-600"><ArrowDown className="w-4 h-4" /></button>
+                </li>
+              ))}
+            </ul>
+            {unusedColumns.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-3">
+                {unusedColumns.map(col => (
+                  <button key={col.key} onClick={() => toggleColumn(col.key)} className="px-2 py-1 rounded text-xs bg-slate-100 text-slate-600 hover:bg-slate-200">
+                    + {defaultLabel(col.key)}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="flex gap-2 mt-3">
+              <input type="text" placeholder={t('payroll.dialog.templateName')} className="flex-1 border border-slate-300 rounded-lg px-3 py-2 text-sm" value={templateName} onChange={(e) => setTemplateName(e.target.value)} />
+              <button
+                onClick={() => onSaveTemplate({ name: templateName.trim(), columns })}
+                disabled={!templateName.trim() || columns.length === 0}
+                className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 hover:bg-slate-200 text-slate-700 disabled:opacity-50"
+              >
+                {t('payroll.dialog.saveTemplate')}
+              </button>
+            </div>
+          </section>
+
+          {/* Preview */}
+          {preview.length > 0 && (
+            <section>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-3">{t('payroll.dialog.preview', { shown: Math.min(PREVIEW_LINES, lines.length), total: lines.length })}</h3>
+              <div className="overflow-x-auto border border-slate-200 rounded-lg">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="bg-slate-50 text-slate-500">
+                      {Object.keys(preview[0]).map(header => <th key={header} className="px-3 py-2 text-start font-medium whitespace-nowrap">{header}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {preview.map((row, idx) => (
+                      <tr key={idx}>
+                        {Object.entries(row).map(([header, value]) => <td key={header} className="px-3 py-1.5 text-slate-700 whitespace-nowrap">{typeof value === 'number' ? formatNumber(value) : value}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex flex-wrap justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={() => onSaveRules(draft)}
+            className="flex items-center gap-2 bg-slate-100 hover:bg-slate-200 text-slate-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            <Save className="w-4 h-4" />
+            {t('payroll.dialog.saveRules')}
+          </button>
+          {['csv', 'xlsx'].map(format => (
+            <button
+              key={format}
+              onClick={() => onExport(format, draft, template)}
+              disabled={columns.length === 0}
+              className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              {t('payroll.dialog.export', { format: format.toUpperCase() })}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+import { dayColor, DAY_COLOR_LEGEND } from '../utils/statusColors';
+import useI18n from '../hooks/useI18n';
+
+const CELL = 14;
+
+// Employee × day grid of presence
+export default function PresenceHeatmap({ matrix, onSelectEmployee }) {
+  const { t, formatNumber, formatDate, formatPadded } = useI18n();
+  const { days, rows } = matrix;
+  if (rows.length === 0 || days.length === 0) {
+    return <p className="text-sm text-slate-400 text-center py-10">{t('charts.noRecords')}</p>;
+  }
+
+  return (
+    <div>
+      <div className="overflow-auto max-h-[480px]">
+        <table className="border-separate" style={{ borderSpacing: 2 }}>
+          <thead>
+            <tr>
+              <th className="sticky start-0 bg-white"></th>
+              {days.map((isoDate, idx) => (
+                <th key={isoDate} className="text-[9px] font-normal text-slate-400" style={{ width: CELL }}>
+                  {idx % 7 === 0 ? formatPadded(Number(isoDate.slice(8)), 2) : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.empId}>
+                <td className="sticky start-0 bg-white pe-2 text-xs text-slate-600 whitespace-nowrap">
+                  <button onClick={() => onSelectEmployee(row.empId)} className="hover:text-blue-600">
+                    {row.name || row.empId}
+                  </button>
+                </td>
+                {row.cells.map(cell => (
+                  <td
+                    key={cell.isoDate}
+                    title={`${row.name} · ${formatDate(cell.isoDate)}: ${cell.status ? t(`status.${cell.status}`) : t('charts.noRecord')}${cell.hours ? ` (${t('charts.hours', { hours: formatNumber(cell.hours, 2) })})` : ''}`}
+                    style={{ width: CELL, height: CELL, backgroundColor: dayColor(cell) }}
+                    className="rounded-sm"
+                  ></td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-slate-500">
+        {DAY_COLOR_LEGEND.map(item => (
+          <span key={item.status} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: item.color }}></span>
+            {t(`legend.${item.status}`)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Bookmark, Check, ChevronDown, Filter, Link2, Trash2, X } from 'lucide-react';
+import { DEFAULT_FILTERS, activeFilterCount } from '../utils/viewState';
+import useI18n from '../hooks/useI18n';
+
+const RangeInputs = ({ label, unit, min, max, onMin, onMax }) => {
+  const { t } = useI18n();
+  return (
+    <div className="flex items-center gap-1 text-sm text-slate-600">
+      <span>{label}</span>
+      <input type="number" min="0" placeholder={t('filters.min')} className="w-20 border border-slate-300 rounded px-2 py-1" value={min} onChange={(e) => onMin(e.target.value)} />
+      <span className="text-slate-400">–</span>
+      <input type="number" min="0" placeholder={t('filters.max')} className="w-20 border border-slate-300 rounded px-2 py-1" value={max} onChange={(e) => onMax(e.target.value)} />
+      <span className="text-xs text-slate-400">{unit}</span>
+    </div>
+  );
+};
+
+// Department, hour and day filters for the report, plus named views and a link to the current view
+export default function ReportFilters({ filters, departments, onChange, savedViews, currentQuery, onApplyView, onSaveView, onDeleteView, onCopyLink, linkCopied }) {
+  const { t } = useI18n();
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const toggleDept = (dept) => update({
+    depts: filters.depts.includes(dept) ? filters.depts.filter(d => d !== dept) : [...filters.depts, dept]
+  });
+  const activeView = savedViews.find(v => v.query === currentQuery);
+
+  return (
+    <div className="flex flex-col lg:flex-row gap-4 justify-between lg:items-center bg-white px-4 py-3 rounded-lg shadow-sm border border-slate-200">
+      <div className="flex flex-wrap items-center gap-4">
+        <details className="relative">
+          <summary className="list-none flex items-center gap-2 cursor-pointer border border-slate-300 rounded-lg px-3 py-1.5 text-sm text-slate-700 select-none">
+            {filters.depts.length === 0 ? t('filters.allDepartments') : filters.depts.length === 1 ? filters.depts[0] : t('filters.departmentCount', { count: filters.depts.length })}
+            <ChevronDown className="w-4 h-4 text-slate-400" />
+          </summary>
+          <div className="absolute z-20 mt-1 w-64 max-h-72 overflow-y-auto bg-white border border-slate-200 rounded-lg shadow-lg p-2">
+            {departments.map(dept => (
+              <label key={dept} className="flex items-center gap-2 px-2 py-1 rounded text-sm text-slate-700 hover:bg-slate-50">
+                <input type="checkbox" className="rounded border-slate-300" checked={filters.depts.includes(dept)} onChange={() => toggleDept(dept)} />
+                {dept}
+              </label>
+            ))}
+            {filters.depts.length > 0 && (
+              <button onClick={() => update({ depts: [] })} className="w-full text-start px-2 py-1 text-xs text-blue-600 hover:text-blue-700">{t('filters.clearSelection')}</button>
+            )}
+          </div>
+        </details>
+        <RangeInputs label={t('filters.hours')} unit={t('filters.hoursUnit')} min={filters.minHours} max={filters.maxHours} onMin={(v) => update({ minHours: v })} onMax={(v) => update({ maxHours: v })} />
+        <RangeInputs label={t('filters.daysPresent')} unit={t('filters.daysUnit')} min={filters.minDays} max={filters.maxDays} onMin={(v) => update({ minDays: v })} onMax={(v) => update({ maxDays: v })} />
+        <label className="flex items-center gap-2 text-sm text-slate-600 select-none">
+          <input type="checkbox" className="rounded border-slate-300" checked={filters.issuesOnly} onChange={(e) => update({ issuesOnly: e.target.checked })} />
+          <Filter className="w-4 h-4 text-slate-400" />
+          {t('filters.issuesOnly')}
+        </label>
+        {activeFilterCount(filters) > 0 && (
+          <button onClick={() => onChange({ ...DEFAULT_FILTERS, search: filters.search })} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+            <X className="w-3 h-3" />
+            {t('filters.clearFilters')}
+          </button>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <Bookmark className="w-4 h-4 text-slate-400" />
+        <select
+          className="px-3 py-1.5 border border-slate-300 rounded-lg text-sm text-slate-700 focus:ring-2 focus:ring-blue-500 outline-none"
+          value={activeView?.id || ''}
+          onChange={(e) => {
+            const view = savedViews.find(v => v.id === e.target.value);
+            if (view) onApplyView(view);
+          }}
+        >
+          <option value="">{savedViews.length === 0 ? t('filters.noSavedViews') : t('filters.savedViews')}</option>
+          {savedViews.map(view => <option key={view.id} value={view.id}>{view.name}</option>)}
+        </select>
+        {activeView ? (
+          <button onClick={() => onDeleteView(activeView.id)} title={t('filters.deleteView', { name: activeView.name })} className="text-slate-400 hover:text-red-600">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        ) : (
+          <button onClick={onSaveView} className="text-sm text-blue-600 hover:text-blue-700">{t('filters.saveView')}</button>
+        )}
+        <button
+          onClick={onCopyLink}
+          title={t('filters.copyLinkTitle')}
+          className="flex items-center gap-1 bg-slate-100 hover:bg-slate-200 text-slate-700 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors"
+        >
+          {linkCopied ? <Check className="w-4 h-4 text-green-600" /> : <Link2 className="w-4 h-4" />}
+          {linkCopied ? t('filters.copied') : t('filters.copyLink')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowDown, ArrowUp, History, Plus, Save, SlidersHorizontal, Trash2, X } from 'lucide-react';
+import {
+  applyRules,
+  scopeLabel,
+  ruleSetLabel,
+  describePresence,
+  describePriority,
+  hourSourceLabel,
+  presenceFieldLabel,
+  presenceTestLabel,
+  HOUR_SOURCES,
+  PRESENCE_FIELDS,
+  PRESENCE_TESTS,
+  RULE_SCOPES
+} from '../engine/rules';
+import useI18n from '../hooks/useI18n';
+
+const toNumber = (value) => (value === '' ? 0 : Number(value));
+
+const NumberField = ({ label, value, onChange }) => (
+  <label className="text-sm">
+    <span className="block text-xs text-slate-500 mb-1">{label}</span>
+    <input type="number" min="0" step="any" className="w-full border border-slate-300 rounded px-2 py-1" value={value} onChange={(e) => onChange(toNumber(e.target.value))} />
+  </label>
+);
+
+// Present days and hours over the parsed records under a rule set
+const totalsFor = (records, ruleSet) => applyRules(records, ruleSet).reduce((acc, rec) => {
+  if (rec.isPresent) {
+    acc.days += 1;
+    acc.hours += rec.actualHours;
+  }
+  return acc;
+}, { days: 0, hours: 0 });
+
+// Editor for one scope's rules
+const RulesEditor = ({ rules, onChange }) => {
+  const { lang, t, formatNumber } = useI18n();
+  const update = (changes) => onChange({ ...rules, ...changes });
+  const { checks, match } = rules.presence;
+  const setChecks = (next) => update({ presence: { ...rules.presence, checks: next } });
+  const unusedSources = Object.keys(HOUR_SOURCES).filter(key => !rules.hourPriority.includes(key));
+
+  const moveSource = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= rules.hourPriority.length) return;
+    const next = [...rules.hourPriority];
+    [next[index], next[target]] = [next[target], next[index]];
+    update({ hourPriority: next });
+  };
+
+  return (
+    <div className="space-y-6">
+      <section>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-xs font-bold uppercase text-slate-500">{t('rulesDialog.presentWhen')}</h4>
+          <select className="border border-slate-300 rounded px-2 py-1 text-sm" value={match} onChange={(e) => update({ presence: { ...rules.presence, match: e.target.value } })}>
+            <option value="any">{t('rulesDialog.matchAny')}</option>
+            <option value="all">{t('rulesDialog.matchAll')}</option>
+          </select>
+        </div>
+        <div className="space-y-2">
+          {checks.map((check, idx) => (
+            <div key={idx} className="flex items-center gap-2 text-sm">
+              <select className="flex-1 border border-slate-300 rounded px-2 py-1" value={check.field} onChange={(e) => setChecks(checks.map((c, i) => (i === idx ? { ...c, field: e.target.value } : c)))}>
+                {Object.keys(PRESENCE_FIELDS).map(key => <option key={key} value={key}>{presenceFieldLabel(key, lang)}</option>)}
+              </select>
+              <select className="flex-1 border border-slate-300 rounded px-2 py-1" value={check.test} onChange={(e) => setChecks(checks.map((c, i) => (i === idx ? { ...c, test: e.target.value } : c)))}>
+                {Object.keys(PRESENCE_TESTS).map(key => <option key={key} value={key}>{presenceTestLabel(key, lang)}</option>)}
+              </select>
+              <button onClick={() => setChecks(checks.filter((_, i) => i !== idx))} className="text-slate-400 hover:text-red-600">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+          {checks.length === 0 && <p className="text-xs text-slate-400">{t('rulesDialog.noConditions')}</p>}
+          <button onClick={() => setChecks([...checks, { field: 'regularH', test: 'positive' }])} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+            <Plus className="w-4 h-4" /> {t('rulesDialog.addCondition')}
+          </button>
+        </div>
+      </section>
+
+      <section>
+        <h4 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('rulesDialog.hoursFrom')}</h4>
+        <p className="text-xs text-slate-400 mb-2">{t('rulesDialog.hoursFromHint')}</p>
+        <ol className="space-y-1">
+          {rules.hourPriority.map((key, idx) => (
+            <li key={key} className="flex items-center gap-2 text-sm border border-slate-100 rounded px-3 py-1.5">
+              <span className="text-xs text-slate-400 w-4">{formatNumber(idx + 1)}.</span>
+              <span className="flex-1 text-slate-700">{hourSourceLabel(key, lang)}</span>
+              <button onClick={() => moveSource(idx, -1)} disabled={idx === 0} className="text-slate-400 hover:text-slate-600 disabled:opacity-30">
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button onClick={() => moveSource(idx, 1)} disabled={idx === rules.hourPriority.length - 1} className="text-slate-400 hover:text-slate-600 disabled:opacity-30">
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button onClick={() => update({ hourPriority: rules.hourPriority.filter(k => k !== key) })} className="text-slate-400 hover:text-red-600">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ol>
+        {unusedSources.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {unusedSources.map(key => (
+              <button key={key} onClick={() => update({ hourPriority: [...rules.hourPriority, key] })} className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700">
+                <Plus className="w-3 h-3" /> {hourSourceLabel(key, lang)}
+              </button>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <section>
+        <h4 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('rulesDialog.days')}</h4>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <NumberField label={t('rulesDialog.minPresentHours')} value={rules.minPresentHours} onChange={(v) => update({ minPresentHours: v })} />
+          <NumberField label={t('rulesDialog.halfDay')} value={rules.dayThresholds.halfDayHours} onChange={(v) => update({ dayThresholds: { ...rules.dayThresholds, halfDayHours: v } })} />
+          <NumberField label={t('rulesDialog.fullDay')} value={rules.dayThresholds.fullDayHours} onChange={(v) => update({ dayThresholds: { ...rules.dayThresholds, fullDayHours: v } })} />
+          <NumberField label={t('rulesDialog.standardDay')} value={rules.dayLengthHours} onChange={(v) => update({ dayLengthHours: v || 1 })} />
+        </div>
+      </section>
+    </div>
+  );
+};
+
+// Presence and hour rules, with overrides per department or site (source file / device).
+// The draft is applied to the report while the dialog is open; saving stores it as a new version.
+export default function RulesDialog({ ruleSet, draft, history, records, departments, sites, onChange, onSave, onCancel }) {
+  const { lang, t, formatNumber } = useI18n();
+  const [selected, setSelected] = useState('base');
+  const [newScope, setNewScope] = useState(RULE_SCOPES.DEPT);
+  const [newMatch, setNewMatch] = useState('');
+
+  const before = useMemo(() => totalsFor(records, ruleSet), [records, ruleSet]);
+  const after = useMemo(() => totalsFor(records, draft), [records, draft]);
+
+  const selectedOverride = draft.overrides.find(o => o.id === selected);
+  const editedRules = selectedOverride ? selectedOverride.rules : draft.base;
+
+  const updateRules = (rules) => {
+    if (selectedOverride) {
+      onChange({ ...draft, overrides: draft.overrides.map(o => (o.id === selected ? { ...o, rules } : o)) });
+    } else {
+      onChange({ ...draft, base: rules });
+    }
+  };
+
+  const candidates = (newScope === RULE_SCOPES.DEPT ? departments : sites)
+    .filter(value => !draft.overrides.some(o => o.scope === newScope && o.match === value));
+
+  const addOverride = () => {
+    const match = newMatch || candidates[0];
+    if (!match) return;
+    const id = `${newScope}:${match}`;
+    onChange({ ...draft, overrides: [...draft.overrides, { id, scope: newScope, match, rules: draft.base }] });
+    setSelected(id);
+    setNewMatch('');
+  };
+
+  const removeOverride = (id) => {
+    onChange({ ...draft, overrides: draft.overrides.filter(o => o.id !== id) });
+    setSelected('base');
+  };
+
+  const restore = (version) => {
+    const entry = history.find(h => h.version === Number(version));
+    if (!entry) return;
+    onChange({ ...draft, base: entry.base, overrides: entry.overrides });
+    setSelected('base');
+  };
+
+  const changed = before.days !== after.days || Math.abs(before.hours - after.hours) > 0.005;
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-5xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <SlidersHorizontal className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('rulesDialog.title')}</h2>
+            <span className="text-xs text-slate-400">{ruleSetLabel(ruleSet, lang)}</span>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 grid grid-cols-1 md:grid-cols-3 gap-6">
+          <aside className="space-y-4">
+            <ul className="border border-slate-200 rounded-lg divide-y divide-slate-100 text-sm">
+              {[{ id: 'base', label: t('rulesDialog.defaultRules'), rules: draft.base }, ...draft.overrides.map(o => ({ id: o.id, label: scopeLabel(o, lang), rules: o.rules }))].map(item => (
+                <li key={item.id} className={`flex items-center gap-2 px-3 py-2 cursor-pointer ${selected === item.id ? 'bg-blue-50' : 'hover:bg-slate-50'}`} onClick={() => setSelected(item.id)}>
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-slate-700 truncate">{item.label}</p>
+                    <p className="text-xs text-slate-400 truncate" title={describePresence(item.rules, lang)}>{describePriority(item.rules, lang)}</p>
+                  </div>
+                  {item.id !== 'base' && (
+                    <button onClick={(e) => { e.stopPropagation(); removeOverride(item.id); }} className="text-slate-400 hover:text-red-600">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+
+            <div className="border border-slate-200 rounded-lg p-3 space-y-2 text-sm">
+              <h4 className="text-xs font-bold uppercase text-slate-500">{t('rulesDialog.addOverride')}</h4>
+              <select className="w-full border border-slate-300 rounded px-2 py-1" value={newScope} onChange={(e) => { setNewScope(e.target.value); setNewMatch(''); }}>
+                <option value={RULE_SCOPES.DEPT}>{t('rulesDialog.scopeDept')}</option>
+                <option value={RULE_SCOPES.SITE}>{t('rulesDialog.scopeSite')}</option>
+              </select>
+              <select className="w-full border border-slate-300 rounded px-2 py-1" value={newMatch || candidates[0] || ''} onChange={(e) => setNewMatch(e.target.value)} disabled={candidates.length === 0}>
+                {candidates.length === 0 && <option value="">{t('rulesDialog.nothingLeft')}</option>}
+                {candidates.map(value => <option key={value} value={value}>{value}</option>)}
+              </select>
+              <button onClick={addOverride} disabled={candidates.length === 0} className="flex items-center gap-1 text-blue-600 hover:text-blue-700 disabled:opacity-50">
+                <Plus className="w-4 h-4" /> {t('common.add')}
+              </button>
+            </div>
+
+            {history.length > 0 && (
+              <label className="block text-sm">
+                <span className="flex items-center gap-1 text-xs font-bold uppercase text-slate-500 mb-1">
+                  <History className="w-3 h-3" /> {t('rulesDialog.earlierVersions')}
+                </span>
+                <select className="w-full border border-slate-300 rounded px-2 py-1" value="" onChange={(e) => restore(e.target.value)}>
+                  <option value="">{t('rulesDialog.restore')}</option>
+                  {history.map(entry => <option key={entry.version} value={entry.version}>{ruleSetLabel(entry, lang)}{entry.updatedBy ? ` · ${entry.updatedBy}` : ''}</option>)}
+                </select>
+              </label>
+            )}
+          </aside>
+
+          <div className="md:col-span-2">
+            <RulesEditor rules={editedRules} onChange={updateRules} />
+          </div>
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <p className="text-sm text-slate-500">
+            {records.length === 0
+              ? t('rulesDialog.loadFiles')
+              : t(changed ? 'rulesDialog.effect' : 'rulesDialog.noEffect', {
+                beforeDays: before.days,
+                afterDays: after.days,
+                beforeHours: formatNumber(before.hours, 2),
+                afterHours: formatNumber(after.hours, 2)
+              })}
+          </p>
+          <div className="flex justify-end gap-2">
+            <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+              {t('common.cancel')}
+            </button>
+            <button
+              onClick={() => onSave(draft)}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              <Save className="w-4 h-4" />
+              {t('rulesDialog.saveAs', { version: ruleSet.version + 1 })}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { Clock, Plus, Save, Trash2, X } from 'lucide-react';
+import { shiftLengthMinutes } from '../engine/shifts';
+import { formatMinutes } from '../utils/format';
+import useI18n from '../hooks/useI18n';
+
+// Shift workdays: 0 = Sunday
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Edit shift templates and assign them to departments or individual employees
+export default function ShiftSettingsDialog({ schedule, departments, employees, onSave, onCancel }) {
+  const { lang, t, formatWeekday } = useI18n();
+  const [draft, setDraft] = useState(schedule);
+
+  const updateShift = (id, changes) => {
+    setDraft({ ...draft, shifts: draft.shifts.map(s => (s.id === id ? { ...s, ...changes } : s)) });
+  };
+
+  const toggleWorkday = (shift, day) => {
+    const workdays = shift.workdays.includes(day)
+      ? shift.workdays.filter(d => d !== day)
+      : [...shift.workdays, day].sort();
+    updateShift(shift.id, { workdays });
+  };
+
+  const addShift = () => {
+    const id = `shift-${Date.now()}`;
+    setDraft({
+      ...draft,
+      shifts: [...draft.shifts, { id, name: t('shifts.newShift'), start: '08:00', end: '16:00', graceMinutes: 0, breakMinutes: 0, workdays: [0, 1, 2, 3, 4] }]
+    });
+  };
+
+  const removeShift = (id) => {
+    // Drop assignments pointing at the removed shift so they fall back to the default
+    const prune = (map) => Object.fromEntries(Object.entries(map).filter(([, shiftId]) => shiftId !== id));
+    setDraft({
+      ...draft,
+      shifts: draft.shifts.filter(s => s.id !== id),
+      departments: prune(draft.departments),
+      employees: prune(draft.employees)
+    });
+  };
+
+  const assign = (kind, key, shiftId) => {
+    const next = { ...draft[kind] };
+    if (shiftId) {
+      next[key] = shiftId;
+    } else {
+      delete next[key];
+    }
+    setDraft({ ...draft, [kind]: next });
+  };
+
+  const shiftOptions = (
+    <>
+      <option value="">{t('shifts.inherit')}</option>
+      {draft.shifts.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+    </>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Clock className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('shifts.title')}</h2>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-8">
+          {/* Shift Templates */}
+          <section>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-xs font-bold uppercase text-slate-500">{t('shifts.templates')}</h3>
+              <button onClick={addShift} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700">
+                <Plus className="w-4 h-4" /> {t('shifts.add')}
+              </button>
+            </div>
+            <div className="space-y-3">
+              {draft.shifts.map(shift => (
+                <div key={shift.id} className="border border-slate-200 rounded-lg p-4 grid grid-cols-2 md:grid-cols-6 gap-3 items-end text-sm">
+                  <label className="col-span-2">
+                    <span className="block text-xs text-slate-500 mb-1">{t('shifts.name')}</span>
+                    <input className="w-full border border-slate-300 rounded px-2 py-1" value={shift.name} onChange={(e) => updateShift(shift.id, { name: e.target.value })} />
+                  </label>
+                  <label>
+                    <span className="block text-xs text-slate-500 mb-1">{t('shifts.start')}</span>
+                    <input type="time" className="w-full border border-slate-300 rounded px-2 py-1" value={shift.start} onChange={(e) => updateShift(shift.id, { start: e.target.value })} />
+                  </label>
+                  <label>
+                    <span className="block text-xs text-slate-500 mb-1">{t('shifts.end')}</span>
+                    <input type="time" className="w-full border border-slate-300 rounded px-2 py-1" value={shift.end} onChange={(e) => updateShift(shift.id, { end: e.target.value })} />
+                  </label>
+                  <label>
+                    <span className="block text-xs text-slate-500 mb-1">{t('shifts.grace')}</span>
+                    <input type="number" min="0" className="w-full border border-slate-300 rounded px-2 py-1" value={shift.graceMinutes} onChange={(e) => updateShift(shift.id, { graceMinutes: Number(e.target.value) })} />
+                  </label>
+                  <label>
+                    <span className="block text-xs text-slate-500 mb-1">{t('shifts.break')}</span>
+                    <input type="number" min="0" className="w-full border border-slate-300 rounded px-2 py-1" value={shift.breakMinutes} onChange={(e) => updateShift(shift.id, { breakMinutes: Number(e.target.value) })} />
+                  </label>
+                  <div className="col-span-2 md:col-span-5 flex flex-wrap items-center gap-2">
+                    {WEEKDAYS.map(day => (
+                      <button
+                        key={day}
+                        onClick={() => toggleWorkday(shift, day)}
+                        className={`px-2 py-1 rounded text-xs font-medium ${shift.workdays.includes(day) ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-500'}`}
+                      >
+                        {formatWeekday(day)}
+                      </button>
+                    ))}
+                    <span className="text-xs text-slate-400 ms-2">{t('shifts.scheduled', { length: formatMinutes(shiftLengthMinutes(shift), lang) })}</span>
+                  </div>
+                  <div className="flex justify-end gap-3 items-center">
+                    <label className="flex items-center gap-1 text-xs text-slate-500">
+                      <input type="radio" name="defaultShift" checked={draft.defaultShiftId === shift.id} onChange={() => setDraft({ ...draft, defaultShiftId: shift.id })} />
+                      {t('shifts.default')}
+                    </label>
+                    {draft.shifts.length > 1 && (
+                      <button onClick={() => removeShift(shift.id)} className="text-slate-400 hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </section>
+
+          {/* Department Assignments */}
+          {departments.length > 0 && (
+            <section>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-3">{t('shifts.departments')}</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {departments.map(dept => (
+                  <label key={dept} className="flex items-center justify-between gap-3 text-sm border border-slate-100 rounded px-3 py-2">
+                    <span className="text-slate-700 truncate">{dept}</span>
+                    <select className="border border-slate-300 rounded px-2 py-1" value={draft.departments[dept] || ''} onChange={(e) => assign('departments', dept, e.target.value)}>
+                      {shiftOptions}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </section>
+          )}
+
+          {/* Employee Overrides */}
+          {employees.length > 0 && (
+            <section>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-3">{t('shifts.employees')}</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-64 overflow-y-auto">
+                {employees.map(emp => (
+                  <label key={emp.empId} className="flex items-center justify-between gap-3 text-sm border border-slate-100 rounded px-3 py-2">
+                    <span className="text-slate-700 truncate">{emp.empId} · {emp.name}</span>
+                    <select className="border border-slate-300 rounded px-2 py-1" value={draft.employees[emp.empId] || ''} onChange={(e) => assign('employees', emp.empId, e.target.value)}>
+                      {shiftOptions}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </section>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex justify-end gap-2">
+          <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm font-medium text-slate-600 hover:bg-slate-100">
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            <Save className="w-4 h-4" />
+            {t('shifts.save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
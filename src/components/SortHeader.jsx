@@ -0,0 +1,26 @@
+import React from 'react';
+import { ArrowUpDown, ChevronDown, ChevronUp } from 'lucide-react';
+
+// Sortable table header cell; align is logical ('start' | 'end') so it follows the text direction
+const SortHeader = ({ label, sortKey, align = 'start', sortConfig, onSort }) => {
+  const isActive = sortConfig.key === sortKey;
+  return (
+    <th 
+      className={`px-6 py-3 cursor-pointer select-none hover:bg-slate-100 transition-colors ${align === 'end' ? 'text-end' : 'text-start'}`}
+      onClick={() => onSort(sortKey)}
+    >
+      <div className={`flex items-center gap-1 ${align === 'end' ? 'justify-end' : 'justify-start'}`}>
+        {label}
+        <div className="text-slate-400">
+          {isActive ? (
+            sortConfig.direction === 'asc' ? <ChevronUp className="w-4 h-4 text-blue-600" /> : <ChevronDown className="w-4 h-4 text-blue-600" />
+          ) : (
+            <ArrowUpDown className="w-3 h-3 opacity-0 group-hover:opacity-50" />
+          )}
+        </div>
+      </div>
+    </th>
+  );
+};
+
+export default SortHeader;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { Columns, FileSpreadsheet, Layers, Trash2, X } from 'lucide-react';
+import { MERGE_STRATEGIES } from '../engine/merge';
+import useI18n from '../hooks/useI18n';
+import { translateMessage } from '../i18n';
+
+// Files and sheets in the current dataset: choose sheets, fix mappings and pick how overlaps merge
+export default function SourcesDialog({ sources, sourceDiagnostics, mergeStrategy, mergeResult, onToggle, onRemove, onMapColumns, onStrategyChange, onClose }) {
+  const { lang, t, formatDate } = useI18n();
+  const files = sources.reduce((acc, src) => {
+    (acc[src.fileName] = acc[src.fileName] || []).push(src);
+    return acc;
+  }, {});
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Layers className="w-5 h-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-slate-800">{t('sources.title')}</h2>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {Object.entries(files).map(([fileName, fileSources]) => (
+            <div key={fileName} className="border border-slate-200 rounded-lg">
+              <div className="px-4 py-2 bg-slate-50 border-b border-slate-200 flex items-center gap-2 text-sm font-medium text-slate-700">
+                <FileSpreadsheet className="w-4 h-4 text-slate-400" />
+                {fileName}
+              </div>
+              <ul className="divide-y divide-slate-100">
+                {fileSources.map(src => {
+                  const diag = sourceDiagnostics[src.id];
+                  const failed = diag && diag.errors.length > 0;
+                  return (
+                    <li key={src.id} className="px-4 py-2 flex items-center gap-3 text-sm">
+                      <input type="checkbox" className="rounded border-slate-300" checked={src.include} onChange={() => onToggle(src.id)} />
+                      <div className="flex-1 min-w-0">
+                        <p className="text-slate-700 truncate">{src.sheetName || t('sources.textLog')}</p>
+                        <p className={`text-xs ${failed ? 'text-red-600' : 'text-slate-400'}`}>
+                          {src.kind === 'punchlog' ? t('sources.punchLog') : t('sources.timeCard')}
+                          {' · '}
+                          {!src.include && t('sources.notIncluded')}
+                          {src.include && !diag && t('sources.pending')}
+                          {src.include && diag && (failed ? translateMessage(lang, 'diagnostics', diag.errors[0]) : t('sources.rows', { count: diag.parsedRows }))}
+                          {!src.recognized && src.include && !failed && ` · ${t('sources.mappedManually')}`}
+                        </p>
+                      </div>
+                      {src.kind === 'timecard' && src.include && (
+                        <button onClick={() => onMapColumns(src.id)} className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700">
+                          <Columns className="w-3 h-3" /> {t('sources.map')}
+                        </button>
+                      )}
+                      <button onClick={() => onRemove(src.id)} className="text-slate-400 hover:text-red-600">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t('sources.strategyLabel')}</label>
+            <select className="w-full border border-slate-300 rounded-lg px-3 py-2 text-sm" value={mergeStrategy} onChange={(e) => onStrategyChange(e.target.value)}>
+              {Object.values(MERGE_STRATEGIES).map(strategy => (
+                <option key={strategy} value={strategy}>{t(`sources.strategies.${strategy}`)}</option>
+              ))}
+            </select>
+            {mergeResult && (
+              <p className="text-xs text-slate-500 mt-2">
+                {t('sources.mergeResult', { duplicates: mergeResult.duplicates, conflicts: mergeResult.conflicts.length })}
+              </p>
+            )}
+          </div>
+
+          {mergeResult && mergeResult.conflicts.length > 0 && (
+            <div>
+              <h3 className="text-xs font-bold uppercase text-slate-500 mb-2">{t('sources.conflicts')}</h3>
+              <ul className="text-xs text-slate-600 space-y-1 max-h-48 overflow-y-auto font-mono border border-slate-200 rounded-lg p-3">
+                {mergeResult.conflicts.map(conflict => (
+                  <li key={`${conflict.empId}|${conflict.isoDate}`}>
+                    {t('sources.conflict', { empId: conflict.empId, date: formatDate(conflict.isoDate), kept: conflict.kept, dropped: conflict.dropped })}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="px-6 py-4 border-t border-slate-200 flex justify-end">
+          <button onClick={onClose} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors">
+            {t('common.done')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import React from 'react';
+import { DAY_STATUS } from '../engine/calendar';
+import useI18n from '../hooks/useI18n';
+
+const STATUS_STYLES = {
+  [DAY_STATUS.PRESENT]: 'bg-green-100 text-green-800',
+  [DAY_STATUS.ABSENT]: 'bg-red-100 text-red-800',
+  [DAY_STATUS.WEEKEND]: 'bg-slate-100 text-slate-600',
+  [DAY_STATUS.HOLIDAY]: 'bg-purple-100 text-purple-800',
+  [DAY_STATUS.LEAVE]: 'bg-amber-100 text-amber-800',
+  [DAY_STATUS.INACTIVE]: 'bg-slate-100 text-slate-400'
+};
+
+// Status of a daily record; falls back to the plain presence rule when no calendar was built
+export default function StatusBadge({ record }) {
+  const { t } = useI18n();
+  const status = record.dayStatus || (record.isPresent ? DAY_STATUS.PRESENT : DAY_STATUS.ABSENT);
+  // Leave days show their type ("Sick Leave") instead of the generic label
+  const label = (status === DAY_STATUS.LEAVE && record.leaveName) || t(`status.${status}`);
+  const title = record.holidayName || (record.leaveName ? `${record.leaveName} (${t(record.leavePaid ? 'status.paid' : 'status.unpaid')})` : undefined);
+  return (
+    <span title={title} className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status]}`}>
+      {label}
+    </span>
+  );
+}
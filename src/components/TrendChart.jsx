@@ -0,0 +1,74 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+const HEIGHT = 160;
+const BAR_GAP = 2;
+const SERIES = [
+  { key: 'present', color: '#22c55e' },
+  { key: 'leave', color: '#f59e0b' },
+  { key: 'absent', color: '#ef4444' }
+];
+
+// Stacked daily bars (present / leave / absent) with the attendance rate drawn as a line.
+// The time axis runs left to right in every language.
+export default function TrendChart({ days }) {
+  const { t, formatDate, formatPercent } = useI18n();
+  if (days.length === 0) {
+    return <p className="text-sm text-slate-400 text-center py-10">{t('charts.noDatedRecords')}</p>;
+  }
+
+  const barWidth = 16;
+  const width = days.length * (barWidth + BAR_GAP);
+  const maxTotal = Math.max(1, ...days.map(day => day.present + day.leave + day.absent));
+  const scale = (value) => (value / maxTotal) * HEIGHT;
+  const labelEvery = Math.ceil(days.length / 15);
+
+  const ratePoints = days
+    .map((day, idx) => (day.rate === null ? null : `${idx * (barWidth + BAR_GAP) + barWidth / 2},${HEIGHT - day.rate * HEIGHT}`))
+    .filter(Boolean)
+    .join(' ');
+
+  return (
+    <div>
+      <div className="overflow-x-auto" dir="ltr">
+        <svg width={Math.max(width, 300)} height={HEIGHT + 24} className="block">
+          {days.map((day, idx) => {
+            const x = idx * (barWidth + BAR_GAP);
+            let y = HEIGHT;
+            return (
+              <g key={day.isoDate}>
+                <title>
+                  {t('charts.trendDay', { date: formatDate(day.isoDate), present: day.present, leave: day.leave, absent: day.absent })}
+                  {day.rate !== null ? ` (${formatPercent(day.rate, 0)})` : ''}
+                </title>
+                {SERIES.map(series => {
+                  const h = scale(day[series.key]);
+                  y -= h;
+                  return h > 0 ? <rect key={series.key} x={x} y={y} width={barWidth} height={h} fill={series.color} /> : null;
+                })}
+                {idx % labelEvery === 0 && (
+                  <text x={x + barWidth / 2} y={HEIGHT + 16} textAnchor="middle" className="fill-slate-400" fontSize="9">
+                    {formatDate(day.isoDate, { day: 'numeric', month: 'numeric' })}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+          {ratePoints && <polyline points={ratePoints} fill="none" stroke="#2563eb" strokeWidth="2" />}
+        </svg>
+      </div>
+      <div className="flex flex-wrap gap-4 mt-2 text-xs text-slate-500">
+        {SERIES.map(series => (
+          <span key={series.key} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: series.color }}></span>
+            {t(`status.${series.key}`)}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-0.5 bg-blue-600"></span>
+          {t('charts.rateLine')}
+        </span>
+      </div>
+    </div>
+  );
+}
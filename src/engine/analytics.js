@@ -0,0 +1,88 @@
+// --- Organization Analytics ---
+// Aggregates over a summarized, calendar-filled dataset: per-department figures, a daily trend
+// and an employee × day presence matrix for the heatmap.
+
+import { DAY_STATUS, getDateRange, eachDay } from './calendar.js';
+
+// Days an employee was expected to attend: worked days, absences and leave (weekends and holidays excluded)
+const expectedDays = (emp) => emp.daysPresent + emp.daysAbsent + emp.daysLeave;
+
+// Present days as a share of expected days (0-1), or null when nothing was expected
+export const attendanceRate = (present, expected) => (expected > 0 ? present / expected : null);
+
+export const departmentStats = (summary) => {
+  const depts = {};
+  summary.forEach(emp => {
+    const key = emp.dept || 'Unassigned';
+    if (!depts[key]) {
+      depts[key] = { dept: key, headcount: 0, daysPresent: 0, daysExpected: 0, totalActualHours: 0, equivalentDays: 0 };
+    }
+    const dept = depts[key];
+    dept.headcount += 1;
+    dept.daysPresent += emp.daysPresent;
+    dept.daysExpected += expectedDays(emp);
+    dept.totalActualHours += emp.totalActualHours;
+    dept.equivalentDays += emp.equivalentDays;
+  });
+
+  return Object.values(depts)
+    .map(dept => ({
+      ...dept,
+      attendanceRate: attendanceRate(dept.daysPresent, dept.daysExpected),
+      avgHoursPerPresentDay: dept.daysPresent > 0 ? dept.totalActualHours / dept.daysPresent : 0
+    }))
+    .sort((a, b) => a.dept.localeCompare(b.dept, undefined, { numeric: true }));
+};
+
+// Organization-wide totals in the same shape as a department row
+export const organizationStats = (summary) => {
+  const totals = departmentStats(summary.map(emp => ({ ...emp, dept: 'All' })));
+  return totals[0] || null;
+};
+
+// Per-day counts across employees, in date order
+export const dailyTrend = (records) => {
+  const days = {};
+  records.forEach(rec => {
+    if (!rec.isoDate) return;
+    if (!days[rec.isoDate]) {
+      days[rec.isoDate] = { isoDate: rec.isoDate, present: 0, absent: 0, leave: 0, holiday: 0, weekend: 0, inactive: 0, hours: 0 };
+    }
+    const day = days[rec.isoDate];
+    const status = rec.dayStatus || (rec.isPresent ? DAY_STATUS.PRESENT : DAY_STATUS.ABSENT);
+    day[status] += 1;
+    if (rec.isPresent) day.hours += rec.actualHours;
+  });
+
+  return Object.values(days)
+    .sort((a, b) => a.isoDate.localeCompare(b.isoDate))
+    .map(day => ({ ...day, rate: attendanceRate(day.present, day.present + day.absent + day.leave) }));
+};
+
+// Employee rows × every day of the range; each cell holds the day status and hours (null when no record)
+export const presenceMatrix = (summary) => {
+  const range = getDateRange(summary.flatMap(emp => emp.records));
+  const days = range ? eachDay(range.start, range.end) : [];
+
+  const rows = summary.map(emp => {
+    const byDay = {};
+    emp.records.forEach(rec => {
+      if (!rec.isoDate) return;
+      // Duplicate rows for a day keep the worked one
+      if (!byDay[rec.isoDate] || rec.isPresent) byDay[rec.isoDate] = rec;
+    });
+    return {
+      empId: emp.empId,
+      name: emp.name,
+      dept: emp.dept,
+      cells: days.map(isoDate => {
+        const rec = byDay[isoDate];
+        return rec
+          ? { isoDate, status: rec.dayStatus || (rec.isPresent ? DAY_STATUS.PRESENT : DAY_STATUS.ABSENT), hours: rec.actualHours }
+          : { isoDate, status: null, hours: null };
+      })
+    };
+  });
+
+  return { days, rows };
+};
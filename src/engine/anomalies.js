@@ -0,0 +1,143 @@
+// --- Anomaly Detection ---
+// Rules-based data-quality checks over processed records. Each flag carries a severity
+// and points back at the employee (and record, when it is about a single day).
+
+import { clockSpanMinutes } from './parsers.js';
+import { resolveShift, isOvernightShift, DEFAULT_SCHEDULE } from './shifts.js';
+
+export const SEVERITY = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+const SEVERITY_RANK = { [SEVERITY.HIGH]: 0, [SEVERITY.MEDIUM]: 1, [SEVERITY.LOW]: 2 };
+
+export const ANOMALY_RULES = {
+  MISSING_CLOCK_OUT: { label: 'Missing clock-out', severity: SEVERITY.MEDIUM },
+  MISSING_CLOCK_IN: { label: 'Missing clock-in', severity: SEVERITY.MEDIUM },
+  CLOCK_OUT_BEFORE_IN: { label: 'Clock-out before clock-in', severity: SEVERITY.HIGH },
+  OVERNIGHT_ASSUMED: { label: 'Out before in, read as night shift', severity: SEVERITY.LOW },
+  DUPLICATE_DAY: { label: 'Duplicate day', severity: SEVERITY.HIGH },
+  LONG_DAY: { label: 'Day over 16 hours', severity: SEVERITY.HIGH },
+  HOURS_MISMATCH: { label: 'Regular(H) disagrees with punches', severity: SEVERITY.LOW },
+  PRESENT_NO_HOURS: { label: 'Present with zero hours', severity: SEVERITY.LOW },
+  NAME_CONFLICT: { label: 'ID used with different names', severity: SEVERITY.MEDIUM }
+};
+
+export const DEFAULT_ANOMALY_OPTIONS = {
+  maxDayHours: 16,
+  // Breaks are not in the export, so Regular(H) may be shorter than the punch span by this much
+  mismatchToleranceMinutes: 60,
+  // Out-before-in days of employees on an overnight shift here are expected and not flagged
+  schedule: DEFAULT_SCHEDULE
+};
+
+const hasValue = (val) => val !== null && val !== undefined && String(val).trim() !== '';
+
+// Run every rule over the records. Calendar-filled days (isFilled) are ignored since they are not in the file.
+export const detectAnomalies = (records, options = {}) => {
+  const { maxDayHours, mismatchToleranceMinutes, schedule } = { ...DEFAULT_ANOMALY_OPTIONS, ...options };
+  const anomalies = [];
+  const flag = (ruleId, record, message, extra = {}) => {
+    anomalies.push({
+      id: `${ruleId}:${record.id || record.empId}`,
+      ruleId,
+      severity: ANOMALY_RULES[ruleId].severity,
+      label: ANOMALY_RULES[ruleId].label,
+      empId: record.empId,
+      name: record.name,
+      recordId: record.id || null,
+      date: record.isoDate || record.date || null,
+      message,
+      ...extra
+    });
+  };
+
+  const fileRecords = records.filter(rec => !rec.isFilled);
+  const dayCounts = {};
+  const namesById = {};
+
+  fileRecords.forEach(rec => {
+    const dayKey = `${rec.empId}|${rec.isoDate || rec.date}`;
+    dayCounts[dayKey] = (dayCounts[dayKey] || 0) + 1;
+
+    if (!namesById[rec.empId]) namesById[rec.empId] = { record: rec, names: new Set() };
+    if (hasValue(rec.name) && rec.name !== 'Unknown') namesById[rec.empId].names.add(String(rec.name).trim());
+
+    const hasIn = hasValue(rec.clockIn);
+    const hasOut = hasValue(rec.clockOut);
+    if (hasIn && !hasOut) {
+      flag('MISSING_CLOCK_OUT', rec, `Clock-in at ${rec.clockIn} has no matching clock-out.`, { params: { clockIn: String(rec.clockIn) } });
+    } else if (!hasIn && hasOut) {
+      flag('MISSING_CLOCK_IN', rec, `Clock-out at ${rec.clockOut} has no matching clock-in.`, { params: { clockOut: String(rec.clockOut) } });
+    }
+
+    // Out before in is counted as a night shift by the hour rules. Too long for that, it is an error; otherwise it
+    // is only worth a look when the employee is not on an overnight shift.
+    const span = clockSpanMinutes(rec.clockInMinutes, rec.clockOutMinutes);
+    const wraps = span !== null && rec.clockOutMinutes < rec.clockInMinutes;
+    if (wraps && !rec.crossesMidnight) {
+      const params = { clockIn: String(rec.clockIn), clockOut: String(rec.clockOut) };
+      if (span > maxDayHours * 60) {
+        flag('CLOCK_OUT_BEFORE_IN', rec, `Clock-out ${rec.clockOut} is earlier than clock-in ${rec.clockIn}.`, { params });
+      } else if (!isOvernightShift(resolveShift(rec, schedule))) {
+        flag('OVERNIGHT_ASSUMED', rec, `Clock-out ${rec.clockOut} is earlier than clock-in ${rec.clockIn}; counted as a night shift of ${(span / 60).toFixed(2)}h.`, {
+          params: { ...params, hours: span / 60 }
+        });
+      }
+    }
+
+    if (rec.actualHours > maxDayHours) {
+      flag('LONG_DAY', rec, `${rec.actualHours.toFixed(2)} hours recorded in one day.`, { params: { hours: rec.actualHours } });
+    }
+
+    if (rec.source === 'Regular(H)' && span !== null && span > 0) {
+      const diff = Math.round(rec.actualHours * 60 - span);
+      if (Math.abs(diff) > mismatchToleranceMinutes) {
+        flag('HOURS_MISMATCH', rec, `Regular(H) is ${rec.actualHours.toFixed(2)}h but punches span ${(span / 60).toFixed(2)}h.`, {
+          diffMinutes: diff,
+          params: { hours: rec.actualHours, spanHours: span / 60 }
+        });
+      }
+    }
+
+    if (rec.isPresent && rec.actualHours === 0) {
+      flag('PRESENT_NO_HOURS', rec, `Marked present from ${rec.source} but no hours could be counted.`, { params: { source: rec.source } });
+    }
+  });
+
+  // Duplicate days: flag every copy after the first so each row can be reviewed
+  const seenDays = {};
+  fileRecords.forEach(rec => {
+    const dayKey = `${rec.empId}|${rec.isoDate || rec.date}`;
+    if (dayCounts[dayKey] < 2) return;
+    seenDays[dayKey] = (seenDays[dayKey] || 0) + 1;
+    if (seenDays[dayKey] > 1) {
+      flag('DUPLICATE_DAY', rec, `Day appears ${dayCounts[dayKey]} times for this employee.`, { params: { count: dayCounts[dayKey] } });
+    }
+  });
+
+  Object.values(namesById).forEach(({ record, names }) => {
+    if (names.size > 1) {
+      anomalies.push({
+        id: `NAME_CONFLICT:${record.empId}`,
+        ruleId: 'NAME_CONFLICT',
+        severity: ANOMALY_RULES.NAME_CONFLICT.severity,
+        label: ANOMALY_RULES.NAME_CONFLICT.label,
+        empId: record.empId,
+        name: record.name,
+        recordId: null,
+        date: null,
+        message: `Employee ID ${record.empId} appears as: ${[...names].join(', ')}.`,
+        params: { empId: String(record.empId), names: [...names] }
+      });
+    }
+  });
+
+  return anomalies.sort((a, b) => (
+    SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]
+    || String(a.empId).localeCompare(String(b.empId), undefined, { numeric: true })
+    || String(a.date || '').localeCompare(String(b.date || ''))
+  ));
+};
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { processRows } from './attendanceEngine.js';
+import { detectAnomalies } from './anomalies.js';
+import { evaluateDay, DEFAULT_RULES } from './rules.js';
+
+const HEADERS = ['Employee ID', 'First Name', 'Department', 'Date', 'Clock In', 'Clock Out', 'Regular(H)'];
+
+const ruleIds = (rows, options) => {
+  const { records } = processRows([HEADERS, ...rows]);
+  return detectAnomalies(records, options).map(a => a.ruleId);
+};
+
+const NIGHT_SCHEDULE = {
+  shifts: [{ id: 'night', name: 'Night', start: '22:00', end: '06:00', graceMinutes: 10, breakMinutes: 0, workdays: [0, 1, 2, 3, 4] }],
+  defaultShiftId: 'night',
+  departments: {},
+  employees: {}
+};
+
+describe('night shifts on time cards', () => {
+  it('counts 22:00 to 06:00 as an eight hour shift', () => {
+    const { records } = processRows([HEADERS, ['1', 'Ahmed', 'Ops', '2026-09-01', '22:00', '06:00', '']]);
+    expect(evaluateDay(records[0], { ...DEFAULT_RULES, hourPriority: ['clockSpan'] }).actualHours).toBe(8);
+  });
+
+  it('does not flag a shift that crosses midnight for an employee on a night shift', () => {
+    expect(ruleIds([['1', 'Ahmed', 'Ops', '2026-09-01', '22:00', '06:00', '8']], { schedule: NIGHT_SCHEDULE })).toEqual([]);
+  });
+
+  it('flags out before in at low severity when the employee has no night shift', () => {
+    const { records } = processRows([HEADERS, ['1', 'Ahmed', 'Ops', '2026-09-01', '22:00', '06:00', '8']]);
+    expect(detectAnomalies(records)).toMatchObject([{ ruleId: 'OVERNIGHT_ASSUMED', severity: 'low', params: { hours: 8 } }]);
+  });
+
+  it('checks Regular(H) against the span across midnight', () => {
+    expect(ruleIds([['1', 'Ahmed', 'Ops', '2026-09-01', '22:00', '06:00', '4']], { schedule: NIGHT_SCHEDULE })).toEqual(['HOURS_MISMATCH']);
+  });
+
+  it('flags out before in when the shift would be longer than a day allows', () => {
+    expect(ruleIds([['1', 'Ahmed', 'Ops', '2026-09-01', '10:00', '09:00', '8']])).toContain('CLOCK_OUT_BEFORE_IN');
+  });
+});
@@ -0,0 +1,309 @@
+// --- Attendance Engine ---
+// Pure processing pipeline for ZKTeco "Total Time Card" exports.
+// Input is the 2D row array produced by XLSX.utils.sheet_to_json(ws, { header: 1 }).
+// No React or browser dependencies so it can be reused outside the UI.
+
+import { DEFAULT_COLUMNS, REQUIRED_FIELDS, resolveMapping } from './columnMapping.js';
+import { isNotEmpty, parseDate, parseClock, parseDuration, resolveDateOrder, DEFAULT_DATE_ORDER } from './parsers.js';
+import { applySchedule } from './shifts.js';
+import { buildCalendar, DAY_STATUS } from './calendar.js';
+import { DEFAULT_RULES, HOURS_PER_DAY, evaluateDay, countedDay } from './rules.js';
+
+// Default standard day length used for "Equivalent Days" (attendance rules can override it)
+export { HOURS_PER_DAY };
+
+// Rows between options.onProgress(done, total) calls while parsing
+export const PROGRESS_INTERVAL = 1000;
+
+// Why a row was skipped or looks doubtful. diagnostics.rowIssues counts each reason with the first few
+// row numbers, so an import can be reviewed before it replaces the dataset.
+export const ROW_ISSUES = {
+  EMPTY_ROW: { kind: 'skipped', message: 'Empty row' },
+  NO_ID_OR_DATE: { kind: 'skipped', message: 'No employee ID or date (title, note or footer row)' },
+  UNREADABLE_PUNCH: { kind: 'skipped', message: 'No readable user ID or timestamp' },
+  MISSING_EMPLOYEE_ID: { kind: 'suspicious', message: 'Employee ID is empty' },
+  MISSING_DATE: { kind: 'suspicious', message: 'Date is empty' },
+  UNREADABLE_DATE: { kind: 'suspicious', message: 'Date could not be read' },
+  UNREADABLE_VALUE: { kind: 'suspicious', message: 'A clock or hours value could not be read' },
+  DUPLICATE_DAY: { kind: 'suspicious', message: 'Another row for the same employee and day' }
+};
+
+const ROW_ISSUE_SAMPLE = 10;
+
+export const addRowIssue = (rowIssues, code, rowNumber) => {
+  const issue = rowIssues[code] || (rowIssues[code] = { code, ...ROW_ISSUES[code], count: 0, rows: [] });
+  issue.count += 1;
+  if (issue.rows.length < ROW_ISSUE_SAMPLE) issue.rows.push(rowNumber);
+};
+
+// Skip reason for a time card row, or null when it is read
+export const skipReason = (row, colMap) => {
+  if (!row || row.every(cell => !isNotEmpty(cell))) return 'EMPTY_ROW';
+  if (!isNotEmpty(row[colMap.empId]) && !isNotEmpty(row[colMap.date])) return 'NO_ID_OR_DATE';
+  return null;
+};
+
+// Doubts about a built record, from its key cells and the warnings buildRecord gave for its row
+export const recordIssues = (record, rowWarnings) => [
+  !isNotEmpty(record.empId) && 'MISSING_EMPLOYEE_ID',
+  !isNotEmpty(record.date) && 'MISSING_DATE',
+  rowWarnings.some(w => w.field === 'date') && 'UNREADABLE_DATE',
+  rowWarnings.some(w => w.field !== 'date') && 'UNREADABLE_VALUE'
+].filter(Boolean);
+
+// --- Pipeline Steps ---
+
+// Apply the presence and actual-hours rules (see rules.js) to one data row.
+// Unreadable dates/times are pushed to options.warnings (with options.rowNumber) instead of silently becoming 0.
+export const buildRecord = (row, colMap, { dateOrder, warnings = [], rowNumber = null, rules = DEFAULT_RULES } = {}) => {
+  const cell = (field, fallback) => (colMap[field] !== -1 && colMap[field] !== undefined ? row[colMap[field]] : fallback);
+
+  const empId = cell('empId', '');
+  const dateStr = cell('date', '');
+
+  const rawRegularH = cell('regularH', null);
+  const rawWorkedH = cell('workedHours', null);
+  const rawTotalH = cell('totalHours', null);
+
+  const clockIn = cell('clockIn', '');
+  const clockOut = cell('clockOut', '');
+  const name = cell('name', 'Unknown');
+  const dept = cell('dept', 'Unknown');
+
+  // --- NORMALIZATION ---
+
+  const warn = (field, value) => {
+    warnings.push({
+      code: 'UNPARSEABLE_VALUE',
+      message: `Row ${rowNumber}: could not read ${field} value "${value}".`,
+      row: rowNumber,
+      field,
+      value
+    });
+  };
+
+  const isoDate = parseDate(dateStr, { dateOrder });
+  if (!isoDate && isNotEmpty(dateStr)) warn('date', dateStr);
+
+  const readClock = (field, value) => {
+    if (!isNotEmpty(value)) return null;
+    const minutes = parseClock(value);
+    if (minutes === null) warn(field, value);
+    return minutes;
+  };
+  const clockInMinutes = readClock('clockIn', clockIn);
+  const clockOutMinutes = readClock('clockOut', clockOut);
+
+  [['regularH', rawRegularH], ['workedHours', rawWorkedH], ['totalHours', rawTotalH]].forEach(([field, value]) => {
+    if (isNotEmpty(value) && parseDuration(value) === null) warn(field, value);
+  });
+
+  const record = {
+    id: `${empId}-${isoDate || dateStr}`, // Unique key
+    empId,
+    name,
+    dept,
+    date: dateStr,
+    isoDate,
+    clockIn,
+    clockOut,
+    clockInMinutes,
+    clockOutMinutes,
+    rawRegularH,
+    rawWorkedH,
+    rawTotalH
+  };
+  return { ...record, ...evaluateDay(record, rules) };
+};
+
+// Aggregate records into one summary row per employee. options.hoursPerDay sets the equivalent-day length
+// for records that don't carry their own (see applyRules in rules.js).
+export const summarizeRecords = (records, { hoursPerDay = HOURS_PER_DAY } = {}) => {
+  const employeeMap = {};
+
+  records.forEach(record => {
+    const { empId } = record;
+    if (!employeeMap[empId]) {
+      employeeMap[empId] = {
+        empId,
+        name: record.name,
+        dept: record.dept,
+        costCenter: record.costCenter || '',
+        daysPresent: 0,
+        totalActualHours: 0,
+        equivalentDays: 0,
+        countedDays: 0,
+        dayLengthHours: hoursPerDay,
+        totalLateMinutes: 0,
+        totalEarlyLeaveMinutes: 0,
+        totalOvertimeMinutes: 0,
+        totalUndertimeMinutes: 0,
+        daysAbsent: 0,
+        daysWeekend: 0,
+        daysHoliday: 0,
+        daysLeave: 0,
+        daysPaidLeave: 0,
+        daysInactive: 0,
+        leaveDays: {},
+        records: []
+      };
+    }
+
+    const emp = employeeMap[empId];
+    emp.records.push(record);
+    if (record.dayLengthHours) emp.dayLengthHours = record.dayLengthHours;
+    if (record.isPresent) {
+      emp.daysPresent += 1;
+      emp.totalActualHours += record.actualHours;
+      emp.equivalentDays += record.actualHours / (record.dayLengthHours || hoursPerDay);
+      emp.countedDays += countedDay(record.actualHours, record.dayThresholds || DEFAULT_RULES.dayThresholds);
+    }
+
+    // Shift metrics are only present once a schedule has been applied
+    emp.totalLateMinutes += record.lateMinutes || 0;
+    emp.totalEarlyLeaveMinutes += record.earlyLeaveMinutes || 0;
+    emp.totalOvertimeMinutes += record.overtimeMinutes || 0;
+    emp.totalUndertimeMinutes += record.undertimeMinutes || 0;
+
+    // Day classification is only present once the calendar has been built
+    if (record.dayStatus === DAY_STATUS.ABSENT) emp.daysAbsent += 1;
+    if (record.dayStatus === DAY_STATUS.WEEKEND) emp.daysWeekend += 1;
+    if (record.dayStatus === DAY_STATUS.HOLIDAY) emp.daysHoliday += 1;
+    if (record.dayStatus === DAY_STATUS.INACTIVE) emp.daysInactive += 1;
+    if (record.dayStatus === DAY_STATUS.LEAVE) {
+      emp.daysLeave += 1;
+      if (record.leaveType) emp.leaveDays[record.leaveType] = (emp.leaveDays[record.leaveType] || 0) + 1;
+      if (record.leavePaid) emp.daysPaidLeave += 1;
+    }
+  });
+
+  // Paid leave counts as a standard day toward equivalent and counted days
+  return Object.values(employeeMap).map(emp => ({
+    ...emp,
+    equivalentDays: emp.equivalentDays + emp.daysPaidLeave,
+    countedDays: emp.countedDays + emp.daysPaidLeave
+  }));
+};
+
+// --- Entry Point ---
+
+// Run the full pipeline. Never throws on bad input: failures are reported in diagnostics.errors
+// options.mapping forces a { headerRowIndex, colMap }; options.profiles are saved mapping profiles;
+// options.schedule applies shift templates (see shifts.js);
+// options.calendar = { holidays, leaves, leaveTypes } fills missing days and classifies each day (see calendar.js);
+// options.dateOrder = 'auto' | 'DMY' | 'MDY' | 'YMD' resolves ambiguous dates such as 01/02/2025;
+// options.hoursPerDay is the standard day length for equivalent days;
+// options.rules are the presence and hour rules (see rules.js, defaults to the original fixed rules);
+// options.onProgress(done, total) reports parsed data rows
+export const processRows = (rows, options = {}) => {
+  const diagnostics = {
+    headerRowIndex: -1,
+    headers: [],
+    colMap: {},
+    mappingSource: null,
+    profileName: null,
+    dateOrder: null,
+    totalRows: Array.isArray(rows) ? rows.length : 0,
+    parsedRows: 0,
+    skippedRows: 0,
+    suspiciousRows: 0,
+    rowIssues: {},
+    errors: [],
+    warnings: []
+  };
+  const result = { records: [], summary: [], diagnostics };
+
+  if (!Array.isArray(rows)) {
+    diagnostics.errors.push({ code: 'INVALID_INPUT', message: 'Expected a 2D array of rows.' });
+    return result;
+  }
+
+  // 1. Resolve header row and column indices (explicit mapping, saved profile or auto-detect)
+  const { headerRowIndex, headers, colMap, source, profileName } = resolveMapping(rows, options);
+  diagnostics.headerRowIndex = headerRowIndex;
+  diagnostics.headers = headers;
+  diagnostics.mappingSource = source;
+  diagnostics.profileName = profileName;
+
+  if (headerRowIndex === -1) {
+    diagnostics.errors.push({
+      code: 'HEADER_NOT_FOUND',
+      message: "Could not find a valid header row containing 'Employee ID' and 'Date'. Please check the file format."
+    });
+    return result;
+  }
+
+  diagnostics.colMap = colMap;
+
+  // Validate essential columns (only strictly fail on ID/Date)
+  const missingCols = REQUIRED_FIELDS.filter(field => colMap[field] === -1);
+  if (missingCols.length > 0) {
+    diagnostics.errors.push({
+      code: 'MISSING_COLUMNS',
+      message: `Critical columns missing: ${missingCols.join(', ')}`,
+      fields: missingCols
+    });
+    return result;
+  }
+
+  Object.keys(colMap)
+    .filter(field => colMap[field] === -1)
+    .forEach(field => {
+      diagnostics.warnings.push({
+        code: 'OPTIONAL_COLUMN_MISSING',
+        message: `Optional column '${DEFAULT_COLUMNS[field]}' not found.`,
+        field,
+        column: DEFAULT_COLUMNS[field]
+      });
+    });
+
+  // Resolve the date order once for the whole column so every row is read the same way
+  const dateOrder = resolveDateOrder(options.dateOrder || DEFAULT_DATE_ORDER, rows.slice(headerRowIndex + 1).map(row => (row || [])[colMap.date]));
+  diagnostics.dateOrder = dateOrder;
+
+  // 2. Process Rows (starting after the header)
+  const idCounts = {};
+  const totalDataRows = rows.length - headerRowIndex - 1;
+  for (let i = headerRowIndex + 1; i < rows.length; i++) {
+    if (options.onProgress && (i - headerRowIndex) % PROGRESS_INTERVAL === 0) options.onProgress(i - headerRowIndex, totalDataRows);
+    const row = rows[i];
+    const rowNumber = i + 1;
+
+    // Skip empty rows and rows without both key cells (titles, notes, footer junk)
+    const skipped = skipReason(row, colMap);
+    if (skipped) {
+      diagnostics.skippedRows += 1;
+      addRowIssue(diagnostics.rowIssues, skipped, rowNumber);
+      continue;
+    }
+
+    const rowWarnings = [];
+    const record = buildRecord(row, colMap, { dateOrder, warnings: rowWarnings, rowNumber, rules: options.rules });
+    diagnostics.warnings.push(...rowWarnings);
+
+    // Duplicate employee/day rows keep their own key so they can be listed and reviewed
+    const dayKey = record.id;
+    idCounts[dayKey] = (idCounts[dayKey] || 0) + 1;
+    if (idCounts[dayKey] > 1) record.id = `${dayKey}#${idCounts[dayKey]}`;
+
+    const issues = [...recordIssues(record, rowWarnings), ...(idCounts[dayKey] > 1 ? ['DUPLICATE_DAY'] : [])];
+    issues.forEach(code => addRowIssue(diagnostics.rowIssues, code, rowNumber));
+    if (issues.length > 0) diagnostics.suspiciousRows += 1;
+
+    result.records.push(record);
+    diagnostics.parsedRows += 1;
+  }
+
+  // 3. Fill the calendar, then apply the shift schedule
+  if (options.calendar) {
+    result.records = buildCalendar(result.records, { ...options.calendar, schedule: options.schedule });
+  }
+  if (options.schedule) {
+    result.records = applySchedule(result.records, options.schedule);
+  }
+
+  // 4. Finalize Summary
+  result.summary = summarizeRecords(result.records, { hoursPerDay: options.hoursPerDay });
+
+  return result;
+};
@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import { processRows, buildRecord, summarizeRecords } from './attendanceEngine.js';
+import { detectHeaderRow, headerSignature, findProfileForRows } from './columnMapping.js';
+
+// --- iFace 990 "Total Time Card" Layouts ---
+
+const HEADERS = ['Employee ID', 'First Name', 'Department', 'Date', 'Clock In', 'Clock Out', 'Total Hours', 'Worked Hours', 'Regular(H)'];
+
+// Title block the terminal writes above the table, then the header and one row per employee and day
+const timeCard = (rows) => [
+  ['Total Time Card'],
+  ['Date Range: 01/09/2026 - 30/09/2026', null, null, 'Department: All'],
+  [],
+  HEADERS,
+  ...rows
+];
+
+const ROWS = [
+  ['1', 'Ahmed', 'Ops', '01/09/2026', '08:00', '16:30', '8:30', '8:00', '8'],
+  ['1', 'Ahmed', 'Ops', '02/09/2026', '08:10', '12:10', '4:00', '4:00', ''],
+  ['1', 'Ahmed', 'Ops', '03/09/2026', '', '', '', '', ''],
+  ['2', 'سارة', 'HR', '01/09/2026', '09:00', '17:00', '8:00', '', '0'],
+  ['2', 'سارة', 'HR', '02/09/2026', '09:00', '13:00', '', '', '']
+];
+
+const colMapFor = (headers) => detectHeaderRow([headers]).colMap;
+
+describe('header detection', () => {
+  it('finds the header below the title rows', () => {
+    const { diagnostics, records } = processRows(timeCard(ROWS), { dateOrder: 'DMY' });
+    expect(diagnostics.errors).toEqual([]);
+    expect(diagnostics.headerRowIndex).toBe(3);
+    expect(diagnostics.colMap).toMatchObject({ empId: 0, name: 1, dept: 2, date: 3, clockIn: 4, clockOut: 5, totalHours: 6, workedHours: 7, regularH: 8 });
+    expect(records).toHaveLength(ROWS.length);
+    expect(records[0]).toMatchObject({ empId: '1', name: 'Ahmed', isoDate: '2026-09-01' });
+  });
+
+  it('recognises Arabic headers', () => {
+    const arabic = ['رقم الموظف', 'الاسم', 'القسم', 'التاريخ', 'وقت الدخول', 'وقت الخروج', 'إجمالي الساعات', 'ساعات العمل', 'الساعات العادية'];
+    const { diagnostics } = processRows([['بطاقة الوقت'], arabic, ...ROWS], { dateOrder: 'DMY' });
+    expect(diagnostics.headerRowIndex).toBe(1);
+    expect(diagnostics.colMap.regularH).toBe(8);
+  });
+
+  it('skips blank and footer rows', () => {
+    const { diagnostics, records } = processRows(timeCard([...ROWS, [], [null, null, 'Printed by admin']]), { dateOrder: 'DMY' });
+    expect(records).toHaveLength(ROWS.length);
+    expect(diagnostics.skippedRows).toBe(2);
+    expect(diagnostics.rowIssues.EMPTY_ROW.count).toBe(1);
+    expect(diagnostics.rowIssues.NO_ID_OR_DATE.count).toBe(1);
+  });
+
+  it('keeps a row with an ID but no date and flags it', () => {
+    const { diagnostics, records } = processRows(timeCard([...ROWS, ['Total']]), { dateOrder: 'DMY' });
+    expect(records).toHaveLength(ROWS.length + 1);
+    expect(diagnostics.suspiciousRows).toBe(1);
+    expect(diagnostics.rowIssues.MISSING_DATE.rows).toEqual([10]);
+  });
+});
+
+describe('saved mapping profiles', () => {
+  it('keeps blank columns in the header signature', () => {
+    const a = ['Employee ID', '', 'Date', 'Clock In'];
+    const b = ['Employee ID', 'Date', '', 'Clock In'];
+    expect(headerSignature(a)).not.toBe(headerSignature(b));
+    expect(headerSignature([...a, '', ''])).toBe(headerSignature(a));
+  });
+
+  it('only applies a profile to the layout it was saved for', () => {
+    const saved = ['Employee ID', '', 'Date', 'Clock In'];
+    const profiles = [{ name: 'Branch A', signature: headerSignature(saved), colMap: { empId: 0, date: 2, clockIn: 3 } }];
+    expect(findProfileForRows([saved], profiles)).toMatchObject({ headerRowIndex: 0, profile: { name: 'Branch A' } });
+    expect(findProfileForRows([['Employee ID', 'Date', '', 'Clock In']], profiles)).toBeNull();
+  });
+});
+
+describe('missing columns', () => {
+  it('reports HEADER_NOT_FOUND without an Employee ID column', () => {
+    const rows = [HEADERS.slice(1), ...ROWS.map(row => row.slice(1))];
+    const { diagnostics, records } = processRows(rows);
+    expect(diagnostics.errors.map(e => e.code)).toEqual(['HEADER_NOT_FOUND']);
+    expect(records).toEqual([]);
+  });
+
+  it('reports HEADER_NOT_FOUND without a Date column', () => {
+    const drop = (row) => row.filter((_, i) => i !== 3);
+    const { diagnostics } = processRows([drop(HEADERS), ...ROWS.map(drop)]);
+    expect(diagnostics.errors.map(e => e.code)).toEqual(['HEADER_NOT_FOUND']);
+  });
+
+  it('reports MISSING_COLUMNS when a forced mapping leaves out the date', () => {
+    const colMap = { ...colMapFor(HEADERS), date: -1 };
+    const { diagnostics } = processRows(timeCard(ROWS), { mapping: { headerRowIndex: 3, colMap } });
+    expect(diagnostics.errors).toMatchObject([{ code: 'MISSING_COLUMNS', fields: ['date'] }]);
+  });
+
+  it('warns about optional columns it could not find', () => {
+    const headers = HEADERS.slice(0, 6);
+    const { diagnostics, records } = processRows([headers, ...ROWS.map(row => row.slice(0, 6))], { dateOrder: 'DMY' });
+    expect(diagnostics.errors).toEqual([]);
+    expect(records).toHaveLength(ROWS.length);
+    expect(diagnostics.warnings.filter(w => w.code === 'OPTIONAL_COLUMN_MISSING').map(w => w.field).sort())
+      .toEqual(['regularH', 'totalHours', 'workedHours']);
+  });
+});
+
+describe('presence rule', () => {
+  const colMap = colMapFor(HEADERS);
+  const day = (regular, worked, total) => buildRecord(['7', 'Test', 'Ops', '01/09/2026', '', '', total, worked, regular], colMap, { dateOrder: 'DMY' });
+
+  it('is present when Regular(H) is above zero', () => {
+    expect(day('8', '', '').isPresent).toBe(true);
+  });
+
+  it('is present when Worked Hours is filled in, even with no Regular(H)', () => {
+    expect(day('', '4:00', '').isPresent).toBe(true);
+    expect(day('0', '0:00', '').isPresent).toBe(true);
+  });
+
+  it('is absent with only Total Hours', () => {
+    const record = day('', '', '8:00');
+    expect(record.isPresent).toBe(false);
+    expect(record.actualHours).toBe(8);
+  });
+
+  it('is absent with nothing filled in', () => {
+    expect(day('', '', '').isPresent).toBe(false);
+  });
+});
+
+describe('hour priority', () => {
+  const colMap = colMapFor(HEADERS);
+  const day = (regular, worked, total) => buildRecord(['7', 'Test', 'Ops', '01/09/2026', '08:00', '17:00', total, worked, regular], colMap, { dateOrder: 'DMY' });
+
+  it('takes Regular(H) first', () => {
+    expect(day('7.5', '8:00', '9:00')).toMatchObject({ actualHours: 7.5, source: 'Regular(H)' });
+  });
+
+  it('falls back to Worked Hours when Regular(H) is empty or zero', () => {
+    expect(day('', '8:15', '9:00')).toMatchObject({ actualHours: 8.25, source: 'Worked Hours' });
+    expect(day('0', '8:15', '9:00')).toMatchObject({ actualHours: 8.25, source: 'Worked Hours' });
+  });
+
+  it('falls back to Total Hours last', () => {
+    expect(day('', '', '9:00')).toMatchObject({ actualHours: 9, source: 'Total Hours' });
+  });
+
+  it('has no hours when every column is empty', () => {
+    expect(day('', '', '')).toMatchObject({ actualHours: 0, source: 'None' });
+  });
+});
+
+describe('summarizeRecords', () => {
+  it('totals present days, hours and equivalent days per employee', () => {
+    const { records } = processRows(timeCard(ROWS), { dateOrder: 'DMY' });
+    const summary = summarizeRecords(records, { hoursPerDay: 8 });
+    const ahmed = summary.find(emp => emp.empId === '1');
+    const sara = summary.find(emp => emp.empId === '2');
+
+    expect(summary).toHaveLength(2);
+    expect(ahmed).toMatchObject({ name: 'Ahmed', dept: 'Ops', daysPresent: 2, totalActualHours: 12 });
+    expect(ahmed.equivalentDays).toBeCloseTo(1.5);
+    expect(ahmed.countedDays).toBe(1.5);
+    expect(ahmed.records).toHaveLength(3);
+
+    // Regular(H) 0 and no Worked Hours: hours from Total Hours, but not present
+    expect(sara).toMatchObject({ daysPresent: 0, totalActualHours: 0, equivalentDays: 0 });
+  });
+
+  it('uses the day length stamped on records', () => {
+    const records = [{ empId: '1', name: 'A', dept: 'Ops', isPresent: true, actualHours: 6, dayLengthHours: 6 }];
+    expect(summarizeRecords(records, { hoursPerDay: 8 })[0]).toMatchObject({ equivalentDays: 1, dayLengthHours: 6 });
+  });
+
+  it('counts paid leave as a standard day', () => {
+    const records = [
+      { empId: '1', name: 'A', dept: 'Ops', isPresent: true, actualHours: 8 },
+      { empId: '1', name: 'A', dept: 'Ops', isPresent: false, actualHours: 0, dayStatus: 'leave', leaveType: 'annual', leavePaid: true }
+    ];
+    expect(summarizeRecords(records)[0]).toMatchObject({ daysLeave: 1, daysPaidLeave: 1, equivalentDays: 2, leaveDays: { annual: 1 } });
+  });
+});
@@ -0,0 +1,182 @@
+// --- Calendar ---
+// Fills every calendar day of the report range for every employee and classifies each day
+// as present, absent, weekend, holiday, leave or outside employment.
+
+import { toIsoDate } from './parsers.js';
+import { resolveShift, DEFAULT_SHIFT } from './shifts.js';
+import { DEFAULT_LEAVE_TYPES, findLeaveType } from './leaves.js';
+import { isEmployedOn } from './directory.js';
+
+export const DAY_STATUS = {
+  PRESENT: 'present',
+  ABSENT: 'absent',
+  WEEKEND: 'weekend',
+  HOLIDAY: 'holiday',
+  LEAVE: 'leave',
+  INACTIVE: 'inactive'
+};
+
+// Add days to an ISO date (UTC arithmetic so DST never shifts the day)
+export const addDays = (isoDate, days) => {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().slice(0, 10);
+};
+
+export const weekdayOf = (isoDate) => {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+};
+
+// Every ISO date from start to end inclusive
+export const eachDay = (start, end) => {
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Normalized day of a record (the engine stamps isoDate; fall back to reading the raw cell)
+const recordIsoDate = (record) => (record.isoDate !== undefined ? record.isoDate : toIsoDate(record.date));
+
+// Longest range the calendar fills. A stray date (a typo such as 2205 or a misread serial) would otherwise
+// fill years of days for every employee.
+export const MAX_RANGE_DAYS = 366;
+
+// Earliest and latest readable date across records (null when none can be read). When they are more than
+// MAX_RANGE_DAYS apart, the MAX_RANGE_DAYS window holding the most records is used instead.
+export const getDateRange = (records) => {
+  const dates = records.map(recordIsoDate).filter(Boolean).sort();
+  if (dates.length === 0) return null;
+  const start = dates[0];
+  const end = dates[dates.length - 1];
+  if (end <= addDays(start, MAX_RANGE_DAYS - 1)) return { start, end };
+
+  let best = { from: 0, to: 0 };
+  let to = 0;
+  dates.forEach((date, from) => {
+    const last = addDays(date, MAX_RANGE_DAYS - 1);
+    to = Math.max(to, from);
+    while (to + 1 < dates.length && dates[to + 1] <= last) to += 1;
+    if (to - from > best.to - best.from) best = { from, to };
+  });
+  return { start: dates[best.from], end: dates[best.to] };
+};
+
+// Records whose date falls outside the report range (see getDateRange)
+export const datesOutsideRange = (records, range = getDateRange(records)) => (range
+  ? records.filter(rec => {
+    const iso = recordIsoDate(rec);
+    return iso && (iso < range.start || iso > range.end);
+  })
+  : []);
+
+// Find the leave entry covering an employee on a day
+const findLeave = (leaves, empId, isoDate) => leaves.find(
+  l => String(l.empId) === String(empId) && l.start <= isoDate && isoDate <= (l.end || l.start)
+);
+
+// Classify one day. Worked days are always present, even on a weekend or holiday;
+// days before hire or after termination never count as absences.
+export const classifyDay = ({ isPresent, isWorkday, holiday, leave, isEmployed = true }) => {
+  if (isPresent) return DAY_STATUS.PRESENT;
+  if (!isEmployed) return DAY_STATUS.INACTIVE;
+  if (holiday) return DAY_STATUS.HOLIDAY;
+  if (!isWorkday) return DAY_STATUS.WEEKEND;
+  if (leave) return DAY_STATUS.LEAVE;
+  return DAY_STATUS.ABSENT;
+};
+
+// Expand records to the full report range and stamp dayStatus / isoDate on each.
+// options: { holidays: [{date, name}], leaves: [{empId, start, end, type}], leaveTypes, schedule, range: {start, end} }
+export const buildCalendar = (records, options = {}) => {
+  const { holidays = [], leaves = [], leaveTypes = DEFAULT_LEAVE_TYPES, schedule } = options;
+  const range = options.range || getDateRange(records);
+  const holidayMap = Object.fromEntries(holidays.map(h => [h.date, h]));
+
+  const isWorkday = (record, isoDate) => {
+    const shift = (schedule && resolveShift(record, schedule)) || DEFAULT_SHIFT;
+    return (shift.workdays || []).includes(weekdayOf(isoDate));
+  };
+
+  const stamp = (record, isoDate) => {
+    if (!isoDate) {
+      // Unreadable date: only the presence rule applies
+      return { ...record, isoDate: null, dayStatus: record.isPresent ? DAY_STATUS.PRESENT : DAY_STATUS.ABSENT };
+    }
+    const holiday = holidayMap[isoDate];
+    const leave = findLeave(leaves, record.empId, isoDate);
+    const dayStatus = classifyDay({
+      isPresent: record.isPresent,
+      isWorkday: isWorkday(record, isoDate),
+      holiday,
+      leave,
+      isEmployed: isEmployedOn(record, isoDate)
+    });
+    // Leave details only apply where the leave decided the day (worked days and holidays take precedence)
+    const leaveType = dayStatus === DAY_STATUS.LEAVE ? findLeaveType(leaveTypes, leave.type) : null;
+    return {
+      ...record,
+      isoDate,
+      holidayName: holiday ? holiday.name : null,
+      leaveType: leaveType ? leaveType.id : null,
+      leaveName: leaveType ? leaveType.name : null,
+      leavePaid: leaveType ? Boolean(leaveType.paid) : false,
+      dayStatus
+    };
+  };
+
+  // Group existing rows per employee and day
+  const employees = {};
+  const result = [];
+  records.forEach(record => {
+    const isoDate = recordIsoDate(record);
+    const stamped = stamp(record, isoDate);
+    result.push(stamped);
+    if (!employees[record.empId]) {
+      employees[record.empId] = { template: record, days: new Set() };
+    }
+    if (isoDate) employees[record.empId].days.add(isoDate);
+  });
+
+  // Fill the days the device omitted
+  if (range) {
+    const allDays = eachDay(range.start, range.end);
+    Object.values(employees).forEach(({ template, days }) => {
+      allDays.forEach(isoDate => {
+        if (days.has(isoDate)) return;
+        result.push(stamp({
+          id: `${template.empId}-${isoDate}`,
+          empId: template.empId,
+          name: template.name,
+          dept: template.dept,
+          costCenter: template.costCenter,
+          hireDate: template.hireDate,
+          terminationDate: template.terminationDate,
+          active: template.active,
+          date: isoDate,
+          clockIn: '',
+          clockOut: '',
+          clockInMinutes: null,
+          clockOutMinutes: null,
+          rawRegularH: null,
+          rawWorkedH: null,
+          rawTotalH: null,
+          actualHours: 0,
+          isPresent: false,
+          source: 'None',
+          isFilled: true
+        }, isoDate));
+      });
+    });
+  }
+
+  // Keep each employee's days in calendar order; unreadable dates go last
+  return result.sort((a, b) => {
+    if (a.isoDate === b.isoDate) return 0;
+    if (!a.isoDate) return 1;
+    if (!b.isoDate) return -1;
+    return a.isoDate.localeCompare(b.isoDate);
+  });
+};
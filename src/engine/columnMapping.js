@@ -0,0 +1,116 @@
+// --- Column Mapping ---
+// Resolves sheet columns to the logical fields the engine understands.
+// Supports localized/renamed headers through aliases and user-saved profiles.
+
+// How many leading rows to scan for the header (title rows are common)
+export const HEADER_SCAN_LIMIT = 20;
+
+// Logical fields, with the iFace 990 English label first and known aliases after it
+export const FIELDS = [
+  { key: 'empId', label: 'Employee ID', required: true, aliases: ['Emp ID', 'User ID', 'AC-No.', 'Employee No', 'رقم الموظف', 'الرقم الوظيفي', 'رقم المستخدم', 'Matricule', 'ID Employé', 'N° Employé'] },
+  { key: 'name', label: 'First Name', aliases: ['Name', 'Employee Name', 'Full Name', 'الاسم', 'اسم الموظف', 'الاسم الأول', 'Prénom', 'Nom', 'Nom Complet'] },
+  { key: 'dept', label: 'Department', aliases: ['Dept', 'Dept.', 'القسم', 'الإدارة', 'Département', 'Service'] },
+  { key: 'date', label: 'Date', required: true, aliases: ['Day', 'Work Date', 'التاريخ', 'اليوم', 'Jour'] },
+  { key: 'clockIn', label: 'Clock In', aliases: ['Check In', 'Time In', 'In', 'وقت الدخول', 'الدخول', 'Entrée', "Heure d'entrée"] },
+  { key: 'clockOut', label: 'Clock Out', aliases: ['Check Out', 'Time Out', 'Out', 'وقت الخروج', 'الخروج', 'Sortie', 'Heure de sortie'] },
+  { key: 'totalHours', label: 'Total Hours', aliases: ['Total', 'Total Time', 'إجمالي الساعات', 'مجموع الساعات', 'Heures totales', 'Total heures'] },
+  { key: 'workedHours', label: 'Worked Hours', aliases: ['Work Time', 'Work Hours', 'ساعات العمل', 'Heures travaillées'] },
+  { key: 'regularH', label: 'Regular(H)', aliases: ['Regular', 'Normal(H)', 'Regular Hours', 'الساعات العادية', 'ساعات عادية', 'Heures normales'] },
+];
+
+// Header labels keyed by logical field
+export const DEFAULT_COLUMNS = Object.fromEntries(FIELDS.map(f => [f.key, f.label]));
+
+// Fields the engine cannot work without
+export const REQUIRED_FIELDS = FIELDS.filter(f => f.required).map(f => f.key);
+
+// Lowercase, strip accents/Arabic diacritics, spaces and punctuation so "Regular (H)" == "regular(h)"
+export const normalizeHeader = (val) => String(val ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '')
+  .toLowerCase()
+  .replace(/[\s._\-()'’:°]/g, '');
+
+const ALIAS_LOOKUP = (() => {
+  const lookup = {};
+  FIELDS.forEach(field => {
+    [field.label, ...field.aliases].forEach(alias => {
+      const key = normalizeHeader(alias);
+      if (!(key in lookup)) lookup[key] = field.key;
+    });
+  });
+  return lookup;
+})();
+
+// Stable fingerprint of a header row, used to match saved profiles. Blank cells keep their place so layouts that
+// only differ in where their empty columns sit don't share a profile; trailing blanks are dropped because sheets
+// pad rows to different widths.
+export const headerSignature = (headers) => {
+  const cells = (headers || []).map(normalizeHeader);
+  while (cells.length > 0 && !cells[cells.length - 1]) cells.pop();
+  return cells.join('|');
+};
+
+// Map each logical field to its column index (-1 when absent) using labels and aliases
+export const buildColumnMap = (headers) => {
+  const colMap = Object.fromEntries(FIELDS.map(f => [f.key, -1]));
+  (headers || []).forEach((header, idx) => {
+    const field = ALIAS_LOOKUP[normalizeHeader(header)];
+    if (field && colMap[field] === -1) colMap[field] = idx;
+  });
+  return colMap;
+};
+
+const rowToHeaders = (row) => (row || []).map(cell => String(cell).trim());
+
+// Locate the header row: the first row where every required field resolves
+export const detectHeaderRow = (rows) => {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_LIMIT); i++) {
+    const headers = rowToHeaders(rows[i]);
+    const colMap = buildColumnMap(headers);
+    if (REQUIRED_FIELDS.every(field => colMap[field] !== -1)) {
+      return { headerRowIndex: i, headers, colMap };
+    }
+  }
+  return { headerRowIndex: -1, headers: [], colMap: {} };
+};
+
+// Find a saved profile whose signature matches one of the leading rows
+export const findProfileForRows = (rows, profiles) => {
+  if (!profiles || profiles.length === 0) return null;
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_LIMIT); i++) {
+    const signature = headerSignature(rowToHeaders(rows[i]));
+    if (!signature) continue;
+    const profile = profiles.find(p => p.signature === signature);
+    if (profile) {
+      return { profile, headerRowIndex: i, headers: rowToHeaders(rows[i]) };
+    }
+  }
+  return null;
+};
+
+// Resolve the mapping to use: explicit > saved profile > auto-detection
+export const resolveMapping = (rows, { mapping, profiles } = {}) => {
+  if (mapping && mapping.headerRowIndex >= 0) {
+    return {
+      headerRowIndex: mapping.headerRowIndex,
+      headers: rowToHeaders(rows[mapping.headerRowIndex]),
+      colMap: { ...Object.fromEntries(FIELDS.map(f => [f.key, -1])), ...mapping.colMap },
+      source: 'manual',
+      profileName: mapping.name || null
+    };
+  }
+
+  const match = findProfileForRows(rows, profiles);
+  if (match) {
+    return {
+      headerRowIndex: match.headerRowIndex,
+      headers: match.headers,
+      colMap: { ...Object.fromEntries(FIELDS.map(f => [f.key, -1])), ...match.profile.colMap },
+      source: 'profile',
+      profileName: match.profile.name
+    };
+  }
+
+  return { ...detectHeaderRow(rows), source: 'auto', profileName: null };
+};
@@ -0,0 +1,68 @@
+// --- Period Comparison ---
+// Per-employee diff between two summaries (e.g. last month vs this month).
+// Employees are matched by ID; those found in only one period are reported separately.
+
+export const COMPARE_METRICS = [
+  { key: 'daysPresent', label: 'Days Present', decimals: 0 },
+  { key: 'totalActualHours', label: 'Total Hours', decimals: 2 },
+  { key: 'equivalentDays', label: 'Eqv. Days', decimals: 2 }
+];
+
+export const COMPARE_STATUS = {
+  BOTH: 'both',
+  ONLY_BASE: 'only-base',
+  ONLY_TARGET: 'only-target'
+};
+
+// Rows whose hour change is at least this large and among the largest are flagged as swings
+export const DEFAULT_SWING_OPTIONS = { topCount: 5, minHours: 8 };
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+const metricsOf = (emp) => Object.fromEntries(COMPARE_METRICS.map(({ key }) => [key, emp ? emp[key] || 0 : 0]));
+
+// base is the earlier period, target the later one; deltas are target - base
+export const comparePeriods = (baseSummary, targetSummary, options = {}) => {
+  const { topCount, minHours } = { ...DEFAULT_SWING_OPTIONS, ...options };
+  const baseById = new Map(baseSummary.map(emp => [String(emp.empId), emp]));
+  const targetById = new Map(targetSummary.map(emp => [String(emp.empId), emp]));
+  const ids = [...new Set([...baseById.keys(), ...targetById.keys()])];
+
+  const rows = ids.map(empId => {
+    const base = baseById.get(empId);
+    const target = targetById.get(empId);
+    const before = metricsOf(base);
+    const after = metricsOf(target);
+    const row = {
+      empId,
+      name: (target || base).name,
+      dept: (target || base).dept,
+      status: !base ? COMPARE_STATUS.ONLY_TARGET : !target ? COMPARE_STATUS.ONLY_BASE : COMPARE_STATUS.BOTH,
+      isSwing: false
+    };
+    COMPARE_METRICS.forEach(({ key, decimals }) => {
+      row[`${key}Base`] = before[key];
+      row[`${key}Target`] = after[key];
+      row[`${key}Delta`] = round(after[key] - before[key], decimals);
+    });
+    // Relative hour change; null when there is no baseline to compare against
+    row.hoursChangePct = before.totalActualHours > 0
+      ? round(((after.totalActualHours - before.totalActualHours) / before.totalActualHours) * 100, 1)
+      : null;
+    return row;
+  });
+
+  // Biggest swings only among employees present in both periods
+  rows
+    .filter(row => row.status === COMPARE_STATUS.BOTH && Math.abs(row.totalActualHoursDelta) >= minHours)
+    .sort((a, b) => Math.abs(b.totalActualHoursDelta) - Math.abs(a.totalActualHoursDelta))
+    .slice(0, topCount)
+    .forEach(row => { row.isSwing = true; });
+
+  return {
+    rows,
+    onlyInBase: rows.filter(row => row.status === COMPARE_STATUS.ONLY_BASE),
+    onlyInTarget: rows.filter(row => row.status === COMPARE_STATUS.ONLY_TARGET),
+    swings: rows.filter(row => row.isSwing).sort((a, b) => Math.abs(b.totalActualHoursDelta) - Math.abs(a.totalActualHoursDelta))
+  };
+};
@@ -0,0 +1,184 @@
+// --- Manual Corrections & Approvals ---
+// Corrections are an append-only log of edits to daily records (clock in/out, status or hours).
+// They are layered on top of the parsed, calendar-filled records before shift metrics are computed,
+// so the parsed values are never lost and summaries recompute from the corrected figures.
+// Approvals record a supervisor decision per employee per period.
+
+import { parseClock, clockSpanMinutes } from './parsers.js';
+import { DAY_STATUS } from './calendar.js';
+import { translate, translateOr, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+export const CORRECTION_FIELDS = {
+  clockIn: 'Clock In',
+  clockOut: 'Clock Out',
+  status: 'Status',
+  hours: 'Hours'
+};
+
+export const MANUAL_SOURCE = 'Manual';
+
+export const APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Corrections follow an employee day, not a row id, so they survive re-uploads and re-mapping
+export const correctionKey = (empId, isoDate) => `${empId}|${isoDate}`;
+
+// Period key for approvals: the report's first and last day
+export const periodKey = (range) => (range ? `${range.start}_${range.end}` : '');
+
+let correctionCounter = 0;
+
+// New log entry. newValue null reverts the field to the parsed value.
+export const createCorrection = ({ empId, isoDate, field, oldValue, newValue, reason, user }) => {
+  correctionCounter += 1;
+  return {
+    id: `corr-${Date.now().toString(36)}-${correctionCounter}`,
+    empId: String(empId),
+    isoDate,
+    field,
+    oldValue: oldValue ?? null,
+    newValue: newValue ?? null,
+    reason,
+    user: user || 'unknown',
+    at: new Date().toISOString()
+  };
+};
+
+// Latest value per day and field (log order wins); reverted fields are dropped
+export const effectiveOverrides = (corrections) => {
+  const overrides = {};
+  corrections.forEach(entry => {
+    const key = correctionKey(entry.empId, entry.isoDate);
+    if (!overrides[key]) overrides[key] = {};
+    if (entry.newValue === null) {
+      delete overrides[key][entry.field];
+    } else {
+      overrides[key][entry.field] = entry.newValue;
+    }
+  });
+  return overrides;
+};
+
+// Apply one day's overrides to a record; the parsed values stay available under record.original
+export const applyOverride = (record, override) => {
+  const fields = Object.keys(override || {});
+  if (fields.length === 0) return record;
+
+  const next = {
+    ...record,
+    original: {
+      clockIn: record.clockIn,
+      clockOut: record.clockOut,
+      actualHours: record.actualHours,
+      dayStatus: record.dayStatus,
+      isPresent: record.isPresent
+    },
+    correctedFields: fields
+  };
+
+  if ('clockIn' in override) {
+    next.clockIn = override.clockIn;
+    next.clockInMinutes = parseClock(override.clockIn);
+  }
+  if ('clockOut' in override) {
+    next.clockOut = override.clockOut;
+    next.clockOutMinutes = parseClock(override.clockOut);
+  }
+
+  if ('hours' in override) {
+    next.actualHours = Math.max(0, Number(override.hours) || 0);
+    next.isPresent = next.actualHours > 0;
+    next.source = MANUAL_SOURCE;
+  } else if (('clockIn' in override || 'clockOut' in override)) {
+    // A repaired punch pair gives the day its span unless hours are corrected explicitly
+    const span = clockSpanMinutes(next.clockInMinutes, next.clockOutMinutes);
+    if (span !== null && span > 0) {
+      next.actualHours = span / 60;
+      next.isPresent = true;
+      next.source = MANUAL_SOURCE;
+    }
+  }
+
+  if ('status' in override) {
+    next.dayStatus = override.status;
+    if (override.status === DAY_STATUS.PRESENT) {
+      next.isPresent = true;
+    } else {
+      next.isPresent = false;
+      next.actualHours = 0;
+    }
+  } else if (next.isPresent !== record.isPresent) {
+    next.dayStatus = next.isPresent ? DAY_STATUS.PRESENT : DAY_STATUS.ABSENT;
+  }
+
+  return next;
+};
+
+// Layer the correction log over calendar-filled records
+export const applyCorrections = (records, corrections = []) => {
+  if (corrections.length === 0) return records;
+  const overrides = effectiveOverrides(corrections);
+  return records.map(rec => (rec.isoDate ? applyOverride(rec, overrides[correctionKey(rec.empId, rec.isoDate)]) : rec));
+};
+
+// --- Approvals ---
+
+// Approval entry for an employee in a period (latest decision wins)
+export const findApproval = (approvals, empId, period) => {
+  for (let i = approvals.length - 1; i >= 0; i -= 1) {
+    const entry = approvals[i];
+    if (entry.empId === String(empId) && entry.period === period) return entry;
+  }
+  return null;
+};
+
+export const createApproval = ({ empId, period, status, user, note = '' }) => ({
+  empId: String(empId),
+  period,
+  status,
+  user: user || 'unknown',
+  note,
+  at: new Date().toISOString()
+});
+
+// --- Audit Log ---
+
+// Field of an approval decision in the audit log
+const APPROVAL_FIELD = 'approval';
+
+// Corrections and approval decisions as one chronological log. field and action are codes; see
+// auditFieldLabel / auditActionLabel for the text in a language.
+export const buildAuditLog = (corrections = [], approvals = []) => [
+  ...corrections.map(entry => ({
+    at: entry.at,
+    user: entry.user,
+    action: entry.newValue === null ? 'revert' : 'correction',
+    empId: entry.empId,
+    date: entry.isoDate,
+    field: entry.field,
+    oldValue: entry.oldValue,
+    newValue: entry.newValue,
+    reason: entry.reason
+  })),
+  ...approvals.map(entry => ({
+    at: entry.at,
+    user: entry.user,
+    action: entry.status,
+    empId: entry.empId,
+    date: entry.period.replace('_', ' – '),
+    field: APPROVAL_FIELD,
+    oldValue: null,
+    newValue: entry.status,
+    reason: entry.note
+  }))
+].sort((a, b) => a.at.localeCompare(b.at));
+
+// Audit log field and action in a language (exports and printed timesheets)
+export const auditFieldLabel = (field, lang = DEFAULT_LANGUAGE) => (field === APPROVAL_FIELD
+  ? translate(lang, 'exports.audit.approval')
+  : translateOr(lang, `corrections.fields.${field}`, field));
+
+export const auditActionLabel = (action, lang = DEFAULT_LANGUAGE) => translateOr(lang, `exports.audit.actions.${action}`, action);
@@ -0,0 +1,205 @@
+// --- Employee Directory ---
+// Master list of employees: canonical ID, name, department, cost center, employment dates, active flag
+// and alias IDs (the same person enrolled under another number on a second device). Parsed records are
+// resolved against it before sources are merged, so aliases collapse onto one employee. Days without punches
+// outside the employment dates, or of an inactive employee, are not counted as absences.
+
+import { parseDate, resolveDateOrder } from './parsers.js';
+
+const PLACEHOLDER = 'Unknown';
+
+// Header aliases for directory imports (lowercase, matched after trimming)
+export const DIRECTORY_COLUMNS = {
+  empId: ['employee id', 'emp id', 'empid', 'id', 'ac-no', 'ac-no.', 'user id', 'staff id', 'رقم الموظف'],
+  name: ['name', 'employee name', 'full name', 'الاسم'],
+  dept: ['department', 'dept', 'القسم'],
+  costCenter: ['cost center', 'cost centre', 'costcenter'],
+  hireDate: ['hire date', 'start date', 'joined', 'employment start'],
+  terminationDate: ['termination date', 'end date', 'left', 'employment end'],
+  active: ['active', 'status'],
+  aliases: ['aliases', 'alias ids', 'other ids', 'device ids']
+};
+
+const HEADER_SCAN_ROWS = 10;
+
+const text = (value) => String(value ?? '').trim();
+
+// null when the cell is blank, so a re-import without the column keeps the stored flag
+const parseActive = (value) => {
+  const v = text(value).toLowerCase();
+  if (!v) return null;
+  return !['no', 'false', '0', 'inactive', 'terminated', 'n'].includes(v);
+};
+
+const parseAliases = (value) => (Array.isArray(value) ? value : text(value).split(/[;,|\s]+/))
+  .map(text)
+  .filter(Boolean);
+
+// Normalized directory entry. options.dateOrder reads the hire and termination dates (see parseDate).
+// active stays null when not given; mergeDirectory fills it in.
+export const createEmployee = (fields, { dateOrder } = {}) => ({
+  empId: text(fields.empId),
+  name: text(fields.name),
+  dept: text(fields.dept),
+  costCenter: text(fields.costCenter),
+  hireDate: fields.hireDate ? parseDate(fields.hireDate, { dateOrder }) : null,
+  terminationDate: fields.terminationDate ? parseDate(fields.terminationDate, { dateOrder }) : null,
+  active: typeof fields.active === 'boolean' ? fields.active : parseActive(fields.active),
+  aliases: [...new Set(parseAliases(fields.aliases))].filter(alias => alias !== text(fields.empId))
+});
+
+// Canonical ID and every alias -> directory entry
+export const buildDirectoryIndex = (directory) => {
+  const index = new Map();
+  directory.forEach(emp => {
+    emp.aliases.forEach(alias => { if (!index.has(alias)) index.set(alias, emp); });
+  });
+  // Canonical IDs win over an alias that happens to collide with them
+  directory.forEach(emp => index.set(emp.empId, emp));
+  return index;
+};
+
+// Whether an employee was employed on a day (open-ended dates are unbounded; inactive employees never are)
+export const isEmployedOn = (record, isoDate) => {
+  if (record.active === false) return false;
+  if (!isoDate) return true;
+  if (record.hireDate && isoDate < record.hireDate) return false;
+  if (record.terminationDate && isoDate > record.terminationDate) return false;
+  return true;
+};
+
+// Stamp canonical identity on every record. Returns the resolved records plus the IDs that are not in
+// the directory ({ empId, name, dept, rows }). An empty directory leaves records untouched.
+export const resolveRecords = (records, directory = []) => {
+  if (directory.length === 0) return { records, unknown: [] };
+  const index = buildDirectoryIndex(directory);
+  const unknown = new Map();
+
+  const resolved = records.map(record => {
+    const key = text(record.empId);
+    const emp = index.get(key);
+    if (!emp) {
+      if (!unknown.has(key)) unknown.set(key, { empId: key, name: record.name, dept: record.dept, rows: 0 });
+      unknown.get(key).rows += 1;
+      return record;
+    }
+    const isAlias = emp.empId !== key;
+    return {
+      ...record,
+      // Re-key alias rows so the merge groups them with the canonical employee's day
+      id: isAlias && String(record.id).startsWith(key) ? `${emp.empId}${String(record.id).slice(key.length)}` : record.id,
+      empId: emp.empId,
+      sourceEmpId: isAlias ? key : undefined,
+      name: emp.name || record.name,
+      dept: emp.dept || record.dept,
+      costCenter: emp.costCenter,
+      hireDate: emp.hireDate,
+      terminationDate: emp.terminationDate,
+      active: emp.active !== false,
+      inDirectory: true
+    };
+  });
+
+  return { records: resolved, unknown: [...unknown.values()] };
+};
+
+// --- Import ---
+
+const findHeaderRow = (rows) => {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const cells = (rows[i] || []).map(cell => text(cell).toLowerCase());
+    if (cells.some(cell => DIRECTORY_COLUMNS.empId.includes(cell))) return i;
+  }
+  return -1;
+};
+
+// Read a directory sheet or CSV (2D array of rows). Rows without an ID are skipped and reported.
+export const parseDirectoryRows = (rows) => {
+  const headerRowIndex = findHeaderRow(rows);
+  if (headerRowIndex === -1) {
+    return { employees: [], errors: [{ line: 1, code: 'NO_HEADER', message: "No header row with an 'Employee ID' column was found." }] };
+  }
+
+  const headers = rows[headerRowIndex].map(cell => text(cell).toLowerCase());
+  const colMap = Object.fromEntries(Object.entries(DIRECTORY_COLUMNS).map(([field, names]) => [field, headers.findIndex(h => names.includes(h))]));
+  const employees = [];
+  const errors = [];
+  const dataRows = rows.slice(headerRowIndex + 1);
+  // Hire and termination dates are read with the order worked out from both columns
+  const dateCells = dataRows.flatMap(row => [colMap.hireDate, colMap.terminationDate].filter(col => col !== -1).map(col => (row || [])[col]));
+  const dateOrder = resolveDateOrder('auto', dateCells);
+
+  dataRows.forEach((row, offset) => {
+    if (!row || row.every(cell => !text(cell))) return;
+    const fields = Object.fromEntries(Object.entries(colMap).map(([field, col]) => [field, col === -1 ? '' : row[col]]));
+    if (!text(fields.empId)) {
+      errors.push({ line: headerRowIndex + offset + 2, code: 'MISSING_EMPLOYEE_ID', message: 'Missing employee ID' });
+      return;
+    }
+    employees.push(createEmployee(fields, { dateOrder }));
+  });
+
+  return { employees, errors };
+};
+
+// --- Build From Uploads ---
+
+const realValue = (value) => {
+  const v = text(value);
+  return v && v !== PLACEHOLDER ? v : '';
+};
+
+// Directory entries for every employee in the records, using the latest name and department seen.
+// changes lists employees whose name or department differs between rows (renames, transfers).
+export const directoryFromRecords = (records) => {
+  const byId = new Map();
+  [...records]
+    .sort((a, b) => String(a.isoDate || '').localeCompare(String(b.isoDate || '')))
+    .forEach(rec => {
+      const key = text(rec.empId);
+      if (!byId.has(key)) byId.set(key, { names: [], depts: [], firstDay: null, lastDay: null });
+      const entry = byId.get(key);
+      const name = realValue(rec.name);
+      const dept = realValue(rec.dept);
+      if (name && entry.names[entry.names.length - 1] !== name) entry.names.push(name);
+      if (dept && entry.depts[entry.depts.length - 1] !== dept) entry.depts.push(dept);
+      if (rec.isoDate && !entry.firstDay) entry.firstDay = rec.isoDate;
+      if (rec.isoDate) entry.lastDay = rec.isoDate;
+    });
+
+  const employees = [];
+  const changes = [];
+  byId.forEach((entry, empId) => {
+    employees.push(createEmployee({
+      empId,
+      name: entry.names[entry.names.length - 1] || '',
+      dept: entry.depts[entry.depts.length - 1] || ''
+    }));
+    const names = [...new Set(entry.names)];
+    const depts = [...new Set(entry.depts)];
+    if (names.length > 1 || depts.length > 1) changes.push({ empId, names, depts, firstDay: entry.firstDay, lastDay: entry.lastDay });
+  });
+
+  return { employees, changes };
+};
+
+// Merge directory lists by canonical ID. Non-empty incoming fields win (a blank Active cell keeps the stored
+// flag); aliases are combined. New employees are active unless they say otherwise.
+export const mergeDirectory = (existing, incoming) => {
+  const byId = new Map(existing.map(emp => [emp.empId, emp]));
+  incoming.forEach(emp => {
+    const current = byId.get(emp.empId);
+    if (!current) {
+      byId.set(emp.empId, { ...emp, active: emp.active ?? true });
+      return;
+    }
+    const filled = Object.fromEntries(Object.entries(emp).filter(([, value]) => value !== '' && value !== null));
+    byId.set(emp.empId, { ...current, ...filled, aliases: [...new Set([...current.aliases, ...emp.aliases])] });
+  });
+  return [...byId.values()].sort((a, b) => a.empId.localeCompare(b.empId, undefined, { numeric: true }));
+};
+
+// Record an unknown device ID as an alias of an existing employee
+export const addAlias = (directory, empId, alias) => directory.map(emp => (
+  emp.empId === empId ? { ...emp, aliases: [...new Set([...emp.aliases, text(alias)])] } : emp
+));
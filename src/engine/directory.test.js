@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { createEmployee, mergeDirectory, parseDirectoryRows, resolveRecords } from './directory.js';
+import { buildCalendar, DAY_STATUS } from './calendar.js';
+
+const record = (empId, isoDate, isPresent = true) => ({ id: `${empId}-${isoDate}`, empId, name: 'Unknown', dept: '', isoDate, isPresent, actualHours: isPresent ? 8 : 0 });
+
+describe('active flag', () => {
+  it('keeps the stored flag when a re-import has no Active column', () => {
+    const stored = mergeDirectory([], [createEmployee({ empId: '1', name: 'Ahmed', active: false })]);
+    const { employees } = parseDirectoryRows([['Employee ID', 'Name'], ['1', 'Ahmed Ali']]);
+    expect(mergeDirectory(stored, employees)).toMatchObject([{ empId: '1', name: 'Ahmed Ali', active: false }]);
+  });
+
+  it('takes the Active cell when it is filled in', () => {
+    const stored = mergeDirectory([], [createEmployee({ empId: '1', active: false })]);
+    const { employees } = parseDirectoryRows([['Employee ID', 'Active'], ['1', 'yes']]);
+    expect(mergeDirectory(stored, employees)[0].active).toBe(true);
+  });
+
+  it('adds new employees as active', () => {
+    expect(mergeDirectory([], [createEmployee({ empId: '2' })])[0].active).toBe(true);
+  });
+
+  it('keeps the days an inactive employee worked and counts none of their absences', () => {
+    const directory = mergeDirectory([], [createEmployee({ empId: '1', name: 'Ahmed' }), createEmployee({ empId: '2', name: 'Sara', active: 'no' })]);
+    // 2026-09-01 to 03 are Tuesday to Thursday; Sara has no row on the 3rd, so that day is filled in
+    const rows = [record('1', '2026-09-01'), record('1', '2026-09-02', false), record('1', '2026-09-03'), record('2', '2026-09-01'), record('2', '2026-09-02', false)];
+    const { records, unknown } = resolveRecords(rows, directory);
+    expect(unknown).toEqual([]);
+    const status = Object.fromEntries(buildCalendar(records).map(r => [`${r.name} ${r.isoDate}`, r.dayStatus]));
+    expect(status).toEqual({
+      'Ahmed 2026-09-01': DAY_STATUS.PRESENT,
+      'Ahmed 2026-09-02': DAY_STATUS.ABSENT,
+      'Ahmed 2026-09-03': DAY_STATUS.PRESENT,
+      'Sara 2026-09-01': DAY_STATUS.PRESENT,
+      'Sara 2026-09-02': DAY_STATUS.INACTIVE,
+      'Sara 2026-09-03': DAY_STATUS.INACTIVE
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// --- Employee Profile ---
+// Per-employee views over summarized, calendar-filled records: month calendars, arrival and departure
+// time distributions, average start / end times and weekly hour totals.
+
+import { DAY_STATUS, addDays, weekdayOf, getDateRange, eachDay } from './calendar.js';
+
+// Weeks start on Sunday, matching the default Sunday-Thursday working week
+const WEEK_START = 0;
+const DEFAULT_BUCKET_MINUTES = 30;
+
+const statusOf = (rec) => rec.dayStatus || (rec.isPresent ? DAY_STATUS.PRESENT : DAY_STATUS.ABSENT);
+
+// One record per day; duplicate rows for a day keep the worked one
+const recordsByDay = (records) => {
+  const byDay = {};
+  records.forEach(rec => {
+    if (!rec.isoDate) return;
+    if (!byDay[rec.isoDate] || rec.isPresent) byDay[rec.isoDate] = rec;
+  });
+  return byDay;
+};
+
+const weekStartOf = (isoDate) => addDays(isoDate, -((weekdayOf(isoDate) - WEEK_START + 7) % 7));
+
+// Month grids covering the records' range: { month: 'YYYY-MM', weeks: [[cell | null x 7]] }.
+// Cells are { isoDate, day, status, hours, record } (status null when the day has no record).
+export const monthCalendars = (records) => {
+  const range = getDateRange(records);
+  if (!range) return [];
+  const byDay = recordsByDay(records);
+  const months = [];
+
+  let monthStart = `${range.start.slice(0, 7)}-01`;
+  while (monthStart <= range.end) {
+    const month = monthStart.slice(0, 7);
+    const days = [];
+    for (let day = monthStart; day.startsWith(month); day = addDays(day, 1)) days.push(day);
+
+    const cells = Array((weekdayOf(monthStart) - WEEK_START + 7) % 7).fill(null);
+    days.forEach(isoDate => {
+      const rec = byDay[isoDate];
+      cells.push({
+        isoDate,
+        day: Number(isoDate.slice(8)),
+        status: rec ? statusOf(rec) : null,
+        hours: rec ? rec.actualHours : null,
+        record: rec || null
+      });
+    });
+    while (cells.length % 7 !== 0) cells.push(null);
+
+    const weeks = [];
+    for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+    months.push({ month, weeks });
+    monthStart = addDays(days[days.length - 1], 1);
+  }
+  return months;
+};
+
+// Present days with a punch in the given field ('clockInMinutes' or 'clockOutMinutes')
+const punchTimes = (records, field) => records
+  .filter(rec => rec.isPresent && rec[field] != null)
+  .map(rec => rec[field]);
+
+// Count of punches per time bucket, from the earliest to the latest bucket used: [{ start, count }]
+export const timeDistribution = (records, field, bucketMinutes = DEFAULT_BUCKET_MINUTES) => {
+  const times = punchTimes(records, field);
+  if (times.length === 0) return [];
+  const bucketOf = (minutes) => Math.floor(minutes / bucketMinutes) * bucketMinutes;
+  const counts = {};
+  times.forEach(minutes => {
+    const start = bucketOf(minutes);
+    counts[start] = (counts[start] || 0) + 1;
+  });
+  const first = bucketOf(Math.min(...times));
+  const last = bucketOf(Math.max(...times));
+  const buckets = [];
+  for (let start = first; start <= last; start += bucketMinutes) buckets.push({ start, count: counts[start] || 0 });
+  return buckets;
+};
+
+// Mean punch time in minutes since midnight, or null when there are no punches
+export const averageTime = (records, field) => {
+  const times = punchTimes(records, field);
+  return times.length > 0 ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length) : null;
+};
+
+// Hours and days present per week (weeks with no records in range are included with zero hours)
+export const weeklyTotals = (records) => {
+  const range = getDateRange(records);
+  if (!range) return [];
+  const weeks = {};
+  eachDay(weekStartOf(range.start), range.end).forEach(isoDate => {
+    const start = weekStartOf(isoDate);
+    if (!weeks[start]) weeks[start] = { weekStart: start, weekEnd: addDays(start, 6), hours: 0, daysPresent: 0, scheduledMinutes: 0 };
+  });
+  Object.values(recordsByDay(records)).forEach(rec => {
+    const week = weeks[weekStartOf(rec.isoDate)];
+    if (!week) return;
+    if (rec.isPresent) {
+      week.hours += rec.actualHours;
+      week.daysPresent += 1;
+    }
+    week.scheduledMinutes += rec.scheduledMinutes || 0;
+  });
+  return Object.values(weeks).sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+};
+
+// Everything the profile page shows for one summarized employee
+export const employeeProfile = (emp) => ({
+  calendar: monthCalendars(emp.records),
+  arrivals: timeDistribution(emp.records, 'clockInMinutes'),
+  departures: timeDistribution(emp.records, 'clockOutMinutes'),
+  averageStart: averageTime(emp.records, 'clockInMinutes'),
+  averageEnd: averageTime(emp.records, 'clockOutMinutes'),
+  weeks: weeklyTotals(emp.records)
+});
@@ -0,0 +1,134 @@
+// --- Report Exports ---
+// Format-independent export rows plus CSV and JSON serializers. The same rows feed XLSX sheets,
+// CSV files and the JSON document, so every format carries identical figures. Column headers are in
+// the export language; the values stay plain numbers and codes so the files can be read back.
+
+import { HOURS_PER_DAY } from './attendanceEngine.js';
+import { findLeaveType } from './leaves.js';
+import { auditFieldLabel, auditActionLabel } from './corrections.js';
+import { translate, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+// Which employees an export covers: the filtered/sorted table or everything that was loaded
+export const EXPORT_SCOPES = { VIEW: 'view', ALL: 'all' };
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const clockString = (minutes) => (minutes == null ? '' : `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`);
+
+// Column header in the export language
+const headerFor = (lang) => (key, params) => translate(lang, `exports.columns.${key}`, params);
+
+// Sheet (and file) name in the export language, e.g. sheetName('ar', 'summary')
+export const sheetName = (lang, key) => translate(lang, `exports.sheets.${key}`);
+
+// Leave types that occur in the summary, in the configured order (unknown ids last)
+export const usedLeaveTypes = (summary, leaveTypes = []) => {
+  const used = new Set(summary.flatMap(emp => Object.keys(emp.leaveDays || {})));
+  const known = leaveTypes.filter(t => used.has(t.id));
+  const unknown = [...used].filter(id => !leaveTypes.some(t => t.id === id)).map(id => findLeaveType(leaveTypes, id));
+  return [...known, ...unknown];
+};
+
+// One row per employee, with a column per leave type that was taken
+export const summarySheetRows = (summary, { hoursPerDay = HOURS_PER_DAY, leaveTypes = [], lang = DEFAULT_LANGUAGE } = {}) => {
+  const h = headerFor(lang);
+  const types = usedLeaveTypes(summary, leaveTypes);
+  const hasCostCenters = summary.some(emp => emp.costCenter);
+  return summary.map(emp => ({
+    [h('employeeId')]: emp.empId,
+    [h('name')]: emp.name,
+    [h('department')]: emp.dept,
+    ...(hasCostCenters ? { [h('costCenter')]: emp.costCenter } : {}),
+    [h('daysPresent')]: emp.daysPresent,
+    [h('daysAbsent')]: emp.daysAbsent,
+    [h('holidays')]: emp.daysHoliday,
+    [h('weekendDays')]: emp.daysWeekend,
+    [h('leaveDays')]: emp.daysLeave,
+    [h('paidLeaveDays')]: emp.daysPaidLeave,
+    ...Object.fromEntries(types.map(t => [h('leaveTypeDays', { name: t.name }), emp.leaveDays?.[t.id] || 0])),
+    [h('totalActualHours')]: emp.totalActualHours.toFixed(2),
+    [h('equivalentDays', { hours: hoursPerDay })]: emp.equivalentDays.toFixed(2),
+    [h('countedDays')]: emp.countedDays,
+    [h('lateMinutes')]: emp.totalLateMinutes,
+    [h('earlyLeaveMinutes')]: emp.totalEarlyLeaveMinutes,
+    [h('overtimeMinutes')]: emp.totalOvertimeMinutes,
+    [h('undertimeMinutes')]: emp.totalUndertimeMinutes
+  }));
+};
+
+// One row per employee day, in summary order
+export const detailSheetRows = (summary, { shifts = [], lang = DEFAULT_LANGUAGE } = {}) => {
+  const h = headerFor(lang);
+  return summary.flatMap(emp => emp.records.map(rec => ({
+    [h('employeeId')]: rec.empId,
+    [h('name')]: rec.name,
+    [h('deviceId')]: rec.sourceEmpId || '',
+    [h('date')]: rec.isoDate || rec.date,
+    [h('clockIn')]: clockString(rec.clockInMinutes) || rec.clockIn,
+    [h('clockOut')]: clockString(rec.clockOutMinutes) || rec.clockOut,
+    [h('regularRaw')]: rec.rawRegularH,
+    [h('workedRaw')]: rec.rawWorkedH,
+    [h('totalRaw')]: rec.rawTotalH,
+    [h('actualHours')]: rec.actualHours.toFixed(2),
+    [h('calculationSource')]: rec.source,
+    [h('rulesApplied')]: rec.ruleScope || '',
+    [h('sourceFile')]: rec.sourceFile || '',
+    [h('sourceSheet')]: rec.sourceSheet || '',
+    [h('status')]: rec.dayStatus,
+    [h('corrected')]: (rec.correctedFields || []).join(', '),
+    [h('holiday')]: rec.holidayName || '',
+    [h('leave')]: rec.leaveName || '',
+    [h('shift')]: shifts.find(sh => sh.id === rec.shiftId)?.name || '',
+    [h('lateMinutes')]: rec.lateMinutes,
+    [h('earlyLeaveMinutes')]: rec.earlyLeaveMinutes,
+    [h('overtimeMinutes')]: rec.overtimeMinutes,
+    [h('undertimeMinutes')]: rec.undertimeMinutes
+  })));
+};
+
+// Audit log entries (see corrections.js buildAuditLog)
+export const auditSheetRows = (auditLog, { lang = DEFAULT_LANGUAGE } = {}) => {
+  const h = headerFor(lang);
+  return auditLog.map(entry => ({
+    [h('when')]: entry.at,
+    [h('who')]: entry.user,
+    [h('action')]: auditActionLabel(entry.action, lang),
+    [h('employeeId')]: entry.empId,
+    [h('datePeriod')]: entry.date,
+    [h('field')]: auditFieldLabel(entry.field, lang),
+    [h('oldValue')]: entry.oldValue ?? '',
+    [h('newValue')]: entry.newValue ?? '',
+    [h('reason')]: entry.reason || ''
+  }));
+};
+
+// --- CSV ---
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// RFC 4180 CSV with a header row taken from the first row's keys
+export const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const headers = Object.keys(rows[0]);
+  const lines = [headers.map(csvCell).join(',')];
+  rows.forEach(row => lines.push(headers.map(h => csvCell(row[h])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+};
+
+// --- JSON ---
+
+export const JSON_EXPORT_VERSION = 1;
+
+// Full structure for downstream tools: summary rows (without nested records), every daily record
+// and the audit log of manual corrections and approvals
+export const buildJsonExport = (summary, meta = {}, auditLog = []) => ({
+  version: JSON_EXPORT_VERSION,
+  generatedAt: new Date().toISOString(),
+  ...meta,
+  summary: summary.map(emp => Object.fromEntries(Object.entries(emp).filter(([key]) => key !== 'records'))),
+  records: summary.flatMap(emp => emp.records),
+  auditLog
+});
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { auditSheetRows } from './exports.js';
+import { buildAuditLog, createCorrection, createApproval } from './corrections.js';
+
+const auditLog = buildAuditLog(
+  [createCorrection({ empId: '1', isoDate: '2026-09-02', field: 'clockOut', oldValue: null, newValue: '16:00', reason: 'missed punch' })],
+  [createApproval({ empId: '1', period: '2026-09-01_2026-09-30', status: 'approved', user: 'Sara' })]
+);
+
+describe('auditSheetRows', () => {
+  it('writes fields and actions in the export language', () => {
+    const rows = auditSheetRows(auditLog, { lang: 'ar' });
+    expect(rows.map(row => [row['الإجراء'], row['الحقل']])).toEqual([['تصحيح', 'وقت الخروج'], ['معتمد', 'الاعتماد']]);
+  });
+
+  it('keeps English labels for English workbooks', () => {
+    const rows = auditSheetRows(auditLog, { lang: 'en' });
+    expect(rows.map(row => [row.Action, row.Field])).toEqual([['Correction', 'Clock Out'], ['Approved', 'Approval']]);
+  });
+});
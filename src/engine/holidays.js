@@ -0,0 +1,71 @@
+// --- Holiday Calendars ---
+// Parsers for importable holiday calendars (ICS or CSV) into [{ date: 'YYYY-MM-DD', name }].
+
+import { parseDate, resolveDateOrder } from './parsers.js';
+import { addDays } from './calendar.js';
+
+// Unfold ICS continuation lines (lines starting with a space or tab continue the previous one)
+const unfoldIcs = (text) => text.replace(/\r?\n[ \t]/g, '');
+
+const icsDate = (value) => {
+  const match = String(value).match(/(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+// Parse VEVENTs from an iCalendar file; multi-day events expand to one entry per day
+export const parseHolidayIcs = (text) => {
+  const holidays = [];
+  const events = unfoldIcs(text).split('BEGIN:VEVENT').slice(1);
+
+  events.forEach(block => {
+    const body = block.split('END:VEVENT')[0];
+    const field = (name) => {
+      const match = body.match(new RegExp(`^${name}(?:;[^:\\r\\n]*)?:(.*)$`, 'm'));
+      return match ? match[1].trim() : null;
+    };
+
+    const start = icsDate(field('DTSTART'));
+    if (!start) return;
+    // DTEND is exclusive for all-day events
+    const endExclusive = icsDate(field('DTEND'));
+    const name = (field('SUMMARY') || 'Holiday').replace(/\\([,;\\])/g, '$1');
+
+    let day = start;
+    do {
+      holidays.push({ date: day, name });
+      day = addDays(day, 1);
+    } while (endExclusive && day < endExclusive);
+  });
+
+  return holidays;
+};
+
+// Parse "date,name" rows; a header row and quoted names are tolerated. The day and month order is worked
+// out from all the dates in the file.
+export const parseHolidayCsv = (text) => {
+  const holidays = [];
+  const lines = text.split(/\r?\n/).filter(line => line.trim()).map(line => line.split(/[,;\t]/));
+  const dateOrder = resolveDateOrder('auto', lines.map(([rawDate]) => rawDate.replace(/"/g, '').trim()));
+  lines.forEach(([rawDate, ...rest]) => {
+    const date = parseDate(rawDate.replace(/"/g, '').trim(), { dateOrder });
+    if (!date) return; // header or junk
+    const name = rest.join(',').replace(/^"|"$/g, '').trim() || 'Holiday';
+    holidays.push({ date, name });
+  });
+  return holidays;
+};
+
+// Pick the parser from the file name or content
+export const parseHolidayFile = (fileName, text) => {
+  if (/\.ics$/i.test(fileName) || text.includes('BEGIN:VCALENDAR')) {
+    return parseHolidayIcs(text);
+  }
+  return parseHolidayCsv(text);
+};
+
+// Merge holiday lists, one entry per date (later lists win)
+export const mergeHolidays = (...lists) => {
+  const byDate = {};
+  lists.flat().forEach(h => { byDate[h.date] = h; });
+  return Object.values(byDate).sort((a, b) => a.date.localeCompare(b.date));
+};
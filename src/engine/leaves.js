@@ -0,0 +1,131 @@
+// --- Leave Management ---
+// Leave types (annual, sick, business trip, unpaid, ...) and per-employee leave entries
+// [{ id, empId, start, end, type, note }]. The calendar stamps the covering entry on each absent
+// workday; paid leave counts as a standard day toward equivalentDays.
+
+import { parseDate, resolveDateOrder } from './parsers.js';
+
+export const DEFAULT_LEAVE_TYPES = [
+  { id: 'annual', name: 'Annual Leave', paid: true },
+  { id: 'sick', name: 'Sick Leave', paid: true },
+  { id: 'business', name: 'Business Trip', paid: true },
+  { id: 'unpaid', name: 'Unpaid Absence', paid: false }
+];
+
+// Fallback for entries whose type was deleted or never defined
+const UNKNOWN_TYPE = { id: 'other', name: 'Leave', paid: false };
+
+export const findLeaveType = (leaveTypes, typeId) => leaveTypes.find(t => t.id === typeId) || { ...UNKNOWN_TYPE, id: typeId || UNKNOWN_TYPE.id };
+
+// Match a type cell from a CSV by id or name ("sick", "Sick Leave")
+const matchLeaveType = (leaveTypes, value) => {
+  const key = String(value || '').trim().toLowerCase();
+  if (!key) return null;
+  return leaveTypes.find(t => t.id.toLowerCase() === key || t.name.toLowerCase() === key) || null;
+};
+
+// Stable id from a display name, e.g. "Maternity Leave" -> "maternity-leave"
+export const leaveTypeId = (name, leaveTypes = []) => {
+  const base = String(name).trim().toLowerCase().replace(/[^a-z0-9؀-ۿ]+/g, '-').replace(/^-|-$/g, '') || 'leave';
+  let id = base;
+  for (let n = 2; leaveTypes.some(t => t.id === id); n += 1) id = `${base}-${n}`;
+  return id;
+};
+
+let leaveCounter = 0;
+
+export const createLeave = ({ empId, start, end, type, note = '' }) => {
+  leaveCounter += 1;
+  return {
+    id: `leave-${Date.now().toString(36)}-${leaveCounter}`,
+    empId: String(empId).trim(),
+    start,
+    end: end && end >= start ? end : start,
+    type,
+    note
+  };
+};
+
+const splitCsvLine = (line) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',' || ch === ';' || ch === '\t') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+// Parse "employee id,start,end,type[,note]" rows. A header row is skipped; rows with an unreadable
+// date or unknown type are reported in errors with their line number instead of being dropped silently.
+// Day and month order is worked out from all the dates in the file.
+export const parseLeaveCsv = (text, leaveTypes = DEFAULT_LEAVE_TYPES) => {
+  const leaves = [];
+  const errors = [];
+  const lines = text.split(/\r?\n/).map(line => (line.trim() ? splitCsvLine(line) : null));
+  const dateOrder = resolveDateOrder('auto', lines.filter(Boolean).flatMap(cells => [cells[1], cells[2]]));
+  const toIsoDate = (value) => parseDate(value, { dateOrder });
+  let firstRow = true;
+  lines.forEach((cells, index) => {
+    if (!cells) return;
+    const isHeader = firstRow;
+    firstRow = false;
+    const [empId, rawStart, rawEnd, rawType, ...rest] = cells;
+    const start = toIsoDate(rawStart);
+    if (!start) {
+      // The header row is the only row allowed to have no date
+      if (!isHeader) errors.push({ line: index + 1, code: 'UNREADABLE_START', value: rawStart || '', message: `Unreadable start date '${rawStart || ''}'` });
+      return;
+    }
+    if (!empId) {
+      errors.push({ line: index + 1, code: 'MISSING_EMPLOYEE_ID', message: 'Missing employee ID' });
+      return;
+    }
+    const end = rawEnd ? toIsoDate(rawEnd) : start;
+    if (!end) {
+      errors.push({ line: index + 1, code: 'UNREADABLE_END', value: rawEnd, message: `Unreadable end date '${rawEnd}'` });
+      return;
+    }
+    const type = matchLeaveType(leaveTypes, rawType);
+    if (!type) {
+      errors.push({ line: index + 1, code: 'UNKNOWN_TYPE', value: rawType || '', message: `Unknown leave type '${rawType || ''}'` });
+      return;
+    }
+    leaves.push(createLeave({ empId, start, end, type: type.id, note: rest.join(', ') }));
+  });
+  return { leaves, errors };
+};
+
+// Merge leave lists; an entry for the same employee, start and type replaces the earlier one
+export const mergeLeaves = (...lists) => {
+  const byKey = {};
+  lists.flat().forEach(l => { byKey[`${l.empId}|${l.start}|${l.type}`] = l; });
+  return Object.values(byKey).sort((a, b) => a.start.localeCompare(b.start) || String(a.empId).localeCompare(String(b.empId), undefined, { numeric: true }));
+};
+
+// Number of calendar days an entry spans
+export const leaveLength = (leave) => {
+  const toUtc = (iso) => {
+    const [y, m, d] = iso.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((toUtc(leave.end || leave.start) - toUtc(leave.start)) / 86400000) + 1;
+};
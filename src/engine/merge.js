@@ -0,0 +1,116 @@
+// --- Multi-Source Merge ---
+// Combines records from several files/sheets into one dataset. When two sources cover the
+// same employee and day, identical rows are deduplicated and differing rows are resolved
+// by the chosen strategy, with every resolution reported as a conflict.
+
+export const MERGE_STRATEGIES = {
+  PREFER_COMPLETE: 'prefer-complete',
+  KEEP_FIRST: 'keep-first',
+  KEEP_LAST: 'keep-last',
+  KEEP_ALL: 'keep-all'
+};
+
+// Stamp each record with the file and sheet it came from
+export const tagRecords = (records, source) => records.map(record => ({
+  ...record,
+  sourceId: source.id,
+  sourceFile: source.fileName,
+  sourceSheet: source.sheetName || null
+}));
+
+// Higher is more complete: a worked day with both punches beats an empty row
+export const completenessScore = (record) => (
+  (record.isPresent ? 4 : 0)
+  + (record.actualHours > 0 ? 2 : 0)
+  + (record.clockInMinutes != null || String(record.clockIn || '').trim() ? 1 : 0)
+  + (record.clockOutMinutes != null || String(record.clockOut || '').trim() ? 1 : 0)
+);
+
+const sameContent = (a, b) => (
+  a.isPresent === b.isPresent
+  && Math.abs((a.actualHours || 0) - (b.actualHours || 0)) < 0.01
+  && (a.clockInMinutes ?? null) === (b.clockInMinutes ?? null)
+  && (a.clockOutMinutes ?? null) === (b.clockOutMinutes ?? null)
+);
+
+const sourceLabel = (record) => (record.sourceSheet ? `${record.sourceFile} / ${record.sourceSheet}` : record.sourceFile);
+
+// results: [{ source: { id, fileName, sheetName }, records }] in load order
+export const mergeSources = (results, { strategy = MERGE_STRATEGIES.PREFER_COMPLETE } = {}) => {
+  const tagged = results.flatMap(({ source, records }) => tagRecords(records, source));
+  const groups = new Map();
+  const loose = [];
+
+  tagged.forEach(record => {
+    const day = record.isoDate || null;
+    if (!day) {
+      loose.push(record);
+      return;
+    }
+    const key = `${record.empId}|${day}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  const merged = [...loose];
+  const conflicts = [];
+  let duplicates = 0;
+
+  groups.forEach((group, key) => {
+    const sourceIds = new Set(group.map(r => r.sourceId));
+    // Repeats inside one source are left for the anomaly detector
+    if (sourceIds.size < 2 || strategy === MERGE_STRATEGIES.KEEP_ALL) {
+      merged.push(...group);
+      return;
+    }
+
+    // Collapse exact copies from different sources first
+    const distinct = [];
+    group.forEach(record => {
+      if (distinct.some(d => d.sourceId !== record.sourceId && sameContent(d, record))) {
+        duplicates += 1;
+      } else {
+        distinct.push(record);
+      }
+    });
+
+    const distinctSources = new Set(distinct.map(r => r.sourceId));
+    if (distinctSources.size < 2) {
+      merged.push(...distinct);
+      return;
+    }
+
+    let kept;
+    if (strategy === MERGE_STRATEGIES.KEEP_FIRST) {
+      kept = distinct[0];
+    } else if (strategy === MERGE_STRATEGIES.KEEP_LAST) {
+      kept = distinct[distinct.length - 1];
+    } else {
+      kept = distinct.reduce((best, r) => (completenessScore(r) > completenessScore(best) ? r : best), distinct[0]);
+    }
+
+    // Rows from the kept record's own source stay; rival sources are dropped
+    const dropped = distinct.filter(r => r.sourceId !== kept.sourceId);
+    merged.push(...distinct.filter(r => r.sourceId === kept.sourceId));
+
+    const [empId, isoDate] = key.split('|');
+    conflicts.push({
+      empId,
+      isoDate,
+      name: kept.name,
+      kept: sourceLabel(kept),
+      dropped: dropped.map(sourceLabel),
+      strategy,
+      message: `${empId} on ${isoDate}: kept ${sourceLabel(kept)} over ${dropped.map(sourceLabel).join(', ')}.`
+    });
+  });
+
+  // Keep React keys unique across sources
+  const idCounts = {};
+  const records = merged.map(record => {
+    idCounts[record.id] = (idCounts[record.id] || 0) + 1;
+    return idCounts[record.id] > 1 ? { ...record, id: `${record.id}@${record.sourceId}-${idCounts[record.id]}` } : record;
+  });
+
+  return { records, duplicates, conflicts };
+};
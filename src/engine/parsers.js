@@ -0,0 +1,221 @@
+// --- Value Parsers ---
+// Normalization layer for cell values: every date becomes an ISO day ("YYYY-MM-DD"),
+// every clock time becomes minutes since midnight and every duration becomes minutes.
+// Parsers return null for values they cannot read so callers can report them instead of using 0.
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Excel's 1900 date system counts days from 1899-12-30 (it includes the fake 1900-02-29)
+const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+const EXCEL_SERIAL_MIN = 1;
+const EXCEL_SERIAL_MAX = 2958465; // 9999-12-31
+
+// Accepted values for the date-order setting. 'auto' works the order out from the dates themselves.
+export const DATE_ORDERS = ['auto', 'DMY', 'MDY', 'YMD'];
+export const DEFAULT_DATE_ORDER = 'auto';
+
+const MONTH_NAMES = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+  janv: 1, fevr: 2, fev: 2, mars: 3, avr: 4, mai: 5, juin: 6, juil: 7, aout: 8
+};
+
+const monthFromName = (name) => MONTH_NAMES[name.slice(0, 4)] || MONTH_NAMES[name.slice(0, 3)] || null;
+
+// Safe number parsing
+export const safeFloat = (val) => {
+  const parsed = parseFloat(val);
+  return isNaN(parsed) ? 0 : parsed;
+};
+
+// Check if a value is "empty" according to business rules
+export const isNotEmpty = (val) => {
+  if (val === null || val === undefined) return false;
+  if (typeof val === 'string' && val.trim() === '') return false;
+  return true;
+};
+
+// Arabic-Indic and Persian digits to ASCII, trimmed
+export const normalizeDigits = (val) => String(val)
+  .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+  .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06f0))
+  .replace(/٫/g, '.')
+  .trim();
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const isoFromParts = (year, month, day) => {
+  const y = year < 100 ? 2000 + year : year;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = new Date(Date.UTC(y, month - 1, day));
+  // Reject rollovers such as 31/02
+  if (date.getUTCMonth() !== month - 1) return null;
+  return `${y}-${pad2(month)}-${pad2(day)}`;
+};
+
+const isoFromExcelSerial = (serial) => {
+  const date = new Date(EXCEL_EPOCH_UTC + Math.floor(serial) * 86400000);
+  return date.toISOString().slice(0, 10);
+};
+
+const isExcelSerial = (num) => num >= EXCEL_SERIAL_MIN && num <= EXCEL_SERIAL_MAX;
+
+// --- Dates ---
+
+// Work out DMY vs MDY from a column of date strings (a first part > 12 means DMY, a second part > 12 means MDY)
+export const detectDateOrder = (values, fallback = 'DMY') => {
+  for (const val of values) {
+    const match = typeof val === 'string' && normalizeDigits(val).match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+    if (!match) continue;
+    if (Number(match[1]) > 12) return 'DMY';
+    if (Number(match[2]) > 12) return 'MDY';
+  }
+  return fallback;
+};
+
+// The order to read a column of date cells with: 'auto' is worked out from the whole column, so every
+// row is read the same way even when only a few of them are unambiguous
+export const resolveDateOrder = (dateOrder, values) => (dateOrder === 'auto' ? detectDateOrder(values) : dateOrder);
+
+// Parse a date cell to "YYYY-MM-DD". dateOrder resolves "01/02/2025" (DMY = 1 Feb, MDY = 2 Jan).
+// 'auto' on a single cell can only use that cell (see resolveDateOrder for columns); ambiguous ones read as DMY.
+export const parseDate = (val, { dateOrder = DEFAULT_DATE_ORDER } = {}) => {
+  if (val === null || val === undefined || val === '') return null;
+
+  if (val instanceof Date) {
+    if (isNaN(val.getTime())) return null;
+    return `${val.getFullYear()}-${pad2(val.getMonth() + 1)}-${pad2(val.getDate())}`;
+  }
+
+  if (typeof val === 'number') {
+    return isExcelSerial(val) ? isoFromExcelSerial(val) : null;
+  }
+
+  const str = normalizeDigits(val);
+
+  // Serial number stored as text
+  if (/^\d{4,7}(\.\d+)?$/.test(str)) {
+    const num = Number(str);
+    return isExcelSerial(num) && num > 9999 ? isoFromExcelSerial(num) : null;
+  }
+
+  // Year first: 2025-01-31, 2025/1/31, 20250131
+  let match = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/) || str.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (match) return isoFromParts(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  // Day/month first: 31/01/2025, 01-31-25
+  match = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (match) {
+    const [a, b, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    const order = resolveDateOrder(dateOrder, [str]) === 'MDY' ? 'MDY' : 'DMY';
+    return order === 'MDY' ? isoFromParts(year, a, b) : isoFromParts(year, b, a);
+  }
+
+  // Month names: 31-Jan-2025, 31 janv. 2025, Jan 31, 2025
+  const lower = str.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  match = lower.match(/^(\d{1,2})[\s-]+([a-z]+)\.?[\s-]+(\d{2,4})/);
+  if (match && monthFromName(match[2])) {
+    return isoFromParts(Number(match[3]), monthFromName(match[2]), Number(match[1]));
+  }
+  match = lower.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{2,4})/);
+  if (match && monthFromName(match[1])) {
+    return isoFromParts(Number(match[3]), monthFromName(match[1]), Number(match[2]));
+  }
+
+  return null;
+};
+
+// Lenient ISO conversion with the order taken from the value itself (used where no setting is available)
+export const toIsoDate = (dateVal) => parseDate(dateVal);
+
+// Day of week (0 = Sunday) for a date cell, or null when it cannot be read
+export const getWeekday = (dateVal) => {
+  const iso = parseDate(dateVal);
+  if (!iso) return null;
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+};
+
+// --- Clock Times ---
+
+// Parse a clock time to minutes since midnight: "8:05", "08:05:30", "8:05 PM", "٨:٠٥ م", Excel day fractions
+export const parseClock = (val) => {
+  if (val === null || val === undefined || val === '') return null;
+
+  if (val instanceof Date) {
+    return isNaN(val.getTime()) ? null : val.getHours() * 60 + val.getMinutes();
+  }
+
+  if (typeof val === 'number') {
+    // Excel stores times as the fractional part of a day (date-times carry an integer day part)
+    const fraction = val - Math.floor(val);
+    if (val >= 1 && fraction === 0) return val <= 23 ? val * 60 : null;
+    return Math.round(fraction * MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  }
+
+  const str = normalizeDigits(val).toLowerCase().trim();
+  const match = str.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.|ص|م)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const seconds = Number(match[3] || 0);
+  const meridiem = match[4];
+  if (minutes > 59 || seconds > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    const isPm = meridiem.startsWith('p') || meridiem === 'م';
+    if (hours === 12) hours = 0;
+    if (isPm) hours += 12;
+  } else if (hours > 24) {
+    return null;
+  }
+
+  return (hours * 60 + minutes + Math.round(seconds / 60)) % MINUTES_PER_DAY;
+};
+
+// Minutes from clock-in to clock-out, across midnight when out < in (a night shift); null when either is missing
+export const clockSpanMinutes = (inMinutes, outMinutes) => {
+  if (inMinutes == null || outMinutes == null) return null;
+  return outMinutes >= inMinutes ? outMinutes - inMinutes : outMinutes + MINUTES_PER_DAY - inMinutes;
+};
+
+// --- Durations ---
+
+// Parse a duration to minutes: "08:30", "8:30:00", "8.5", "8,5", 8.5 (decimal hours) or an Excel day fraction.
+// Spreadsheet cells formatted as times arrive as day fractions (12:00 is 0.5), so options.dayFractions reads
+// every number below 1 as one; use it for columns that hold times (Worked Hours, Total Hours). Without it,
+// numbers are decimal hours (Regular(H)).
+export const parseDuration = (val, { dayFractions = false } = {}) => {
+  if (val === null || val === undefined || val === '') return null;
+
+  if (typeof val === 'number') {
+    if (val < 0 || !isFinite(val)) return null;
+    if (val < 1 && dayFractions) return Math.round(val * MINUTES_PER_DAY);
+    return Math.round(val * 60);
+  }
+
+  const str = normalizeDigits(val);
+
+  const hhmm = str.match(/^(\d{1,3}):(\d{2})(?::(\d{2}))?$/);
+  if (hhmm) {
+    const minutes = Number(hhmm[2]);
+    if (minutes > 59) return null;
+    return Number(hhmm[1]) * 60 + minutes + Math.round(Number(hhmm[3] || 0) / 60);
+  }
+
+  // "8h30", "8h 30m"
+  const hm = str.toLowerCase().match(/^(\d{1,3})\s*h\s*(?:(\d{1,2})\s*m?)?$/);
+  if (hm) return Number(hm[1]) * 60 + Number(hm[2] || 0);
+
+  const decimal = str.replace(',', '.');
+  if (/^\d+(\.\d+)?$/.test(decimal)) return parseDuration(Number(decimal));
+
+  return null;
+};
+
+// Parse "HH:MM" string to decimal hours (e.g., "08:30" -> 8.5); unreadable values give 0
+export const parseTimeStringToDecimal = (timeStr) => {
+  const minutes = parseDuration(timeStr);
+  return minutes === null ? 0 : minutes / 60;
+};
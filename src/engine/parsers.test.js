@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { parseDate, parseClock, parseDuration, resolveDateOrder } from './parsers.js';
+import { evaluateDay, DEFAULT_RULES } from './rules.js';
+import { parseLeaveCsv } from './leaves.js';
+import { parseHolidayCsv } from './holidays.js';
+
+describe('parseDuration', () => {
+  it('reads hh:mm text and decimal hours', () => {
+    expect(parseDuration('08:30')).toBe(510);
+    expect(parseDuration('8,5')).toBe(510);
+    expect(parseDuration(8.5)).toBe(510);
+  });
+
+  it('reads short numbers as decimal hours by default', () => {
+    expect(parseDuration(0.5)).toBe(30);
+  });
+
+  it('reads numbers below 1 as day fractions in time columns', () => {
+    expect(parseDuration(0.5, { dayFractions: true })).toBe(720);
+    expect(parseDuration(0.25, { dayFractions: true })).toBe(360);
+    expect(parseDuration(8.5, { dayFractions: true })).toBe(510);
+  });
+
+  it('keeps long decimals in decimal hours', () => {
+    expect(parseDuration(0.33333)).toBe(20);
+    expect(parseDuration(0.3541666667, { dayFractions: true })).toBe(510);
+  });
+});
+
+describe('parseClock', () => {
+  it('reads clock times with seconds, meridiem and Arabic digits', () => {
+    expect(parseClock('08:05:30')).toBe(486);
+    expect(parseClock(' 8:05 PM ')).toBe(1205);
+    expect(parseClock('٨:٠٥ م')).toBe(1205);
+  });
+
+  it('rejects text that only contains a clock time', () => {
+    expect(parseClock('123:45')).toBeNull();
+    expect(parseClock('08:05 x')).toBeNull();
+  });
+});
+
+describe('hours from spreadsheet time cells', () => {
+  const day = (fields) => evaluateDay({ rawRegularH: null, rawWorkedH: null, rawTotalH: null, clockIn: '', clockOut: '', ...fields }, DEFAULT_RULES);
+
+  it('reads a 12:00 Worked Hours cell as 12 hours', () => {
+    expect(day({ rawWorkedH: 0.5 }).actualHours).toBe(12);
+  });
+
+  it('reads a 06:00 Total Hours cell as 6 hours', () => {
+    expect(day({ rawTotalH: 0.25 }).actualHours).toBe(6);
+  });
+
+  it('keeps Regular(H) in decimal hours', () => {
+    expect(day({ rawRegularH: 0.5 }).actualHours).toBe(0.5);
+    expect(day({ rawRegularH: 0.33333 }).actualHours).toBeCloseTo(0.33, 2);
+  });
+});
+
+describe('date order', () => {
+  it('works the order out from the whole column', () => {
+    expect(resolveDateOrder('auto', ['01/02/2026', '03/04/2026', '05/25/2026'])).toBe('MDY');
+    expect(resolveDateOrder('auto', ['01/02/2026', '25/04/2026'])).toBe('DMY');
+    expect(resolveDateOrder('MDY', ['25/04/2026'])).toBe('MDY');
+  });
+
+  it('reads an unambiguous single value in its own order', () => {
+    expect(parseDate('04/25/2026')).toBe('2026-04-25');
+    expect(parseDate('25/04/2026')).toBe('2026-04-25');
+  });
+
+  it('reads an ambiguous single value as DMY', () => {
+    expect(parseDate('01/02/2026')).toBe('2026-02-01');
+    expect(parseDate('01/02/2026', { dateOrder: 'MDY' })).toBe('2026-01-02');
+  });
+
+  it('reads leave and holiday files with the order of the whole file', () => {
+    const { leaves } = parseLeaveCsv('Employee ID,Start,End,Type\n1,03/04/2026,03/05/2026,annual\n2,12/20/2026,12/24/2026,annual');
+    expect(leaves.map(l => l.start)).toEqual(['2026-03-04', '2026-12-20']);
+    expect(parseHolidayCsv('date,name\n01/05/2026,Labour Day\n12/25/2026,Christmas').map(h => h.date)).toEqual(['2026-01-05', '2026-12-25']);
+  });
+});
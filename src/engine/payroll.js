@@ -0,0 +1,193 @@
+// --- Payroll ---
+// Turns a summarized (calendar-filled, scheduled) dataset into one payroll line per employee
+// using configurable pay rules, and lays the lines out with a column template for export.
+// The standard day and half / full day thresholds come from the attendance rules (see rules.js).
+
+import { HOURS_PER_DAY } from './attendanceEngine.js';
+import { DAY_STATUS } from './calendar.js';
+import { DEFAULT_RULES, countedDay } from './rules.js';
+import { translate, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+export const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+export const DEFAULT_PAY_RULES = {
+  // Applied per day to worked and overtime minutes; 0 or 1 disables rounding
+  rounding: { minutes: 15, mode: 'nearest' },
+  // Overtime pay multipliers by kind of day
+  overtime: { weekday: 1.25, weekend: 1.5, holiday: 2 },
+  // Rates: employee beats department beats default. An hourly rate pays hours; a daily rate pays counted days.
+  rates: {
+    default: { hourly: 0, daily: 0 },
+    departments: {},
+    employees: {}
+  }
+};
+
+// Round minutes to the rule's increment
+export const roundMinutes = (minutes, { minutes: step = 0, mode = 'nearest' } = {}) => {
+  if (!minutes || step <= 1) return minutes || 0;
+  const units = minutes / step;
+  if (mode === 'up') return Math.ceil(units) * step;
+  if (mode === 'down') return Math.floor(units) * step;
+  return Math.round(units) * step;
+};
+
+// Rate entry for an employee: { hourly, daily, source }
+export const resolveRate = (emp, rates = DEFAULT_PAY_RULES.rates) => {
+  const employeeRate = rates.employees?.[String(emp.empId)];
+  if (employeeRate) return { ...rates.default, ...employeeRate, source: 'employee' };
+  const deptRate = rates.departments?.[emp.dept];
+  if (deptRate) return { ...rates.default, ...deptRate, source: 'department' };
+  return { ...DEFAULT_PAY_RULES.rates.default, ...rates.default, source: 'default' };
+};
+
+// Weekday, weekend or holiday overtime (non-workdays carry no scheduled minutes)
+export const overtimeKind = (record) => {
+  if (record.holidayName) return 'holiday';
+  if (!record.scheduledMinutes) return 'weekend';
+  return 'weekday';
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// One payroll line for a summary row
+export const computePayrollLine = (emp, rules = DEFAULT_PAY_RULES) => {
+  const dayLength = emp.dayLengthHours || HOURS_PER_DAY;
+  const line = {
+    empId: emp.empId,
+    name: emp.name,
+    dept: emp.dept,
+    daysPresent: emp.daysPresent,
+    daysAbsent: emp.daysAbsent,
+    daysLeave: emp.daysLeave,
+    paidLeaveDays: emp.daysPaidLeave || 0,
+    daysHoliday: emp.daysHoliday,
+    fullDays: 0,
+    halfDays: 0,
+    paidDays: 0,
+    workedMinutes: 0,
+    regularMinutes: 0,
+    overtimeMinutes: { weekday: 0, weekend: 0, holiday: 0 },
+    lateMinutes: emp.totalLateMinutes,
+    earlyLeaveMinutes: emp.totalEarlyLeaveMinutes,
+    undertimeMinutes: emp.totalUndertimeMinutes
+  };
+
+  emp.records.forEach(rec => {
+    if (!rec.isPresent || rec.dayStatus === DAY_STATUS.LEAVE) return;
+    const worked = roundMinutes(Math.round(rec.actualHours * 60), rules.rounding);
+    const overtime = Math.min(worked, roundMinutes(rec.overtimeMinutes || 0, rules.rounding));
+    line.workedMinutes += worked;
+    line.regularMinutes += worked - overtime;
+    const kind = overtimeKind(rec);
+    line.overtimeMinutes[kind] += overtime;
+
+    // Weekend and holiday work is paid as overtime only, so it never adds a counted day
+    if (kind !== 'weekday') return;
+    const counted = countedDay(worked / 60, rec.dayThresholds || DEFAULT_RULES.dayThresholds);
+    if (counted === 1) line.fullDays += 1;
+    if (counted === 0.5) line.halfDays += 1;
+    line.paidDays += counted;
+  });
+
+  const rate = resolveRate(emp, rules.rates);
+  const hourlyRate = rate.hourly || (rate.daily ? rate.daily / dayLength : 0);
+  const regularHours = line.regularMinutes / 60;
+  const overtimeHours = {
+    weekday: line.overtimeMinutes.weekday / 60,
+    weekend: line.overtimeMinutes.weekend / 60,
+    holiday: line.overtimeMinutes.holiday / 60
+  };
+
+  // Paid leave is paid as a standard day for both rate kinds
+  line.paidDays += line.paidLeaveDays;
+
+  // Daily-rated staff are paid per counted day; hourly-rated staff per regular hour
+  const basePay = rate.hourly
+    ? (regularHours + line.paidLeaveDays * dayLength) * rate.hourly
+    : line.paidDays * (rate.daily || 0);
+  const overtimePay = Object.keys(overtimeHours)
+    .reduce((acc, kind) => acc + overtimeHours[kind] * (rules.overtime?.[kind] ?? 1) * hourlyRate, 0);
+
+  return {
+    ...line,
+    workedHours: round2(line.workedMinutes / 60),
+    regularHours: round2(regularHours),
+    overtimeWeekdayHours: round2(overtimeHours.weekday),
+    overtimeWeekendHours: round2(overtimeHours.weekend),
+    overtimeHolidayHours: round2(overtimeHours.holiday),
+    equivalentDays: round2(line.workedMinutes / 60 / dayLength + line.paidLeaveDays),
+    hourlyRate: round2(hourlyRate),
+    dailyRate: round2(rate.daily || hourlyRate * dayLength),
+    rateSource: rate.source,
+    basePay: round2(basePay),
+    overtimePay: round2(overtimePay),
+    grossPay: round2(basePay + overtimePay)
+  };
+};
+
+export const buildPayrollLines = (summary, rules = DEFAULT_PAY_RULES) => summary.map(emp => computePayrollLine(emp, rules));
+
+// --- Column Templates ---
+
+// Every column a payroll template can include
+export const PAYROLL_COLUMNS = [
+  { key: 'empId', label: 'Employee ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'dept', label: 'Department' },
+  { key: 'daysPresent', label: 'Days Present' },
+  { key: 'daysAbsent', label: 'Days Absent' },
+  { key: 'daysLeave', label: 'Leave Days' },
+  { key: 'paidLeaveDays', label: 'Paid Leave Days' },
+  { key: 'daysHoliday', label: 'Holidays' },
+  { key: 'fullDays', label: 'Full Days' },
+  { key: 'halfDays', label: 'Half Days' },
+  { key: 'paidDays', label: 'Paid Days' },
+  { key: 'workedHours', label: 'Worked Hours' },
+  { key: 'regularHours', label: 'Regular Hours' },
+  { key: 'overtimeWeekdayHours', label: 'OT Weekday Hours' },
+  { key: 'overtimeWeekendHours', label: 'OT Weekend Hours' },
+  { key: 'overtimeHolidayHours', label: 'OT Holiday Hours' },
+  { key: 'equivalentDays', label: 'Equivalent Days' },
+  { key: 'lateMinutes', label: 'Late (min)' },
+  { key: 'earlyLeaveMinutes', label: 'Early Leave (min)' },
+  { key: 'undertimeMinutes', label: 'Undertime (min)' },
+  { key: 'hourlyRate', label: 'Hourly Rate' },
+  { key: 'dailyRate', label: 'Daily Rate' },
+  { key: 'basePay', label: 'Base Pay' },
+  { key: 'overtimePay', label: 'Overtime Pay' },
+  { key: 'grossPay', label: 'Gross Pay' }
+];
+
+// Built-in layout; saved templates use the same shape
+export const DEFAULT_PAYROLL_TEMPLATE = {
+  id: 'default',
+  name: 'Standard payroll',
+  columns: [
+    { key: 'empId' },
+    { key: 'name' },
+    { key: 'dept' },
+    { key: 'paidDays' },
+    { key: 'regularHours' },
+    { key: 'overtimeWeekdayHours' },
+    { key: 'overtimeWeekendHours' },
+    { key: 'overtimeHolidayHours' },
+    { key: 'daysAbsent' },
+    { key: 'basePay' },
+    { key: 'overtimePay' },
+    { key: 'grossPay' }
+  ]
+};
+
+// Default header of a column in the export language (undefined for unknown columns)
+export const payrollColumnLabel = (key, lang = DEFAULT_LANGUAGE) => (
+  PAYROLL_COLUMNS.some(c => c.key === key) ? translate(lang, `payroll.columns.${key}`) : undefined
+);
+
+// Sheet rows in template order; a column's own label overrides the default header
+export const payrollSheetRows = (lines, template = DEFAULT_PAYROLL_TEMPLATE, { lang = DEFAULT_LANGUAGE } = {}) => {
+  const columns = template.columns
+    .map(col => ({ key: col.key, label: col.label || payrollColumnLabel(col.key, lang) }))
+    .filter(col => col.label);
+  return lines.map(line => Object.fromEntries(columns.map(col => [col.label, line[col.key]])));
+};
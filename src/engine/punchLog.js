@@ -0,0 +1,311 @@
+// --- Raw Punch Log Import ---
+// Reads raw transactions pulled from the terminal (attlog.dat over USB or a transaction CSV),
+// groups each employee's punches into daily in/out pairs and produces the same
+// { records, summary, diagnostics } structure as the Total Time Card pipeline.
+
+import { normalizeHeader, detectHeaderRow, HEADER_SCAN_LIMIT } from './columnMapping.js';
+import { parseDate, parseClock, resolveDateOrder, DEFAULT_DATE_ORDER } from './parsers.js';
+import { summarizeRecords, addRowIssue, PROGRESS_INTERVAL } from './attendanceEngine.js';
+import { applySchedule } from './shifts.js';
+import { buildCalendar } from './calendar.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export const PUNCH_SOURCE = 'Punch Log';
+
+export const DEFAULT_PUNCH_OPTIONS = {
+  // Taps closer together than this are treated as one punch
+  duplicateWindowMinutes: 3,
+  // An in punch is only paired with an out punch up to this long after it (covers night shifts)
+  maxShiftHours: 16
+};
+
+// ZKTeco attendance states: 0 check-in, 1 check-out, 2 break-out, 3 break-in, 4 OT-in, 5 OT-out
+const STATE_CODES = { 0: 'in', 1: 'out', 2: 'out', 3: 'in', 4: 'in', 5: 'out' };
+
+// Header aliases for transaction CSV exports
+const PUNCH_COLUMNS = {
+  empId: ['User ID', 'UserID', 'PIN', 'AC-No.', 'Employee ID', 'No.', 'ID', 'رقم المستخدم', 'رقم الموظف', 'Matricule'],
+  name: ['Name', 'First Name', 'الاسم'],
+  dept: ['Department', 'Dept', 'القسم'],
+  timestamp: ['Time', 'DateTime', 'Date Time', 'Timestamp', 'Check Time', 'Punch Time', 'الوقت والتاريخ'],
+  date: ['Date', 'التاريخ'],
+  clock: ['Clock', 'Hour', 'Punch', 'الوقت'],
+  verifyMode: ['Verify', 'Verify Mode', 'Verify Type', 'VerifyCode', 'طريقة التحقق'],
+  state: ['State', 'Status', 'In/Out', 'Check Type', 'CheckType', 'Punch State', 'الحالة']
+};
+
+// Headerless attlog.dat layout: user ID, timestamp, verify mode, in/out state
+export const ATTLOG_COLUMNS = { empId: 0, timestamp: 1, verifyMode: 2, state: 3 };
+
+// Split attlog.dat / text exports into rows (tab, comma or semicolon separated)
+export const splitPunchText = (text) => text
+  .split(/\r?\n/)
+  .filter(line => line.trim() !== '')
+  .map(line => line.split(/\t|;|,/).map(cell => cell.trim()));
+
+const looksLikeTimestamp = (val) => /\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}[ T]+\d{1,2}:\d{2}/.test(String(val));
+
+// Find a header row with punch columns, or fall back to the headerless attlog layout
+export const detectPunchColumns = (rows) => {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_LIMIT); i++) {
+    const headers = (rows[i] || []).map(normalizeHeader);
+    const colMap = {};
+    Object.entries(PUNCH_COLUMNS).forEach(([field, aliases]) => {
+      const wanted = aliases.map(normalizeHeader);
+      colMap[field] = headers.findIndex(h => wanted.includes(h));
+    });
+    const hasTime = colMap.timestamp !== -1 || (colMap.date !== -1 && colMap.clock !== -1);
+    if (colMap.empId !== -1 && hasTime) {
+      return { headerRowIndex: i, colMap };
+    }
+  }
+
+  const first = rows.find(row => row && row.length > 1);
+  if (first && looksLikeTimestamp(first[ATTLOG_COLUMNS.timestamp])) {
+    return { headerRowIndex: -1, colMap: { ...ATTLOG_COLUMNS, name: -1, dept: -1, date: -1, clock: -1 } };
+  }
+  return null;
+};
+
+// Decide whether rows are a Total Time Card report or a raw punch log
+// A transaction CSV can also have "Employee ID" and "Date", so it only counts as a time card
+// when it carries clock-in/out or hour columns.
+export const detectSourceKind = (rows) => {
+  const punch = detectPunchColumns(rows);
+  if (!punch) return 'timecard';
+  const card = detectHeaderRow(rows);
+  if (card.headerRowIndex === -1) return 'punchlog';
+  const hasCardColumns = ['clockIn', 'clockOut', 'workedHours', 'regularH', 'totalHours'].some(field => card.colMap[field] !== -1);
+  return hasCardColumns ? 'timecard' : 'punchlog';
+};
+
+const normalizeState = (val) => {
+  if (val === null || val === undefined || String(val).trim() === '') return null;
+  const str = String(val).trim().toLowerCase();
+  if (/^\d+$/.test(str)) return STATE_CODES[Number(str)] || null;
+  if (str.includes('out') || str === 'o' || str.includes('sortie') || str.includes('خروج')) return 'out';
+  if (str.includes('in') || str === 'i' || str.includes('entrée') || str.includes('دخول')) return 'in';
+  return null;
+};
+
+// Split "2025-01-05 08:01:23" (or a Date / Excel serial) into an ISO day and minutes since midnight
+const splitTimestamp = (val, dateOrder) => {
+  if (val instanceof Date) {
+    return { isoDate: parseDate(val), minutes: parseClock(val) };
+  }
+  if (typeof val === 'number') {
+    return { isoDate: parseDate(val), minutes: parseClock(val) };
+  }
+  const str = String(val).trim();
+  const match = str.match(/^(.*?\d)[ T]+(\d{1,2}:\d{2}(?::\d{2})?(?:\s*[ap]\.?m\.?)?)/i);
+  if (!match) return { isoDate: null, minutes: null };
+  return { isoDate: parseDate(match[1], { dateOrder }), minutes: parseClock(match[2]) };
+};
+
+// Rows -> sorted punches. Unreadable rows go to warnings.
+export const parsePunchRows = (rows, { dateOrder = DEFAULT_DATE_ORDER, onProgress } = {}) => {
+  const warnings = [];
+  const detected = detectPunchColumns(rows);
+  if (!detected) return { punches: [], warnings, columns: null };
+
+  const { headerRowIndex, colMap } = detected;
+  const cell = (row, field) => (colMap[field] !== -1 && colMap[field] !== undefined ? row[colMap[field]] : '');
+  const dataRows = rows.slice(headerRowIndex + 1);
+
+  const dateValues = dataRows.map(row => String(colMap.date !== -1 ? cell(row || [], 'date') : cell(row || [], 'timestamp')).split(/[ T]/)[0]);
+  const resolvedOrder = resolveDateOrder(dateOrder, dateValues);
+
+  const punches = [];
+  dataRows.forEach((row, idx) => {
+    if (onProgress && idx > 0 && idx % PROGRESS_INTERVAL === 0) onProgress(idx, dataRows.length);
+    if (!row || row.every(c => String(c).trim() === '')) return;
+    const rowNumber = headerRowIndex + idx + 2;
+    const empId = String(cell(row, 'empId')).trim();
+
+    let { isoDate, minutes } = colMap.timestamp !== -1
+      ? splitTimestamp(cell(row, 'timestamp'), resolvedOrder)
+      : { isoDate: null, minutes: null };
+    // Separate Date and Time columns ("Time" then holds only the clock)
+    if (!isoDate && colMap.date !== -1) {
+      isoDate = parseDate(cell(row, 'date'), { dateOrder: resolvedOrder });
+      minutes = parseClock(colMap.clock !== -1 ? cell(row, 'clock') : cell(row, 'timestamp'));
+    }
+
+    if (!empId || !isoDate || minutes === null) {
+      warnings.push({
+        code: 'UNPARSEABLE_PUNCH',
+        message: `Row ${rowNumber}: could not read punch "${row.join(' ')}".`,
+        row: rowNumber,
+        value: row.join(' ')
+      });
+      return;
+    }
+
+    punches.push({
+      empId,
+      name: cell(row, 'name') || 'Unknown',
+      dept: cell(row, 'dept') || 'Unknown',
+      isoDate,
+      minutes,
+      verifyMode: cell(row, 'verifyMode'),
+      state: normalizeState(cell(row, 'state')),
+      row: rowNumber
+    });
+  });
+
+  // Absolute time used for ordering and pairing across midnight
+  const dayIndex = (isoDate) => Math.round(Date.parse(`${isoDate}T00:00:00Z`) / 86400000);
+  punches.forEach(p => { p.at = dayIndex(p.isoDate) * MINUTES_PER_DAY + p.minutes; });
+  punches.sort((a, b) => String(a.empId).localeCompare(String(b.empId), undefined, { numeric: true }) || a.at - b.at);
+
+  return { punches, warnings, columns: detected };
+};
+
+// Drop repeated taps: a punch within the window of the previous kept punch (same state) is ignored
+export const dedupePunches = (punches, windowMinutes = DEFAULT_PUNCH_OPTIONS.duplicateWindowMinutes) => {
+  const kept = [];
+  punches.forEach(punch => {
+    const prev = kept[kept.length - 1];
+    if (prev && prev.empId === punch.empId && punch.at - prev.at <= windowMinutes && prev.state === punch.state) return;
+    kept.push(punch);
+  });
+  return kept;
+};
+
+// Pair one employee's sorted punches. Uses the in/out state when the device recorded it,
+// otherwise alternates in, out, in, out. Each pair belongs to the day of its in punch.
+export const buildPairs = (punches, { maxShiftHours = DEFAULT_PUNCH_OPTIONS.maxShiftHours } = {}) => {
+  const pairs = [];
+  const maxSpan = maxShiftHours * 60;
+  const useStates = punches.some(p => p.state);
+  let open = null;
+
+  punches.forEach(punch => {
+    const kind = useStates ? (punch.state || (open ? 'out' : 'in')) : (open ? 'out' : 'in');
+
+    if (kind === 'in') {
+      // A second "in" while one is open: keep the first tap, it is the real arrival
+      if (open && punch.at - open.at <= maxSpan) return;
+      if (open) pairs.push({ in: open, out: null });
+      open = punch;
+      return;
+    }
+
+    if (open && punch.at - open.at <= maxSpan) {
+      pairs.push({ in: open, out: punch });
+      open = null;
+    } else {
+      if (open) pairs.push({ in: open, out: null });
+      open = null;
+      // Repeated "out" taps extend the previous pair instead of creating an orphan
+      const last = pairs[pairs.length - 1];
+      if (last && last.out && punch.at - last.out.at <= maxSpan && punch.at - last.in.at <= maxSpan) {
+        last.out = punch;
+      } else {
+        pairs.push({ in: null, out: punch });
+      }
+    }
+  });
+  if (open) pairs.push({ in: open, out: null });
+
+  return pairs;
+};
+
+const toClockString = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Collapse pairs into one record per employee and work day
+export const pairsToRecords = (pairs) => {
+  const days = {};
+  pairs.forEach(pair => {
+    const anchor = pair.in || pair.out;
+    const key = `${anchor.empId}|${anchor.isoDate}`;
+    if (!days[key]) days[key] = { anchor, pairs: [] };
+    days[key].pairs.push(pair);
+  });
+
+  return Object.values(days).map(({ anchor, pairs: dayPairs }) => {
+    const ins = dayPairs.filter(p => p.in).map(p => p.in);
+    const outs = dayPairs.filter(p => p.out).map(p => p.out);
+    const firstIn = ins[0] || null;
+    const lastOut = outs[outs.length - 1] || null;
+    const workedMinutes = dayPairs
+      .filter(p => p.in && p.out)
+      .reduce((acc, p) => acc + (p.out.at - p.in.at), 0);
+    const crossesMidnight = !!(lastOut && lastOut.isoDate !== anchor.isoDate);
+
+    return {
+      id: `${anchor.empId}-${anchor.isoDate}`,
+      empId: anchor.empId,
+      name: anchor.name,
+      dept: anchor.dept,
+      date: anchor.isoDate,
+      isoDate: anchor.isoDate,
+      clockIn: firstIn ? toClockString(firstIn.minutes) : '',
+      clockOut: lastOut ? toClockString(lastOut.minutes) : '',
+      clockInMinutes: firstIn ? firstIn.minutes : null,
+      clockOutMinutes: lastOut ? lastOut.minutes : null,
+      rawRegularH: null,
+      rawWorkedH: workedMinutes > 0 ? toClockString(workedMinutes) : null,
+      rawTotalH: null,
+      actualHours: workedMinutes / 60,
+      isPresent: dayPairs.length > 0,
+      source: PUNCH_SOURCE,
+      punchCount: ins.length + outs.length,
+      pairCount: dayPairs.filter(p => p.in && p.out).length,
+      crossesMidnight,
+      checkoutDate: crossesMidnight ? lastOut.isoDate : null
+    };
+  });
+};
+
+// Full pipeline for raw punch rows; options as in processRows plus duplicateWindowMinutes / maxShiftHours
+export const processPunchRows = (rows, options = {}) => {
+  const settings = { ...DEFAULT_PUNCH_OPTIONS, ...options };
+  const { punches, warnings, columns } = parsePunchRows(rows, options);
+  const diagnostics = {
+    sourceKind: 'punchlog',
+    headerRowIndex: columns ? columns.headerRowIndex : -1,
+    colMap: columns ? columns.colMap : {},
+    totalRows: rows.length,
+    parsedRows: punches.length,
+    skippedRows: warnings.length,
+    suspiciousRows: 0,
+    rowIssues: {},
+    punchCount: punches.length,
+    duplicateTaps: 0,
+    errors: [],
+    warnings
+  };
+  const result = { records: [], summary: [], diagnostics };
+  warnings.forEach(w => addRowIssue(diagnostics.rowIssues, 'UNREADABLE_PUNCH', w.row));
+
+  if (!columns) {
+    diagnostics.errors.push({
+      code: 'PUNCH_FORMAT_NOT_RECOGNIZED',
+      message: 'Could not recognize the punch log layout. Expected user ID and timestamp columns.'
+    });
+    return result;
+  }
+
+  const unique = dedupePunches(punches, settings.duplicateWindowMinutes);
+  diagnostics.duplicateTaps = punches.length - unique.length;
+
+  const byEmployee = {};
+  unique.forEach(p => { (byEmployee[p.empId] = byEmployee[p.empId] || []).push(p); });
+  const pairs = Object.values(byEmployee).flatMap(list => buildPairs(list, settings));
+  result.records = pairsToRecords(pairs);
+
+  if (options.calendar) {
+    result.records = buildCalendar(result.records, { ...options.calendar, schedule: options.schedule });
+  }
+  if (options.schedule) {
+    result.records = applySchedule(result.records, options.schedule);
+  }
+  result.summary = summarizeRecords(result.records, { hoursPerDay: options.hoursPerDay });
+
+  return result;
+};
+
+// Convenience wrapper for attlog.dat / text content
+export const processPunchText = (text, options = {}) => processPunchRows(splitPunchText(text), options);
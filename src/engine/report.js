@@ -0,0 +1,42 @@
+// --- Report Pipeline ---
+// Parsed records -> attendance rules -> full calendar -> manual corrections -> shift metrics -> one summary
+// row per employee, with every setting passed in. Used by the app (in the parse worker), for comparison
+// uploads and by the command-line report.
+
+import { summarizeRecords } from './attendanceEngine.js';
+import { applyRules, DEFAULT_RULE_SET } from './rules.js';
+import { buildCalendar } from './calendar.js';
+import { applySchedule, DEFAULT_SCHEDULE } from './shifts.js';
+import { applyCorrections } from './corrections.js';
+import { detectAnomalies } from './anomalies.js';
+import { DEFAULT_LEAVE_TYPES } from './leaves.js';
+
+export const DEFAULT_REPORT_SETTINGS = {
+  ruleSet: DEFAULT_RULE_SET,
+  schedule: DEFAULT_SCHEDULE,
+  holidays: [],
+  leaves: [],
+  leaveTypes: DEFAULT_LEAVE_TYPES,
+  corrections: []
+};
+
+// Every day of the report with its rules, calendar status, corrections and shift metrics applied
+const reportRecords = (records, { ruleSet, schedule, holidays, leaves, leaveTypes, corrections }) => {
+  const calendarRecords = buildCalendar(applyRules(records, ruleSet), { holidays, leaves, leaveTypes, schedule });
+  return applySchedule(applyCorrections(calendarRecords, corrections), schedule);
+};
+
+export const buildReport = (records, settings = {}) => {
+  const resolved = { ...DEFAULT_REPORT_SETTINGS, ...settings };
+  return summarizeRecords(reportRecords(records, resolved), { hoursPerDay: resolved.ruleSet.base.dayLengthHours });
+};
+
+// The summary with the data-quality issues found in its days: { summary, anomalies }
+export const analyzeReport = (records, settings = {}) => {
+  const resolved = { ...DEFAULT_REPORT_SETTINGS, ...settings };
+  const days = reportRecords(records, resolved);
+  return {
+    summary: summarizeRecords(days, { hoursPerDay: resolved.ruleSet.base.dayLengthHours }),
+    anomalies: detectAnomalies(days, { schedule: resolved.schedule })
+  };
+};
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { processRows } from './attendanceEngine.js';
+import { buildReport, analyzeReport } from './report.js';
+import { createCorrection } from './corrections.js';
+
+const { records } = processRows([
+  ['Employee ID', 'First Name', 'Department', 'Date', 'Clock In', 'Clock Out', 'Regular(H)'],
+  ['1', 'Ahmed', 'Ops', '2026-09-01', '08:00', '16:00', '8'],
+  ['1', 'Ahmed', 'Ops', '2026-09-02', '08:00', '', '']
+]);
+
+describe('analyzeReport', () => {
+  it('gives the same summary as buildReport', () => {
+    expect(analyzeReport(records).summary).toEqual(buildReport(records));
+  });
+
+  it('applies manual corrections before summarizing', () => {
+    const corrections = [createCorrection({ empId: '1', isoDate: '2026-09-02', field: 'hours', oldValue: null, newValue: 4, reason: 'test' })];
+    const [emp] = analyzeReport(records, { corrections }).summary;
+    expect(emp.totalActualHours).toBe(12);
+    expect(emp.daysPresent).toBe(2);
+  });
+
+  it('lists the issues found in the days', () => {
+    const { anomalies } = analyzeReport(records);
+    expect(anomalies.map(a => a.ruleId)).toContain('MISSING_CLOCK_OUT');
+  });
+});
@@ -0,0 +1,210 @@
+// --- Attendance Rules ---
+// User-editable presence and hour rules applied to every parsed day. A rule set holds base rules plus
+// complete rule overrides for departments or sites (the file or device a record came from); a department
+// override beats a site override, which beats the base rules. Rules run on the parsed raw values, so a
+// change recomputes the report without reading the files again. The version is bumped on every saved
+// change and stamped into exports.
+
+import { isNotEmpty, parseDuration, clockSpanMinutes } from './parsers.js';
+import { translate, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+export const HOURS_PER_DAY = 8;
+
+// Columns a day's hours can be taken from, in the order they are tried
+export const HOUR_SOURCES = {
+  regularH: 'Regular(H)',
+  workedHours: 'Worked Hours',
+  totalHours: 'Total Hours',
+  clockSpan: 'Clock In → Out'
+};
+
+// Columns the terminal writes as times (hh:mm): numeric cells there are spreadsheet day fractions.
+// Regular(H) holds decimal hours.
+const TIME_COLUMNS = ['workedHours', 'totalHours'];
+
+// Columns a presence condition can test
+export const PRESENCE_FIELDS = {
+  regularH: 'Regular(H)',
+  workedHours: 'Worked Hours',
+  totalHours: 'Total Hours',
+  clockIn: 'Clock In',
+  clockOut: 'Clock Out'
+};
+
+export const PRESENCE_TESTS = {
+  positive: 'is greater than 0',
+  notEmpty: 'is not empty'
+};
+
+export const RULE_SCOPES = {
+  DEPT: 'dept',
+  SITE: 'site'
+};
+
+// The original hard-coded behaviour: present when Regular(H) > 0 or Worked Hours is filled in,
+// hours from Regular(H), then Worked Hours, then Total Hours
+export const DEFAULT_RULES = {
+  presence: {
+    match: 'any',
+    checks: [
+      { field: 'regularH', test: 'positive' },
+      { field: 'workedHours', test: 'notEmpty' }
+    ]
+  },
+  hourPriority: ['regularH', 'workedHours', 'totalHours'],
+  minPresentHours: 0,
+  dayLengthHours: HOURS_PER_DAY,
+  // A present day counts as a half day from halfDayHours and as a full day from fullDayHours
+  dayThresholds: { halfDayHours: 4, fullDayHours: 7 }
+};
+
+// overrides: [{ id, scope: 'dept' | 'site', match, rules }]
+export const DEFAULT_RULE_SET = {
+  version: 1,
+  updatedAt: null,
+  base: DEFAULT_RULES,
+  overrides: []
+};
+
+// Fill missing keys of stored rules from the defaults
+export const normalizeRules = (rules = {}) => ({
+  ...DEFAULT_RULES,
+  ...rules,
+  presence: { ...DEFAULT_RULES.presence, ...rules.presence },
+  hourPriority: Array.isArray(rules.hourPriority) ? rules.hourPriority.filter(key => HOUR_SOURCES[key]) : DEFAULT_RULES.hourPriority,
+  dayThresholds: { ...DEFAULT_RULES.dayThresholds, ...rules.dayThresholds }
+});
+
+export const normalizeRuleSet = (ruleSet = {}) => ({
+  ...DEFAULT_RULE_SET,
+  ...ruleSet,
+  base: normalizeRules(ruleSet.base),
+  overrides: (Array.isArray(ruleSet.overrides) ? ruleSet.overrides : []).map(o => ({ ...o, rules: normalizeRules(o.rules) }))
+});
+
+// --- Evaluation ---
+
+const rawValue = (rec, field) => ({
+  regularH: rec.rawRegularH,
+  workedHours: rec.rawWorkedH,
+  totalHours: rec.rawTotalH,
+  clockIn: rec.clockIn,
+  clockOut: rec.clockOut
+})[field];
+
+// Minutes a source gives for a day, or null when it has nothing readable
+const sourceMinutes = (rec, key) => {
+  if (key === 'clockSpan') return clockSpanMinutes(rec.clockInMinutes, rec.clockOutMinutes);
+  const raw = rawValue(rec, key);
+  return isNotEmpty(raw) ? parseDuration(raw, { dayFractions: TIME_COLUMNS.includes(key) }) : null;
+};
+
+const passes = (rec, { field, test }) => {
+  if (test === 'notEmpty') return isNotEmpty(rawValue(rec, field));
+  if (field === 'clockIn') return rec.clockInMinutes != null;
+  if (field === 'clockOut') return rec.clockOutMinutes != null;
+  return (sourceMinutes(rec, field) || 0) > 0;
+};
+
+// Counted days for one present day under the thresholds
+export const countedDay = (hours, { halfDayHours, fullDayHours }) => {
+  if (hours >= fullDayHours) return 1;
+  if (hours >= halfDayHours) return 0.5;
+  return 0;
+};
+
+// Presence, hours and their source for one parsed day: { isPresent, actualHours, source }.
+// Punch-log days (see punchLog.js) keep their paired hours; only the minimum hours apply to them.
+export const evaluateDay = (rec, rules = DEFAULT_RULES) => {
+  if (rec.punchCount !== undefined) {
+    return {
+      isPresent: rec.punchCount > 0 && rec.actualHours >= rules.minPresentHours,
+      actualHours: rec.actualHours,
+      source: rec.source
+    };
+  }
+
+  let actualMinutes = 0;
+  let source = 'None';
+  for (const key of rules.hourPriority) {
+    const minutes = sourceMinutes(rec, key);
+    if (minutes > 0) {
+      actualMinutes = minutes;
+      source = HOUR_SOURCES[key];
+      break;
+    }
+  }
+
+  const { match, checks } = rules.presence;
+  const condition = checks.length === 0
+    ? actualMinutes > 0
+    : match === 'all' ? checks.every(check => passes(rec, check)) : checks.some(check => passes(rec, check));
+
+  return {
+    isPresent: condition && actualMinutes / 60 >= rules.minPresentHours,
+    actualHours: actualMinutes / 60,
+    source
+  };
+};
+
+// Rules that apply to a record ({ dept, sourceFile }) and the scope they came from
+export const resolveRules = (ruleSet, { dept, sourceFile } = {}) => {
+  const find = (scope, value) => ruleSet.overrides.find(o => o.scope === scope && o.match === value);
+  const override = find(RULE_SCOPES.DEPT, dept) || find(RULE_SCOPES.SITE, sourceFile);
+  return override ? { rules: override.rules, scope: scopeLabel(override) } : { rules: ruleSet.base, scope: translate(DEFAULT_LANGUAGE, 'rules.scope.default') };
+};
+
+// Re-run the rules over parsed records. Each record is stamped with the scope used, its day length and
+// half / full day thresholds, so corrected hours are still counted under the right rules.
+export const applyRules = (records, ruleSet = DEFAULT_RULE_SET) => records.map(rec => {
+  const { rules, scope } = resolveRules(ruleSet, rec);
+  return {
+    ...rec,
+    ...evaluateDay(rec, rules),
+    ruleScope: scope,
+    dayLengthHours: rules.dayLengthHours,
+    dayThresholds: rules.dayThresholds
+  };
+});
+
+// --- Descriptions ---
+// In English by default, since the scope label is also stamped on records; lang localizes them for display and exports
+
+export const scopeLabel = (override, lang = DEFAULT_LANGUAGE) => translate(lang, override.scope === RULE_SCOPES.DEPT ? 'rules.scope.dept' : 'rules.scope.site', { match: override.match });
+
+export const hourSourceLabel = (key, lang = DEFAULT_LANGUAGE) => translate(lang, `rules.hourSources.${key}`);
+
+export const presenceFieldLabel = (key, lang = DEFAULT_LANGUAGE) => translate(lang, `rules.presenceFields.${key}`);
+
+export const presenceTestLabel = (key, lang = DEFAULT_LANGUAGE) => translate(lang, `rules.presenceTests.${key}`);
+
+export const describePriority = (rules, lang = DEFAULT_LANGUAGE) => rules.hourPriority.map(key => hourSourceLabel(key, lang)).join(' > ') || translate(lang, 'rules.none');
+
+export const describePresence = (rules, lang = DEFAULT_LANGUAGE) => {
+  const { match, checks } = rules.presence;
+  const condition = checks.length === 0
+    ? translate(lang, 'rules.hoursFound')
+    : checks.map(c => `${presenceFieldLabel(c.field, lang)} ${presenceTestLabel(c.test, lang)}`).join(translate(lang, match === 'all' ? 'rules.and' : 'rules.or'));
+  return rules.minPresentHours > 0 ? translate(lang, 'rules.withMinimum', { condition, hours: rules.minPresentHours }) : condition;
+};
+
+// "v3 · 2026-10-19 14:05" (or "v1 · defaults" before anything was saved)
+export const ruleSetLabel = (ruleSet, lang = DEFAULT_LANGUAGE) => `v${ruleSet.version} · ${ruleSet.updatedAt ? ruleSet.updatedAt.slice(0, 16).replace('T', ' ') : translate(lang, 'rules.defaults')}`;
+
+// Rows describing every scope of a rule set, for the rules sheet of an export
+export const ruleSheetRows = (ruleSet, { lang = DEFAULT_LANGUAGE } = {}) => {
+  const h = (key) => translate(lang, `exports.columns.${key}`);
+  return [
+    { scope: translate(lang, 'rules.scope.default'), rules: ruleSet.base },
+    ...ruleSet.overrides.map(o => ({ scope: scopeLabel(o, lang), rules: o.rules }))
+  ].map(({ scope, rules }) => ({
+    [h('ruleSet')]: ruleSetLabel(ruleSet, lang),
+    [h('appliesTo')]: scope,
+    [h('presentWhen')]: describePresence(rules, lang),
+    [h('hoursFrom')]: describePriority(rules, lang),
+    [h('minimumHours')]: rules.minPresentHours,
+    [h('halfDayFrom')]: rules.dayThresholds.halfDayHours,
+    [h('fullDayFrom')]: rules.dayThresholds.fullDayHours,
+    [h('standardDay')]: rules.dayLengthHours
+  }));
+};
@@ -0,0 +1,121 @@
+// --- Shift Schedules ---
+// Shift templates and the per-record lateness / early leave / overtime / undertime rules.
+
+import { parseClock, getWeekday } from './parsers.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Sunday-Thursday is the default working week for our sites
+export const DEFAULT_SHIFT = {
+  id: 'default',
+  name: 'Standard Day',
+  start: '08:00',
+  end: '16:00',
+  graceMinutes: 10,
+  breakMinutes: 0,
+  workdays: [0, 1, 2, 3, 4]
+};
+
+export const DEFAULT_SCHEDULE = {
+  shifts: [DEFAULT_SHIFT],
+  defaultShiftId: DEFAULT_SHIFT.id,
+  // Assignments map a department name or employee ID to a shift id; employee wins over department
+  departments: {},
+  employees: {}
+};
+
+// Zeroed metrics for records that have no shift applied
+export const EMPTY_SHIFT_METRICS = {
+  shiftId: null,
+  scheduledMinutes: 0,
+  lateMinutes: 0,
+  earlyLeaveMinutes: 0,
+  overtimeMinutes: 0,
+  undertimeMinutes: 0
+};
+
+// Scheduled minutes for a shift, handling shifts that cross midnight
+export const shiftLengthMinutes = (shift) => {
+  const start = parseClock(shift.start);
+  const end = parseClock(shift.end);
+  if (start === null || end === null) return 0;
+  const span = end > start ? end - start : end + MINUTES_PER_DAY - start;
+  return Math.max(0, span - (Number(shift.breakMinutes) || 0));
+};
+
+// Shifts that end on the next day (22:00 - 06:00)
+export const isOvernightShift = (shift) => {
+  const start = parseClock(shift?.start);
+  const end = parseClock(shift?.end);
+  return start !== null && end !== null && end <= start;
+};
+
+// Pick the shift for a record: employee assignment > department assignment > default
+export const resolveShift = (record, schedule = DEFAULT_SCHEDULE) => {
+  const shifts = schedule.shifts || [];
+  const shiftId = (schedule.employees || {})[record.empId]
+    ?? (schedule.departments || {})[record.dept]
+    ?? schedule.defaultShiftId;
+  return shifts.find(s => s.id === shiftId) || null;
+};
+
+// Compute shift metrics for one record
+// Arriving within the grace window is on time; past it, lateness counts from shift start.
+export const computeShiftMetrics = (record, shift) => {
+  if (!shift) return { ...EMPTY_SHIFT_METRICS };
+
+  const weekday = getWeekday(record.isoDate || record.date);
+  // Unknown dates are treated as workdays so lateness is not silently hidden; holidays are rest days
+  const isWorkday = !record.holidayName && (weekday === null || (shift.workdays || []).includes(weekday));
+  const scheduledMinutes = isWorkday ? shiftLengthMinutes(shift) : 0;
+  const workedMinutes = Math.round((record.actualHours || 0) * 60);
+  const metrics = { ...EMPTY_SHIFT_METRICS, shiftId: shift.id, scheduledMinutes };
+
+  if (!record.isPresent) return metrics;
+
+  if (!isWorkday) {
+    // All work on a rest day is overtime
+    metrics.overtimeMinutes = workedMinutes;
+    return metrics;
+  }
+
+  const grace = Number(shift.graceMinutes) || 0;
+  const start = parseClock(shift.start);
+  const end = parseClock(shift.end);
+  const overnight = isOvernightShift(shift);
+
+  let clockIn = record.clockInMinutes ?? parseClock(record.clockIn);
+  let clockOut = record.clockOutMinutes ?? parseClock(record.clockOut);
+
+  // On an overnight shift a clock-in before the shift ends is after midnight, so it is late by a day's wrap
+  if (overnight && clockIn !== null && clockIn < end) clockIn += MINUTES_PER_DAY;
+
+  if (clockIn !== null && start !== null && clockIn - start > grace) {
+    metrics.lateMinutes = clockIn - start;
+  }
+
+  if (clockOut !== null && end !== null) {
+    let shiftEnd = end;
+    if (overnight) {
+      shiftEnd += MINUTES_PER_DAY;
+      if (clockOut < start) clockOut += MINUTES_PER_DAY;
+    }
+    if (shiftEnd - clockOut > grace) {
+      metrics.earlyLeaveMinutes = shiftEnd - clockOut;
+    }
+  }
+
+  if (workedMinutes > scheduledMinutes) {
+    metrics.overtimeMinutes = workedMinutes - scheduledMinutes;
+  } else {
+    metrics.undertimeMinutes = scheduledMinutes - workedMinutes;
+  }
+
+  return metrics;
+};
+
+// Attach shift metrics to every record (returns new record objects)
+export const applySchedule = (records, schedule = DEFAULT_SCHEDULE) => records.map(record => ({
+  ...record,
+  ...computeShiftMetrics(record, resolveShift(record, schedule))
+}));
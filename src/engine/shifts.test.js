@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { computeShiftMetrics } from './shifts.js';
+
+const NIGHT = { id: 'night', name: 'Night', start: '22:00', end: '06:00', graceMinutes: 10, breakMinutes: 0, workdays: [0, 1, 2, 3, 4] };
+
+// 2026-09-01 is a Tuesday
+const day = (clockIn, clockOut, actualHours) => ({ empId: '1', isoDate: '2026-09-01', isPresent: true, clockIn, clockOut, actualHours });
+
+describe('overnight shifts', () => {
+  it('counts an arrival after midnight as late', () => {
+    expect(computeShiftMetrics(day('00:10', '06:00', 5.83), NIGHT)).toMatchObject({ lateMinutes: 130, earlyLeaveMinutes: 0 });
+  });
+
+  it('does not count an arrival before the shift as late', () => {
+    expect(computeShiftMetrics(day('21:50', '06:00', 8.17), NIGHT)).toMatchObject({ lateMinutes: 0, earlyLeaveMinutes: 0 });
+  });
+
+  it('counts a clock-out after midnight but before the shift end as early leave', () => {
+    expect(computeShiftMetrics(day('22:05', '04:00', 5.92), NIGHT)).toMatchObject({ lateMinutes: 0, earlyLeaveMinutes: 120 });
+  });
+});
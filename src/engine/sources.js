@@ -0,0 +1,158 @@
+// --- Import Sources ---
+// Turns loaded files into sources: one per workbook sheet (or one per text punch log).
+// The spreadsheet library is passed in so this module stays free of browser globals.
+
+import { detectHeaderRow } from './columnMapping.js';
+import { processRows, buildRecord, skipReason, recordIssues } from './attendanceEngine.js';
+import { detectSourceKind, detectPunchColumns, splitPunchText, parsePunchRows, processPunchRows } from './punchLog.js';
+import { applyRules } from './rules.js';
+import { mergeSources } from './merge.js';
+import { resolveRecords } from './directory.js';
+import { getDateRange, datesOutsideRange } from './calendar.js';
+
+let sourceCounter = 0;
+const nextSourceId = () => {
+  sourceCounter += 1;
+  return `src-${Date.now().toString(36)}-${sourceCounter}`;
+};
+
+// Whether the rows have a header the engines can use without manual mapping
+export const isRecognized = (rows, kind) => (
+  kind === 'punchlog' ? !!detectPunchColumns(rows) : detectHeaderRow(rows).headerRowIndex !== -1
+);
+
+export const createSource = ({ fileName, sheetName = null, rows }) => {
+  const kind = detectSourceKind(rows);
+  const recognized = isRecognized(rows, kind);
+  return { id: nextSourceId(), fileName, sheetName, kind, rows, recognized, include: recognized, mapping: null };
+};
+
+// Ensure at least one sheet of a file is included so an unrecognized file still reaches the mapping step
+const includeFallback = (sources) => {
+  if (sources.length > 0 && !sources.some(src => src.include)) {
+    sources[0] = { ...sources[0], include: true };
+  }
+  return sources;
+};
+
+// One source per sheet of a workbook read with XLSX.read()
+export const workbookSources = (XLSX, workbook, fileName) => includeFallback(
+  workbook.SheetNames.map(sheetName => createSource({
+    fileName,
+    sheetName,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' })
+  }))
+);
+
+// attlog.dat and other plain-text punch logs
+export const textSources = (text, fileName) => {
+  const source = createSource({ fileName, rows: splitPunchText(text) });
+  return [{ ...source, kind: 'punchlog', include: true }];
+};
+
+// Punches pulled by the sync service ({ devices, logs } from /api/logs), one source per device with
+// punches, laid out like a transaction CSV so they run through the punch-log engine
+export const DEVICE_LOG_HEADER = ['User ID', 'Name', 'Time', 'Verify', 'State'];
+
+export const deviceSources = ({ devices, logs }) => devices
+  .map(device => ({
+    device,
+    rows: logs.filter(log => log.deviceId === device.id).map(log => [log.userId, log.name || '', log.timestamp, log.verifyMode, log.state])
+  }))
+  .filter(({ rows }) => rows.length > 0)
+  .map(({ device, rows }) => ({
+    ...createSource({ fileName: device.name, rows: [DEVICE_LOG_HEADER, ...rows] }),
+    kind: 'punchlog',
+    include: true,
+    deviceId: device.id
+  }));
+
+export const isTextLogFile = (fileName) => /\.(dat|txt)$/i.test(fileName);
+
+// Sources from a file's raw bytes (ArrayBuffer): text punch logs are decoded as UTF-8, everything else is
+// handed to the spreadsheet library. raw keeps CSV cells as text, so "01/09/2026" reaches parseDate with the
+// chosen date order instead of being read month-first by the library.
+export const bufferSources = (XLSX, buffer, fileName) => (isTextLogFile(fileName)
+  ? textSources(new TextDecoder('utf-8').decode(buffer), fileName)
+  : workbookSources(XLSX, XLSX.read(new Uint8Array(buffer), { type: 'array', raw: true }), fileName));
+
+// Human-readable name of a source
+export const sourceLabel = (source) => (source.sheetName ? `${source.fileName} / ${source.sheetName}` : source.fileName);
+
+// Run the matching engine over every included source and merge the ones that parsed.
+// Records are resolved against the employee directory first so alias IDs merge with their employee.
+// Returns the per-source results (with diagnostics), the merge result and the IDs missing from the directory.
+// onProgress(done, total) counts rows across all included sources.
+export const runSources = (sources, { profiles, dateOrder, mergeStrategy, directory = [], onProgress } = {}) => {
+  const unknown = new Map();
+  const included = sources.filter(src => src.include);
+  const totalRows = included.reduce((sum, src) => sum + src.rows.length, 0);
+  let doneRows = 0;
+  const results = included.map(src => {
+    const engine = src.kind === 'punchlog' ? processPunchRows : processRows;
+    const sourceProgress = onProgress && ((done) => onProgress(doneRows + done, totalRows));
+    const result = engine(src.rows, { profiles, dateOrder, mapping: src.mapping, onProgress: sourceProgress });
+    doneRows += src.rows.length;
+    if (onProgress) onProgress(doneRows, totalRows);
+    const resolved = resolveRecords(result.records, directory);
+    resolved.unknown.forEach(emp => {
+      const seen = unknown.get(emp.empId);
+      unknown.set(emp.empId, seen ? { ...seen, rows: seen.rows + emp.rows } : emp);
+    });
+    return { source: src, ...result, records: resolved.records };
+  });
+  const ok = results.filter(r => r.diagnostics.errors.length === 0);
+  const merged = mergeSources(ok, { strategy: mergeStrategy });
+  warnOutsideRange(ok, getDateRange(merged.records));
+  return { results, merged, unknownEmployees: [...unknown.values()] };
+};
+
+// Rows dated far from the rest (see getDateRange) stay in the report but get no calendar around them;
+// each source that has some gets a warning so the dates can be checked
+const warnOutsideRange = (results, range) => results.forEach(r => {
+  const outside = datesOutsideRange(r.records, range);
+  if (outside.length === 0) return;
+  const dates = [...new Set(outside.map(rec => rec.isoDate))].slice(0, 3).join(', ');
+  r.diagnostics.warnings.push({
+    code: 'DATES_OUTSIDE_RANGE',
+    message: `${outside.length} row(s) are dated outside ${range.start} – ${range.end} (e.g. ${dates}); check them for typos.`,
+    count: outside.length,
+    dates,
+    start: range.start,
+    end: range.end
+  });
+});
+
+// --- Import Preview ---
+
+export const PREVIEW_ROWS = 8;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const clockText = (minutes) => (minutes == null ? '' : `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`);
+
+// The first data rows of a parsed source as the engine reads them, with the attendance rules applied.
+// Time cards give one { rowNumber, record, issues } per row (record is null for skipped rows);
+// punch logs give one { rowNumber, punch, issues } per row (punch is null for unreadable rows).
+export const previewSource = (source, diagnostics, { ruleSet, dateOrder, limit = PREVIEW_ROWS } = {}) => {
+  if (!diagnostics || diagnostics.errors.length > 0) return [];
+
+  if (source.kind === 'punchlog') {
+    const end = diagnostics.headerRowIndex + 1 + limit;
+    const { punches, warnings } = parsePunchRows(source.rows.slice(0, end), { dateOrder });
+    return [
+      ...punches.map(p => ({ rowNumber: p.row, punch: { ...p, clock: clockText(p.minutes) }, issues: [] })),
+      ...warnings.map(w => ({ rowNumber: w.row, punch: null, issues: ['UNREADABLE_PUNCH'] }))
+    ].sort((a, b) => a.rowNumber - b.rowNumber);
+  }
+
+  const { headerRowIndex, colMap } = diagnostics;
+  return source.rows.slice(headerRowIndex + 1, headerRowIndex + 1 + limit).map((row, idx) => {
+    const rowNumber = headerRowIndex + idx + 2;
+    const skipped = skipReason(row, colMap);
+    if (skipped) return { rowNumber, record: null, issues: [skipped] };
+
+    const warnings = [];
+    const [record] = applyRules([buildRecord(row, colMap, { dateOrder: diagnostics.dateOrder, warnings, rowNumber })], ruleSet);
+    return { rowNumber, record, issues: recordIssues(record, warnings) };
+  });
+};
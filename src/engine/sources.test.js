@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import { bufferSources, runSources } from './sources.js';
+import { buildCalendar } from './calendar.js';
+
+const csvBuffer = (lines) => new TextEncoder().encode(lines.join('\n')).buffer;
+
+describe('CSV sources', () => {
+  it('reads day-first dates with the chosen order when every day is 12 or lower', () => {
+    const buffer = csvBuffer([
+      'Employee ID,First Name,Date,Clock In,Clock Out,Regular(H)',
+      '1,Ahmed,01/09/2026,08:00,16:00,8',
+      '1,Ahmed,02/09/2026,08:00,16:00,8',
+      '1,Ahmed,12/09/2026,08:00,16:00,8'
+    ]);
+    const sources = bufferSources(XLSX, buffer, 'september.csv');
+    const { merged } = runSources(sources, { dateOrder: 'DMY' });
+    expect(merged.records.map(r => r.isoDate)).toEqual(['2026-09-01', '2026-09-02', '2026-09-12']);
+  });
+
+  it('keeps CSV cells as text', () => {
+    const [source] = bufferSources(XLSX, csvBuffer(['Employee ID,Date', '007,01/09/2026']), 'ids.csv');
+    expect(source.rows[1]).toEqual(['007', '01/09/2026']);
+  });
+});
+
+describe('report range', () => {
+  it('warns about a stray date and does not fill the years up to it', () => {
+    const buffer = csvBuffer([
+      'Employee ID,First Name,Date,Clock In,Clock Out,Regular(H)',
+      '1,Ahmed,2026-09-01,08:00,16:00,8',
+      '1,Ahmed,2026-09-30,08:00,16:00,8',
+      '1,Ahmed,2205-09-15,08:00,16:00,8'
+    ]);
+    const { results, merged } = runSources(bufferSources(XLSX, buffer, 'typo.csv'));
+    expect(results[0].diagnostics.warnings.filter(w => w.code === 'DATES_OUTSIDE_RANGE'))
+      .toMatchObject([{ count: 1, dates: '2205-09-15', start: '2026-09-01', end: '2026-09-30' }]);
+    const days = buildCalendar(merged.records);
+    expect(days).toHaveLength(31);
+    expect(days.map(d => d.isoDate)).toContain('2205-09-15');
+  });
+});
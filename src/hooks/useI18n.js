@@ -0,0 +1,47 @@
+import { useSyncExternalStore } from 'react';
+import { translate, formatNumber, formatPercent, formatPadded, formatDate, formatDateTime, formatWeekday, directionOf, isLanguage, DEFAULT_LANGUAGE } from '../i18n';
+import { loadPreference, savePreference } from '../storage/preferences';
+
+// The interface language is shared by every component, so it lives in a small module store rather than
+// in App state; switching it re-renders every component that called useI18n
+let current = loadPreference('language', DEFAULT_LANGUAGE);
+if (!isLanguage(current)) current = DEFAULT_LANGUAGE;
+const listeners = new Set();
+
+// <html lang dir> drives the right-to-left layout (logical Tailwind classes, rtl: variants)
+const applyDocumentLanguage = (lang) => {
+  document.documentElement.lang = lang;
+  document.documentElement.dir = directionOf(lang);
+};
+applyDocumentLanguage(current);
+
+export const setLanguage = (lang) => {
+  if (!isLanguage(lang) || lang === current) return;
+  current = savePreference('language', lang);
+  applyDocumentLanguage(lang);
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getLanguage = () => current;
+
+// Bound helpers for the current language: t(key, params), number and date formatting
+export default function useI18n() {
+  const lang = useSyncExternalStore(subscribe, getLanguage);
+  return {
+    lang,
+    dir: directionOf(lang),
+    t: (key, params) => translate(lang, key, params),
+    formatNumber: (value, digits) => formatNumber(lang, value, digits),
+    formatPercent: (ratio, digits) => formatPercent(lang, ratio, digits),
+    formatPadded: (value, width) => formatPadded(lang, value, width),
+    formatDate: (iso, options) => formatDate(lang, iso, options),
+    formatDateTime: (iso) => formatDateTime(lang, iso),
+    formatWeekday: (day) => formatWeekday(lang, day),
+    setLanguage
+  };
+}
@@ -0,0 +1,110 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+
+// Scroll positions are tracked in steps so scrolling re-renders every STEP pixels, not every frame
+const STEP = 200;
+const DEFAULT_OVERSCAN = 600;
+
+// First index whose row ends below the pixel position
+const indexAt = (offsets, position) => {
+  let lo = 0;
+  let hi = offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsets[mid + 1] <= position) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// Window a long list of table rows. Only rows near the visible area are rendered; the rest are
+// replaced by two spacer heights. Rendered rows are measured, so rows may grow (e.g. expanded details).
+// keys: one stable key per row; estimateSize(key, index): height before a row is measured;
+// scrollElement: the scrolling container, or null when the page itself scrolls.
+export default function useVirtualRows({ keys, estimateSize, scrollElement = null, overscan = DEFAULT_OVERSCAN }) {
+  const [container, setContainer] = useState(null);
+  const [view, setView] = useState({ start: 0, end: 1000 });
+  const [measured, setMeasured] = useState({});
+
+  const [observer] = useState(() => (typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(entries => {
+    setMeasured(prev => {
+      let next = prev;
+      entries.forEach(entry => {
+        const key = entry.target.dataset.vkey;
+        const height = Math.round(entry.target.getBoundingClientRect().height);
+        if (key !== undefined && height > 0 && prev[key] !== height) {
+          if (next === prev) next = { ...prev };
+          next[key] = height;
+        }
+      });
+      return next;
+    });
+  })));
+
+  useEffect(() => () => observer?.disconnect(), [observer]);
+
+  // Visible pixel range relative to the top of the rows
+  useEffect(() => {
+    if (!container) return undefined;
+    let frame = null;
+    const update = () => {
+      frame = null;
+      const rect = container.getBoundingClientRect();
+      const bounds = scrollElement ? scrollElement.getBoundingClientRect() : { top: 0, bottom: window.innerHeight };
+      const start = Math.max(0, Math.floor((bounds.top - rect.top) / STEP) * STEP);
+      const end = Math.max(start, Math.ceil((bounds.bottom - rect.top) / STEP) * STEP);
+      setView(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+    schedule();
+    // Capture catches scrolling of any ancestor, including nested scroll containers
+    window.addEventListener('scroll', schedule, true);
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule, true);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [container, scrollElement]);
+
+  // Top offset of every row, plus the total height at the end
+  const offsets = useMemo(() => {
+    const list = [0];
+    keys.forEach((key, i) => list.push(list[i] + (measured[key] ?? estimateSize(key, i))));
+    return list;
+  }, [keys, measured, estimateSize]);
+
+  const first = keys.length === 0 ? 0 : indexAt(offsets, Math.max(0, view.start - overscan));
+  const last = keys.length === 0 ? -1 : indexAt(offsets, view.end + overscan);
+  const total = offsets[offsets.length - 1];
+
+  // Attach to every rendered row (with data-vkey={key}) so its real height replaces the estimate
+  const measureRef = useCallback((el) => {
+    if (!el || !observer) return undefined;
+    observer.observe(el);
+    return () => observer.unobserve(el);
+  }, [observer]);
+
+  // Bring a row into view (used when jumping to an employee or record)
+  const scrollToIndex = useCallback((index) => {
+    if (!container || index < 0 || index >= keys.length) return;
+    const rect = container.getBoundingClientRect();
+    if (scrollElement) {
+      const top = scrollElement.scrollTop + rect.top - scrollElement.getBoundingClientRect().top + offsets[index] - scrollElement.clientHeight / 3;
+      scrollElement.scrollTo({ top });
+    } else {
+      window.scrollTo({ top: window.scrollY + rect.top + offsets[index] - window.innerHeight / 3, behavior: 'smooth' });
+    }
+  }, [container, scrollElement, keys.length, offsets]);
+
+  return {
+    containerRef: setContainer,
+    first,
+    last,
+    paddingTop: offsets[first] || 0,
+    paddingBottom: Math.max(0, total - (offsets[last + 1] ?? total)),
+    measureRef,
+    scrollToIndex
+  };
+}
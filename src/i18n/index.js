@@ -0,0 +1,101 @@
+// --- Localization ---
+// Interface and export text for every supported language, looked up by dotted key from the resource
+// files in ./locales. Pure functions only, so the engine and the command-line report can use them too.
+// To add a language, add its resource file and an entry in LANGUAGES.
+
+import en from './locales/en.js';
+import ar from './locales/ar.js';
+
+// locale: used for Intl number and date formatting; dir: text direction of the whole page
+export const LANGUAGES = {
+  en: { label: 'English', dir: 'ltr', locale: 'en-GB', resources: en },
+  ar: { label: 'العربية', dir: 'rtl', locale: 'ar-EG', resources: ar }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const isLanguage = (lang) => Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+
+const languageOf = (lang) => LANGUAGES[isLanguage(lang) ? lang : DEFAULT_LANGUAGE];
+
+export const directionOf = (lang) => languageOf(lang).dir;
+
+const lookup = (resources, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), resources);
+
+// Parameter as text: numbers in the language's digits, lists comma separated (pass IDs as strings)
+const paramText = (lang, value) => {
+  if (typeof value === 'number') return formatNumber(lang, value);
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+// "{count} day(s)" with { count: 3 } -> "3 day(s)"; unknown placeholders are left as they are
+const interpolate = (lang, text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] === undefined || params[name] === null ? match : paramText(lang, params[name])
+));
+
+// Text for a key in the given language, falling back to English and then to the key itself
+export const translate = (lang, key, params = {}) => {
+  const text = lookup(languageOf(lang).resources, key) ?? lookup(LANGUAGES[DEFAULT_LANGUAGE].resources, key);
+  return typeof text === 'string' ? interpolate(lang, text, params) : key;
+};
+
+// Translation when the key exists in some language, otherwise the given fallback (e.g. an engine message)
+export const translateOr = (lang, key, fallback, params = {}) => {
+  const text = translate(lang, key, params);
+  return text === key ? fallback : text;
+};
+
+// Engine messages (diagnostics, row issues, import errors) carry a code and the values of their
+// English message, so they are translated by code and keep the message for codes without a translation
+export const translateMessage = (lang, namespace, item) => (
+  item.code ? translateOr(lang, `${namespace}.${item.code}`, item.message, item.params || item) : item.message
+);
+
+// --- Formatting ---
+
+// Intl formatters are slow to create and tables format thousands of cells, so they are reused
+const formatters = new Map();
+
+const formatter = (Format, lang, options) => {
+  const id = `${Format.name}:${lang}:${JSON.stringify(options)}`;
+  if (!formatters.has(id)) formatters.set(id, new Format(languageOf(lang).locale, options));
+  return formatters.get(id);
+};
+
+// Locale digits and separators; digits fixes the decimals like toFixed, otherwise up to two are shown
+export const formatNumber = (lang, value, digits) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return '';
+  const options = digits === undefined
+    ? { maximumFractionDigits: 2 }
+    : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+  return formatter(Intl.NumberFormat, lang, options).format(number);
+};
+
+// Ratio (0.953) as a percentage ("95.3%") with the language's digits and percent sign
+export const formatPercent = (lang, ratio, digits = 1) => (
+  Number.isFinite(ratio) ? formatter(Intl.NumberFormat, lang, { style: 'percent', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(ratio) : ''
+);
+
+// Whole number padded to a width without grouping (the minutes in "1:05")
+export const formatPadded = (lang, value, width) => formatter(Intl.NumberFormat, lang, { minimumIntegerDigits: width, useGrouping: false }).format(value);
+
+// ISO date ("2025-03-14") in the language's short date style; other values are returned unchanged
+export const formatDate = (lang, iso, options = { day: '2-digit', month: 'short', year: 'numeric' }) => {
+  if (typeof iso !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(iso)) return iso ?? '';
+  const [y, m, d] = iso.split('-').map(Number);
+  return formatter(Intl.DateTimeFormat, lang, { ...options, timeZone: 'UTC' }).format(new Date(Date.UTC(y, m - 1, d)));
+};
+
+// ISO timestamp in the language's date and time style
+export const formatDateTime = (lang, iso) => {
+  const date = new Date(iso);
+  if (!iso || Number.isNaN(date.getTime())) return iso ?? '';
+  return formatter(Intl.DateTimeFormat, lang, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+};
+
+// Short weekday name for a day index (0 = Sunday, as in shift workdays)
+export const formatWeekday = (lang, day) => (
+  formatter(Intl.DateTimeFormat, lang, { weekday: 'short', timeZone: 'UTC' }).format(new Date(Date.UTC(2023, 0, 1 + day)))
+);
@@ -0,0 +1,893 @@
+// --- Arabic (العربية) ---
+// Mirrors en.js key for key; placeholders in braces must be kept as they are. Shown right to left.
+
+export default {
+  // --- Shared ---
+  common: {
+    cancel: 'إلغاء',
+    close: 'إغلاق',
+    save: 'حفظ',
+    apply: 'تطبيق',
+    delete: 'حذف',
+    remove: 'إزالة',
+    add: 'إضافة',
+    edit: 'تعديل',
+    none: 'لا شيء',
+    all: 'الكل',
+    yes: 'نعم',
+    no: 'لا',
+    done: 'تم',
+    loading: 'جارٍ التحميل...',
+    language: 'اللغة'
+  },
+
+  status: {
+    present: 'حاضر',
+    absent: 'غائب',
+    weekend: 'عطلة أسبوعية',
+    holiday: 'عطلة رسمية',
+    leave: 'إجازة',
+    inactive: 'غير معيّن',
+    paid: 'مدفوعة',
+    unpaid: 'غير مدفوعة'
+  },
+
+  // Day colours in the calendar and heatmap legends
+  legend: {
+    present: 'حاضر (الأغمق = ساعات أكثر)',
+    absent: 'غائب',
+    leave: 'إجازة',
+    holiday: 'عطلة رسمية',
+    weekend: 'عطلة أسبوعية',
+    inactive: 'غير معيّن'
+  },
+
+  // Logical fields of a time card export
+  columns: {
+    empId: 'رقم الموظف',
+    name: 'الاسم الأول',
+    dept: 'القسم',
+    date: 'التاريخ',
+    clockIn: 'وقت الدخول',
+    clockOut: 'وقت الخروج',
+    totalHours: 'إجمالي الساعات',
+    workedHours: 'ساعات العمل',
+    regularH: 'الساعات العادية'
+  },
+
+  approval: {
+    status: {
+      pending: 'قيد الانتظار',
+      approved: 'معتمد',
+      rejected: 'مرفوض'
+    },
+    badge: {
+      pending: 'بانتظار الاعتماد',
+      approved: 'معتمد',
+      rejected: 'مرفوض'
+    },
+    approvedBy: 'اعتمده {user}',
+    rejectedBy: 'رفضه {user}',
+    approve: 'اعتماد',
+    reject: 'رفض',
+    reset: 'إعادة تعيين'
+  },
+
+  // --- Main Screen ---
+  app: {
+    title: 'محلل الحضور ZKTeco',
+    subtitle: 'متوافق مع تصديرات بطاقة الوقت الإجمالية لأجهزة iFace 990 وسجلات البصمة attlog.dat',
+    fileCount: '{count} ملفات',
+    errors: {
+      parseFailed: 'تعذّرت قراءة الملف.',
+      savePeriod: 'تعذّر حفظ الفترة: {message}',
+      openPeriod: 'تعذّر فتح الفترة: {message}',
+      noRecords: 'لم يتم العثور على سجلات حضور.',
+      devicePunches: 'تعذّر تحميل بصمات الأجهزة.'
+    },
+    prompts: {
+      userName: 'اسمك (يُسجَّل في سجل التدقيق):',
+      rejectReason: 'سبب الرفض (اختياري):',
+      viewName: 'اسم هذا العرض:',
+      copyLink: 'انسخ هذا الرابط:'
+    },
+    actions: {
+      compare: 'مقارنة',
+      history: 'السجل',
+      devices: 'الأجهزة',
+      changeFiles: 'تغيير الملفات',
+      importFiles: 'استيراد ملفات التصدير',
+      review: 'مراجعة',
+      holidays: 'العطلات',
+      leave: 'الإجازات',
+      directory: 'دليل الموظفين',
+      shifts: 'الورديات',
+      mapColumns: 'ربط الأعمدة',
+      mappingProfile: 'الربط: {name}',
+      sources: 'المصادر ({count})',
+      addFiles: 'إضافة ملفات',
+      rules: 'القواعد',
+      payroll: 'الرواتب',
+      export: 'تصدير'
+    },
+    warnings: {
+      unreadable: 'تعذّرت قراءة {count} من القيم، فاستُبعدت من مجموع الساعات.',
+      more: '…و{count} أخرى',
+      unknownEmployees: '{count} من أرقام الموظفين في الملفات غير موجودة في الدليل: {ids}',
+      unrecognizedColumns: 'لم يتم التعرف على بعض الأعمدة: {columns}.'
+    },
+    empty: {
+      title: 'لم يتم تحميل بيانات',
+      body: 'ارفع أو اسحب ملفات "بطاقة الوقت الإجمالية" من ZKTeco (XLSX أو CSV) أو سجلات البصمة الخام (attlog.dat) لبدء التحليل. تُدمج الملفات والأوراق المتعددة في مجموعة بيانات واحدة، ويُكتشف صف العناوين تلقائيًا وتُتجاهل صفوف العناوين الرئيسية.'
+    },
+    loading: {
+      processing: 'جارٍ معالجة سجلات الحضور...',
+      readingFile: 'قراءة الملف {current} من {total}',
+      rows: '{done} من {total} صف'
+    },
+    searchPlaceholder: 'ابحث عن موظف...',
+    dateOrder: {
+      title: 'صيغة التاريخ المستخدمة لقراءة التواريخ الملتبسة',
+      auto: 'التواريخ: تلقائي ({order})',
+      fixed: 'التواريخ: {order}'
+    },
+    period: {
+      savedAs: 'محفوظة باسم "{name}"',
+      saveTitle: 'احفظ هذا التحليل في سجل التقارير',
+      saved: 'محفوظة',
+      saving: 'جارٍ الحفظ...',
+      save: 'حفظ الفترة'
+    },
+    rulesTitle: 'قواعد الحضور {label}',
+    updating: 'جارٍ تحديث التقرير…',
+    stats: {
+      employees: 'إجمالي الموظفين',
+      days: 'إجمالي الأيام المعالجة',
+      hours: 'إجمالي الساعات المسجلة'
+    },
+    tabs: {
+      summary: 'الملخص',
+      dashboard: 'لوحة المؤشرات',
+      issues: 'المشكلات ({count})'
+    }
+  },
+
+  // Summary table
+  summary: {
+    id: 'الرقم',
+    name: 'اسم الموظف',
+    department: 'القسم',
+    daysPresent: 'أيام الحضور',
+    daysAbsent: 'أيام الغياب',
+    totalHours: 'إجمالي الساعات',
+    equivalentDays: 'أيام مكافئة ({hours} س)',
+    late: 'التأخير',
+    earlyLeave: 'الانصراف المبكر',
+    overtime: 'العمل الإضافي',
+    undertime: 'النقص',
+    issueCount: '{count} مشكلة',
+    openProfile: 'فتح ملف الموظف',
+    noMatches: 'لا يوجد موظفون يطابقون بحثك.'
+  },
+
+  filters: {
+    min: 'من',
+    max: 'إلى',
+    allDepartments: 'كل الأقسام',
+    departmentCount: '{count} أقسام',
+    clearSelection: 'مسح التحديد',
+    hours: 'الساعات',
+    hoursUnit: 'س',
+    daysPresent: 'أيام الحضور',
+    daysUnit: 'ي',
+    issuesOnly: 'المشكلات فقط',
+    clearFilters: 'مسح عوامل التصفية',
+    noSavedViews: 'لا توجد عروض محفوظة',
+    savedViews: 'العروض المحفوظة…',
+    deleteView: 'حذف العرض "{name}"',
+    saveView: 'حفظ العرض',
+    copyLinkTitle: 'نسخ رابط هذا العرض',
+    copied: 'تم النسخ',
+    copyLink: 'نسخ الرابط'
+  },
+
+  breakdown: {
+    title: 'التفاصيل اليومية: {name}',
+    fromPunches: 'القيم محسوبة من البصمات المتقابلة (أول دخول وآخر خروج)',
+    derivedFrom: 'القيم مأخوذة من {sources}',
+    date: 'التاريخ',
+    clockIn: 'الدخول',
+    clockOut: 'الخروج',
+    regularH: 'الساعات العادية',
+    workedHours: 'ساعات العمل',
+    calcHours: 'الساعات المحسوبة',
+    late: 'تأخير',
+    early: 'مبكر',
+    overtime: 'إضافي',
+    under: 'نقص',
+    status: 'الحالة',
+    source: 'المصدر',
+    manualCorrection: 'تصحيح يدوي',
+    correctDay: 'تصحيح هذا اليوم',
+    correctedTitle: 'تم تصحيح {field} (القيمة في الملف: {value})'
+  },
+
+  issues: {
+    none: 'لم تُكتشف أي مشكلات في جودة البيانات.',
+    counts: '{high} عالية · {medium} متوسطة · {low} منخفضة',
+    allSeverities: 'كل الدرجات',
+    allChecks: 'كل الفحوصات',
+    severity: 'الدرجة',
+    check: 'الفحص',
+    employee: 'الموظف',
+    date: 'التاريخ',
+    details: 'التفاصيل',
+    view: 'عرض'
+  },
+
+  dashboard: {
+    attendanceRate: 'نسبة الحضور',
+    avgHours: 'متوسط الساعات / يوم حضور',
+    totalEquivalentDays: 'إجمالي الأيام المكافئة',
+    departments: 'الأقسام',
+    departmentsHint: 'انقر على قسم لتصفية جدول الملخص',
+    department: 'القسم',
+    headcount: 'عدد الموظفين',
+    totalHours: 'إجمالي الساعات',
+    equivalentDays: 'أيام مكافئة',
+    trend: 'اتجاه الحضور اليومي',
+    presence: 'الحضور حسب الموظف واليوم'
+  },
+
+  charts: {
+    noDatedRecords: 'لا توجد سجلات مؤرخة لعرضها في الرسم.',
+    noRecords: 'لا توجد سجلات لعرضها.',
+    noRecord: 'لا يوجد سجل',
+    hours: '{hours} س',
+    trendDay: '{date}: {present} حاضر، {leave} في إجازة، {absent} غائب',
+    rateLine: 'نسبة الحضور (الأعلى = 100%)'
+  },
+
+  profile: {
+    back: 'العودة إلى التقرير',
+    id: 'الرقم {id}',
+    print: 'طباعة كشف الحضور',
+    cards: {
+      daysPresent: 'أيام الحضور',
+      daysAbsent: 'أيام الغياب',
+      leaveDays: 'أيام الإجازة',
+      totalHours: 'إجمالي الساعات',
+      averageStart: 'متوسط وقت البدء',
+      averageEnd: 'متوسط وقت الانتهاء'
+    },
+    calendar: 'التقويم',
+    noDatedRecords: 'لا توجد سجلات مؤرخة لعرضها.',
+    clickToCorrect: 'انقر على يوم لتصحيحه',
+    noPunches: 'لا توجد بصمات مسجلة.',
+    dayCount: '{count} يوم',
+    arrivals: 'أوقات الحضور',
+    departures: 'أوقات الانصراف',
+    weeklyHours: 'الساعات الأسبوعية',
+    week: 'الأسبوع',
+    days: 'الأيام',
+    hours: 'الساعات',
+    scheduled: 'المجدول',
+    noIssues: 'لم يتم العثور على مشكلات في سجلات هذا الموظف.'
+  },
+
+  corrections: {
+    title: 'تصحيح {name} · {date}',
+    fields: {
+      clockIn: 'وقت الدخول',
+      clockOut: 'وقت الخروج',
+      status: 'الحالة',
+      hours: 'الساعات'
+    },
+    recomputeHint: 'تغيير أوقات الدخول والخروج يعيد حساب الساعات من المدة الجديدة ما لم تُصحَّح الساعات أيضًا.',
+    reason: 'السبب (مطلوب)',
+    reasonPlaceholder: 'مثال: لم يسجل الجهاز بصمة المساء',
+    yourName: 'اسمك',
+    active: 'التصحيحات الحالية',
+    revert: 'الرجوع إلى قيمة الملف',
+    revertTitle: 'استعادة القيمة من الملف (يتطلب سببًا)',
+    history: 'السجل',
+    save: 'حفظ التصحيح'
+  },
+
+  compare: {
+    current: 'الحالي',
+    choosePeriod: 'اختر فترة...',
+    currentAnalysis: 'التحليل الحالي ({label})',
+    upload: 'رفع',
+    processing: 'جارٍ معالجة الملفات...',
+    employeeCount: '{count} موظف',
+    historyUnavailable: 'الفترات المحفوظة غير متاحة: {message}',
+    periodA: 'الفترة أ (قبل)',
+    periodB: 'الفترة ب (بعد)',
+    swap: 'تبديل الفترتين',
+    empty: 'اختر أو ارفع فترتين لمقارنة الحضور لكل موظف.',
+    biggestSwings: 'أكبر التغيرات (بالساعات)',
+    noSwings: 'لا توجد تغيرات كبيرة.',
+    onlyInA: 'في الفترة أ فقط',
+    onlyInB: 'في الفترة ب فقط',
+    onlyA: 'أ فقط',
+    onlyB: 'ب فقط',
+    filter: {
+      all: 'كل الموظفين ({count})',
+      swings: 'أكبر التغيرات ({count})',
+      changed: 'في فترة واحدة فقط ({count})'
+    },
+    export: 'تصدير المقارنة',
+    noMatches: 'لا يوجد موظفون يطابقون هذا التصفية.',
+    table: {
+      daysA: 'أيام أ',
+      daysB: 'أيام ب',
+      daysDelta: 'Δ الأيام',
+      hoursA: 'ساعات أ',
+      hoursB: 'ساعات ب',
+      hoursDelta: 'Δ الساعات',
+      pctDelta: 'Δ %',
+      eqvDaysDelta: 'Δ الأيام المكافئة'
+    },
+    // Comparison workbook
+    columns: {
+      employeeId: 'رقم الموظف',
+      name: 'الاسم',
+      department: 'القسم',
+      inPeriods: 'في الفترات',
+      both: 'أ و ب',
+      onlyA: 'أ فقط',
+      onlyB: 'ب فقط',
+      daysPresentA: 'أيام الحضور أ',
+      daysPresentB: 'أيام الحضور ب',
+      daysPresentChange: 'التغير في أيام الحضور',
+      totalHoursA: 'إجمالي الساعات أ',
+      totalHoursB: 'إجمالي الساعات ب',
+      totalHoursChange: 'التغير في إجمالي الساعات',
+      totalHoursChangePct: 'التغير في إجمالي الساعات (%)',
+      equivalentDaysA: 'الأيام المكافئة أ',
+      equivalentDaysB: 'الأيام المكافئة ب',
+      equivalentDaysChange: 'التغير في الأيام المكافئة',
+      biggestSwing: 'تغير كبير',
+      period: 'الفترة',
+      source: 'المصدر'
+    }
+  },
+
+  // --- Dialogs ---
+  exportDialog: {
+    title: 'تصدير التقرير',
+    format: 'الصيغة',
+    formats: {
+      xlsx: { label: 'مصنف Excel', hint: 'الملخص والتفاصيل اليومية في ورقتين' },
+      csv: { label: 'CSV (ملف مضغوط)', hint: 'summary.csv و details.csv في أرشيف zip واحد' },
+      json: { label: 'JSON', hint: 'بنية الملخص والسجلات كاملة لاستخدامها في أدوات أخرى' },
+      pdf: { label: 'كشوف حضور PDF', hint: 'صفحة قابلة للطباعة لكل موظف مع سطر للتوقيع' }
+    },
+    employees: 'الموظفون',
+    view: 'العرض الحالي: {count} موظف، مع عوامل التصفية والترتيب في الجدول',
+    all: 'مجموعة البيانات كاملة: جميع الموظفين ({count})',
+    export: 'تصدير'
+  },
+
+  sources: {
+    title: 'المصادر',
+    textLog: '(سجل نصي)',
+    punchLog: 'سجل بصمات',
+    timeCard: 'بطاقة وقت',
+    notIncluded: 'غير مضمّن',
+    pending: 'قيد الانتظار',
+    rows: '{count} صف',
+    mappedManually: 'تم الربط يدويًا',
+    map: 'ربط',
+    strategyLabel: 'عندما يغطي مصدران الموظف واليوم نفسيهما',
+    strategies: {
+      'prefer-complete': 'الاحتفاظ بالسجل الأكثر اكتمالًا',
+      'keep-first': 'الاحتفاظ بالمصدر الأول',
+      'keep-last': 'الاحتفاظ بالمصدر الأخير',
+      'keep-all': 'الاحتفاظ بالجميع (مع تمييزها كمكررة)'
+    },
+    mergeResult: 'أُزيل {duplicates} تداخل متطابق · حُلّ {conflicts} تعارض',
+    conflicts: 'التعارضات المحلولة',
+    conflict: '{empId} في {date}: أُبقي {kept} بدلًا من {dropped}.'
+  },
+
+  importPreview: {
+    title: 'معاينة الاستيراد',
+    include: 'استيراد {source} ({kind})',
+    headerRow: 'صف العناوين',
+    detect: 'اكتشاف تلقائي',
+    rowOption: 'الصف {row}: {preview}',
+    emptyRow: '(فارغ)',
+    mapColumns: 'ربط الأعمدة',
+    reading: 'جارٍ قراءة الملف…',
+    notRead: 'لم تتم القراءة بعد.',
+    headerOn: 'العناوين في',
+    row: 'الصف {row}',
+    mappingSources: {
+      auto: 'اكتُشفت تلقائيًا في أول {limit} صف',
+      profile: 'من ملف ربط محفوظ',
+      manual: 'محددة يدويًا'
+    },
+    attlogLayout: 'لا يوجد صف عناوين: قُرئ بتنسيق attlog.dat (رقم المستخدم، الوقت، طريقة التحقق، الحالة).',
+    noHeader: 'لم يُعثر على صف عناوين في أول {limit} صف.',
+    datesReadAs: 'قُرئت التواريخ بصيغة {order}.',
+    fixHint: 'اختر صف العناوين أعلاه أو اربط الأعمدة يدويًا.',
+    parsedRows: 'الصفوف المقروءة',
+    skippedRows: 'الصفوف المتجاوزة',
+    suspiciousRows: 'الصفوف المشبوهة',
+    rowIssues: 'مشكلات الصفوف',
+    skipped: 'متجاوز',
+    suspicious: 'مشبوه',
+    issueRows: '{count} صف: {rows}',
+    unknownDept: "يُجمع الموظفون بلا قسم تحت 'Unknown'.",
+    nextHourSource: 'تُؤخذ الساعات من العمود التالي حسب أولوية قواعد الحضور.',
+    firstRows: 'الصفوف الأولى كما قُرئت',
+    columns: {
+      row: 'الصف',
+      empId: 'رقم الموظف',
+      name: 'الاسم',
+      dept: 'القسم',
+      date: 'التاريخ',
+      time: 'الوقت',
+      state: 'الحالة',
+      clockIn: 'الدخول',
+      clockOut: 'الخروج',
+      hours: 'الساعات',
+      from: 'المصدر',
+      present: 'حاضر',
+      note: 'ملاحظة'
+    },
+    skippedNote: 'متجاوز: {note}',
+    updating: 'جارٍ تحديث المعاينة…',
+    willReplace: 'سيحل {count} سجل يومي محل التقرير الحالي.',
+    import: 'استيراد'
+  },
+
+  mapping: {
+    title: 'ربط الأعمدة',
+    notInFile: '— غير موجود في الملف —',
+    blank: '(فارغ)',
+    example: 'مثال: {values}',
+    saveProfile: 'حفظ كملف ربط (اختياري)',
+    profilePlaceholder: 'مثال: جهاز الفرع (عربي)',
+    profileHint: 'تُطبَّق ملفات الربط المحفوظة تلقائيًا على الملفات التي لها صف العناوين نفسه.',
+    savedProfiles: 'ملفات الربط المحفوظة',
+    required: 'مطلوب: {fields}',
+    apply: 'تطبيق الربط'
+  },
+
+  holidays: {
+    title: 'تقويم العطلات',
+    import: 'استيراد ICS / CSV',
+    namePlaceholder: 'اسم العطلة',
+    noneFound: 'لم يُعثر على عطلات في {file}. المتوقع تقويم ics. أو ملف CSV بصيغة "date,name".',
+    empty: 'لا توجد عطلات محددة. تتبع العطلات الأسبوعية أيام عمل كل وردية.',
+    save: 'حفظ العطلات'
+  },
+
+  shifts: {
+    title: 'الورديات والجداول',
+    templates: 'قوالب الورديات',
+    add: 'إضافة وردية',
+    newShift: 'وردية جديدة',
+    name: 'الاسم',
+    start: 'البداية',
+    end: 'النهاية',
+    grace: 'السماح (دقيقة)',
+    break: 'الاستراحة (دقيقة)',
+    scheduled: 'المجدول: {length} س/يوم',
+    default: 'افتراضية',
+    inherit: '— وراثة —',
+    departments: 'تعيين الأقسام',
+    employees: 'استثناءات الموظفين',
+    save: 'حفظ الجدول'
+  },
+
+  leave: {
+    title: 'الإجازات وأسباب الغياب',
+    types: 'أنواع الإجازات',
+    paidHint: 'تُحتسب الإجازة المدفوعة يومًا قياسيًا ضمن الأيام المكافئة.',
+    paid: 'مدفوعة',
+    typeInUse: 'احذف إدخالات هذا النوع أولًا',
+    removeType: 'إزالة النوع',
+    newTypePlaceholder: 'نوع إجازة جديد، مثال: إجازة أمومة',
+    add: 'إضافة إجازة',
+    employeeId: 'رقم الموظف',
+    firstDay: 'اليوم الأول',
+    lastDay: 'اليوم الأخير (اختياري)',
+    note: 'ملاحظة',
+    import: 'استيراد',
+    importCsv: 'استيراد ملف إجازات CSV',
+    importResult: '{file}: استُورد {imported} إدخال، وتُجووز {skipped} صف.',
+    entries: 'الإدخالات ({count})',
+    filter: 'تصفية حسب الموظف',
+    empty: 'لا توجد إجازات مسجلة. تُعد أيام العمل بلا ساعات غيابًا.',
+    length: '{days} ي',
+    save: 'حفظ الإجازات'
+  },
+
+  directory: {
+    title: 'دليل الموظفين',
+    import: 'استيراد CSV / XLSX',
+    addFromFiles: 'إضافة من الملفات المحمّلة ({count})',
+    columnsHint: 'الأعمدة: Employee ID، Name، Department، Cost Center، Hire Date، Termination Date، Active، Aliases',
+    importResult: '{file}: استُورد {imported} موظف، وتُجووز {skipped} صف.',
+    unknownIds: 'أرقام غير معروفة في الملفات المحمّلة ({count})',
+    addAsEmployee: 'إضافة كموظف',
+    orAliasOf: 'أو رقم بديل لـ',
+    selectEmployee: 'اختر موظفًا…',
+    changes: 'تغييرات في الاسم أو القسم في الملفات المحمّلة',
+    nameChange: 'الاسم: {values}',
+    deptChange: 'القسم: {values}',
+    employees: 'الموظفون ({count})',
+    search: 'بحث',
+    newId: 'رقم موظف جديد',
+    empty: 'الدليل فارغ. تُؤخذ الأسماء والأقسام من الملفات كما هي.',
+    inactiveHint: 'لا تُحسب الأيام بلا بصمات غيابًا للموظفين غير النشطين، وتبقى الأيام التي عملوا فيها محسوبة.',
+    columns: {
+      id: 'الرقم',
+      name: 'الاسم',
+      dept: 'القسم',
+      costCenter: 'مركز التكلفة',
+      hired: 'تاريخ التعيين',
+      terminated: 'تاريخ انتهاء الخدمة',
+      active: 'نشط',
+      aliases: 'الأرقام البديلة'
+    },
+    save: 'حفظ الدليل'
+  },
+
+  rulesDialog: {
+    title: 'قواعد الحضور',
+    defaultRules: 'القواعد الافتراضية',
+    presentWhen: 'يُعد حاضرًا عندما',
+    matchAny: 'يتحقق أي شرط',
+    matchAll: 'تتحقق كل الشروط',
+    noConditions: 'لا توجد شروط: يُعد اليوم حضورًا عند وجود ساعات.',
+    addCondition: 'إضافة شرط',
+    hoursFrom: 'مصدر الساعات',
+    hoursFromHint: 'يُستخدم أول عمود فيه ساعات أكبر من صفر.',
+    days: 'الأيام',
+    minPresentHours: 'الحد الأدنى من الساعات لاحتساب الحضور',
+    halfDay: 'نصف يوم ابتداءً من (ساعات)',
+    fullDay: 'يوم كامل ابتداءً من (ساعات)',
+    standardDay: 'اليوم القياسي (ساعات)',
+    addOverride: 'إضافة استثناء',
+    scopeDept: 'القسم',
+    scopeSite: 'الموقع (ملف أو جهاز)',
+    nothingLeft: 'لم يتبقَّ ما يمكن استثناؤه',
+    earlierVersions: 'الإصدارات السابقة',
+    restore: 'استعادة إصدار…',
+    loadFiles: 'حمّل ملفات لرؤية أثر هذه القواعد.',
+    effect: 'أيام الحضور {beforeDays} ← {afterDays} · الساعات {beforeHours} ← {afterHours}',
+    noEffect: 'أيام الحضور {beforeDays} ← {afterDays} · الساعات {beforeHours} ← {afterHours} (دون تغيير)',
+    saveAs: 'حفظ كإصدار v{version}'
+  },
+
+  devices: {
+    title: 'الأجهزة',
+    loading: 'جارٍ تحميل الأجهزة...',
+    empty: 'لا توجد أجهزة مسجلة بعد. أضف جهازًا أدناه.',
+    commKeySet: 'مفتاح الاتصال محدد',
+    counts: '{users} مستخدم · {punches} بصمة',
+    lastSync: 'آخر مزامنة {when}',
+    never: 'أبدًا',
+    latestPunch: 'آخر بصمة {when}',
+    newPunches: '{count} بصمة جديدة',
+    sync: 'مزامنة',
+    syncAll: 'مزامنة الكل',
+    confirmRemove: 'هل تريد إزالة "{name}" والبصمات المسحوبة منه؟',
+    register: 'تسجيل جهاز',
+    form: {
+      name: 'الاسم',
+      host: 'عنوان IP',
+      port: 'المنفذ',
+      commKey: 'مفتاح الاتصال'
+    },
+    add: 'إضافة جهاز',
+    from: 'من',
+    load: 'تحميل إلى التقرير',
+    noPunches: 'لا توجد بصمات مخزنة بعد. قم بمزامنة جهاز أولًا.',
+    noPunchesSince: 'لا توجد بصمات مخزنة منذ {date}.',
+    errors: {
+      load: 'تعذّر تحميل الأجهزة: {message}',
+      register: 'تعذّر تسجيل الجهاز: {message}',
+      remove: 'تعذّرت إزالة الجهاز: {message}',
+      sync: 'فشلت المزامنة: {message}',
+      punches: 'تعذّر تحميل البصمات: {message}'
+    }
+  },
+
+  history: {
+    title: 'سجل التقارير',
+    loading: 'جارٍ تحميل الفترات المحفوظة...',
+    empty: 'لا توجد فترات محفوظة بعد. استخدم "حفظ الفترة" بعد تحليل ملف.',
+    noDates: 'بلا تواريخ',
+    counts: '{employees} موظف · {records} سجل',
+    savedAt: 'حُفظت {when}',
+    open: 'فتح',
+    confirmDelete: 'هل تريد حذف "{name}" من السجل؟',
+    errors: {
+      load: 'تعذّر تحميل سجل التقارير: {message}',
+      rename: 'تعذّرت إعادة تسمية الفترة: {message}',
+      delete: 'تعذّر حذف الفترة: {message}'
+    }
+  },
+
+  // --- Engine Messages ---
+
+  // Parse diagnostics, by code
+  diagnostics: {
+    INVALID_INPUT: 'المتوقع مصفوفة ثنائية الأبعاد من الصفوف.',
+    HEADER_NOT_FOUND: "تعذّر العثور على صف عناوين صالح يحتوي على 'Employee ID' و 'Date'. يرجى التحقق من تنسيق الملف.",
+    MISSING_COLUMNS: 'أعمدة أساسية مفقودة: {fields}',
+    OPTIONAL_COLUMN_MISSING: "لم يُعثر على العمود الاختياري '{column}'.",
+    UNPARSEABLE_VALUE: 'الصف {row}: تعذّرت قراءة قيمة {field} "{value}".',
+    UNPARSEABLE_PUNCH: 'الصف {row}: تعذّرت قراءة البصمة "{value}".',
+    PUNCH_FORMAT_NOT_RECOGNIZED: 'تعذّر التعرف على تنسيق سجل البصمات. المتوقع عمودا رقم المستخدم والوقت.',
+    DATES_OUTSIDE_RANGE: '{count} صف/صفوف مؤرخة خارج الفترة {start} – {end} (مثل {dates})؛ تحقّق منها بحثًا عن أخطاء كتابة.'
+  },
+
+  // Skipped and suspicious rows of an import, by code
+  rowIssues: {
+    EMPTY_ROW: 'صف فارغ',
+    NO_ID_OR_DATE: 'لا يوجد رقم موظف أو تاريخ (صف عنوان أو ملاحظة أو تذييل)',
+    UNREADABLE_PUNCH: 'لا يوجد رقم مستخدم أو وقت مقروء',
+    MISSING_EMPLOYEE_ID: 'رقم الموظف فارغ',
+    MISSING_DATE: 'التاريخ فارغ',
+    UNREADABLE_DATE: 'تعذّرت قراءة التاريخ',
+    UNREADABLE_VALUE: 'تعذّرت قراءة قيمة وقت أو ساعات',
+    DUPLICATE_DAY: 'صف آخر للموظف واليوم نفسيهما'
+  },
+
+  anomalies: {
+    labels: {
+      MISSING_CLOCK_OUT: 'خروج مفقود',
+      MISSING_CLOCK_IN: 'دخول مفقود',
+      CLOCK_OUT_BEFORE_IN: 'الخروج قبل الدخول',
+      OVERNIGHT_ASSUMED: 'الخروج قبل الدخول، احتُسب نوبة ليلية',
+      DUPLICATE_DAY: 'يوم مكرر',
+      LONG_DAY: 'يوم يتجاوز 16 ساعة',
+      HOURS_MISMATCH: 'الساعات العادية لا تطابق البصمات',
+      PRESENT_NO_HOURS: 'حاضر بلا ساعات',
+      NAME_CONFLICT: 'رقم مستخدم بأسماء مختلفة'
+    },
+    messages: {
+      MISSING_CLOCK_OUT: 'الدخول في {clockIn} ليس له خروج مقابل.',
+      MISSING_CLOCK_IN: 'الخروج في {clockOut} ليس له دخول مقابل.',
+      CLOCK_OUT_BEFORE_IN: 'الخروج {clockOut} أبكر من الدخول {clockIn}.',
+      OVERNIGHT_ASSUMED: 'الخروج {clockOut} أبكر من الدخول {clockIn}؛ احتُسب نوبة ليلية مدتها {hours} س.',
+      LONG_DAY: 'سُجلت {hours} ساعة في يوم واحد.',
+      HOURS_MISMATCH: 'الساعات العادية {hours} س لكن البصمات تمتد {spanHours} س.',
+      PRESENT_NO_HOURS: 'مسجل حاضرًا من {source} لكن تعذّر احتساب أي ساعات.',
+      DUPLICATE_DAY: 'يظهر اليوم {count} مرات لهذا الموظف.',
+      NAME_CONFLICT: 'يظهر رقم الموظف {empId} بالأسماء: {names}.'
+    },
+    severity: {
+      high: 'عالية',
+      medium: 'متوسطة',
+      low: 'منخفضة'
+    }
+  },
+
+  // Directory and leave file imports, by code
+  importErrors: {
+    NO_HEADER: "لم يُعثر على صف عناوين يحتوي على عمود 'Employee ID'.",
+    MISSING_EMPLOYEE_ID: 'رقم الموظف مفقود',
+    UNREADABLE_START: "تاريخ بداية غير مقروء '{value}'",
+    UNREADABLE_END: "تاريخ نهاية غير مقروء '{value}'",
+    UNKNOWN_TYPE: "نوع إجازة غير معروف '{value}'",
+    line: 'السطر {line}: {message}'
+  },
+
+  // --- Attendance Rules ---
+  rules: {
+    scope: {
+      default: 'افتراضي',
+      dept: 'القسم: {match}',
+      site: 'الموقع: {match}'
+    },
+    hourSources: {
+      regularH: 'الساعات العادية',
+      workedHours: 'ساعات العمل',
+      totalHours: 'إجمالي الساعات',
+      clockSpan: 'من الدخول إلى الخروج'
+    },
+    presenceFields: {
+      regularH: 'الساعات العادية',
+      workedHours: 'ساعات العمل',
+      totalHours: 'إجمالي الساعات',
+      clockIn: 'وقت الدخول',
+      clockOut: 'وقت الخروج'
+    },
+    presenceTests: {
+      positive: 'أكبر من 0',
+      notEmpty: 'غير فارغ'
+    },
+    none: 'لا شيء',
+    hoursFound: 'وُجدت ساعات',
+    and: ' و ',
+    or: ' أو ',
+    withMinimum: '{condition}، مع {hours} س على الأقل',
+    defaults: 'الافتراضية'
+  },
+
+  // --- Exports ---
+  exports: {
+    sheets: {
+      summary: 'ملخص الحضور',
+      details: 'التفاصيل اليومية',
+      audit: 'سجل التدقيق',
+      rules: 'القواعد',
+      payroll: 'الرواتب',
+      payRules: 'قواعد الرواتب',
+      comparison: 'المقارنة',
+      onePeriodOnly: 'فترة واحدة فقط',
+      periods: 'الفترات'
+    },
+    columns: {
+      employeeId: 'رقم الموظف',
+      name: 'الاسم',
+      department: 'القسم',
+      costCenter: 'مركز التكلفة',
+      daysPresent: 'أيام الحضور',
+      daysAbsent: 'أيام الغياب',
+      holidays: 'العطلات الرسمية',
+      weekendDays: 'أيام العطلة الأسبوعية',
+      leaveDays: 'أيام الإجازة',
+      paidLeaveDays: 'أيام الإجازة المدفوعة',
+      leaveTypeDays: '{name} (أيام)',
+      totalActualHours: 'إجمالي الساعات الفعلية',
+      equivalentDays: 'الأيام المكافئة ({hours} س)',
+      countedDays: 'الأيام المحتسبة',
+      lateMinutes: 'التأخير (دقيقة)',
+      earlyLeaveMinutes: 'الانصراف المبكر (دقيقة)',
+      overtimeMinutes: 'العمل الإضافي (دقيقة)',
+      undertimeMinutes: 'النقص (دقيقة)',
+      deviceId: 'رقم الجهاز',
+      date: 'التاريخ',
+      clockIn: 'وقت الدخول',
+      clockOut: 'وقت الخروج',
+      regularRaw: 'الساعات العادية (خام)',
+      workedRaw: 'ساعات العمل (خام)',
+      totalRaw: 'إجمالي الساعات (خام)',
+      actualHours: 'الساعات الفعلية المحسوبة',
+      calculationSource: 'مصدر الحساب',
+      rulesApplied: 'القواعد المطبقة',
+      sourceFile: 'الملف المصدر',
+      sourceSheet: 'الورقة المصدر',
+      status: 'الحالة',
+      corrected: 'مصحح',
+      holiday: 'العطلة',
+      leave: 'الإجازة',
+      shift: 'الوردية',
+      when: 'الوقت',
+      who: 'بواسطة',
+      action: 'الإجراء',
+      datePeriod: 'التاريخ / الفترة',
+      field: 'الحقل',
+      oldValue: 'القيمة القديمة',
+      newValue: 'القيمة الجديدة',
+      reason: 'السبب',
+      ruleSet: 'مجموعة القواعد',
+      appliesTo: 'تنطبق على',
+      presentWhen: 'يُعد حاضرًا عندما',
+      hoursFrom: 'مصدر الساعات',
+      minimumHours: 'الحد الأدنى للساعات',
+      halfDayFrom: 'نصف يوم من (س)',
+      fullDayFrom: 'يوم كامل من (س)',
+      standardDay: 'اليوم القياسي (س)',
+      rule: 'القاعدة',
+      value: 'القيمة'
+    },
+    // Audit log values; correction fields use corrections.fields
+    audit: {
+      approval: 'الاعتماد',
+      actions: {
+        correction: 'تصحيح',
+        revert: 'استرجاع',
+        pending: 'قيد الانتظار',
+        approved: 'معتمد',
+        rejected: 'مرفوض'
+      }
+    }
+  },
+
+  payroll: {
+    columns: {
+      empId: 'رقم الموظف',
+      name: 'الاسم',
+      dept: 'القسم',
+      daysPresent: 'أيام الحضور',
+      daysAbsent: 'أيام الغياب',
+      daysLeave: 'أيام الإجازة',
+      paidLeaveDays: 'أيام الإجازة المدفوعة',
+      daysHoliday: 'العطلات الرسمية',
+      fullDays: 'أيام كاملة',
+      halfDays: 'أنصاف أيام',
+      paidDays: 'الأيام المدفوعة',
+      workedHours: 'ساعات العمل',
+      regularHours: 'الساعات العادية',
+      overtimeWeekdayHours: 'ساعات إضافية (أيام العمل)',
+      overtimeWeekendHours: 'ساعات إضافية (العطلة الأسبوعية)',
+      overtimeHolidayHours: 'ساعات إضافية (العطلات الرسمية)',
+      equivalentDays: 'الأيام المكافئة',
+      lateMinutes: 'التأخير (دقيقة)',
+      earlyLeaveMinutes: 'الانصراف المبكر (دقيقة)',
+      undertimeMinutes: 'النقص (دقيقة)',
+      hourlyRate: 'أجر الساعة',
+      dailyRate: 'الأجر اليومي',
+      basePay: 'الأجر الأساسي',
+      overtimePay: 'أجر العمل الإضافي',
+      grossPay: 'إجمالي الأجر'
+    },
+    // Pay Rules sheet of the payroll workbook
+    rules: {
+      attendanceRules: 'قواعد الحضور',
+      rounding: 'التقريب',
+      roundingValue: '{mode} {minutes} دقيقة',
+      otWeekday: 'معامل العمل الإضافي (أيام العمل)',
+      otWeekend: 'معامل العمل الإضافي (العطلة الأسبوعية)',
+      otHoliday: 'معامل العمل الإضافي (العطلات الرسمية)',
+      template: 'القالب'
+    },
+    rounding: {
+      nearest: 'لأقرب قيمة',
+      up: 'للأعلى',
+      down: 'للأسفل'
+    },
+    dialog: {
+      title: 'تصدير الرواتب',
+      payRules: 'قواعد الرواتب',
+      roundTo: 'تقريب وقت العمل إلى',
+      minutes: '{minutes} دقيقة',
+      noRounding: 'بلا تقريب',
+      defaultHourly: 'أجر الساعة الافتراضي',
+      defaultDaily: 'الأجر اليومي الافتراضي',
+      rulesHint: 'يُدفع أجر الساعة عن الساعات العادية؛ وإلا يُدفع الأجر اليومي عن الأيام المحتسبة. يُدفع العمل الإضافي بأجر الساعة (أو الأجر اليومي ÷ اليوم القياسي) مضروبًا في المعامل. يُحدد اليوم القياسي وحدّا نصف اليوم واليوم الكامل في القواعد.',
+      departmentRates: 'أجور الأقسام',
+      employeeRates: 'أجور الموظفين',
+      hourly: 'بالساعة',
+      daily: 'يومي',
+      columns: 'الأعمدة',
+      standardTemplate: 'الرواتب القياسية',
+      custom: 'مخصص',
+      templateName: 'اسم القالب',
+      saveTemplate: 'حفظ القالب',
+      preview: 'معاينة (أول {shown} من {total})',
+      saveRules: 'حفظ القواعد',
+      export: 'تصدير {format}'
+    }
+  },
+
+  // --- Printable Timesheet ---
+  timesheet: {
+    title: 'كشف الحضور',
+    titleWithFile: 'كشف الحضور · {file}',
+    id: 'الرقم {id}',
+    totals: '{present} يوم حضور · {absent} غياب · {hours} ساعة ({days} يوم من {dayLength} س)',
+    approvalBy: 'الاعتماد: {status} بواسطة {user} في {date}',
+    approvalPending: 'الاعتماد: قيد الانتظار',
+    rules: 'قواعد الحضور {label}',
+    date: 'التاريخ',
+    status: 'الحالة',
+    clockIn: 'الدخول',
+    clockOut: 'الخروج',
+    hours: 'الساعات',
+    late: 'تأخير',
+    early: 'مبكر',
+    overtime: 'إضافي',
+    total: 'الإجمالي',
+    correctedNote: '* صُحح يدويًا',
+    auditTitle: 'التصحيحات والاعتمادات',
+    when: 'الوقت',
+    who: 'بواسطة',
+    field: 'الحقل',
+    change: 'التغيير',
+    reason: 'السبب',
+    fileValue: '(قيمة الملف)',
+    employeeSignature: 'توقيع الموظف',
+    supervisorSignature: 'توقيع المشرف'
+  }
+};
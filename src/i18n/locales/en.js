@@ -0,0 +1,894 @@
+// --- English ---
+// Reference resources: every key used by the app is defined here, and other languages fall back to
+// this file for keys they do not translate yet. Placeholders in braces are filled in by translate().
+
+export default {
+  // --- Shared ---
+  common: {
+    cancel: 'Cancel',
+    close: 'Close',
+    save: 'Save',
+    apply: 'Apply',
+    delete: 'Delete',
+    remove: 'Remove',
+    add: 'Add',
+    edit: 'Edit',
+    none: 'None',
+    all: 'All',
+    yes: 'Yes',
+    no: 'No',
+    done: 'Done',
+    loading: 'Loading...',
+    language: 'Language'
+  },
+
+  status: {
+    present: 'Present',
+    absent: 'Absent',
+    weekend: 'Weekend',
+    holiday: 'Holiday',
+    leave: 'Leave',
+    inactive: 'Not employed',
+    paid: 'paid',
+    unpaid: 'unpaid'
+  },
+
+  // Day colours in the calendar and heatmap legends
+  legend: {
+    present: 'Present (darker = more hours)',
+    absent: 'Absent',
+    leave: 'Leave',
+    holiday: 'Holiday',
+    weekend: 'Weekend',
+    inactive: 'Not employed'
+  },
+
+  // Logical fields of a time card export
+  columns: {
+    empId: 'Employee ID',
+    name: 'First Name',
+    dept: 'Department',
+    date: 'Date',
+    clockIn: 'Clock In',
+    clockOut: 'Clock Out',
+    totalHours: 'Total Hours',
+    workedHours: 'Worked Hours',
+    regularH: 'Regular(H)'
+  },
+
+  approval: {
+    status: {
+      pending: 'pending',
+      approved: 'approved',
+      rejected: 'rejected'
+    },
+    badge: {
+      pending: 'Pending approval',
+      approved: 'Approved',
+      rejected: 'Rejected'
+    },
+    approvedBy: 'Approved by {user}',
+    rejectedBy: 'Rejected by {user}',
+    approve: 'Approve',
+    reject: 'Reject',
+    reset: 'Reset'
+  },
+
+  // --- Main Screen ---
+  app: {
+    title: 'ZKTeco Attendance Analyzer',
+    subtitle: 'Compatible with iFace 990 Total Time Card Exports and attlog.dat Punch Logs',
+    fileCount: '{count} files',
+    errors: {
+      parseFailed: 'Failed to parse file.',
+      savePeriod: 'Could not save period: {message}',
+      openPeriod: 'Could not open period: {message}',
+      noRecords: 'No attendance records found.',
+      devicePunches: 'Failed to load device punches.'
+    },
+    prompts: {
+      userName: 'Your name (recorded in the audit log):',
+      rejectReason: 'Reason for rejecting (optional):',
+      viewName: 'Name for this view:',
+      copyLink: 'Copy this link:'
+    },
+    actions: {
+      compare: 'Compare',
+      history: 'History',
+      devices: 'Devices',
+      changeFiles: 'Change Files',
+      importFiles: 'Import Export Files',
+      review: 'Review',
+      holidays: 'Holidays',
+      leave: 'Leave',
+      directory: 'Directory',
+      shifts: 'Shifts',
+      mapColumns: 'Map Columns',
+      mappingProfile: 'Mapping: {name}',
+      sources: 'Sources ({count})',
+      addFiles: 'Add Files',
+      rules: 'Rules',
+      payroll: 'Payroll',
+      export: 'Export'
+    },
+    warnings: {
+      unreadable: '{count} value(s) could not be read and were left out of the hour totals.',
+      more: '…and {count} more',
+      unknownEmployees: '{count} employee ID(s) in the files are not in the directory: {ids}',
+      unrecognizedColumns: 'Some columns were not recognized: {columns}.'
+    },
+    empty: {
+      title: 'No Data Loaded',
+      body: 'Upload or drop ZKTeco "Total Time Card" exports (XLSX or CSV) or raw punch logs (attlog.dat) to begin analysis. Several files and sheets are merged into one dataset; headers are detected automatically and title rows ignored.'
+    },
+    loading: {
+      processing: 'Processing attendance records...',
+      readingFile: 'Reading file {current} of {total}',
+      rows: '{done} of {total} rows'
+    },
+    searchPlaceholder: 'Search employee...',
+    dateOrder: {
+      title: 'Date format used to read ambiguous dates',
+      auto: 'Dates: Auto ({order})',
+      fixed: 'Dates: {order}'
+    },
+    period: {
+      savedAs: 'Saved as "{name}"',
+      saveTitle: 'Save this analysis to report history',
+      saved: 'Saved',
+      saving: 'Saving...',
+      save: 'Save Period'
+    },
+    rulesTitle: 'Attendance rules {label}',
+    updating: 'Updating report…',
+    stats: {
+      employees: 'Total Employees',
+      days: 'Total Days Processed',
+      hours: 'Total Hours Logged'
+    },
+    tabs: {
+      summary: 'Summary',
+      dashboard: 'Dashboard',
+      issues: 'Issues ({count})'
+    }
+  },
+
+  // Summary table
+  summary: {
+    id: 'ID',
+    name: 'Employee Name',
+    department: 'Department',
+    daysPresent: 'Days Present',
+    daysAbsent: 'Days Absent',
+    totalHours: 'Total Hours',
+    equivalentDays: 'Eqv. Days ({hours}h)',
+    late: 'Late',
+    earlyLeave: 'Early Leave',
+    overtime: 'Overtime',
+    undertime: 'Undertime',
+    issueCount: '{count} issue(s)',
+    openProfile: 'Open employee profile',
+    noMatches: 'No employees found matching your search.'
+  },
+
+  filters: {
+    min: 'min',
+    max: 'max',
+    allDepartments: 'All departments',
+    departmentCount: '{count} departments',
+    clearSelection: 'Clear selection',
+    hours: 'Hours',
+    hoursUnit: 'h',
+    daysPresent: 'Days present',
+    daysUnit: 'd',
+    issuesOnly: 'Issues only',
+    clearFilters: 'Clear filters',
+    noSavedViews: 'No saved views',
+    savedViews: 'Saved views…',
+    deleteView: 'Delete view "{name}"',
+    saveView: 'Save view',
+    copyLinkTitle: 'Copy a link to this view',
+    copied: 'Copied',
+    copyLink: 'Copy link'
+  },
+
+  breakdown: {
+    title: 'Daily Breakdown: {name}',
+    fromPunches: 'Values derived from paired punches (first in, last out)',
+    derivedFrom: 'Values derived from {sources}',
+    date: 'Date',
+    clockIn: 'Clock In',
+    clockOut: 'Clock Out',
+    regularH: 'Regular(H)',
+    workedHours: 'Worked Hrs',
+    calcHours: 'Calc. Hours',
+    late: 'Late',
+    early: 'Early',
+    overtime: 'OT',
+    under: 'Under',
+    status: 'Status',
+    source: 'Source',
+    manualCorrection: 'Manual correction',
+    correctDay: 'Correct this day',
+    correctedTitle: '{field} corrected (file value: {value})'
+  },
+
+  issues: {
+    none: 'No data-quality issues detected.',
+    counts: '{high} high · {medium} medium · {low} low',
+    allSeverities: 'All severities',
+    allChecks: 'All checks',
+    severity: 'Severity',
+    check: 'Check',
+    employee: 'Employee',
+    date: 'Date',
+    details: 'Details',
+    view: 'View'
+  },
+
+  dashboard: {
+    attendanceRate: 'Attendance Rate',
+    avgHours: 'Avg Hours / Present Day',
+    totalEquivalentDays: 'Total Equivalent Days',
+    departments: 'Departments',
+    departmentsHint: 'Click a department to filter the summary table',
+    department: 'Department',
+    headcount: 'Headcount',
+    totalHours: 'Total Hours',
+    equivalentDays: 'Eqv. Days',
+    trend: 'Daily Attendance Trend',
+    presence: 'Presence by Employee and Day'
+  },
+
+  charts: {
+    noDatedRecords: 'No dated records to chart.',
+    noRecords: 'No records to display.',
+    noRecord: 'no record',
+    hours: '{hours} h',
+    trendDay: '{date}: {present} present, {leave} on leave, {absent} absent',
+    rateLine: 'Attendance rate (top = 100%)'
+  },
+
+  profile: {
+    back: 'Back to the report',
+    id: 'ID {id}',
+    print: 'Print Timesheet',
+    cards: {
+      daysPresent: 'Days Present',
+      daysAbsent: 'Days Absent',
+      leaveDays: 'Leave Days',
+      totalHours: 'Total Hours',
+      averageStart: 'Average Start',
+      averageEnd: 'Average End'
+    },
+    calendar: 'Calendar',
+    noDatedRecords: 'No dated records to display.',
+    clickToCorrect: 'Click a day to correct it',
+    noPunches: 'No punches recorded.',
+    dayCount: '{count} day(s)',
+    arrivals: 'Arrival Times',
+    departures: 'Departure Times',
+    weeklyHours: 'Weekly Hours',
+    week: 'Week',
+    days: 'Days',
+    hours: 'Hours',
+    scheduled: 'Scheduled',
+    noIssues: "No issues found in this employee's records."
+  },
+
+  corrections: {
+    title: 'Correct {name} · {date}',
+    fields: {
+      clockIn: 'Clock In',
+      clockOut: 'Clock Out',
+      status: 'Status',
+      hours: 'Hours'
+    },
+    recomputeHint: 'Changing the clock times recomputes the hours from the new span unless the hours are corrected too.',
+    reason: 'Reason (required)',
+    reasonPlaceholder: 'e.g. Device missed the evening punch',
+    yourName: 'Your name',
+    active: 'Active Corrections',
+    revert: 'Revert to file value',
+    revertTitle: 'Restore the value from the file (needs a reason)',
+    history: 'History',
+    save: 'Save Correction'
+  },
+
+  compare: {
+    current: 'Current',
+    choosePeriod: 'Choose a period...',
+    currentAnalysis: 'Current analysis ({label})',
+    upload: 'Upload',
+    processing: 'Processing files...',
+    employeeCount: '{count} employees',
+    historyUnavailable: 'Saved periods are unavailable: {message}',
+    periodA: 'Period A (before)',
+    periodB: 'Period B (after)',
+    swap: 'Swap periods',
+    empty: 'Choose or upload two periods to compare attendance per employee.',
+    biggestSwings: 'Biggest Swings (hours)',
+    noSwings: 'No large changes.',
+    onlyInA: 'Only in Period A',
+    onlyInB: 'Only in Period B',
+    onlyA: 'Only A',
+    onlyB: 'Only B',
+    filter: {
+      all: 'All employees ({count})',
+      swings: 'Biggest swings ({count})',
+      changed: 'In one period only ({count})'
+    },
+    export: 'Export Comparison',
+    noMatches: 'No employees match this filter.',
+    table: {
+      daysA: 'Days A',
+      daysB: 'Days B',
+      daysDelta: 'Δ Days',
+      hoursA: 'Hours A',
+      hoursB: 'Hours B',
+      hoursDelta: 'Δ Hours',
+      pctDelta: 'Δ %',
+      eqvDaysDelta: 'Δ Eqv. Days'
+    },
+    // Comparison workbook
+    columns: {
+      employeeId: 'Employee ID',
+      name: 'Name',
+      department: 'Department',
+      inPeriods: 'In Periods',
+      both: 'A and B',
+      onlyA: 'A only',
+      onlyB: 'B only',
+      daysPresentA: 'Days Present A',
+      daysPresentB: 'Days Present B',
+      daysPresentChange: 'Days Present Change',
+      totalHoursA: 'Total Hours A',
+      totalHoursB: 'Total Hours B',
+      totalHoursChange: 'Total Hours Change',
+      totalHoursChangePct: 'Total Hours Change (%)',
+      equivalentDaysA: 'Equivalent Days A',
+      equivalentDaysB: 'Equivalent Days B',
+      equivalentDaysChange: 'Equivalent Days Change',
+      biggestSwing: 'Biggest Swing',
+      period: 'Period',
+      source: 'Source'
+    }
+  },
+
+  // --- Dialogs ---
+  exportDialog: {
+    title: 'Export Report',
+    format: 'Format',
+    formats: {
+      xlsx: { label: 'Excel workbook', hint: 'Summary and daily details as two sheets' },
+      csv: { label: 'CSV (zip)', hint: 'summary.csv and details.csv in one zip archive' },
+      json: { label: 'JSON', hint: 'Full summary and record structure for other tools' },
+      pdf: { label: 'PDF timesheets', hint: 'One printable page per employee with a signature line' }
+    },
+    employees: 'Employees',
+    view: "Current view: {count} employee(s), with the table's filters and sort order",
+    all: 'Full dataset: all {count} employee(s)',
+    export: 'Export'
+  },
+
+  sources: {
+    title: 'Sources',
+    textLog: '(text log)',
+    punchLog: 'Punch log',
+    timeCard: 'Time card',
+    notIncluded: 'Not included',
+    pending: 'Pending',
+    rows: '{count} rows',
+    mappedManually: 'mapped manually',
+    map: 'Map',
+    strategyLabel: 'When two sources cover the same employee and day',
+    strategies: {
+      'prefer-complete': 'Keep the most complete record',
+      'keep-first': 'Keep the first source',
+      'keep-last': 'Keep the last source',
+      'keep-all': 'Keep all (flag as duplicates)'
+    },
+    mergeResult: '{duplicates} identical overlap(s) removed · {conflicts} conflict(s) resolved',
+    conflicts: 'Resolved Conflicts',
+    conflict: '{empId} on {date}: kept {kept} over {dropped}.'
+  },
+
+  importPreview: {
+    title: 'Import Preview',
+    include: 'Import {source} ({kind})',
+    headerRow: 'Header row',
+    detect: 'Detect automatically',
+    rowOption: 'Row {row}: {preview}',
+    emptyRow: '(empty)',
+    mapColumns: 'Map columns',
+    reading: 'Reading the file…',
+    notRead: 'Not read yet.',
+    headerOn: 'Header on',
+    row: 'row {row}',
+    mappingSources: {
+      auto: 'found automatically in the first {limit} rows',
+      profile: 'from a saved mapping profile',
+      manual: 'set manually'
+    },
+    attlogLayout: 'No header row: read as an attlog.dat layout (user ID, timestamp, verify mode, state).',
+    noHeader: 'No header row found in the first {limit} rows.',
+    datesReadAs: 'Dates read as {order}.',
+    fixHint: 'Pick the header row above or map the columns by hand.',
+    parsedRows: 'Parsed rows',
+    skippedRows: 'Skipped rows',
+    suspiciousRows: 'Suspicious rows',
+    rowIssues: 'Row Issues',
+    skipped: 'Skipped',
+    suspicious: 'Suspicious',
+    issueRows: '{count} row(s): {rows}',
+    unknownDept: "Employees without a department are grouped under 'Unknown'.",
+    nextHourSource: "Hours come from the next column in the attendance rules' priority.",
+    firstRows: 'First Rows As Read',
+    columns: {
+      row: 'Row',
+      empId: 'Employee ID',
+      name: 'Name',
+      dept: 'Department',
+      date: 'Date',
+      time: 'Time',
+      state: 'State',
+      clockIn: 'Clock In',
+      clockOut: 'Clock Out',
+      hours: 'Hours',
+      from: 'From',
+      present: 'Present',
+      note: 'Note'
+    },
+    skippedNote: 'Skipped: {note}',
+    updating: 'Updating preview…',
+    willReplace: '{count} day record(s) will replace the current report.',
+    import: 'Import'
+  },
+
+  mapping: {
+    title: 'Map Columns',
+    notInFile: '— Not in file —',
+    blank: '(blank)',
+    example: 'e.g. {values}',
+    saveProfile: 'Save as profile (optional)',
+    profilePlaceholder: 'e.g. Branch terminal (Arabic)',
+    profileHint: 'Saved profiles are applied automatically to files with the same header row.',
+    savedProfiles: 'Saved Profiles',
+    required: 'Required: {fields}',
+    apply: 'Apply Mapping'
+  },
+
+  holidays: {
+    title: 'Holiday Calendar',
+    import: 'Import ICS / CSV',
+    namePlaceholder: 'Holiday name',
+    noneFound: 'No holidays found in {file}. Expected an .ics calendar or "date,name" CSV.',
+    empty: "No holidays defined. Weekends still follow each shift's workdays.",
+    save: 'Save Holidays'
+  },
+
+  shifts: {
+    title: 'Shifts & Schedules',
+    templates: 'Shift Templates',
+    add: 'Add Shift',
+    newShift: 'New Shift',
+    name: 'Name',
+    start: 'Start',
+    end: 'End',
+    grace: 'Grace (min)',
+    break: 'Break (min)',
+    scheduled: 'Scheduled: {length} h/day',
+    default: 'Default',
+    inherit: '— Inherit —',
+    departments: 'Department Assignments',
+    employees: 'Employee Overrides',
+    save: 'Save Schedule'
+  },
+
+  leave: {
+    title: 'Leave & Absence Reasons',
+    types: 'Leave Types',
+    paidHint: 'Paid leave counts as a standard day toward equivalent days.',
+    paid: 'Paid',
+    typeInUse: 'Remove the entries of this type first',
+    removeType: 'Remove type',
+    newTypePlaceholder: 'New leave type, e.g. Maternity Leave',
+    add: 'Add Leave',
+    employeeId: 'Employee ID',
+    firstDay: 'First day',
+    lastDay: 'Last day (optional)',
+    note: 'Note',
+    import: 'Import',
+    importCsv: 'Import Leave CSV',
+    importResult: '{file}: {imported} entries imported, {skipped} rows skipped.',
+    entries: 'Entries ({count})',
+    filter: 'Filter by employee',
+    empty: 'No leave recorded. Workdays without hours are reported as absent.',
+    length: '{days}d',
+    save: 'Save Leave'
+  },
+
+  directory: {
+    title: 'Employee Directory',
+    import: 'Import CSV / XLSX',
+    addFromFiles: 'Add from loaded files ({count})',
+    columnsHint: 'Columns: Employee ID, Name, Department, Cost Center, Hire Date, Termination Date, Active, Aliases',
+    importResult: '{file}: {imported} employees imported, {skipped} rows skipped.',
+    unknownIds: 'Unknown IDs in the loaded files ({count})',
+    addAsEmployee: 'Add as employee',
+    orAliasOf: 'or alias of',
+    selectEmployee: 'Select employee…',
+    changes: 'Name or department changes in the loaded files',
+    nameChange: 'name: {values}',
+    deptChange: 'department: {values}',
+    employees: 'Employees ({count})',
+    search: 'Search',
+    newId: 'New employee ID',
+    empty: 'The directory is empty. Names and departments are taken from the files as they are.',
+    inactiveHint: 'Days without punches are not counted as absences for employees who are not active; days they worked still count.',
+    columns: {
+      id: 'ID',
+      name: 'Name',
+      dept: 'Department',
+      costCenter: 'Cost Center',
+      hired: 'Hired',
+      terminated: 'Terminated',
+      active: 'Active',
+      aliases: 'Alias IDs'
+    },
+    save: 'Save Directory'
+  },
+
+  rulesDialog: {
+    title: 'Attendance Rules',
+    defaultRules: 'Default rules',
+    presentWhen: 'Present When',
+    matchAny: 'Any condition holds',
+    matchAll: 'All conditions hold',
+    noConditions: 'No conditions: a day counts as present when hours were found.',
+    addCondition: 'Add Condition',
+    hoursFrom: 'Hours Taken From',
+    hoursFromHint: 'The first column with hours above zero is used.',
+    days: 'Days',
+    minPresentHours: 'Minimum hours to be present',
+    halfDay: 'Half day from (hours)',
+    fullDay: 'Full day from (hours)',
+    standardDay: 'Standard day (hours)',
+    addOverride: 'Add Override',
+    scopeDept: 'Department',
+    scopeSite: 'Site (file or device)',
+    nothingLeft: 'Nothing left to override',
+    earlierVersions: 'Earlier Versions',
+    restore: 'Restore a version…',
+    loadFiles: 'Load files to see the effect of these rules.',
+    effect: 'Present days {beforeDays} → {afterDays} · Hours {beforeHours} → {afterHours}',
+    noEffect: 'Present days {beforeDays} → {afterDays} · Hours {beforeHours} → {afterHours} (no change)',
+    saveAs: 'Save as v{version}'
+  },
+
+  devices: {
+    title: 'Devices',
+    loading: 'Loading devices...',
+    empty: 'No devices registered yet. Add a terminal below.',
+    commKeySet: 'comm key set',
+    counts: '{users} users · {punches} punches',
+    lastSync: 'Last sync {when}',
+    never: 'Never',
+    latestPunch: 'latest punch {when}',
+    newPunches: '{count} new punch(es)',
+    sync: 'Sync',
+    syncAll: 'Sync All',
+    confirmRemove: 'Remove "{name}" and the punches pulled from it?',
+    register: 'Register a Terminal',
+    form: {
+      name: 'Name',
+      host: 'IP address',
+      port: 'Port',
+      commKey: 'Comm key'
+    },
+    add: 'Add Device',
+    from: 'From',
+    load: 'Load into Report',
+    noPunches: 'No punches stored yet. Sync a device first.',
+    noPunchesSince: 'No punches stored since {date}.',
+    errors: {
+      load: 'Could not load devices: {message}',
+      register: 'Could not register device: {message}',
+      remove: 'Could not remove device: {message}',
+      sync: 'Sync failed: {message}',
+      punches: 'Could not load punches: {message}'
+    }
+  },
+
+  history: {
+    title: 'Report History',
+    loading: 'Loading saved periods...',
+    empty: 'No saved periods yet. Use "Save Period" after analysing a file.',
+    noDates: 'No dates',
+    counts: '{employees} employees · {records} records',
+    savedAt: 'Saved {when}',
+    open: 'Open',
+    confirmDelete: 'Delete "{name}" from history?',
+    errors: {
+      load: 'Could not load report history: {message}',
+      rename: 'Could not rename period: {message}',
+      delete: 'Could not delete period: {message}'
+    }
+  },
+
+  // --- Engine Messages ---
+
+  // Parse diagnostics, by code
+  diagnostics: {
+    INVALID_INPUT: 'Expected a 2D array of rows.',
+    HEADER_NOT_FOUND: "Could not find a valid header row containing 'Employee ID' and 'Date'. Please check the file format.",
+    MISSING_COLUMNS: 'Critical columns missing: {fields}',
+    OPTIONAL_COLUMN_MISSING: "Optional column '{column}' not found.",
+    UNPARSEABLE_VALUE: 'Row {row}: could not read {field} value "{value}".',
+    UNPARSEABLE_PUNCH: 'Row {row}: could not read punch "{value}".',
+    PUNCH_FORMAT_NOT_RECOGNIZED: 'Could not recognize the punch log layout. Expected user ID and timestamp columns.',
+    DATES_OUTSIDE_RANGE: '{count} row(s) are dated outside {start} – {end} (e.g. {dates}); check them for typos.'
+  },
+
+  // Skipped and suspicious rows of an import, by code
+  rowIssues: {
+    EMPTY_ROW: 'Empty row',
+    NO_ID_OR_DATE: 'No employee ID or date (title, note or footer row)',
+    UNREADABLE_PUNCH: 'No readable user ID or timestamp',
+    MISSING_EMPLOYEE_ID: 'Employee ID is empty',
+    MISSING_DATE: 'Date is empty',
+    UNREADABLE_DATE: 'Date could not be read',
+    UNREADABLE_VALUE: 'A clock or hours value could not be read',
+    DUPLICATE_DAY: 'Another row for the same employee and day'
+  },
+
+  anomalies: {
+    labels: {
+      MISSING_CLOCK_OUT: 'Missing clock-out',
+      MISSING_CLOCK_IN: 'Missing clock-in',
+      CLOCK_OUT_BEFORE_IN: 'Clock-out before clock-in',
+      OVERNIGHT_ASSUMED: 'Out before in, read as night shift',
+      DUPLICATE_DAY: 'Duplicate day',
+      LONG_DAY: 'Day over 16 hours',
+      HOURS_MISMATCH: 'Regular(H) disagrees with punches',
+      PRESENT_NO_HOURS: 'Present with zero hours',
+      NAME_CONFLICT: 'ID used with different names'
+    },
+    messages: {
+      MISSING_CLOCK_OUT: 'Clock-in at {clockIn} has no matching clock-out.',
+      MISSING_CLOCK_IN: 'Clock-out at {clockOut} has no matching clock-in.',
+      CLOCK_OUT_BEFORE_IN: 'Clock-out {clockOut} is earlier than clock-in {clockIn}.',
+      OVERNIGHT_ASSUMED: 'Clock-out {clockOut} is earlier than clock-in {clockIn}; counted as a night shift of {hours}h.',
+      LONG_DAY: '{hours} hours recorded in one day.',
+      HOURS_MISMATCH: 'Regular(H) is {hours}h but punches span {spanHours}h.',
+      PRESENT_NO_HOURS: 'Marked present from {source} but no hours could be counted.',
+      DUPLICATE_DAY: 'Day appears {count} times for this employee.',
+      NAME_CONFLICT: 'Employee ID {empId} appears as: {names}.'
+    },
+    severity: {
+      high: 'High',
+      medium: 'Medium',
+      low: 'Low'
+    }
+  },
+
+  // Directory and leave file imports, by code
+  importErrors: {
+    NO_HEADER: "No header row with an 'Employee ID' column was found.",
+    MISSING_EMPLOYEE_ID: 'Missing employee ID',
+    UNREADABLE_START: "Unreadable start date '{value}'",
+    UNREADABLE_END: "Unreadable end date '{value}'",
+    UNKNOWN_TYPE: "Unknown leave type '{value}'",
+    line: 'Line {line}: {message}'
+  },
+
+  // --- Attendance Rules ---
+  rules: {
+    scope: {
+      default: 'Default',
+      dept: 'Department: {match}',
+      site: 'Site: {match}'
+    },
+    hourSources: {
+      regularH: 'Regular(H)',
+      workedHours: 'Worked Hours',
+      totalHours: 'Total Hours',
+      clockSpan: 'Clock In → Out'
+    },
+    presenceFields: {
+      regularH: 'Regular(H)',
+      workedHours: 'Worked Hours',
+      totalHours: 'Total Hours',
+      clockIn: 'Clock In',
+      clockOut: 'Clock Out'
+    },
+    presenceTests: {
+      positive: 'is greater than 0',
+      notEmpty: 'is not empty'
+    },
+    none: 'none',
+    hoursFound: 'hours were found',
+    and: ' and ',
+    or: ' or ',
+    withMinimum: '{condition}, with at least {hours}h',
+    defaults: 'defaults'
+  },
+
+  // --- Exports ---
+  exports: {
+    sheets: {
+      summary: 'Attendance Summary',
+      details: 'Daily Details',
+      audit: 'Audit Log',
+      rules: 'Rules',
+      payroll: 'Payroll',
+      payRules: 'Pay Rules',
+      comparison: 'Comparison',
+      onePeriodOnly: 'One Period Only',
+      periods: 'Periods'
+    },
+    columns: {
+      employeeId: 'Employee ID',
+      name: 'Name',
+      department: 'Department',
+      costCenter: 'Cost Center',
+      daysPresent: 'Days Present',
+      daysAbsent: 'Days Absent',
+      holidays: 'Holidays',
+      weekendDays: 'Weekend Days',
+      leaveDays: 'Leave Days',
+      paidLeaveDays: 'Paid Leave Days',
+      leaveTypeDays: '{name} (days)',
+      totalActualHours: 'Total Actual Hours',
+      equivalentDays: 'Equivalent Days ({hours}h)',
+      countedDays: 'Counted Days',
+      lateMinutes: 'Late (min)',
+      earlyLeaveMinutes: 'Early Leave (min)',
+      overtimeMinutes: 'Overtime (min)',
+      undertimeMinutes: 'Undertime (min)',
+      deviceId: 'Device ID',
+      date: 'Date',
+      clockIn: 'Clock In',
+      clockOut: 'Clock Out',
+      regularRaw: 'Regular(H) Raw',
+      workedRaw: 'Worked Hours Raw',
+      totalRaw: 'Total Hours Raw',
+      actualHours: 'Calculated Actual Hours',
+      calculationSource: 'Calculation Source',
+      rulesApplied: 'Rules Applied',
+      sourceFile: 'Source File',
+      sourceSheet: 'Source Sheet',
+      status: 'Status',
+      corrected: 'Corrected',
+      holiday: 'Holiday',
+      leave: 'Leave',
+      shift: 'Shift',
+      when: 'When',
+      who: 'Who',
+      action: 'Action',
+      datePeriod: 'Date / Period',
+      field: 'Field',
+      oldValue: 'Old Value',
+      newValue: 'New Value',
+      reason: 'Reason',
+      ruleSet: 'Rule Set',
+      appliesTo: 'Applies To',
+      presentWhen: 'Present When',
+      hoursFrom: 'Hours From',
+      minimumHours: 'Minimum Hours',
+      halfDayFrom: 'Half Day From (h)',
+      fullDayFrom: 'Full Day From (h)',
+      standardDay: 'Standard Day (h)',
+      rule: 'Rule',
+      value: 'Value'
+    },
+    // Audit log values; correction fields use corrections.fields
+    audit: {
+      approval: 'Approval',
+      actions: {
+        correction: 'Correction',
+        revert: 'Revert',
+        pending: 'Pending',
+        approved: 'Approved',
+        rejected: 'Rejected'
+      }
+    }
+  },
+
+  payroll: {
+    columns: {
+      empId: 'Employee ID',
+      name: 'Name',
+      dept: 'Department',
+      daysPresent: 'Days Present',
+      daysAbsent: 'Days Absent',
+      daysLeave: 'Leave Days',
+      paidLeaveDays: 'Paid Leave Days',
+      daysHoliday: 'Holidays',
+      fullDays: 'Full Days',
+      halfDays: 'Half Days',
+      paidDays: 'Paid Days',
+      workedHours: 'Worked Hours',
+      regularHours: 'Regular Hours',
+      overtimeWeekdayHours: 'OT Weekday Hours',
+      overtimeWeekendHours: 'OT Weekend Hours',
+      overtimeHolidayHours: 'OT Holiday Hours',
+      equivalentDays: 'Equivalent Days',
+      lateMinutes: 'Late (min)',
+      earlyLeaveMinutes: 'Early Leave (min)',
+      undertimeMinutes: 'Undertime (min)',
+      hourlyRate: 'Hourly Rate',
+      dailyRate: 'Daily Rate',
+      basePay: 'Base Pay',
+      overtimePay: 'Overtime Pay',
+      grossPay: 'Gross Pay'
+    },
+    // Pay Rules sheet of the payroll workbook
+    rules: {
+      attendanceRules: 'Attendance rules',
+      rounding: 'Rounding',
+      roundingValue: '{mode} {minutes} min',
+      otWeekday: 'OT multiplier (weekday)',
+      otWeekend: 'OT multiplier (weekend)',
+      otHoliday: 'OT multiplier (holiday)',
+      template: 'Template'
+    },
+    rounding: {
+      nearest: 'nearest',
+      up: 'up',
+      down: 'down'
+    },
+    dialog: {
+      title: 'Payroll Export',
+      payRules: 'Pay Rules',
+      roundTo: 'Round worked time to',
+      minutes: '{minutes} min',
+      noRounding: 'No rounding',
+      defaultHourly: 'Default hourly rate',
+      defaultDaily: 'Default daily rate',
+      rulesHint: 'An hourly rate pays regular hours; otherwise a daily rate pays counted days. Overtime is paid at the hourly (or daily ÷ standard day) rate times the multiplier. The standard day and the half / full day thresholds are set under Rules.',
+      departmentRates: 'Department Rates',
+      employeeRates: 'Employee Rates',
+      hourly: 'Hourly',
+      daily: 'Daily',
+      columns: 'Columns',
+      standardTemplate: 'Standard payroll',
+      custom: 'Custom',
+      templateName: 'Template name',
+      saveTemplate: 'Save Template',
+      preview: 'Preview (first {shown} of {total})',
+      saveRules: 'Save Rules',
+      export: 'Export {format}'
+    }
+  },
+
+  // --- Printable Timesheet ---
+  timesheet: {
+    title: 'Attendance Timesheet',
+    titleWithFile: 'Attendance Timesheet · {file}',
+    id: 'ID {id}',
+    totals: '{present} days present · {absent} absent · {hours} hours ({days} days of {dayLength}h)',
+    approvalBy: 'Approval: {status} by {user} on {date}',
+    approvalPending: 'Approval: pending',
+    rules: 'Attendance rules {label}',
+    date: 'Date',
+    status: 'Status',
+    clockIn: 'Clock In',
+    clockOut: 'Clock Out',
+    hours: 'Hours',
+    late: 'Late',
+    early: 'Early',
+    overtime: 'OT',
+    total: 'Total',
+    correctedNote: '* corrected manually',
+    auditTitle: 'Corrections & Approvals',
+    when: 'When',
+    who: 'Who',
+    field: 'Field',
+    change: 'Change',
+    reason: 'Reason',
+    fileValue: '(file value)',
+    employeeSignature: 'Employee signature',
+    supervisorSignature: 'Supervisor signature'
+  }
+};
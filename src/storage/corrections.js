@@ -0,0 +1,30 @@
+// --- Corrections & Approvals Storage ---
+// The manual correction log and approval decisions persisted in localStorage (append-only).
+
+const CORRECTIONS_KEY = 'zk990.corrections';
+const APPROVALS_KEY = 'zk990.approvals';
+
+const loadList = (key) => {
+  try {
+    const raw = localStorage.getItem(key);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+};
+
+const appendToList = (key, entries) => {
+  const list = [...loadList(key), ...entries];
+  localStorage.setItem(key, JSON.stringify(list));
+  return list;
+};
+
+export const loadCorrections = () => loadList(CORRECTIONS_KEY);
+
+export const appendCorrections = (entries) => appendToList(CORRECTIONS_KEY, entries);
+
+export const loadApprovals = () => loadList(APPROVALS_KEY);
+
+export const appendApproval = (entry) => appendToList(APPROVALS_KEY, [entry]);
@@ -0,0 +1,54 @@
+// --- Device Sync Service ---
+// Client for the companion sync service (npm run sync) that pulls punches straight from the terminals.
+// VITE_SYNC_URL (e.g. "http://127.0.0.1:4380") points at it; the Devices button is hidden without it.
+// VITE_SYNC_TOKEN is sent as a bearer token when the service is started with SYNC_TOKEN. It ends up in the
+// bundle, so it is no secret; it only stops other pages from calling the service.
+
+const baseUrl = (import.meta.env.VITE_SYNC_URL || '').replace(/\/+$/, '');
+const token = import.meta.env.VITE_SYNC_TOKEN || '';
+
+export const isSyncConfigured = Boolean(baseUrl);
+
+const request = async (path, { method = 'GET', body } = {}) => {
+  if (!isSyncConfigured) throw new Error('The sync service is not configured. Set VITE_SYNC_URL.');
+  let res;
+  try {
+    res = await fetch(`${baseUrl}/api${path}`, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch {
+    throw new Error(`The sync service at ${baseUrl} is not reachable.`);
+  }
+  if (res.status === 204) return null;
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `The sync service answered ${res.status}.`);
+  return json;
+};
+
+export const listDevices = async () => (await request('/devices')).devices;
+
+// fields: { name, host, port, commKey, transport: 'tcp' | 'udp' }
+export const registerDevice = async (fields) => (await request('/devices', { method: 'POST', body: fields })).device;
+
+export const removeDevice = (id) => request(`/devices/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+// Pull new punches from one device: { device, newLogs, error }
+export const syncDevice = (id) => request(`/devices/${encodeURIComponent(id)}/sync`, { method: 'POST' });
+
+// Pull new punches from every device: [{ device, newLogs, error }]
+export const syncAllDevices = async () => (await request('/sync', { method: 'POST' })).results;
+
+// Stored punches: { devices, logs: [{ deviceId, userId, name, timestamp, verifyMode, state }] }.
+// since ("YYYY-MM-DD HH:MM:SS") keeps only later punches.
+export const fetchDeviceLogs = ({ device, since } = {}) => {
+  const params = new URLSearchParams();
+  if (device) params.set('device', device);
+  if (since) params.set('since', since);
+  const query = params.toString();
+  return request(`/logs${query ? `?${query}` : ''}`);
+};
@@ -0,0 +1,20 @@
+// --- Employee Directory Storage ---
+// The employee master list persisted in localStorage.
+
+const STORAGE_KEY = 'zk990.directory';
+
+export const loadDirectory = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+};
+
+export const saveDirectory = (directory) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(directory));
+  return directory;
+};
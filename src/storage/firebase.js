@@ -0,0 +1,64 @@
+// --- Firebase ---
+// Firestore client built from VITE_FIREBASE_* env vars (see .env.example).
+// Setting VITE_FIRESTORE_EMULATOR_HOST (e.g. "127.0.0.1:8080") points it at the local emulator suite;
+// without a real project id the emulator runs under the offline "demo-zk990" project.
+// The SDK is imported on first use so it stays out of the main bundle.
+//
+// The deployed rules (firestore.rules) only admit signed-in users, so against a real project the app signs in
+// anonymously before its first read or write; Anonymous sign-in has to be enabled under Authentication in the
+// Firebase console. The emulator loads the open firestore.emulator.rules and skips sign-in.
+
+const env = import.meta.env;
+const emulatorHost = env.VITE_FIRESTORE_EMULATOR_HOST || '';
+
+const firebaseConfig = {
+  apiKey: env.VITE_FIREBASE_API_KEY || 'demo-key',
+  authDomain: env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: env.VITE_FIREBASE_PROJECT_ID || (emulatorHost ? 'demo-zk990' : ''),
+  appId: env.VITE_FIREBASE_APP_ID
+};
+
+// History features are hidden when there is neither a project nor an emulator to talk to
+export const isFirebaseConfigured = Boolean(firebaseConfig.projectId);
+
+let firestorePromise = null;
+
+// Reuses a session restored from an earlier visit, otherwise starts an anonymous one
+const signIn = async (app) => {
+  const auth = await import('firebase/auth');
+  const instance = auth.getAuth(app);
+  await instance.authStateReady();
+  if (instance.currentUser) return;
+  try {
+    await auth.signInAnonymously(instance);
+  } catch (err) {
+    throw new Error(`Could not sign in to Firebase (${err.code || err.message}). Enable Anonymous sign-in under Authentication for this project.`);
+  }
+};
+
+const connect = async () => {
+  const [{ initializeApp }, firestore] = await Promise.all([import('firebase/app'), import('firebase/firestore')]);
+  const app = initializeApp(firebaseConfig);
+  if (!emulatorHost) await signIn(app);
+  // Records carry optional fields; drop undefined values instead of rejecting the write
+  const db = firestore.initializeFirestore(app, { ignoreUndefinedProperties: true });
+  if (emulatorHost) {
+    const [host, port] = emulatorHost.split(':');
+    firestore.connectFirestoreEmulator(db, host, Number(port) || 8080);
+  }
+  return { db, firestore };
+};
+
+// Resolves with { db, firestore } where firestore is the SDK module
+export const getFirestore = () => {
+  if (!isFirebaseConfigured) {
+    return Promise.reject(new Error('Firebase is not configured. Set VITE_FIREBASE_PROJECT_ID or VITE_FIRESTORE_EMULATOR_HOST.'));
+  }
+  if (!firestorePromise) {
+    firestorePromise = connect().catch(err => {
+      firestorePromise = null;
+      throw err;
+    });
+  }
+  return firestorePromise;
+};
@@ -0,0 +1,20 @@
+// --- Holiday Calendar Storage ---
+// Imported public holidays persisted in localStorage.
+
+const STORAGE_KEY = 'zk990.holidays';
+
+export const loadHolidays = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+};
+
+export const saveHolidays = (holidays) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(holidays));
+  return holidays;
+};
@@ -0,0 +1,32 @@
+// --- Leave Storage ---
+// Leave entries and the leave type list persisted in localStorage.
+
+import { DEFAULT_LEAVE_TYPES } from '../engine/leaves';
+
+const LEAVES_KEY = 'zk990.leaves';
+const TYPES_KEY = 'zk990.leaveTypes';
+
+const loadList = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return Array.isArray(parsed) ? parsed : fallback;
+  } catch (err) {
+    console.error(err);
+    return fallback;
+  }
+};
+
+export const loadLeaves = () => loadList(LEAVES_KEY, []);
+
+export const saveLeaves = (leaves) => {
+  localStorage.setItem(LEAVES_KEY, JSON.stringify(leaves));
+  return leaves;
+};
+
+export const loadLeaveTypes = () => loadList(TYPES_KEY, DEFAULT_LEAVE_TYPES);
+
+export const saveLeaveTypes = (leaveTypes) => {
+  localStorage.setItem(TYPES_KEY, JSON.stringify(leaveTypes));
+  return leaveTypes;
+};
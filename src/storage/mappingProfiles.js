@@ -0,0 +1,35 @@
+// --- Column Mapping Profiles ---
+// Named column mappings persisted in localStorage, matched by header signature.
+
+const STORAGE_KEY = 'zk990.mappingProfiles';
+
+export const loadProfiles = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+};
+
+const persist = (profiles) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  return profiles;
+};
+
+// Save a profile; a profile with the same signature is replaced so one layout maps one way
+export const saveProfile = ({ name, signature, colMap }) => {
+  const profiles = loadProfiles().filter(p => p.signature !== signature);
+  profiles.push({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    signature,
+    colMap,
+    updatedAt: new Date().toISOString()
+  });
+  return persist(profiles);
+};
+
+export const deleteProfile = (id) => persist(loadProfiles().filter(p => p.id !== id));
@@ -0,0 +1,62 @@
+// --- Payroll Settings Storage ---
+// Pay rules and saved payroll column templates persisted in localStorage.
+
+import { DEFAULT_PAY_RULES } from '../engine/payroll';
+
+const RULES_KEY = 'zk990.payRules';
+const TEMPLATES_KEY = 'zk990.payrollTemplates';
+
+export const loadPayRules = () => {
+  try {
+    const raw = localStorage.getItem(RULES_KEY);
+    if (!raw) return DEFAULT_PAY_RULES;
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object'
+      ? {
+        ...DEFAULT_PAY_RULES,
+        ...parsed,
+        rounding: { ...DEFAULT_PAY_RULES.rounding, ...parsed.rounding },
+        overtime: { ...DEFAULT_PAY_RULES.overtime, ...parsed.overtime },
+        rates: { ...DEFAULT_PAY_RULES.rates, ...parsed.rates }
+      }
+      : DEFAULT_PAY_RULES;
+  } catch (err) {
+    console.error(err);
+    return DEFAULT_PAY_RULES;
+  }
+};
+
+export const savePayRules = (rules) => {
+  localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+  return rules;
+};
+
+export const loadPayrollTemplates = () => {
+  try {
+    const raw = localStorage.getItem(TEMPLATES_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+};
+
+const persistTemplates = (templates) => {
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+// Save a template; a template with the same name is replaced
+export const savePayrollTemplate = ({ name, columns }) => {
+  const templates = loadPayrollTemplates().filter(t => t.name !== name);
+  templates.push({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    columns,
+    updatedAt: new Date().toISOString()
+  });
+  return persistTemplates(templates);
+};
+
+export const deletePayrollTemplate = (id) => persistTemplates(loadPayrollTemplates().filter(t => t.id !== id));
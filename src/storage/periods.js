@@ -0,0 +1,108 @@
+// --- Report History ---
+// Analysed periods persisted in Firestore. Each period is one document with its metadata, rule settings
+// and summary; the parsed records live in a "chunks" subcollection to stay under the 1 MiB document limit.
+
+import { getFirestore } from './firebase';
+
+const COLLECTION = 'periods';
+const CHUNKS = 'chunks';
+const RECORDS_PER_CHUNK = 250;
+const WRITES_PER_BATCH = 400;
+
+// Earliest and latest ISO day covered by the records
+export const getPeriodRange = (records) => {
+  const days = records.map(rec => rec.isoDate).filter(Boolean).sort();
+  return { from: days[0] || null, to: days[days.length - 1] || null };
+};
+
+// Summary rows without their daily records (those are stored separately)
+const stripRecords = (emp) => Object.fromEntries(Object.entries(emp).filter(([key]) => key !== 'records'));
+
+// Period document for the current analysis
+export const buildPeriod = ({ name, fileNames, records, summary, settings }) => {
+  const range = getPeriodRange(records);
+  return {
+    name: name || [range.from, range.to].filter(Boolean).join(' – ') || 'Untitled period',
+    fileNames,
+    from: range.from,
+    to: range.to,
+    employeeCount: summary.length,
+    recordCount: records.length,
+    summary: summary.map(stripRecords),
+    settings
+  };
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const commitInBatches = async ({ db, firestore }, operations) => {
+  for (const group of chunk(operations, WRITES_PER_BATCH)) {
+    const batch = firestore.writeBatch(db);
+    group.forEach(operation => operation(batch));
+    await batch.commit();
+  }
+};
+
+const toDate = (value) => (value && typeof value.toDate === 'function' ? value.toDate() : null);
+
+// Save a period and its records; resolves with the new period id. The record chunks are written first and
+// the period document last (the reverse of deletePeriod), so History never lists a period with missing
+// records. Chunks left by a failed save are removed before the error is re-thrown.
+export const savePeriod = async (period, records) => {
+  const store = await getFirestore();
+  const { db, firestore } = store;
+  const periodRef = firestore.doc(firestore.collection(db, COLLECTION));
+  const chunksRef = firestore.collection(periodRef, CHUNKS);
+  const chunkRefs = chunk(records, RECORDS_PER_CHUNK).map((part, index) => ({
+    ref: firestore.doc(chunksRef, String(index).padStart(4, '0')),
+    data: { index, records: part }
+  }));
+  const now = firestore.serverTimestamp();
+
+  try {
+    await commitInBatches(store, [
+      ...chunkRefs.map(({ ref, data }) => (batch) => batch.set(ref, data)),
+      (batch) => batch.set(periodRef, { ...period, createdAt: now, updatedAt: now })
+    ]);
+  } catch (err) {
+    await commitInBatches(store, chunkRefs.map(({ ref }) => (batch) => batch.delete(ref)))
+      .catch(cleanupErr => console.error('Could not remove the records of a failed save', cleanupErr));
+    throw err;
+  }
+  return periodRef.id;
+};
+
+// All saved periods, newest first (metadata and summary only)
+export const listPeriods = async () => {
+  const { db, firestore } = await getFirestore();
+  const snapshot = await firestore.getDocs(firestore.query(firestore.collection(db, COLLECTION), firestore.orderBy('createdAt', 'desc')));
+  return snapshot.docs.map(d => {
+    const data = d.data();
+    return { ...data, id: d.id, createdAt: toDate(data.createdAt), updatedAt: toDate(data.updatedAt) };
+  });
+};
+
+export const loadPeriodRecords = async (periodId) => {
+  const { db, firestore } = await getFirestore();
+  const chunksRef = firestore.collection(db, COLLECTION, periodId, CHUNKS);
+  const snapshot = await firestore.getDocs(firestore.query(chunksRef, firestore.orderBy('index')));
+  return snapshot.docs.flatMap(d => d.data().records || []);
+};
+
+export const renamePeriod = async (periodId, name) => {
+  const { db, firestore } = await getFirestore();
+  await firestore.updateDoc(firestore.doc(db, COLLECTION, periodId), { name, updatedAt: firestore.serverTimestamp() });
+};
+
+// Firestore does not cascade deletes, so the record chunks are removed with the period (period last)
+export const deletePeriod = async (periodId) => {
+  const store = await getFirestore();
+  const { db, firestore } = store;
+  const snapshot = await firestore.getDocs(firestore.collection(db, COLLECTION, periodId, CHUNKS));
+  const refs = [...snapshot.docs.map(d => d.ref), firestore.doc(db, COLLECTION, periodId)];
+  await commitInBatches(store, refs.map(ref => (batch) => batch.delete(ref)));
+};
@@ -0,0 +1,19 @@
+// --- User Preferences ---
+// Small scalar settings (e.g. date order) persisted in localStorage.
+
+const PREFIX = 'zk990.pref.';
+
+export const loadPreference = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.error(err);
+    return fallback;
+  }
+};
+
+export const savePreference = (key, value) => {
+  localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  return value;
+};
@@ -0,0 +1,62 @@
+// --- Attendance Rules Storage ---
+// The active rule set and the versions it replaced, persisted in localStorage.
+
+import { DEFAULT_RULE_SET, normalizeRuleSet } from '../engine/rules';
+
+const RULES_KEY = 'zk990.ruleSet';
+const HISTORY_KEY = 'zk990.ruleSetHistory';
+const PAY_RULES_KEY = 'zk990.payRules';
+
+// Older versions kept for restoring
+const HISTORY_LIMIT = 20;
+
+// Before rule sets existed the standard day and day thresholds were pay rules; carry them over
+const migratedRuleSet = () => {
+  const payRules = JSON.parse(localStorage.getItem(PAY_RULES_KEY) || 'null');
+  if (!payRules || (payRules.dayLengthHours === undefined && payRules.dayThresholds === undefined)) return DEFAULT_RULE_SET;
+  return normalizeRuleSet({
+    base: {
+      ...(payRules.dayLengthHours !== undefined ? { dayLengthHours: payRules.dayLengthHours } : {}),
+      ...(payRules.dayThresholds ? { dayThresholds: payRules.dayThresholds } : {})
+    }
+  });
+};
+
+export const loadRuleSet = () => {
+  try {
+    const raw = localStorage.getItem(RULES_KEY);
+    if (!raw) return migratedRuleSet();
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? normalizeRuleSet(parsed) : DEFAULT_RULE_SET;
+  } catch (err) {
+    console.error(err);
+    return DEFAULT_RULE_SET;
+  }
+};
+
+export const loadRuleSetHistory = () => {
+  try {
+    const raw = localStorage.getItem(HISTORY_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.map(normalizeRuleSet) : [];
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+};
+
+// Save edited rules as the next version; the replaced version goes to the history (newest first)
+export const saveRuleSet = ({ base, overrides }, { user = '' } = {}) => {
+  const current = loadRuleSet();
+  const next = {
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+    updatedBy: user,
+    base,
+    overrides
+  };
+  const history = [current, ...loadRuleSetHistory()].slice(0, HISTORY_LIMIT);
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+  localStorage.setItem(RULES_KEY, JSON.stringify(next));
+  return next;
+};
@@ -0,0 +1,34 @@
+// --- Saved Report Views ---
+// Named report views (filters, sort order and tab as a URL query string) persisted in localStorage.
+
+const STORAGE_KEY = 'zk990.savedViews';
+
+export const loadSavedViews = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    console.error(err);
+    return [];
+  }
+};
+
+const persist = (views) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+  return views;
+};
+
+// Save a view; saving under an existing name replaces that view
+export const saveView = ({ name, query }) => {
+  const views = loadSavedViews().filter(v => v.name !== name);
+  views.push({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    query,
+    updatedAt: new Date().toISOString()
+  });
+  return persist(views.sort((a, b) => a.name.localeCompare(b.name)));
+};
+
+export const deleteView = (id) => persist(loadSavedViews().filter(v => v.id !== id));
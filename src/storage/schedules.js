@@ -0,0 +1,23 @@
+// --- Shift Schedule Storage ---
+// The active shift schedule persisted in localStorage.
+
+import { DEFAULT_SCHEDULE } from '../engine/shifts';
+
+const STORAGE_KEY = 'zk990.schedule';
+
+export const loadSchedule = () => {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return DEFAULT_SCHEDULE;
+    const parsed = JSON.parse(raw);
+    return parsed && Array.isArray(parsed.shifts) ? { ...DEFAULT_SCHEDULE, ...parsed } : DEFAULT_SCHEDULE;
+  } catch (err) {
+    console.error(err);
+    return DEFAULT_SCHEDULE;
+  }
+};
+
+export const saveSchedule = (schedule) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(schedule));
+  return schedule;
+};
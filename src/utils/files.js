@@ -0,0 +1,36 @@
+// --- File Reading ---
+
+// Promise wrapper around FileReader; mode is 'binary', 'text' or 'arrayBuffer'
+export const readFile = (file, mode = 'binary') => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (evt) => resolve(evt.target.result);
+  reader.onerror = () => reject(reader.error || new Error(`Failed to read ${file.name}`));
+  if (mode === 'text') {
+    reader.readAsText(file);
+  } else if (mode === 'arrayBuffer') {
+    reader.readAsArrayBuffer(file);
+  } else {
+    reader.readAsBinaryString(file);
+  }
+});
+
+// Rows of the first sheet of a spreadsheet or CSV file (2D array). CSV cells stay text (raw) so dates are
+// read with the app's date order.
+export const readSheetRows = async (XLSX, file) => {
+  const workbook = XLSX.read(await readFile(file, 'binary'), { type: 'binary', raw: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' }) : [];
+};
+
+// Save a Blob (or string) through a temporary download link
+export const downloadFile = (content, fileName, type = 'application/octet-stream') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,18 @@
+// --- Display Formatting ---
+// Durations and clock times in the interface language's digits (see i18n formatPadded).
+
+import { formatPadded, DEFAULT_LANGUAGE } from '../i18n';
+
+// Minutes to "H:MM" (e.g., 125 -> "2:05"); zero renders as '-'
+export const formatMinutes = (minutes, lang = DEFAULT_LANGUAGE) => {
+  if (!minutes) return '-';
+  const sign = minutes < 0 ? '-' : '';
+  const abs = Math.abs(Math.round(minutes));
+  return `${sign}${formatPadded(lang, Math.floor(abs / 60), 1)}:${formatPadded(lang, abs % 60, 2)}`;
+};
+
+// Minutes since midnight to "HH:MM"; null renders as an empty string
+export const formatClock = (minutes, lang = DEFAULT_LANGUAGE) => {
+  if (minutes === null || minutes === undefined) return '';
+  return `${formatPadded(lang, Math.floor(minutes / 60), 2)}:${formatPadded(lang, minutes % 60, 2)}`;
+};
@@ -0,0 +1,133 @@
+// --- Parse Jobs ---
+// Runs parsing and the report pipeline in Web Workers. Cancelling terminates the worker, which stops a
+// synchronous parse immediately.
+
+import { readFile } from './files';
+
+const createWorker = () => new Worker(new URL('../workers/parseWorker.js', import.meta.url), { type: 'module' });
+
+// Start a job in a fresh worker; returns { promise, cancel }. The promise resolves with the worker's result,
+// or with null once the job is cancelled. onProgress receives { phase, done, total }.
+// transfer lists ArrayBuffers handed to the worker without copying.
+export const startParseJob = (message, { onProgress, transfer = [] } = {}) => {
+  const worker = createWorker();
+  let resolveJob = null;
+
+  const promise = new Promise((resolve, reject) => {
+    resolveJob = resolve;
+    worker.onmessage = (e) => {
+      const { type, ...payload } = e.data;
+      if (type === 'progress') {
+        if (onProgress) onProgress(payload);
+        return;
+      }
+      worker.terminate();
+      if (type === 'error') {
+        reject(new Error(payload.message));
+      } else {
+        resolve(payload);
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'The parser stopped unexpectedly.'));
+    };
+  });
+
+  worker.postMessage(message, transfer);
+
+  const cancel = () => {
+    worker.terminate();
+    resolveJob(null);
+  };
+
+  return { promise, cancel };
+};
+
+// A worker kept between jobs, so it holds on to what it was sent (source rows, the loaded records) and
+// later jobs only post what changed. One job runs at a time: starting another cancels the running one.
+// Cancelling terminates the worker and forgets what it held, so the next job starts a fresh worker and
+// posts everything again; that clone is cheap next to the parse it interrupts.
+//
+// start(build, { onProgress }) calls build(kept) with the keys the worker holds, which returns
+// { message, keys }: the message to post and every key the worker holds once it has it.
+export const createKeptWorker = () => {
+  let worker = null;
+  let kept = new Set();
+  let running = null;
+
+  const stop = () => {
+    if (worker) worker.terminate();
+    worker = null;
+    kept = new Set();
+  };
+
+  const start = (build, { onProgress } = {}) => {
+    if (running) running.cancel();
+    if (!worker) worker = createWorker();
+    const { message, keys } = build(kept);
+    kept = new Set(keys);
+
+    const job = { done: false };
+    job.promise = new Promise((resolve, reject) => {
+      const finish = () => {
+        job.done = true;
+        if (running === job) running = null;
+      };
+      job.resolve = resolve;
+      worker.onmessage = (e) => {
+        const { type, ...payload } = e.data;
+        if (type === 'progress') {
+          if (onProgress) onProgress(payload);
+          return;
+        }
+        finish();
+        if (type === 'error') {
+          stop();
+          reject(new Error(payload.message));
+        } else {
+          resolve(payload);
+        }
+      };
+      worker.onerror = (e) => {
+        finish();
+        stop();
+        reject(new Error(e.message || 'The parser stopped unexpectedly.'));
+      };
+    });
+    job.cancel = () => {
+      if (job.done) return;
+      job.done = true;
+      if (running === job) running = null;
+      stop();
+      job.resolve(null);
+    };
+
+    running = job;
+    worker.postMessage(message);
+    return { promise: job.promise, cancel: job.cancel };
+  };
+
+  return { start };
+};
+
+// 'run' message for a kept worker: rows are only posted for sources it does not hold yet
+export const runSourcesMessage = (sources, settings) => (kept) => ({
+  message: {
+    type: 'run',
+    sources: sources.map(src => (kept.has(src.id) ? { ...src, rows: null } : src)),
+    settings
+  },
+  keys: sources.map(src => src.id)
+});
+
+// 'report' message for a kept worker: the records are only posted when they are not the ones it holds
+export const reportMessage = (records, settings) => (kept) => ({
+  message: { type: 'report', records: kept.has(records) ? null : records, settings },
+  keys: [records]
+});
+
+// Read files into ArrayBuffers for a 'read' or 'analyze' job
+export const readFileBuffers = async (files) => Promise.all(
+  Array.from(files).map(async file => ({ name: file.name, buffer: await readFile(file, 'arrayBuffer') }))
+);
@@ -0,0 +1,38 @@
+// --- Table Sorting ---
+
+// Value of a possibly nested key such as 'leaveDays.sick'
+const valueAt = (row, key) => key.split('.').reduce((value, part) => (value == null ? value : value[part]), row);
+
+// Sort rows in place by sortConfig { key, direction }; numbers numerically, everything else as natural strings
+export const sortRows = (rows, sortConfig) => {
+  if (!sortConfig.key) return rows;
+  return rows.sort((a, b) => {
+    const valA = valueAt(a, sortConfig.key);
+    const valB = valueAt(b, sortConfig.key);
+
+    // Missing values (e.g. no baseline) always sink to the bottom
+    if (valA == null || valB == null) {
+      return (valA == null ? 1 : 0) - (valB == null ? 1 : 0);
+    }
+    
+    // Handle numeric sorting for pure numbers
+    if (typeof valA === 'number' && typeof valB === 'number') {
+      return sortConfig.direction === 'asc' ? valA - valB : valB - valA;
+    }
+    
+    // Handle numeric-like strings (IDs) and standard strings
+    // "numeric: true" option makes "2" come before "10"
+    const strA = String(valA).toLowerCase();
+    const strB = String(valB).toLowerCase();
+
+    return sortConfig.direction === 'asc' 
+      ? strA.localeCompare(strB, undefined, { numeric: true }) 
+      : strB.localeCompare(strA, undefined, { numeric: true });
+  });
+};
+
+// Next sort state after clicking a column header: a second click on the same column flips the direction
+export const nextSortConfig = (sortConfig, key) => ({
+  key,
+  direction: sortConfig.key === key && sortConfig.direction === 'asc' ? 'desc' : 'asc'
+});
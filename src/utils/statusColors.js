@@ -0,0 +1,28 @@
+// --- Day Status Colors ---
+// Shared by the presence heatmap and the employee calendar.
+
+import { DAY_STATUS } from '../engine/calendar';
+
+// Present days are shaded by hours worked; other statuses use a flat color
+export const dayColor = (cell) => {
+  if (!cell.status) return '#f1f5f9';
+  if (cell.status === DAY_STATUS.PRESENT) {
+    const intensity = Math.min(1, Math.max(0.25, (cell.hours || 0) / 10));
+    return `rgba(34, 197, 94, ${intensity})`;
+  }
+  if (cell.status === DAY_STATUS.ABSENT) return '#fca5a5';
+  if (cell.status === DAY_STATUS.LEAVE) return '#fcd34d';
+  if (cell.status === DAY_STATUS.HOLIDAY) return '#d8b4fe';
+  if (cell.status === DAY_STATUS.INACTIVE) return '#f8fafc';
+  return '#e2e8f0';
+};
+
+// Labels are the i18n keys legend.<status>
+export const DAY_COLOR_LEGEND = [
+  { status: DAY_STATUS.PRESENT, color: 'rgba(34, 197, 94, 0.8)' },
+  { status: DAY_STATUS.ABSENT, color: '#fca5a5' },
+  { status: DAY_STATUS.LEAVE, color: '#fcd34d' },
+  { status: DAY_STATUS.HOLIDAY, color: '#d8b4fe' },
+  { status: DAY_STATUS.WEEKEND, color: '#e2e8f0' },
+  { status: DAY_STATUS.INACTIVE, color: '#f8fafc' }
+];
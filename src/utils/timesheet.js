@@ -0,0 +1,137 @@
+// --- Printable Timesheets ---
+// One page per employee with the daily breakdown and a signature line. The document is printed by
+// the browser ("Save as PDF"), which renders Arabic names and right-to-left text without bundled fonts.
+
+import { formatClock, formatMinutes } from './format';
+import { auditFieldLabel } from '../engine/corrections';
+import { translate, formatNumber, formatDate, formatDateTime, directionOf, DEFAULT_LANGUAGE } from '../i18n';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const PRINT_STYLES = `
+  body { font-family: system-ui, sans-serif; color: #0f172a; margin: 0; }
+  .sheet { padding: 24px 32px; page-break-after: always; }
+  .sheet:last-child { page-break-after: auto; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 13px; margin: 16px 0 6px; }
+  .meta { font-size: 12px; color: #475569; margin-bottom: 12px; }
+  table { width: 100%; border-collapse: collapse; font-size: 11px; }
+  th, td { border: 1px solid #cbd5e1; padding: 3px 6px; text-align: start; }
+  th { background: #f1f5f9; }
+  td.num { text-align: end; font-variant-numeric: tabular-nums; }
+  tr.off td { color: #94a3b8; }
+  tfoot td { font-weight: bold; }
+  .signatures { display: flex; gap: 48px; margin-top: 40px; font-size: 12px; }
+  .signatures div { flex: 1; border-top: 1px solid #0f172a; padding-top: 4px; }
+  @page { size: A4; margin: 12mm; }
+`;
+
+// Manual corrections and approval decisions for one employee, listed under the table
+const auditSection = (entries, lang) => {
+  if (entries.length === 0) return '';
+  const t = (key) => escapeHtml(translate(lang, `timesheet.${key}`));
+  const rows = entries.map(entry => `
+    <tr>
+      <td>${escapeHtml(formatDateTime(lang, entry.at))}</td>
+      <td>${escapeHtml(entry.user)}</td>
+      <td>${escapeHtml(formatDate(lang, entry.date))}</td>
+      <td>${escapeHtml(auditFieldLabel(entry.field, lang))}</td>
+      <td>${escapeHtml(entry.oldValue ?? '-')} → ${escapeHtml(entry.newValue ?? translate(lang, 'timesheet.fileValue'))}</td>
+      <td>${escapeHtml(entry.reason)}</td>
+    </tr>`).join('');
+  return `
+      <h2>${t('auditTitle')}</h2>
+      <table>
+        <thead><tr><th>${t('when')}</th><th>${t('who')}</th><th>${t('date')}</th><th>${t('field')}</th><th>${t('change')}</th><th>${t('reason')}</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+};
+
+const timesheetSection = (emp, { title, hoursPerDay, rulesLabel, auditLog = [], approvals = {}, lang }) => {
+  const t = (key, params) => escapeHtml(translate(lang, `timesheet.${key}`, params));
+  const hours = (value) => formatNumber(lang, value, 2);
+  const approval = approvals[String(emp.empId)];
+  const rows = emp.records.map(rec => `
+    <tr class="${rec.isPresent ? '' : 'off'}">
+      <td>${escapeHtml(formatDate(lang, rec.isoDate || rec.date))}${rec.correctedFields?.length ? ' *' : ''}</td>
+      <td>${escapeHtml(rec.leaveName || translate(lang, `status.${rec.dayStatus || (rec.isPresent ? 'present' : 'absent')}`))}${rec.holidayName ? ` (${escapeHtml(rec.holidayName)})` : ''}</td>
+      <td>${escapeHtml(formatClock(rec.clockInMinutes, lang) || rec.clockIn)}</td>
+      <td>${escapeHtml(formatClock(rec.clockOutMinutes, lang) || rec.clockOut)}</td>
+      <td class="num">${rec.actualHours > 0 ? hours(rec.actualHours) : '-'}</td>
+      <td class="num">${formatMinutes(rec.lateMinutes, lang)}</td>
+      <td class="num">${formatMinutes(rec.earlyLeaveMinutes, lang)}</td>
+      <td class="num">${formatMinutes(rec.overtimeMinutes, lang)}</td>
+    </tr>`).join('');
+
+  return `
+    <section class="sheet">
+      <h1>${escapeHtml(title)}</h1>
+      <div class="meta">
+        <strong>${escapeHtml(emp.name)}</strong> · ${t('id', { id: String(emp.empId) })} · ${escapeHtml(emp.dept)}<br />
+        ${t('totals', {
+          present: emp.daysPresent,
+          absent: emp.daysAbsent,
+          hours: hours(emp.totalActualHours),
+          days: hours(emp.equivalentDays),
+          dayLength: emp.dayLengthHours || hoursPerDay
+        })}<br />
+        ${approval
+          ? t('approvalBy', { status: translate(lang, `approval.status.${approval.status}`), user: approval.user, date: formatDate(lang, approval.at.slice(0, 10)) })
+          : t('approvalPending')}
+        ${rulesLabel ? `<br />${t('rules', { label: rulesLabel })}` : ''}
+      </div>
+      <table>
+        <thead>
+          <tr><th>${t('date')}</th><th>${t('status')}</th><th>${t('clockIn')}</th><th>${t('clockOut')}</th><th>${t('hours')}</th><th>${t('late')}</th><th>${t('early')}</th><th>${t('overtime')}</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+          <tr>
+            <td colspan="4">${t('total')}</td>
+            <td class="num">${hours(emp.totalActualHours)}</td>
+            <td class="num">${formatMinutes(emp.totalLateMinutes, lang)}</td>
+            <td class="num">${formatMinutes(emp.totalEarlyLeaveMinutes, lang)}</td>
+            <td class="num">${formatMinutes(emp.totalOvertimeMinutes, lang)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      ${emp.records.some(rec => rec.correctedFields?.length) ? `<p class="meta">${t('correctedNote')}</p>` : ''}
+      ${auditSection(auditLog.filter(entry => entry.empId === String(emp.empId)), lang)}
+      <div class="signatures">
+        <div>${t('employeeSignature')}</div>
+        <div>${t('supervisorSignature')}</div>
+        <div>${t('date')}</div>
+      </div>
+    </section>`;
+};
+
+// Complete HTML document with one timesheet per employee, in the given language and its text direction.
+// options.auditLog: buildAuditLog() entries; options.approvals: { [empId]: approval entry };
+// options.rulesLabel: the attendance rule set version the figures were computed with
+export const buildTimesheetHtml = (summary, { title, hoursPerDay = 8, rulesLabel = '', auditLog = [], approvals = {}, lang = DEFAULT_LANGUAGE } = {}) => {
+  const heading = title || translate(lang, 'timesheet.title');
+  return `<!doctype html>
+<html lang="${lang}" dir="${directionOf(lang)}">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(heading)}</title>
+    <style>${PRINT_STYLES}</style>
+  </head>
+  <body>${summary.map(emp => timesheetSection(emp, { title: heading, hoursPerDay, rulesLabel, auditLog, approvals, lang })).join('')}</body>
+</html>`;
+};
+
+// Open the timesheets in a new window and bring up the print dialog
+export const printTimesheets = (summary, options) => {
+  const win = window.open('', '_blank');
+  if (!win) throw new Error('The timesheet window was blocked. Allow pop-ups for this site and try again.');
+  win.document.open();
+  win.document.write(buildTimesheetHtml(summary, options));
+  win.document.close();
+  win.focus();
+  win.print();
+};
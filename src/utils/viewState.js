@@ -0,0 +1,91 @@
+// --- Report View State ---
+// Filters, sort order, expanded employees, active tab and open employee profile of the report, encoded in
+// the URL query so a view can be bookmarked, shared as a link and navigated with back / forward.
+// e.g. ?dept=Production&sort=totalActualHours:desc&minHours=100
+
+export const UNASSIGNED_DEPT = 'Unassigned';
+
+export const DEFAULT_FILTERS = {
+  search: '',
+  depts: [],
+  minHours: '',
+  maxHours: '',
+  minDays: '',
+  maxDays: '',
+  issuesOnly: false
+};
+
+export const DEFAULT_SORT = { key: 'empId', direction: 'asc' };
+
+export const DEFAULT_VIEW = { filters: DEFAULT_FILTERS, sortConfig: DEFAULT_SORT, expanded: [], tab: 'summary', employee: null };
+
+const TABS = ['summary', 'dashboard', 'issues'];
+
+// Range bounds are kept as input strings; '' means no bound
+const RANGE_KEYS = ['minHours', 'maxHours', 'minDays', 'maxDays'];
+
+const parseBound = (value) => {
+  if (value === null || String(value).trim() === '') return '';
+  const n = Number(value);
+  return Number.isFinite(n) ? String(n) : '';
+};
+
+export const deptOf = (emp) => emp.dept || UNASSIGNED_DEPT;
+
+// Query string for a view ('' for the default view). Default values are left out to keep links short.
+export const viewToQuery = ({ filters, sortConfig, expanded, tab, employee = null }) => {
+  const params = new URLSearchParams();
+  if (employee) params.set('employee', employee);
+  if (tab !== DEFAULT_VIEW.tab) params.set('tab', tab);
+  if (filters.search) params.set('q', filters.search);
+  filters.depts.forEach(dept => params.append('dept', dept));
+  RANGE_KEYS.forEach(key => { if (filters[key] !== '') params.set(key, filters[key]); });
+  if (filters.issuesOnly) params.set('issues', '1');
+  if (sortConfig.key !== DEFAULT_SORT.key || sortConfig.direction !== DEFAULT_SORT.direction) {
+    params.set('sort', `${sortConfig.key}:${sortConfig.direction}`);
+  }
+  if (expanded.length > 0) params.set('open', expanded.join(','));
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+// View read back from a query string; unknown or malformed values fall back to the defaults
+export const viewFromQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const [key, direction] = (params.get('sort') || '').split(':');
+  const tab = params.get('tab');
+  return {
+    filters: {
+      search: params.get('q') || '',
+      depts: params.getAll('dept').filter(Boolean),
+      ...Object.fromEntries(RANGE_KEYS.map(k => [k, parseBound(params.get(k))])),
+      issuesOnly: params.get('issues') === '1'
+    },
+    sortConfig: key ? { key, direction: direction === 'desc' ? 'desc' : 'asc' } : DEFAULT_SORT,
+    expanded: (params.get('open') || '').split(',').filter(Boolean),
+    tab: TABS.includes(tab) ? tab : DEFAULT_VIEW.tab,
+    employee: params.get('employee') || null
+  };
+};
+
+const inRange = (value, min, max) => (min === '' || value >= Number(min)) && (max === '' || value <= Number(max));
+
+// Employees matching the filters. Hours are total actual hours, days are days present.
+// hasIssues(emp) tells whether an employee has detected issues.
+export const filterSummary = (summary, filters, hasIssues) => {
+  const search = filters.search.trim().toLowerCase();
+  return summary.filter(emp => (
+    (!search || [emp.empId, emp.name, emp.dept].some(v => String(v).toLowerCase().includes(search))) &&
+    (filters.depts.length === 0 || filters.depts.includes(deptOf(emp))) &&
+    inRange(emp.totalActualHours, filters.minHours, filters.maxHours) &&
+    inRange(emp.daysPresent, filters.minDays, filters.maxDays) &&
+    (!filters.issuesOnly || hasIssues(emp))
+  ));
+};
+
+// Number of filters besides the search box that narrow the list
+export const activeFilterCount = (filters) => (
+  (filters.depts.length > 0 ? 1 : 0) +
+  RANGE_KEYS.filter(key => filters[key] !== '').length +
+  (filters.issuesOnly ? 1 : 0)
+);
@@ -0,0 +1,85 @@
+// --- Parse Worker ---
+// Reads uploaded files and runs the parse / resolve / merge pipeline and the report pipeline off the main
+// thread so large exports never freeze the page.
+//
+// In:  { type: 'read', files: [{ name, buffer }] }            -> { type: 'result', sources }
+//      { type: 'run', sources, settings }                       -> { type: 'result', results, merged, unknownEmployees }
+//      { type: 'report', records?, settings }                   -> { type: 'result', summary, anomalies }
+//      { type: 'analyze', files: [{ name, buffer }], settings, reportSettings }
+//                                                               -> read + run + summary in one step (comparison uploads)
+// Out: { type: 'progress', phase: 'reading' | 'parsing', done, total } while working,
+//      { type: 'error', message } on failure.
+//
+// A worker kept between jobs (see createKeptWorker) holds on to what it was sent: 'run' only carries the
+// rows of sources it has not seen, and 'report' only carries records when the dataset changed.
+
+import * as XLSX from 'xlsx';
+import { bufferSources, runSources } from '../engine/sources.js';
+import { analyzeReport, buildReport } from '../engine/report.js';
+
+const post = (message) => self.postMessage(message);
+
+// Source rows by source id, and the records of the last 'report' job that sent them
+const keptRows = new Map();
+let keptRecords = [];
+
+const readFiles = (files) => files.flatMap((file, i) => {
+  post({ type: 'progress', phase: 'reading', done: i, total: files.length });
+  return bufferSources(XLSX, file.buffer, file.name);
+});
+
+// Sources posted without rows take the ones kept from an earlier job; sources no longer listed are dropped
+const withKeptRows = (sources) => {
+  const ids = new Set(sources.map(src => src.id));
+  [...keptRows.keys()].filter(id => !ids.has(id)).forEach(id => keptRows.delete(id));
+  return sources.map(src => {
+    if (src.rows) {
+      keptRows.set(src.id, src.rows);
+      return src;
+    }
+    if (!keptRows.has(src.id)) throw new Error(`No rows for source '${src.id}'`);
+    return { ...src, rows: keptRows.get(src.id) };
+  });
+};
+
+// Source objects go back without their rows (the caller already has them); diagnostics and records are kept
+const run = (sources, settings) => {
+  const { results, merged, unknownEmployees } = runSources(sources, {
+    ...settings,
+    onProgress: (done, total) => post({ type: 'progress', phase: 'parsing', done, total })
+  });
+  return {
+    results: results.map(r => ({ sourceId: r.source.id, diagnostics: r.diagnostics })),
+    merged,
+    unknownEmployees
+  };
+};
+
+const report = (records, settings) => {
+  if (records) keptRecords = records;
+  return analyzeReport(keptRecords, settings);
+};
+
+const analyze = (files, settings, reportSettings) => {
+  const parsed = run(readFiles(files), settings);
+  return { ...parsed, summary: buildReport(parsed.merged.records, reportSettings) };
+};
+
+self.onmessage = (e) => {
+  const { type, files, sources, records, settings, reportSettings } = e.data;
+  try {
+    if (type === 'read') {
+      post({ type: 'result', sources: readFiles(files) });
+    } else if (type === 'run') {
+      post({ type: 'result', ...run(withKeptRows(sources), settings) });
+    } else if (type === 'report') {
+      post({ type: 'result', ...report(records, settings) });
+    } else if (type === 'analyze') {
+      post({ type: 'result', ...analyze(files, settings, reportSettings) });
+    } else {
+      post({ type: 'error', message: `Unknown job type '${type}'` });
+    }
+  } catch (err) {
+    post({ type: 'error', message: err.message || 'Failed to parse file.' });
+  }
+};
@@ -0,0 +1,157 @@
+// --- Sync Service ---
+// Small HTTP service next to the terminals: registers devices, pulls their logs on demand or on a timer
+// and serves the punches to the report app, which feeds them through the same pipeline as uploaded files.
+//
+//   GET    /api/devices             registered devices (comm keys are not returned)
+//   POST   /api/devices             register { name, host, port, commKey, transport }
+//   DELETE /api/devices/:id         remove a device and its stored logs
+//   POST   /api/devices/:id/sync    pull new logs from one device
+//   POST   /api/sync                pull new logs from every device
+//   GET    /api/logs?device=&since= stored punches, optionally for one device / after a timestamp
+//
+// Environment: SYNC_PORT (default 4380), SYNC_HOST (default 127.0.0.1), SYNC_INTERVAL_MINUTES (0 = off),
+// SYNC_DATA_DIR (default sync/data), SYNC_ALLOWED_ORIGINS (comma-separated origins of the report app, default the
+// Vite dev and preview servers on localhost) and SYNC_TOKEN (shared token the app sends as "Authorization: Bearer";
+// required when SYNC_HOST is not a loopback address).
+//
+// Browsers only send requests from the allowed origins; other pages are refused, so a site the user happens to
+// open can't read punches or change devices through the service.
+// The token is built into the report app's bundle (VITE_SYNC_TOKEN), so anyone who can load the app can read it:
+// it keeps other pages out, not other programs. Run the service on loopback or a trusted network only.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { loadStore, addDevice, removeDevice } from './store.js';
+import { syncDevice, syncAllDevices } from './syncDevices.js';
+
+const PORT = Number(process.env.SYNC_PORT) || 4380;
+const HOST = process.env.SYNC_HOST || '127.0.0.1';
+const INTERVAL_MINUTES = Number(process.env.SYNC_INTERVAL_MINUTES) || 0;
+const MAX_BODY_BYTES = 64 * 1024;
+const TOKEN = process.env.SYNC_TOKEN || '';
+const ALLOWED_ORIGINS = (process.env.SYNC_ALLOWED_ORIGINS
+  || 'http://localhost:5173,http://127.0.0.1:5173,http://localhost:4173,http://127.0.0.1:4173')
+  .split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+
+const isLoopback = (host) => host === 'localhost' || host === '::1' || /^127\./.test(host);
+
+if (!TOKEN && !isLoopback(HOST)) {
+  console.error(`SYNC_HOST is ${HOST}: set SYNC_TOKEN so other pages can't use the service.`);
+  process.exit(1);
+}
+
+const publicDevice = ({ commKey, ...device }) => ({ ...device, hasCommKey: commKey > 0 });
+
+// CORS headers go out for allowed origins only (set before routing; writeHead merges them)
+const allowOrigin = (req, res) => {
+  const { origin } = req.headers;
+  if (!origin) return true;
+  if (!ALLOWED_ORIGINS.includes(origin)) return false;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Vary', 'Origin');
+  return true;
+};
+
+// Compare digests so the check takes the same time whatever the token
+const hasToken = (req) => {
+  if (!TOKEN) return true;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const [scheme, given = ''] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && crypto.timingSafeEqual(digest(given), digest(TOKEN));
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      // Stop reading instead of buffering the rest; the connection is dropped
+      req.destroy();
+      reject(new Error('Request body is too large.'));
+    }
+  });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch {
+      reject(new Error('Request body is not valid JSON.'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// Stored punches with the device they came from, oldest first
+const listLogs = ({ device, since }) => {
+  const store = loadStore();
+  const devices = store.devices.filter(d => !device || d.id === device);
+  const logs = devices
+    .flatMap(d => (store.logs[d.id] || []).map(log => ({ deviceId: d.id, ...log })))
+    .filter(log => !since || log.timestamp > since)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  return { devices: devices.map(publicDevice), logs };
+};
+
+const route = async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || HOST}`);
+  const parts = url.pathname.split('/').filter(Boolean);
+  if (!allowOrigin(req, res)) return send(res, 403, { error: 'This origin may not use the sync service.' });
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (!hasToken(req)) return send(res, 401, { error: 'Missing or wrong sync token.' });
+  if (parts[0] !== 'api') return send(res, 404, { error: 'Not found.' });
+
+  const [, resource, id, action] = parts;
+  if (resource === 'devices' && !id) {
+    if (req.method === 'GET') return send(res, 200, { devices: loadStore().devices.map(publicDevice) });
+    if (req.method === 'POST') {
+      try {
+        return send(res, 201, { device: publicDevice(addDevice(loadStore(), await readJson(req))) });
+      } catch (err) {
+        return send(res, 400, { error: err.message });
+      }
+    }
+  }
+  if (resource === 'devices' && id && !action && req.method === 'DELETE') {
+    const store = loadStore();
+    if (!store.devices.some(d => d.id === id)) return send(res, 404, { error: `Unknown device "${id}".` });
+    removeDevice(store, id);
+    return send(res, 204);
+  }
+  if (resource === 'devices' && id && action === 'sync' && req.method === 'POST') {
+    const result = await syncDevice(id);
+    if (!result.device) return send(res, 404, { error: result.error });
+    return send(res, 200, { ...result, device: publicDevice(result.device) });
+  }
+  if (resource === 'sync' && req.method === 'POST') {
+    const results = await syncAllDevices();
+    return send(res, 200, { results: results.map(result => ({ ...result, device: publicDevice(result.device) })) });
+  }
+  if (resource === 'logs' && req.method === 'GET') {
+    return send(res, 200, listLogs({ device: url.searchParams.get('device'), since: url.searchParams.get('since') }));
+  }
+  return send(res, 404, { error: 'Not found.' });
+};
+
+const server = http.createServer((req, res) => {
+  route(req, res).catch(err => send(res, 500, { error: err.message }));
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Sync service listening on http://${HOST}:${PORT}`);
+  console.log(`Allowed origins: ${ALLOWED_ORIGINS.join(', ')}${TOKEN ? ' (token required)' : ''}`);
+  if (INTERVAL_MINUTES > 0) {
+    console.log(`Pulling logs from all devices every ${INTERVAL_MINUTES} minute(s)`);
+    setInterval(async () => {
+      const results = await syncAllDevices();
+      results.forEach(({ device, newLogs, error }) => {
+        console.log(error ? `${device.name}: ${error}` : `${device.name}: ${newLogs} new punch(es)`);
+      });
+    }, INTERVAL_MINUTES * 60 * 1000);
+  }
+});
@@ -0,0 +1,38 @@
+// --- Simulated Device Runner ---
+// Starts a fake terminal with sample users and a few weeks of punches, and adds a new punch every
+// SIM_PUNCH_SECONDS (default 30) so incremental syncs have something to pick up.
+//
+// Environment: SIM_PORT (default 4370), SIM_HOST (default 127.0.0.1), SIM_COMM_KEY (default 0),
+// SIM_EMPLOYEES (default 8), SIM_DAYS (default 21).
+
+import { startSimulatedDevice, demoDeviceData } from './zk/simulator.js';
+
+const env = process.env;
+const data = demoDeviceData({ employees: Number(env.SIM_EMPLOYEES) || 8, days: Number(env.SIM_DAYS) || 21 });
+const device = await startSimulatedDevice({
+  host: env.SIM_HOST || '127.0.0.1',
+  port: Number(env.SIM_PORT) || 4370,
+  commKey: Number(env.SIM_COMM_KEY) || 0,
+  ...data
+});
+
+console.log(`Simulated terminal on port ${device.port} (TCP and UDP) with ${data.users.length} users and ${data.logs.length} punches`);
+
+const pad = (n) => String(n).padStart(2, '0');
+const now = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+};
+
+let next = 0;
+setInterval(() => {
+  const user = data.users[next++ % data.users.length];
+  const log = { userId: user.userId, timestamp: now(), verifyMode: 1, state: 0 };
+  device.addLog(log);
+  console.log(`Punch: ${user.name} (${user.userId}) at ${log.timestamp}`);
+}, (Number(env.SIM_PUNCH_SECONDS) || 30) * 1000);
+
+process.on('SIGINT', async () => {
+  await device.close();
+  process.exit(0);
+});
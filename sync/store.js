@@ -0,0 +1,82 @@
+// --- Sync Store ---
+// Registered devices, their users and every punch pulled so far, kept in one JSON file
+// (SYNC_DATA_DIR/store.json, default sync/data). Writes go through a temp file so a crash can't truncate it.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_PORT } from './zk/protocol.js';
+
+const DATA_DIR = process.env.SYNC_DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+const STORE_FILE = path.join(DATA_DIR, 'store.json');
+
+const EMPTY_STORE = { devices: [], users: {}, logs: {} };
+
+export const loadStore = () => {
+  try {
+    const stored = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+    return { ...EMPTY_STORE, ...stored };
+  } catch {
+    return { ...EMPTY_STORE };
+  }
+};
+
+const persist = (store) => {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const temp = `${STORE_FILE}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(store, null, 2));
+  fs.renameSync(temp, STORE_FILE);
+  return store;
+};
+
+const slug = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'device';
+
+// Validated device fields from a registration form; throws with a message for the user
+export const normalizeDevice = ({ name, host, port, commKey, transport }) => {
+  const trimmedHost = String(host || '').trim();
+  if (!trimmedHost) throw new Error('The device IP address is required.');
+  const portNumber = port === undefined || port === '' ? DEFAULT_PORT : Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) throw new Error('The port must be a number between 1 and 65535.');
+  const key = commKey === undefined || commKey === '' ? 0 : Number(commKey);
+  if (!Number.isInteger(key) || key < 0) throw new Error('The comm key must be a whole number (0 when none is set).');
+  return {
+    name: String(name || '').trim() || trimmedHost,
+    host: trimmedHost,
+    port: portNumber,
+    commKey: key,
+    transport: transport === 'udp' ? 'udp' : 'tcp'
+  };
+};
+
+export const addDevice = (store, fields) => {
+  const device = normalizeDevice(fields);
+  let id = slug(device.name);
+  for (let n = 2; store.devices.some(d => d.id === id); n++) id = `${slug(device.name)}-${n}`;
+  const created = { id, ...device, lastLogTime: null, lastSyncAt: null, lastError: null, userCount: 0, logCount: 0 };
+  persist({ ...store, devices: [...store.devices, created] });
+  return created;
+};
+
+export const removeDevice = (store, id) => {
+  const { [id]: _users, ...users } = store.users;
+  const { [id]: _logs, ...logs } = store.logs;
+  return persist({ ...store, devices: store.devices.filter(d => d.id !== id), users, logs });
+};
+
+// Record the outcome of a sync: new users replace the old list, new logs are appended
+export const recordSync = (store, id, { users, newLogs, syncedAt, error = null }) => {
+  const devices = store.devices.map(device => {
+    if (device.id !== id) return device;
+    if (error) return { ...device, lastSyncAt: syncedAt, lastError: error };
+    const logCount = (store.logs[id] || []).length + newLogs.length;
+    const lastLogTime = newLogs.reduce((latest, log) => (!latest || log.timestamp > latest ? log.timestamp : latest), device.lastLogTime);
+    return { ...device, lastSyncAt: syncedAt, lastError: null, lastLogTime, userCount: users.length, logCount };
+  });
+  if (error) return persist({ ...store, devices });
+  return persist({
+    ...store,
+    devices,
+    users: { ...store.users, [id]: users },
+    logs: { ...store.logs, [id]: [...(store.logs[id] || []), ...newLogs] }
+  });
+};
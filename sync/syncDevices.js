@@ -0,0 +1,69 @@
+// --- Device Sync ---
+// Pulls users and attendance logs from registered terminals. Only punches after the device's last pulled
+// log are kept, so each run adds what was clocked since the previous one.
+
+import { connectDevice } from './zk/client.js';
+import { loadStore, recordSync } from './store.js';
+
+// Punches newer than lastLogTime. Punches in the same second as lastLogTime are kept unless already
+// stored, since a terminal can log several people within one second.
+export const newLogsSince = (logs, lastLogTime, storedLogs = []) => {
+  if (!lastLogTime) return logs;
+  const boundary = new Set(storedLogs.filter(log => log.timestamp === lastLogTime).map(log => log.userId));
+  return logs.filter(log => log.timestamp > lastLogTime || (log.timestamp === lastLogTime && !boundary.has(log.userId)));
+};
+
+// Record a finished pull against the store as it is now, not as it was before the device I/O, so changes
+// made meanwhile (another sync, a removed device) are kept
+const saveResult = (id, result) => {
+  const store = loadStore();
+  const device = store.devices.find(d => d.id === id);
+  if (!device) return { device: null, newLogs: 0, error: `Device "${id}" was removed during the sync.` };
+  if (result.error) {
+    const saved = recordSync(store, id, result);
+    return { device: saved.devices.find(d => d.id === id), newLogs: 0, error: result.error };
+  }
+  const newLogs = newLogsSince(result.logs, device.lastLogTime, store.logs[id]);
+  const saved = recordSync(store, id, { ...result, newLogs });
+  return { device: saved.devices.find(d => d.id === id), newLogs: newLogs.length, error: null };
+};
+
+const pullDevice = async (id) => {
+  const device = loadStore().devices.find(d => d.id === id);
+  if (!device) return { device: null, newLogs: 0, error: `Unknown device "${id}".` };
+
+  const syncedAt = new Date().toISOString();
+  let session = null;
+  try {
+    session = await connectDevice(device);
+    const users = await session.getUsers();
+    const names = new Map(users.map(user => [user.userId, user.name]));
+    const logs = (await session.getAttendance(users))
+      .map(log => ({ ...log, name: names.get(log.userId) || '' }))
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return saveResult(id, { users, logs, syncedAt });
+  } catch (err) {
+    return saveResult(id, { syncedAt, error: err.message });
+  } finally {
+    if (session) await session.close();
+  }
+};
+
+// Syncs in progress by device id. A sync asked for while one is running (a manual sync during an interval
+// tick) waits for it and gets its result rather than pulling the same punches again.
+const running = new Map();
+
+// Sync one device. Resolves with { device, newLogs, error } and never rejects.
+export const syncDevice = (id) => {
+  if (!running.has(id)) running.set(id, pullDevice(id).finally(() => running.delete(id)));
+  return running.get(id);
+};
+
+// Sync every registered device one after another
+export const syncAllDevices = async () => {
+  const results = [];
+  for (const device of loadStore().devices) {
+    results.push(await syncDevice(device.id));
+  }
+  return results;
+};
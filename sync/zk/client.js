@@ -0,0 +1,214 @@
+// --- ZKTeco Terminal Client ---
+// Connects to a terminal over TCP or UDP, authenticates with the comm key and reads the user table
+// and the attendance log.
+
+import net from 'node:net';
+import dgram from 'node:dgram';
+import {
+  CMD,
+  FCT_USER,
+  DEFAULT_PORT,
+  MAX_CHUNK,
+  encodePacket,
+  decodePacket,
+  wrapTcp,
+  unwrapTcp,
+  makeCommKey,
+  decodeSizes,
+  decodeUsers,
+  decodeAttendance
+} from './protocol.js';
+
+const DEFAULT_TIMEOUT = 10000;
+const USHRT_MAX = 65535;
+
+// Packet queue over a socket: send(packet) and receive() -> Promise<packet> (rejects after the timeout)
+const openLink = ({ host, port, transport, timeout }) => new Promise((resolve, reject) => {
+  const queue = [];
+  const waiters = [];
+  let failure = null;
+
+  const push = (packet) => {
+    const waiter = waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(packet);
+    } else {
+      queue.push(packet);
+    }
+  };
+
+  const fail = (err) => {
+    failure = err;
+    waiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(err);
+    });
+  };
+
+  const receive = () => {
+    if (queue.length > 0) return Promise.resolve(queue.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((res, rej) => {
+      const waiter = { resolve: res, reject: rej };
+      waiter.timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        rej(new Error(`No answer from ${host}:${port} within ${timeout / 1000}s.`));
+      }, timeout);
+      waiters.push(waiter);
+    });
+  };
+
+  if (transport === 'udp') {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', push);
+    socket.on('error', fail);
+    socket.connect(port, host, () => resolve({
+      send: (packet) => socket.send(packet),
+      receive,
+      close: () => socket.close()
+    }));
+    return;
+  }
+
+  let pending = Buffer.alloc(0);
+  const socket = net.connect({ host, port });
+  socket.setTimeout(timeout, () => socket.destroy(new Error(`Connection to ${host}:${port} timed out.`)));
+  socket.on('data', (chunk) => {
+    try {
+      const { packets, rest } = unwrapTcp(Buffer.concat([pending, chunk]));
+      pending = rest;
+      packets.forEach(push);
+    } catch (err) {
+      socket.destroy(err);
+    }
+  });
+  socket.on('error', (err) => {
+    fail(err);
+    reject(err);
+  });
+  socket.on('close', () => fail(new Error(`Connection to ${host}:${port} closed.`)));
+  socket.on('connect', () => {
+    socket.setTimeout(0);
+    resolve({
+      send: (packet) => socket.write(wrapTcp(packet)),
+      receive,
+      close: () => socket.end()
+    });
+  });
+});
+
+// Open a session with a terminal. Resolves with { getSizes, getUsers, getAttendance, close }.
+// commKey is the numeric device password (0 when none is set).
+export const connectDevice = async ({ host, port = DEFAULT_PORT, commKey = 0, transport = 'tcp', timeout = DEFAULT_TIMEOUT }) => {
+  const link = await openLink({ host, port, transport, timeout });
+  let sessionId = 0;
+  let replyId = USHRT_MAX - 1;
+
+  const request = async (command, data) => {
+    replyId = (replyId + 1) % USHRT_MAX;
+    link.send(encodePacket({ command, sessionId, replyId, data }));
+    return decodePacket(await link.receive());
+  };
+
+  const expectOk = (response, what) => {
+    if (response.command !== CMD.ACK_OK) throw new Error(`${what} was refused by the device (reply ${response.command}).`);
+    return response;
+  };
+
+  // One READ_BUFFER round trip: the data comes back inline, or announced by PREPARE_DATA and streamed
+  const readChunk = async (start, size) => {
+    const args = Buffer.alloc(8);
+    args.writeInt32LE(start, 0);
+    args.writeInt32LE(size, 4);
+    const response = await request(CMD.READ_BUFFER, args);
+    if (response.command === CMD.DATA) return response.data;
+    if (response.command !== CMD.PREPARE_DATA) throw new Error(`Unexpected reply ${response.command} while reading data.`);
+
+    const total = response.data.readUInt32LE(0);
+    const parts = [];
+    let received = 0;
+    while (received < total) {
+      const packet = decodePacket(await link.receive());
+      if (packet.command !== CMD.DATA) throw new Error(`Unexpected reply ${packet.command} while receiving data.`);
+      parts.push(packet.data);
+      received += packet.data.length;
+    }
+    expectOk(decodePacket(await link.receive()), 'Data transfer');
+    return Buffer.concat(parts);
+  };
+
+  // Large tables are staged on the device first, then read in chunks
+  const readBuffer = async (command, fct = 0) => {
+    const args = Buffer.alloc(11);
+    args.writeInt8(1, 0);
+    args.writeInt16LE(command, 1);
+    args.writeInt32LE(fct, 3);
+    args.writeInt32LE(0, 7);
+    const response = await request(CMD.PREPARE_BUFFER, args);
+    if (response.command === CMD.DATA) return response.data;
+    expectOk(response, 'Reading data');
+
+    const size = response.data.readUInt32LE(1);
+    const chunks = [];
+    for (let start = 0; start < size; start += MAX_CHUNK[transport]) {
+      chunks.push(await readChunk(start, Math.min(MAX_CHUNK[transport], size - start)));
+    }
+    await request(CMD.FREE_DATA);
+    return Buffer.concat(chunks);
+  };
+
+  // Keep the terminal from taking punches while its tables are read
+  const withDeviceDisabled = async (read) => {
+    expectOk(await request(CMD.DISABLE_DEVICE), 'Disabling the device');
+    try {
+      return await read();
+    } finally {
+      // Logged rather than thrown, so a failed read still reports its own error
+      try {
+        expectOk(await request(CMD.ENABLE_DEVICE), 'Enabling the device');
+      } catch (err) {
+        console.error(`${err.message}; the device may stay disabled until it is restarted.`);
+      }
+    }
+  };
+
+  try {
+    let response = await request(CMD.CONNECT);
+    sessionId = response.sessionId;
+    if (response.command === CMD.ACK_UNAUTH) {
+      response = await request(CMD.AUTH, makeCommKey(commKey, sessionId));
+      if (response.command !== CMD.ACK_OK) throw new Error('The device rejected the comm key.');
+    }
+    expectOk(response, 'Connecting');
+  } catch (err) {
+    link.close();
+    throw err;
+  }
+
+  const getSizes = async () => decodeSizes(expectOk(await request(CMD.GET_FREE_SIZES), 'Reading record counts').data);
+
+  // [{ uid, userId, name, privilege }]
+  const getUsers = async () => {
+    const { users } = await getSizes();
+    return withDeviceDisabled(async () => decodeUsers(await readBuffer(CMD.USERTEMP_RRQ, FCT_USER), users));
+  };
+
+  // [{ userId, timestamp: 'YYYY-MM-DD HH:MM:SS', verifyMode, state }] in device order
+  const getAttendance = async (users = []) => {
+    const { records } = await getSizes();
+    if (records === 0) return [];
+    return withDeviceDisabled(async () => decodeAttendance(await readBuffer(CMD.ATTLOG_RRQ), records, users));
+  };
+
+  const close = async () => {
+    try {
+      await request(CMD.EXIT);
+    } catch {
+      // The session is being dropped anyway
+    }
+    link.close();
+  };
+
+  return { getSizes, getUsers, getAttendance, close };
+};
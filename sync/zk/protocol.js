@@ -0,0 +1,261 @@
+// --- ZKTeco Terminal Protocol ---
+// Packet encoding for the binary protocol spoken by iFace / ZK terminals on port 4370.
+// A packet is an 8-byte header (command, checksum, session id, reply id; little-endian uint16s)
+// followed by the payload. Over TCP every packet is prefixed with 50 50 82 7d and a uint32 length;
+// over UDP the packet is sent as is.
+
+export const DEFAULT_PORT = 4370;
+
+export const CMD = {
+  CONNECT: 1000,
+  EXIT: 1001,
+  ENABLE_DEVICE: 1002,
+  DISABLE_DEVICE: 1003,
+  AUTH: 1102,
+  GET_FREE_SIZES: 50,
+  USERTEMP_RRQ: 9,
+  ATTLOG_RRQ: 13,
+  PREPARE_DATA: 1500,
+  DATA: 1501,
+  FREE_DATA: 1502,
+  PREPARE_BUFFER: 1503,
+  READ_BUFFER: 1504,
+  ACK_OK: 2000,
+  ACK_ERROR: 2001,
+  ACK_DATA: 2002,
+  ACK_UNAUTH: 2005
+};
+
+// Function code of USERTEMP_RRQ that selects user records
+export const FCT_USER = 5;
+
+const TCP_MAGIC = [0x50, 0x50, 0x82, 0x7d];
+const HEADER_SIZE = 8;
+const TCP_PREFIX_SIZE = 8;
+const USHRT_MAX = 65535;
+
+// Largest chunk requested per READ_BUFFER round trip
+export const MAX_CHUNK = { tcp: 0xffc0, udp: 16 * 1024 };
+
+// One's-complement style checksum over the header (checksum field zeroed) and payload
+export const checksum = (buf) => {
+  let sum = 0;
+  let i = 0;
+  for (; i + 1 < buf.length; i += 2) {
+    sum += buf.readUInt16LE(i);
+    if (sum > USHRT_MAX) sum -= USHRT_MAX;
+  }
+  if (i < buf.length) sum += buf[buf.length - 1];
+  while (sum > USHRT_MAX) sum -= USHRT_MAX;
+  sum = ~sum;
+  while (sum < 0) sum += USHRT_MAX;
+  return sum & 0xffff;
+};
+
+// Header + payload for a command
+export const encodePacket = ({ command, sessionId = 0, replyId = 0, data = Buffer.alloc(0) }) => {
+  const packet = Buffer.alloc(HEADER_SIZE + data.length);
+  packet.writeUInt16LE(command, 0);
+  packet.writeUInt16LE(0, 2);
+  packet.writeUInt16LE(sessionId, 4);
+  packet.writeUInt16LE(replyId, 6);
+  data.copy(packet, HEADER_SIZE);
+  packet.writeUInt16LE(checksum(packet), 2);
+  return packet;
+};
+
+export const decodePacket = (packet) => ({
+  command: packet.readUInt16LE(0),
+  checksum: packet.readUInt16LE(2),
+  sessionId: packet.readUInt16LE(4),
+  replyId: packet.readUInt16LE(6),
+  data: packet.subarray(HEADER_SIZE)
+});
+
+export const wrapTcp = (packet) => {
+  const prefix = Buffer.alloc(TCP_PREFIX_SIZE);
+  Buffer.from(TCP_MAGIC).copy(prefix, 0);
+  prefix.writeUInt32LE(packet.length, 4);
+  return Buffer.concat([prefix, packet]);
+};
+
+// Split a TCP byte stream into packets. Returns { packets, rest } where rest is an incomplete tail.
+export const unwrapTcp = (buffer) => {
+  const packets = [];
+  let offset = 0;
+  while (buffer.length - offset >= TCP_PREFIX_SIZE) {
+    if (!TCP_MAGIC.every((byte, i) => buffer[offset + i] === byte)) {
+      throw new Error('Unexpected data from device (bad TCP packet header).');
+    }
+    const length = buffer.readUInt32LE(offset + 4);
+    if (buffer.length - offset - TCP_PREFIX_SIZE < length) break;
+    packets.push(buffer.subarray(offset + TCP_PREFIX_SIZE, offset + TCP_PREFIX_SIZE + length));
+    offset += TCP_PREFIX_SIZE + length;
+  }
+  return { packets, rest: buffer.subarray(offset) };
+};
+
+// --- Comm Key ---
+
+// Scrambled comm key (device password) sent with AUTH, derived from the session id
+export const makeCommKey = (key, sessionId, ticks = 50) => {
+  const numericKey = Number(key) >>> 0;
+  let k = 0;
+  for (let i = 0; i < 32; i++) {
+    k = numericKey & (1 << i) ? ((k << 1) | 1) >>> 0 : (k << 1) >>> 0;
+  }
+  k = (k + sessionId) >>> 0;
+
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32LE(k, 0);
+  const xored = Buffer.from([bytes[0] ^ 0x5a, bytes[1] ^ 0x4b, bytes[2] ^ 0x53, bytes[3] ^ 0x4f]); // "ZKSO"
+  // Swap the two 16-bit halves
+  const swapped = Buffer.concat([xored.subarray(2, 4), xored.subarray(0, 2)]);
+  const b = ticks & 0xff;
+  return Buffer.from([swapped[0] ^ b, swapped[1] ^ b, b, swapped[3] ^ b]);
+};
+
+// --- Timestamps ---
+// Terminals pack local date and time into seconds of a calendar with 31-day months from 2000.
+
+export const decodeTime = (value) => {
+  let t = value;
+  const second = t % 60; t = Math.floor(t / 60);
+  const minute = t % 60; t = Math.floor(t / 60);
+  const hour = t % 24; t = Math.floor(t / 24);
+  const day = (t % 31) + 1; t = Math.floor(t / 31);
+  const month = (t % 12) + 1; t = Math.floor(t / 12);
+  const year = t + 2000;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+};
+
+// "YYYY-MM-DD HH:MM:SS" -> packed value
+export const encodeTime = (timestamp) => {
+  const [date, time = '00:00:00'] = timestamp.split(' ');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+  return ((((year % 100) * 12 * 31 + (month - 1) * 31 + day - 1) * 24 + hour) * 60 + minute) * 60 + second;
+};
+
+// --- Records ---
+
+const readString = (buf, start, length) => {
+  const raw = buf.subarray(start, start + length);
+  const end = raw.indexOf(0);
+  return raw.subarray(0, end === -1 ? raw.length : end).toString('utf8').trim();
+};
+
+const writeString = (buf, value, start, length) => {
+  Buffer.from(String(value), 'utf8').subarray(0, length).copy(buf, start);
+};
+
+// Record counts reported by GET_FREE_SIZES
+export const decodeSizes = (data) => ({
+  users: data.length >= 20 ? data.readInt32LE(16) : 0,
+  records: data.length >= 36 ? data.readInt32LE(32) : 0
+});
+
+export const encodeSizes = ({ users, records }) => {
+  const data = Buffer.alloc(80);
+  data.writeInt32LE(users, 16);
+  data.writeInt32LE(records, 32);
+  return data;
+};
+
+// User table. Firmware uses 72-byte records (string user IDs) or legacy 28-byte records (numeric IDs).
+export const USER_RECORD_SIZE = 72;
+
+export const decodeUsers = (data, count) => {
+  if (data.length < 4) return [];
+  const size = data.readUInt32LE(0);
+  const body = data.subarray(4, 4 + size);
+  const recordSize = count > 0 && size / count === 28 ? 28 : USER_RECORD_SIZE;
+  const users = [];
+  for (let offset = 0; offset + recordSize <= body.length; offset += recordSize) {
+    if (recordSize === 28) {
+      users.push({
+        uid: body.readUInt16LE(offset),
+        privilege: body[offset + 2],
+        name: readString(body, offset + 8, 8),
+        userId: String(body.readUInt32LE(offset + 24))
+      });
+    } else {
+      users.push({
+        uid: body.readUInt16LE(offset),
+        privilege: body[offset + 2],
+        name: readString(body, offset + 11, 24),
+        userId: readString(body, offset + 48, 24)
+      });
+    }
+  }
+  return users;
+};
+
+export const encodeUsers = (users) => {
+  const body = Buffer.alloc(users.length * USER_RECORD_SIZE);
+  users.forEach((user, i) => {
+    const offset = i * USER_RECORD_SIZE;
+    body.writeUInt16LE(user.uid, offset);
+    body[offset + 2] = user.privilege || 0;
+    writeString(body, user.name || '', offset + 11, 24);
+    writeString(body, user.userId, offset + 48, 24);
+  });
+  const size = Buffer.alloc(4);
+  size.writeUInt32LE(body.length, 0);
+  return Buffer.concat([size, body]);
+};
+
+// Attendance log. Record size depends on firmware: 40 bytes (string user IDs), 16 or 8 bytes.
+export const ATTENDANCE_RECORD_SIZE = 40;
+
+export const decodeAttendance = (data, count, users = []) => {
+  if (data.length < 4) return [];
+  const size = data.readUInt32LE(0);
+  const body = data.subarray(4, 4 + size);
+  const recordSize = count > 0 ? size / count : ATTENDANCE_RECORD_SIZE;
+  const userIdByUid = new Map(users.map(user => [user.uid, user.userId]));
+  const logs = [];
+  for (let offset = 0; offset + recordSize <= body.length; offset += recordSize) {
+    if (recordSize === 8) {
+      const uid = body.readUInt16LE(offset);
+      logs.push({
+        userId: userIdByUid.get(uid) || String(uid),
+        verifyMode: 0,
+        state: body[offset + 7],
+        timestamp: decodeTime(body.readUInt32LE(offset + 3))
+      });
+    } else if (recordSize === 16) {
+      logs.push({
+        userId: String(body.readUInt32LE(offset)),
+        verifyMode: body[offset + 8],
+        state: body[offset + 9],
+        timestamp: decodeTime(body.readUInt32LE(offset + 4))
+      });
+    } else {
+      logs.push({
+        userId: readString(body, offset + 2, 24),
+        verifyMode: body[offset + 26],
+        state: body[offset + 31],
+        timestamp: decodeTime(body.readUInt32LE(offset + 27))
+      });
+    }
+  }
+  return logs;
+};
+
+export const encodeAttendance = (logs, users = []) => {
+  const uidByUserId = new Map(users.map(user => [user.userId, user.uid]));
+  const body = Buffer.alloc(logs.length * ATTENDANCE_RECORD_SIZE);
+  logs.forEach((log, i) => {
+    const offset = i * ATTENDANCE_RECORD_SIZE;
+    body.writeUInt16LE(uidByUserId.get(log.userId) || 0, offset);
+    writeString(body, log.userId, offset + 2, 24);
+    body[offset + 26] = log.verifyMode || 0;
+    body.writeUInt32LE(encodeTime(log.timestamp), offset + 27);
+    body[offset + 31] = log.state || 0;
+  });
+  const size = Buffer.alloc(4);
+  size.writeUInt32LE(body.length, 0);
+  return Buffer.concat([size, body]);
+};
@@ -0,0 +1,173 @@
+// --- Simulated Terminal ---
+// A stand-in for a ZKTeco terminal that answers the same TCP and UDP commands as real hardware, so the
+// sync service can be developed and tried without a device on the network.
+
+import net from 'node:net';
+import dgram from 'node:dgram';
+import {
+  CMD,
+  DEFAULT_PORT,
+  encodePacket,
+  decodePacket,
+  wrapTcp,
+  unwrapTcp,
+  makeCommKey,
+  encodeSizes,
+  encodeUsers,
+  encodeAttendance
+} from './protocol.js';
+
+// Tables up to this size are answered inline; larger ones go through PREPARE_DATA and DATA packets
+const INLINE_LIMIT = 1024;
+const DATA_PACKET_SIZE = 1024;
+
+// Answers to one client session. handle(packet) -> array of reply packets.
+const createSession = (device, sessionId) => {
+  let authenticated = !device.commKey;
+  let staged = null;
+
+  const reply = (request, command, data) => encodePacket({ command, sessionId, replyId: request.replyId, data });
+
+  const tableFor = (command) => {
+    if (command === CMD.ATTLOG_RRQ) return encodeAttendance(device.logs, device.users);
+    if (command === CMD.USERTEMP_RRQ) return encodeUsers(device.users);
+    return null;
+  };
+
+  const dataReplies = (request, data) => {
+    if (data.length <= INLINE_LIMIT) return [reply(request, CMD.DATA, data)];
+    const total = Buffer.alloc(4);
+    total.writeUInt32LE(data.length, 0);
+    const packets = [reply(request, CMD.PREPARE_DATA, total)];
+    for (let start = 0; start < data.length; start += DATA_PACKET_SIZE) {
+      packets.push(reply(request, CMD.DATA, data.subarray(start, start + DATA_PACKET_SIZE)));
+    }
+    packets.push(reply(request, CMD.ACK_OK));
+    return packets;
+  };
+
+  const handle = (packet) => {
+    const request = decodePacket(packet);
+    if (request.command === CMD.CONNECT) {
+      return [reply(request, authenticated ? CMD.ACK_OK : CMD.ACK_UNAUTH)];
+    }
+    if (request.command === CMD.AUTH) {
+      authenticated = request.data.equals(makeCommKey(device.commKey, sessionId));
+      return [reply(request, authenticated ? CMD.ACK_OK : CMD.ACK_UNAUTH)];
+    }
+    if (!authenticated) return [reply(request, CMD.ACK_UNAUTH)];
+
+    switch (request.command) {
+      case CMD.GET_FREE_SIZES:
+        return [reply(request, CMD.ACK_OK, encodeSizes({ users: device.users.length, records: device.logs.length }))];
+      case CMD.PREPARE_BUFFER: {
+        const table = tableFor(request.data.readInt16LE(1));
+        if (!table) return [reply(request, CMD.ACK_ERROR)];
+        if (table.length <= INLINE_LIMIT) return [reply(request, CMD.DATA, table)];
+        staged = table;
+        const info = Buffer.alloc(5);
+        info.writeUInt32LE(table.length, 1);
+        return [reply(request, CMD.ACK_OK, info)];
+      }
+      case CMD.READ_BUFFER: {
+        if (!staged) return [reply(request, CMD.ACK_ERROR)];
+        const start = request.data.readInt32LE(0);
+        const size = request.data.readInt32LE(4);
+        return dataReplies(request, staged.subarray(start, start + size));
+      }
+      case CMD.FREE_DATA:
+        staged = null;
+        return [reply(request, CMD.ACK_OK)];
+      case CMD.DISABLE_DEVICE:
+      case CMD.ENABLE_DEVICE:
+      case CMD.EXIT:
+        return [reply(request, CMD.ACK_OK)];
+      default:
+        return [reply(request, CMD.ACK_ERROR)];
+    }
+  };
+
+  return { handle };
+};
+
+// Sample users and a few weeks of punches ending yesterday: { users, logs }
+export const demoDeviceData = ({ employees = 8, days = 21, today = new Date() } = {}) => {
+  const names = ['Ahmed Ali', 'Sara Hassan', 'Omar Khalid', 'Mona Youssef', 'Karim Nabil', 'Laila Adel', 'Youssef Samir', 'Nour Ibrahim', 'Hany Fathy', 'Dina Mahmoud'];
+  const users = Array.from({ length: employees }, (_, i) => ({
+    uid: i + 1,
+    userId: String(101 + i),
+    name: names[i % names.length],
+    privilege: 0
+  }));
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (date, minutes) => `${date} ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:${pad((minutes * 7) % 60)}`;
+  const logs = [];
+  for (let back = days; back >= 1; back--) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - back);
+    if (day.getDay() === 5 || day.getDay() === 6) continue; // Sunday-Thursday week
+    const date = `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+    users.forEach((user, i) => {
+      const seed = (day.getDate() * 31 + i * 17) % 97;
+      if (seed % 13 === 0) return; // absent
+      const clockIn = 8 * 60 + (seed % 40) - 10;
+      logs.push({ userId: user.userId, timestamp: stamp(date, clockIn), verifyMode: 1, state: 0 });
+      if (seed % 11 !== 0) { // occasionally forgets to punch out
+        logs.push({ userId: user.userId, timestamp: stamp(date, clockIn + 8 * 60 + (seed % 50)), verifyMode: 1, state: 1 });
+      }
+    });
+  }
+  return { users, logs };
+};
+
+// Start a simulated terminal on TCP and UDP. Resolves with { port, addLog, close }.
+// addLog(log) appends a punch ({ userId, timestamp, verifyMode, state }) as if someone had just clocked.
+export const startSimulatedDevice = ({ host = '127.0.0.1', port = DEFAULT_PORT, commKey = 0, users = [], logs = [] } = {}) => {
+  const device = { commKey: Number(commKey) || 0, users: [...users], logs: [...logs] };
+  let nextSessionId = 1;
+  const newSession = () => createSession(device, nextSessionId++);
+
+  const sockets = new Set();
+  const tcpServer = net.createServer(socket => {
+    const session = newSession();
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      try {
+        const { packets, rest } = unwrapTcp(Buffer.concat([pending, chunk]));
+        pending = rest;
+        packets.forEach(packet => session.handle(packet).forEach(out => socket.write(wrapTcp(out))));
+      } catch {
+        socket.destroy();
+      }
+    });
+    socket.on('error', () => socket.destroy());
+  });
+
+  // UDP has no connection; a CONNECT starts a new session for that address
+  const udpServer = dgram.createSocket('udp4');
+  const udpSessions = new Map();
+  udpServer.on('message', (packet, remote) => {
+    const address = `${remote.address}:${remote.port}`;
+    if (packet.readUInt16LE(0) === CMD.CONNECT || !udpSessions.has(address)) udpSessions.set(address, newSession());
+    udpSessions.get(address).handle(packet).forEach(out => udpServer.send(out, remote.port, remote.address));
+  });
+
+  return new Promise((resolve, reject) => {
+    tcpServer.once('error', reject);
+    tcpServer.listen(port, host, () => {
+      const boundPort = tcpServer.address().port;
+      udpServer.once('error', reject);
+      udpServer.bind(boundPort, host, () => resolve({
+        port: boundPort,
+        addLog: (log) => device.logs.push(log),
+        close: () => new Promise(done => {
+          udpServer.close();
+          tcpServer.close(() => done());
+          sockets.forEach(socket => socket.destroy());
+        })
+      }));
+    });
+  });
+};
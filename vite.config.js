@@ -1,10 +1,46 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite' // استيراد التدوينة
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig({
   plugins: [
     react(),
     tailwindcss(), // إضافة التدوينة هنا
+    // Installable app: the service worker precaches every build file (including the parse worker),
+    // so the analyzer loads and processes files with no network
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['vite.svg'],
+      manifest: {
+        name: 'ZKTeco Attendance Analyzer',
+        short_name: 'Attendance',
+        description: 'Attendance reports from ZKTeco iFace 990 time card exports and punch logs',
+        theme_color: '#2563eb',
+        background_color: '#f8fafc',
+        display: 'standalone',
+        start_url: '/',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png}'],
+      },
+    }),
   ],
-})
\ No newline at end of file
+  // The parse worker is loaded as an ES module (it imports the engines)
+  worker: {
+    format: 'es',
+  },
+  // Keep the spreadsheet library in its own chunk so app updates do not re-download it
+  build: {
+    rollupOptions: {
+      output: {
+        manualChunks: { xlsx: ['xlsx'] },
+      },
+    },
+  },
+})